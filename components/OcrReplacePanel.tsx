@@ -1,3 +1,4 @@
+import { buildGranthViewerKey } from "@/lib/phonetic-transliteration";
 import { useEffect, useMemo, useState } from "react";
 
 type GranthOption = {
@@ -641,7 +642,9 @@ export default function OcrReplacePanel(props: Props) {
             }}
           >
             {previewMatches.map((match) => {
-              const viewerHref = `/ocr-text-viewer?granthKey=${encodeURIComponent(match.granth_key)}&page=${encodeURIComponent(
+              const viewerHref = `/ocr-text-viewer?granthKey=${encodeURIComponent(
+                buildGranthViewerKey(match.granth_key, match.granth_title)
+              )}&page=${encodeURIComponent(
                 String(match.page_number)
               )}&q=${encodeURIComponent(replaceWord)}`;
               return (
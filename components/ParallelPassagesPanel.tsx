@@ -0,0 +1,130 @@
+import { buildGranthViewerKey } from "@/lib/phonetic-transliteration";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+
+type ParallelPassageMatch = {
+  granth_key: string;
+  granth_name: string;
+  page_number: number;
+  excerpt: string;
+  gujarati: string;
+  similarity: number;
+};
+
+type ParallelPassage = {
+  cluster_id: number;
+  excerpt: string;
+  gujarati: string;
+  similarity: number;
+  page_count: number;
+  granth_count: number;
+  matches: ParallelPassageMatch[];
+};
+
+type ParallelPassagesResponse = {
+  granth_key: string | null;
+  page_number: number;
+  passages: ParallelPassage[];
+};
+
+type ParallelPassagesPanelProps = {
+  granthKey?: string | null;
+  pdfUrl?: string | null;
+  pageNumber: number | null;
+  formatText?: (text: string) => string;
+};
+
+const INITIAL_VISIBLE_MATCHES = 5;
+
+function matchHref(match: ParallelPassageMatch) {
+  const params = new URLSearchParams({
+    granthKey: buildGranthViewerKey(match.granth_key, match.granth_name),
+    page: String(match.page_number),
+  });
+  return `/ocr-text-viewer?${params.toString()}`;
+}
+
+export function ParallelPassagesPanel({ granthKey, pdfUrl, pageNumber, formatText }: ParallelPassagesPanelProps) {
+  const [passages, setPassages] = useState<ParallelPassage[]>([]);
+  const [expanded, setExpanded] = useState<number[]>([]);
+
+  useEffect(() => {
+    setPassages([]);
+    setExpanded([]);
+    if (pageNumber == null || (!granthKey && !pdfUrl)) return;
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ page: String(pageNumber) });
+    if (granthKey) params.set("granthKey", granthKey);
+    else if (pdfUrl) params.set("pdfUrl", pdfUrl);
+    void fetch(`/api/parallel-passages?${params.toString()}`, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((payload: ParallelPassagesResponse | null) => setPassages(payload?.passages ?? []))
+      .catch(() => undefined);
+
+    return () => controller.abort();
+  }, [granthKey, pageNumber, pdfUrl]);
+
+  if (passages.length === 0) return null;
+  const show = (text: string) => (formatText ? formatText(text) : text);
+
+  return (
+    <section
+      style={{
+        border: "1px solid #d4d9e2",
+        borderRadius: 14,
+        background: "#fff",
+        boxShadow: "0 8px 20px rgba(35, 42, 51, 0.08)",
+        padding: "12px 14px",
+        display: "grid",
+        gap: 10,
+      }}
+    >
+      <div style={{ fontWeight: 700, fontSize: 17 }}>This passage also appears in…</div>
+      {passages.map((passage) => {
+        const isExpanded = expanded.includes(passage.cluster_id);
+        const visibleMatches = isExpanded ? passage.matches : passage.matches.slice(0, INITIAL_VISIBLE_MATCHES);
+        return (
+          <div key={passage.cluster_id} style={{ display: "grid", gap: 6 }}>
+            <div style={{ fontSize: 15, lineHeight: 1.6, color: "#344054" }}>“{show(passage.gujarati)}…”</div>
+            <div style={{ fontSize: 13, opacity: 0.72 }}>
+              {passage.page_count} page{passage.page_count === 1 ? "" : "s"} in {passage.granth_count} granth
+              {passage.granth_count === 1 ? "" : "s"}
+            </div>
+            <ul style={{ margin: 0, paddingLeft: 20, display: "grid", gap: 4, fontSize: 14 }}>
+              {visibleMatches.map((match) => (
+                <li key={`${match.granth_key}:${match.page_number}`}>
+                  <Link href={matchHref(match)} style={{ color: "#1f6f8b" }}>
+                    {show(match.granth_name) || match.granth_key} p.{match.page_number}
+                  </Link>{" "}
+                  <span style={{ opacity: 0.65 }}>{Math.round(match.similarity * 100)}% similar</span>
+                </li>
+              ))}
+            </ul>
+            {passage.matches.length > INITIAL_VISIBLE_MATCHES ? (
+              <button
+                type="button"
+                onClick={() =>
+                  setExpanded((prev) =>
+                    isExpanded ? prev.filter((id) => id !== passage.cluster_id) : [...prev, passage.cluster_id]
+                  )
+                }
+                style={{
+                  justifySelf: "start",
+                  padding: "4px 10px",
+                  borderRadius: 999,
+                  border: "1px solid #bcc4ce",
+                  background: "#fff",
+                  cursor: "pointer",
+                  fontSize: 13,
+                }}
+              >
+                {isExpanded ? "Show fewer" : `Show all ${passage.matches.length}`}
+              </button>
+            ) : null}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
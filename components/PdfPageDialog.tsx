@@ -6,6 +6,7 @@ import {
   parseOCRSearchMode,
   type OCRSearchMode,
 } from "@/lib/ocr-search";
+import { formatGathaCitation, type PageGathaLookup, type PageGathaRef } from "@/lib/granth-mapping";
 
 type PdfJsModule = typeof import("pdfjs-dist/legacy/build/pdf.mjs");
 type PDFDocumentLoadingTask = import("pdfjs-dist").PDFDocumentLoadingTask;
@@ -132,6 +133,7 @@ export function PdfPageDialog({ target, onClose }: PdfPageDialogProps) {
   const [showTextLayer, setShowTextLayer] = useState(true);
   const [textDivCount, setTextDivCount] = useState(0);
   const [highlightCount, setHighlightCount] = useState(0);
+  const [pageGathas, setPageGathas] = useState<PageGathaRef[]>([]);
 
   useEffect(() => {
     const dialog = dialogRef.current;
@@ -254,6 +256,22 @@ export function PdfPageDialog({ target, onClose }: PdfPageDialogProps) {
     setPageEntry(String(currentPage));
   }, [currentPage]);
 
+  useEffect(() => {
+    setPageGathas([]);
+    if (!pdfUrl || !target) return;
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ pdfUrl, page: String(currentPage) });
+    void fetch(`/api/granth-mapping/page-gathas?${params.toString()}`, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((payload: { pages?: PageGathaLookup[] } | null) => {
+        setPageGathas(payload?.pages?.[0]?.gathas ?? []);
+      })
+      .catch(() => undefined);
+
+    return () => controller.abort();
+  }, [currentPage, pdfUrl, target]);
+
   useEffect(() => {
     if (!pdfDoc || !pdfModule || !target) return;
     if (!canvasRef.current || !textLayerContainerRef.current) return;
@@ -417,6 +435,7 @@ export function PdfPageDialog({ target, onClose }: PdfPageDialogProps) {
             </div>
             <div className="pdfDialogSubline">
               {pageCount > 0 ? `Page ${currentPage} of ${pageCount}` : `Page ${currentPage}`}
+              {pageGathas.length > 0 ? ` | ${formatGathaCitation(pageGathas)}` : ""}
               {isPdfLoading ? " | Loading current page" : ""}
               {highlightTerms.length > 0 && !isPdfLoading ? ` | ${highlightCount} highlight(s)` : ""}
             </div>
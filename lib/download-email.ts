@@ -193,18 +193,28 @@ function createMailerooTransport() {
   });
 }
 
-async function sendViaMailerooApi(options: {
-  to: string;
-  filePath: string;
+type EmailTemplate = { subject: string; plain: string; html: string };
+
+type EmailAttachment = {
   filename: string;
+  filePath: string;
   contentType: string;
-  title: string;
-}) {
+};
+
+type OutgoingEmail = {
+  to: string;
+  template: EmailTemplate;
+  refId: string;
+  type: string;
+  attachment?: EmailAttachment;
+};
+
+async function sendViaMailerooApi(options: OutgoingEmail) {
   const apiKey = process.env.MAILEROO_API_KEY || process.env.MAILEROO_SENDING_KEY;
   if (!apiKey) return null;
 
-  const template = downloadEmailTemplate(options.title);
-  const file = await readFile(options.filePath);
+  const { template, attachment } = options;
+  const file = attachment ? await readFile(attachment.filePath) : null;
   const response = await fetch("https://smtp.maileroo.com/api/v2/emails", {
     method: "POST",
     headers: {
@@ -228,20 +238,24 @@ async function sendViaMailerooApi(options: {
       html: template.html,
       tracking: false,
       headers: {
-        "X-Entity-Ref-ID": createHash("sha256").update(`${options.to}:${options.filename}`).digest("hex").slice(0, 24),
+        "X-Entity-Ref-ID": createHash("sha256").update(`${options.to}:${options.refId}`).digest("hex").slice(0, 24),
       },
       tags: {
         app: "granth-library",
-        type: "download",
+        type: options.type,
       },
-      attachments: [
-        {
-          file_name: options.filename,
-          content_type: options.contentType,
-          content: file.toString("base64"),
-          inline: false,
-        },
-      ],
+      ...(attachment && file
+        ? {
+            attachments: [
+              {
+                file_name: attachment.filename,
+                content_type: attachment.contentType,
+                content: file.toString("base64"),
+                inline: false,
+              },
+            ],
+          }
+        : {}),
     }),
   });
 
@@ -256,15 +270,9 @@ async function sendViaMailerooApi(options: {
   return true;
 }
 
-async function sendViaSmtp(options: {
-  to: string;
-  filePath: string;
-  filename: string;
-  contentType: string;
-  title: string;
-}) {
+async function sendViaSmtp(options: OutgoingEmail) {
   const transport = createMailerooTransport();
-  const template = downloadEmailTemplate(options.title);
+  const { template, attachment } = options;
 
   await transport.sendMail({
     from: mailFrom(),
@@ -274,18 +282,25 @@ async function sendViaSmtp(options: {
     text: template.plain,
     html: template.html,
     headers: {
-      "X-Entity-Ref-ID": createHash("sha256").update(`${options.to}:${options.filename}`).digest("hex").slice(0, 24),
+      "X-Entity-Ref-ID": createHash("sha256").update(`${options.to}:${options.refId}`).digest("hex").slice(0, 24),
     },
-    attachments: [
-      {
-        filename: options.filename,
-        path: options.filePath,
-        contentType: options.contentType,
-      },
-    ],
+    attachments: attachment
+      ? [
+          {
+            filename: attachment.filename,
+            path: attachment.filePath,
+            contentType: attachment.contentType,
+          },
+        ]
+      : [],
   });
 }
 
+async function deliverEmail(options: OutgoingEmail) {
+  const sentViaApi = await sendViaMailerooApi(options);
+  if (!sentViaApi) await sendViaSmtp(options);
+}
+
 export async function sendDownloadEmail(options: {
   to: string;
   filePath: string;
@@ -296,9 +311,68 @@ export async function sendDownloadEmail(options: {
 }) {
   const to = normalizeDownloadEmail(options.to);
   const size = await assertEmailAttachmentSize(options.filePath);
-  const sentViaApi = await sendViaMailerooApi({ ...options, to });
-  if (!sentViaApi) await sendViaSmtp({ ...options, to });
+  await deliverEmail({
+    to,
+    template: downloadEmailTemplate(options.title),
+    refId: options.filename,
+    type: "download",
+    attachment: { filename: options.filename, filePath: options.filePath, contentType: options.contentType },
+  });
 
   if (options.recipientClientKey) await rememberDownloadRecipient(to, options.recipientClientKey);
   return { email: to, sizeBytes: size };
 }
+
+export type SavedSearchEmailPage = {
+  granthName: string;
+  pageNumber: number;
+};
+
+function savedSearchEmailTemplate(options: {
+  label: string;
+  pages: SavedSearchEmailPage[];
+  totalNew: number;
+  searchUrl: string;
+}) {
+  const cleanLabel = cleanEmailTitle(options.label);
+  const subject = `New Granth Library matches for ${cleanLabel}`;
+  const listed = options.pages.map((page) => `${cleanEmailTitle(page.granthName)}, page ${page.pageNumber}`);
+  const remaining = options.totalNew - options.pages.length;
+  const plain = [
+    `${options.totalNew} newly searchable page(s) match your saved search "${cleanLabel}".`,
+    "",
+    ...listed.map((line) => `- ${line}`),
+    ...(remaining > 0 ? [`- and ${remaining} more`] : []),
+    "",
+    `Open the search: ${options.searchUrl}`,
+    "",
+    "This message was sent because you saved this search in the Granth Library application.",
+  ].join("\n");
+  const html =
+    `<p>${options.totalNew} newly searchable page(s) match your saved search <strong>${escapeHtml(cleanLabel)}</strong>.</p>` +
+    `<ul>${listed.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}` +
+    (remaining > 0 ? `<li>and ${remaining} more</li>` : "") +
+    "</ul>" +
+    `<p><a href="${escapeHtml(options.searchUrl)}">Open the search</a></p>` +
+    "<p>This message was sent because you saved this search in the Granth Library application.</p>";
+
+  return { subject, plain, html };
+}
+
+export async function sendSavedSearchEmail(options: {
+  to: string;
+  savedSearchId: number;
+  label: string;
+  pages: SavedSearchEmailPage[];
+  totalNew: number;
+  searchUrl: string;
+}) {
+  const to = normalizeDownloadEmail(options.to);
+  await deliverEmail({
+    to,
+    template: savedSearchEmailTemplate(options),
+    refId: `saved-search:${options.savedSearchId}:${Date.now()}`,
+    type: "saved-search",
+  });
+  return { email: to };
+}
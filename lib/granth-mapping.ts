@@ -20,12 +20,59 @@ export type MappingSegment = {
   pages: number[];
 };
 
-export function parseNumberListSpec(spec: string) {
+export type PageGathaRef = {
+  adhikar: number | null;
+  gatha: number;
+  pageStart: number;
+  pageEnd: number;
+  anchorText: string | null;
+  bookCode: string | null;
+};
+
+export type PageGathaLookup = {
+  page: number;
+  gathas: PageGathaRef[];
+};
+
+export function formatGathaCitation(refs: PageGathaRef[]) {
+  if (refs.length === 0) return "";
+
+  const byAdhikar = new Map<string, number[]>();
+  for (const ref of refs) {
+    const key = ref.adhikar == null ? "" : String(ref.adhikar);
+    byAdhikar.set(key, [...(byAdhikar.get(key) ?? []), ref.gatha]);
+  }
+
+  return [...byAdhikar.entries()]
+    .map(([adhikar, gathas]) => {
+      const sorted = [...new Set(gathas)].sort((a, b) => a - b);
+      const spans: string[] = [];
+      for (let index = 0; index < sorted.length; index += 1) {
+        const start = sorted[index];
+        while (index + 1 < sorted.length && sorted[index + 1] === sorted[index] + 1) index += 1;
+        spans.push(start === sorted[index] ? String(start) : `${start}–${sorted[index]}`);
+      }
+      const label = `${sorted.length === 1 && !spans[0].includes("–") ? "Gatha" : "Gathas"} ${spans.join(", ")}`;
+      return adhikar ? `Adhikar ${adhikar}, ${label.toLowerCase()}` : label;
+    })
+    .join("; ");
+}
+
+export function parseNumberListSpec(spec: string, maxCount = Number.POSITIVE_INFINITY) {
   const trimmed = String(spec || "").trim();
   if (!trimmed) return [];
 
   const out: number[] = [];
+  const seen = new Set<number>();
+  const add = (n: number) => {
+    if (n > 0 && !seen.has(n)) {
+      seen.add(n);
+      out.push(n);
+    }
+  };
+
   for (const rawPart of trimmed.split(",")) {
+    if (out.length >= maxCount) break;
     const part = rawPart.trim();
     if (!part) continue;
 
@@ -35,18 +82,18 @@ export function parseNumberListSpec(spec: string) {
       const a = Number.parseInt(bits[0], 10);
       const b = Number.parseInt(bits[1], 10);
       if (!Number.isFinite(a) || !Number.isFinite(b)) throw new Error(`Bad range: ${part}`);
-      const start = Math.min(a, b);
+      const start = Math.max(1, Math.min(a, b));
       const end = Math.max(a, b);
-      for (let n = start; n <= end; n += 1) out.push(n);
+      // Stop at maxCount so a huge range never materializes.
+      for (let n = start; n <= end && out.length < maxCount; n += 1) add(n);
     } else {
       const n = Number.parseInt(part, 10);
       if (!Number.isFinite(n)) throw new Error(`Bad number: ${part}`);
-      out.push(n);
+      add(n);
     }
   }
 
-  const seen = new Set<number>();
-  return out.filter((n) => n > 0 && !seen.has(n) && seen.add(n));
+  return out;
 }
 
 export function pagesFromRanges(ranges: PageRange[], includeCover = false) {
@@ -1,4 +1,9 @@
-import { groupSegments, parseNumberListSpec, type MappingSegment } from "@/lib/granth-mapping";
+import {
+  groupSegments,
+  parseNumberListSpec,
+  type MappingSegment,
+  type PageGathaLookup,
+} from "@/lib/granth-mapping";
 import { getSupabaseAdmin } from "@/lib/supabase-server";
 
 export type GranthResolveKind = "gathas" | "pages";
@@ -254,3 +259,77 @@ export async function resolveGranthSelection(input: GranthResolveInput): Promise
     ),
   };
 }
+
+export type PageGathaTarget = {
+  customId?: string | null;
+  pdfUrl?: string | null;
+  sourceRelPath?: string | null;
+};
+
+async function resolvePageGathaCustomId(target: PageGathaTarget) {
+  const customId = String(target.customId || "").trim();
+  if (customId) return customId;
+
+  const sourceRelPath = String(target.sourceRelPath || "").trim();
+  if (!sourceRelPath) return "";
+
+  const supabase = getSupabaseAdmin();
+  const { data, error } = await supabase
+    .from("documents")
+    .select("custom_id")
+    .eq("original_relative_path", sourceRelPath)
+    .limit(1);
+  if (error) throw error;
+  if (data?.[0]?.custom_id) return String(data[0].custom_id);
+
+  const { data: sources, error: sourceError } = await supabase
+    .from("granth_ocr_files")
+    .select("custom_id")
+    .eq("original_rel_path", sourceRelPath)
+    .limit(1);
+  if (sourceError) throw sourceError;
+  return String(sources?.[0]?.custom_id ?? "").trim();
+}
+
+export async function lookupPageGathas(target: PageGathaTarget, pages: number[]): Promise<PageGathaLookup[]> {
+  const pdfUrl = String(target.pdfUrl || "").trim();
+  const customId = await resolvePageGathaCustomId(target);
+  if (!customId && !pdfUrl) {
+    throw new GranthResolveError(400, { error: "customId, pdfUrl, or sourceRelPath is required" });
+  }
+
+  const requested = [...new Set(pages.filter((page) => Number.isFinite(page) && page > 0))].sort((a, b) => a - b);
+  if (requested.length === 0) throw new GranthResolveError(400, { error: "page is required" });
+
+  const minPage = requested[0];
+  const maxPage = requested[requested.length - 1];
+  const rows = await fetchAll((from, to) => {
+    let query = getSupabaseAdmin()
+      .from("granth_gatha_map")
+      .select("book_code,adhikar,gatha,page_start,page_end,anchor_text")
+      .lte("page_start", maxPage)
+      .or(`page_end.gte.${minPage},page_start.gte.${minPage}`)
+      .range(from, to);
+    query = customId ? query.eq("custom_id", customId) : query.eq("pdf_url", pdfUrl);
+    return query.order("adhikar", { ascending: true }).order("gatha", { ascending: true });
+  });
+
+  const refs = rows
+    .filter((row) => Number.isFinite(Number(row.gatha)) && Number.isFinite(Number(row.page_start)))
+    .map((row) => {
+      const pageStart = Number(row.page_start);
+      return {
+        adhikar: row.adhikar == null ? null : Number(row.adhikar),
+        gatha: Number(row.gatha),
+        pageStart,
+        pageEnd: row.page_end == null ? pageStart : Math.max(pageStart, Number(row.page_end)),
+        anchorText: (row.anchor_text as string | null) || null,
+        bookCode: (row.book_code as string | null) || null,
+      };
+    });
+
+  return requested.map((page) => ({
+    page,
+    gathas: refs.filter((ref) => page >= ref.pageStart && page <= ref.pageEnd),
+  }));
+}
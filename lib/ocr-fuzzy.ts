@@ -0,0 +1,170 @@
+export type OCRFuzzyMatch = {
+  start: number;
+  end: number;
+  text: string;
+  distance: number;
+};
+
+const FUZZY_WORD_PATTERN = /[\p{L}\p{N}\p{M}_]+/gu;
+const MARK_PATTERN = /\p{M}/u;
+const MAX_CANDIDATE_VARIANTS = 24;
+const MAX_CANDIDATE_TRIGRAMS = 64;
+
+const CONFUSABLE_PAIRS: Array<[string, string]> = [
+  ["ि", "ी"],
+  ["ु", "ू"],
+  ["े", "ै"],
+  ["ो", "ौ"],
+  ["ा", "ो"],
+  ["इ", "ई"],
+  ["उ", "ऊ"],
+  ["ए", "ऐ"],
+  ["ब", "व"],
+  ["घ", "ध"],
+  ["म", "भ"],
+];
+
+const WEAK_MARKS = new Set(["ं", "्", "ः"]);
+const IGNORABLE_CHARS = new Set(["\u200c", "\u200d"]);
+
+const CONFUSABLE_LOOKUP = new Map<string, Set<string>>();
+for (const [a, b] of CONFUSABLE_PAIRS) {
+  if (!CONFUSABLE_LOOKUP.has(a)) CONFUSABLE_LOOKUP.set(a, new Set());
+  if (!CONFUSABLE_LOOKUP.has(b)) CONFUSABLE_LOOKUP.set(b, new Set());
+  CONFUSABLE_LOOKUP.get(a)?.add(b);
+  CONFUSABLE_LOOKUP.get(b)?.add(a);
+}
+
+function chars(value: string) {
+  return Array.from(String(value ?? "").normalize("NFC").toLocaleLowerCase()).filter((char) => !IGNORABLE_CHARS.has(char));
+}
+
+function substitutionCost(a: string, b: string) {
+  if (a === b) return 0;
+  if (CONFUSABLE_LOOKUP.get(a)?.has(b)) return 0.5;
+  return 1;
+}
+
+function indelCost(char: string) {
+  return WEAK_MARKS.has(char) ? 0.5 : 1;
+}
+
+function transpositionCost(a: string, b: string) {
+  return MARK_PATTERN.test(a) || MARK_PATTERN.test(b) ? 0.5 : 1;
+}
+
+export function ocrEditDistance(left: string, right: string, maxDistance = Number.POSITIVE_INFINITY) {
+  const a = chars(left);
+  const b = chars(right);
+  if (a.length === 0) return b.reduce((sum, char) => sum + indelCost(char), 0);
+  if (b.length === 0) return a.reduce((sum, char) => sum + indelCost(char), 0);
+
+  let previousPrevious: number[] = [];
+  let previous = [0];
+  for (let j = 1; j <= b.length; j += 1) previous[j] = previous[j - 1] + indelCost(b[j - 1]);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [previous[0] + indelCost(a[i - 1])];
+    let rowMin = current[0];
+
+    for (let j = 1; j <= b.length; j += 1) {
+      let cost = Math.min(
+        previous[j] + indelCost(a[i - 1]),
+        current[j - 1] + indelCost(b[j - 1]),
+        previous[j - 1] + substitutionCost(a[i - 1], b[j - 1])
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && a[i - 1] !== b[j - 1]) {
+        cost = Math.min(cost, previousPrevious[j - 2] + transpositionCost(a[i - 1], a[i - 2]));
+      }
+      current[j] = cost;
+      rowMin = Math.min(rowMin, cost);
+    }
+
+    if (rowMin > maxDistance) return rowMin;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+export function ocrFuzzyDistanceLimit(term: string) {
+  const length = chars(term).length;
+  if (length <= 4) return 1;
+  if (length <= 8) return 1.5;
+  return 2;
+}
+
+export function findOCRFuzzyMatches(content: string, term: string, maxDistance = ocrFuzzyDistanceLimit(term)) {
+  const source = String(content ?? "");
+  const words = String(term ?? "").trim().split(/\s+/).filter(Boolean);
+  if (!source || words.length === 0) return [];
+
+  const tokens = Array.from(source.matchAll(FUZZY_WORD_PATTERN), (match) => ({
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+    text: match[0],
+  }));
+  const needle = words.join(" ");
+  const needleLength = chars(needle).length;
+  const matches: OCRFuzzyMatch[] = [];
+
+  for (let index = 0; index + words.length <= tokens.length; index += 1) {
+    const window = tokens.slice(index, index + words.length);
+    const candidate = window.map((token) => token.text).join(" ");
+    if (Math.abs(chars(candidate).length - needleLength) > maxDistance * 2) continue;
+
+    const distance = ocrEditDistance(candidate, needle, maxDistance);
+    if (distance > maxDistance) continue;
+
+    const start = window[0].start;
+    const end = window[window.length - 1].end;
+    matches.push({ start, end, text: source.slice(start, end), distance });
+  }
+
+  return matches;
+}
+
+export function buildOCRFuzzyVariants(term: string) {
+  const base = chars(String(term ?? "").trim()).join("");
+  const variants = new Set<string>(base ? [base] : []);
+  const source = Array.from(base);
+
+  for (let index = 0; index < source.length && variants.size < MAX_CANDIDATE_VARIANTS; index += 1) {
+    const char = source[index];
+    for (const alternative of CONFUSABLE_LOOKUP.get(char) ?? []) {
+      variants.add([...source.slice(0, index), alternative, ...source.slice(index + 1)].join(""));
+    }
+    if (WEAK_MARKS.has(char)) {
+      variants.add([...source.slice(0, index), ...source.slice(index + 1)].join(""));
+    }
+  }
+
+  return [...variants].slice(0, MAX_CANDIDATE_VARIANTS);
+}
+
+function trigramsFor(value: string) {
+  const codePoints = Array.from(value);
+  const out: string[] = [];
+  for (let index = 0; index + 3 <= codePoints.length; index += 1) {
+    out.push(codePoints.slice(index, index + 3).join(""));
+  }
+  return out;
+}
+
+export function buildOCRFuzzyTrigrams(term: string) {
+  const trigrams = new Set<string>();
+
+  for (const variant of buildOCRFuzzyVariants(term)) {
+    const words = variant.split(/\s+/).filter(Boolean);
+    const pieces = words.some((word) => Array.from(word).length >= 3) ? words : [variant];
+    for (const piece of pieces) {
+      for (const trigram of trigramsFor(piece)) {
+        trigrams.add(trigram);
+        if (trigrams.size >= MAX_CANDIDATE_TRIGRAMS) return [...trigrams];
+      }
+    }
+  }
+
+  return [...trigrams];
+}
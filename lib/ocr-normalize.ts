@@ -0,0 +1,111 @@
+export type NormalizedOCRText = {
+  text: string;
+  starts: number[];
+  ends: number[];
+};
+
+const DEVANAGARI_TO_GUJARATI_OFFSET = 0x180;
+
+const DROPPED_CHARS = new Set(["़", "\u200b", "\u200c", "\u200d", "\u2060", "\ufeff", "\u00ad"]);
+
+const CHAR_REPLACEMENTS: Record<string, string> = {
+  "ँ": "ं",
+  "|": "।",
+  "¦": "।",
+  "ǀ": "।",
+  "ǁ": "॥",
+};
+
+const DEVANAGARI_CHAR_PATTERN = /[ऀ-ॿ]/u;
+
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+function segmentGraphemes(input: string) {
+  if (!graphemeSegmenter) {
+    let index = 0;
+    return Array.from(input, (segment) => {
+      const start = index;
+      index += segment.length;
+      return { segment, index: start };
+    });
+  }
+  return Array.from(graphemeSegmenter.segment(input), ({ segment, index }) => ({ segment, index }));
+}
+
+function normalizeChar(char: string) {
+  const folded = foldGujaratiToDevanagari(char);
+  const code = folded.codePointAt(0) || 0;
+  if (code >= 0x0966 && code <= 0x096f) return String(code - 0x0966);
+  if (DROPPED_CHARS.has(folded)) return "";
+  return CHAR_REPLACEMENTS[folded] ?? folded;
+}
+
+export function foldGujaratiToDevanagari(value: string) {
+  return Array.from(value)
+    .map((char) => {
+      const code = char.codePointAt(0) || 0;
+      if (code >= 0x0a81 && code <= 0x0af0) return String.fromCodePoint(code - DEVANAGARI_TO_GUJARATI_OFFSET);
+      return char;
+    })
+    .join("");
+}
+
+const GUJARATI_CHAR_PATTERN = /\p{Script=Gujarati}/u;
+
+export function foldDevanagariToGujarati(value: string) {
+  return Array.from(value)
+    .map((char) => {
+      const code = char.codePointAt(0) || 0;
+      if (code < 0x0901 || code > 0x0970) return char;
+      const gujarati = String.fromCodePoint(code + DEVANAGARI_TO_GUJARATI_OFFSET);
+      return GUJARATI_CHAR_PATTERN.test(gujarati) ? gujarati : char;
+    })
+    .join("");
+}
+
+function normalizeCluster(cluster: string, previous: string) {
+  if (cluster === ":" && previous !== "ः" && DEVANAGARI_CHAR_PATTERN.test(previous)) return "ः";
+  return Array.from(cluster.normalize("NFD"), normalizeChar).join("").normalize("NFC");
+}
+
+export function normalizeOCRTextWithOffsets(input: string): NormalizedOCRText {
+  const source = String(input ?? "");
+  let text = "";
+  const starts: number[] = [];
+  const ends: number[] = [];
+
+  for (const { segment, index } of segmentGraphemes(source)) {
+    const end = index + segment.length;
+    const normalized = normalizeCluster(segment, text.slice(-1));
+    if (!normalized) continue;
+
+    if (normalized === "।" && text.endsWith("।")) {
+      text = `${text.slice(0, -1)}॥`;
+      ends[ends.length - 1] = end;
+      continue;
+    }
+
+    text += normalized;
+    for (let offset = 0; offset < normalized.length; offset += 1) {
+      starts.push(index);
+      ends.push(end);
+    }
+  }
+
+  return { text, starts, ends };
+}
+
+export function normalizeOCRText(input: string) {
+  return normalizeOCRTextWithOffsets(input).text;
+}
+
+export function mapNormalizedOCRRange(normalized: NormalizedOCRText, start: number, end: number) {
+  if (end <= start || start >= normalized.starts.length) return null;
+  return {
+    start: normalized.starts[start],
+    end: normalized.ends[Math.min(end, normalized.ends.length) - 1],
+  };
+}
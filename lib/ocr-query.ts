@@ -0,0 +1,492 @@
+import { buildOCRFuzzyTrigrams } from "@/lib/ocr-fuzzy";
+import { normalizeOCRText } from "@/lib/ocr-normalize";
+import { OCRRegexError, extractOCRRegexLiterals } from "@/lib/ocr-regex";
+import { listOCRSandhiReadings } from "@/lib/ocr-sandhi";
+import { stemOCRWords } from "@/lib/ocr-stem";
+import type { OCRSearchMode } from "@/lib/ocr-search";
+import { buildOCRSuffixQuery, escapeFtsPhrase, escapeFtsToken } from "@/lib/ocr-search-index";
+
+export type OCRQueryNode =
+  | { type: "term"; text: string; quoted: boolean }
+  | { type: "and"; children: OCRQueryNode[] }
+  | { type: "or"; children: OCRQueryNode[] }
+  | { type: "not"; include: OCRQueryNode; exclude: OCRQueryNode }
+  | { type: "near"; terms: string[]; distance: number };
+
+type QueryToken =
+  | { type: "word"; text: string }
+  | { type: "phrase"; text: string }
+  | { type: "operator"; text: "AND" | "OR" | "NOT" }
+  | { type: "near"; distance: number | null }
+  | { type: "open" }
+  | { type: "close" }
+  | { type: "comma" };
+
+const QUERY_TOKEN_PATTERN = /"[^"]*"?|[(),]|[^\s(),"]+/g;
+const QUERY_OPERATORS = new Set(["AND", "OR", "NOT"]);
+const NEAR_OPERATOR_PATTERN = /^NEAR(?:\/(\d+))?$/;
+
+export const DEFAULT_NEAR_DISTANCE = 10;
+export const MAX_NEAR_DISTANCE = 200;
+const MIN_WILDCARD_FRAGMENT_CHARS = 3;
+
+export class OCRQuerySyntaxError extends Error {
+  constructor(message: string) {
+    super(message);
+  }
+}
+
+function parseNearDistance(raw: string) {
+  const distance = Number.parseInt(raw, 10);
+  if (!Number.isFinite(distance) || distance < 0 || distance > MAX_NEAR_DISTANCE) {
+    throw new OCRQuerySyntaxError(`NEAR distance must be a whole number from 0 to ${MAX_NEAR_DISTANCE}.`);
+  }
+  return distance;
+}
+
+function tokenizeOCRQuery(input: string) {
+  const tokens: QueryToken[] = [];
+
+  for (const raw of String(input ?? "").match(QUERY_TOKEN_PATTERN) ?? []) {
+    if (raw === "(") {
+      tokens.push({ type: "open" });
+      continue;
+    }
+    if (raw === ")") {
+      tokens.push({ type: "close" });
+      continue;
+    }
+    if (raw === ",") {
+      tokens.push({ type: "comma" });
+      continue;
+    }
+    if (raw.startsWith('"')) {
+      if (raw.length === 1 || !raw.endsWith('"')) {
+        throw new OCRQuerySyntaxError("Close the quoted phrase with a matching double quote.");
+      }
+      const text = raw.slice(1, -1).replace(/\s+/g, " ").trim();
+      if (!text) throw new OCRQuerySyntaxError("Quoted phrases cannot be empty.");
+      tokens.push({ type: "phrase", text });
+      continue;
+    }
+    if (QUERY_OPERATORS.has(raw)) {
+      tokens.push({ type: "operator", text: raw as "AND" | "OR" | "NOT" });
+      continue;
+    }
+    const near = raw.match(NEAR_OPERATOR_PATTERN);
+    if (near) {
+      tokens.push({ type: "near", distance: near[1] == null ? null : parseNearDistance(near[1]) });
+      continue;
+    }
+    tokens.push({ type: "word", text: raw });
+  }
+
+  return tokens;
+}
+
+function isOperator(token: QueryToken | undefined, text: "AND" | "OR" | "NOT") {
+  return token?.type === "operator" && token.text === text;
+}
+
+function startsPrimary(token: QueryToken | undefined) {
+  return token?.type === "word" || token?.type === "phrase" || token?.type === "open" || token?.type === "near";
+}
+
+function isInfixNear(tokens: QueryToken[], index: number) {
+  return tokens[index]?.type === "near" && tokens[index + 1]?.type !== "open";
+}
+
+function flatten(type: "and" | "or", children: OCRQueryNode[]): OCRQueryNode {
+  if (children.length === 1) return children[0];
+  return {
+    type,
+    children: children.flatMap((child) => (child.type === type ? child.children : [child])),
+  };
+}
+
+class OCRQueryParser {
+  private index = 0;
+
+  constructor(private readonly tokens: QueryToken[]) {}
+
+  parse() {
+    if (this.tokens.length === 0) throw new OCRQuerySyntaxError("Enter a search word.");
+    const node = this.parseOr();
+    const extra = this.tokens[this.index];
+    if (extra) {
+      throw new OCRQuerySyntaxError(
+        extra.type === "close"
+          ? "Unexpected closing parenthesis."
+          : extra.type === "comma"
+            ? "Commas are only used inside NEAR(…, distance)."
+            : "Could not read the end of the search query."
+      );
+    }
+    return node;
+  }
+
+  private peek() {
+    return this.tokens[this.index];
+  }
+
+  private parseOr(): OCRQueryNode {
+    const children = [this.parseAnd()];
+    while (isOperator(this.peek(), "OR")) {
+      this.index += 1;
+      children.push(this.parseAnd());
+    }
+    return flatten("or", children);
+  }
+
+  private parseAnd(): OCRQueryNode {
+    const children = [this.parseNot()];
+    while (isOperator(this.peek(), "AND") || startsPrimary(this.peek())) {
+      if (isOperator(this.peek(), "AND")) this.index += 1;
+      children.push(this.parseNot());
+    }
+    return flatten("and", children);
+  }
+
+  private parseNot(): OCRQueryNode {
+    let node = this.parseNear();
+    while (isOperator(this.peek(), "NOT")) {
+      this.index += 1;
+      node = { type: "not", include: node, exclude: this.parseNear() };
+    }
+    return node;
+  }
+
+  private parseNear(): OCRQueryNode {
+    const first = this.parsePrimary();
+    if (!isInfixNear(this.tokens, this.index)) return first;
+    if (first.type !== "term") throw new OCRQuerySyntaxError("NEAR can only join words or quoted phrases.");
+
+    const terms = [first.text];
+    let distance: number | null = null;
+    while (isInfixNear(this.tokens, this.index)) {
+      const operator = this.peek() as { type: "near"; distance: number | null };
+      this.index += 1;
+      const resolved = operator.distance ?? DEFAULT_NEAR_DISTANCE;
+      if (distance != null && distance !== resolved) {
+        throw new OCRQuerySyntaxError("Use the same NEAR distance throughout a chain, e.g. a NEAR/5 b NEAR/5 c.");
+      }
+      distance = resolved;
+      const next = this.parsePrimary();
+      if (next.type !== "term") throw new OCRQuerySyntaxError("NEAR can only join words or quoted phrases.");
+      terms.push(next.text);
+    }
+
+    return { type: "near", terms, distance: distance ?? DEFAULT_NEAR_DISTANCE };
+  }
+
+  private parseNearGroup(distanceHint: number | null): OCRQueryNode {
+    this.index += 1;
+    const terms: string[] = [];
+    let distance = distanceHint ?? DEFAULT_NEAR_DISTANCE;
+
+    while (this.peek()?.type === "word" || this.peek()?.type === "phrase") {
+      terms.push((this.peek() as { text: string }).text);
+      this.index += 1;
+    }
+    if (this.peek()?.type === "comma") {
+      this.index += 1;
+      const raw = this.peek();
+      if (raw?.type !== "word" || !/^\d+$/.test(raw.text)) {
+        throw new OCRQuerySyntaxError("Write NEAR groups as NEAR(word1 word2, distance).");
+      }
+      distance = parseNearDistance(raw.text);
+      this.index += 1;
+    }
+    if (this.peek()?.type !== "close") throw new OCRQuerySyntaxError("Close the NEAR( … ) group with a parenthesis.");
+    this.index += 1;
+    if (terms.length < 2) throw new OCRQuerySyntaxError("NEAR needs at least two words or phrases.");
+
+    return { type: "near", terms, distance };
+  }
+
+  private parsePrimary(): OCRQueryNode {
+    const token = this.peek();
+    if (!token) throw new OCRQuerySyntaxError("The search query ends with an operator. Add a word after it.");
+
+    if (token.type === "open") {
+      this.index += 1;
+      if (this.peek()?.type === "close") throw new OCRQuerySyntaxError("Parentheses cannot be empty.");
+      const node = this.parseOr();
+      if (this.peek()?.type !== "close") throw new OCRQuerySyntaxError("Close every opening parenthesis.");
+      this.index += 1;
+      return node;
+    }
+
+    if (token.type === "phrase") {
+      this.index += 1;
+      return { type: "term", text: token.text, quoted: true };
+    }
+
+    if (token.type === "word") {
+      const words: string[] = [];
+      while (this.peek()?.type === "word") {
+        words.push((this.peek() as { text: string }).text);
+        this.index += 1;
+      }
+      return { type: "term", text: words.join(" "), quoted: false };
+    }
+
+    if (token.type === "near") {
+      this.index += 1;
+      if (this.peek()?.type !== "open") {
+        throw new OCRQuerySyntaxError("NEAR must be placed between two words, e.g. jiv NEAR/5 ajiv.");
+      }
+      return this.parseNearGroup(token.distance);
+    }
+
+    if (token.type === "comma") {
+      throw new OCRQuerySyntaxError("Commas are only used inside NEAR(…, distance).");
+    }
+
+    if (token.type === "operator") {
+      throw new OCRQuerySyntaxError(
+        token.text === "NOT"
+          ? "NOT must follow a word, e.g. jiv NOT ajiv."
+          : `${token.text} must be placed between two words or groups.`
+      );
+    }
+
+    throw new OCRQuerySyntaxError("Unexpected closing parenthesis.");
+  }
+}
+
+export function parseOCRQuery(input: string): OCRQueryNode {
+  return new OCRQueryParser(tokenizeOCRQuery(input)).parse();
+}
+
+export function tryParseOCRQuery(input: string): OCRQueryNode | null {
+  try {
+    return parseOCRQuery(input);
+  } catch {
+    return null;
+  }
+}
+
+export function hasOCRQuerySyntax(input: string) {
+  const value = String(input ?? "");
+  return /["()]/.test(value) || /(?:^|\s)(?:AND|OR|NOT|NEAR(?:\/\d+)?)(?=[\s(]|$)/.test(value);
+}
+
+export function listOCRQueryTerms(node: OCRQueryNode): string[] {
+  if (node.type === "term") return [node.text];
+  if (node.type === "near") return node.terms;
+  if (node.type === "not") return [...listOCRQueryTerms(node.include), ...listOCRQueryTerms(node.exclude)];
+  return node.children.flatMap(listOCRQueryTerms);
+}
+
+export function listOCRQueryPositiveTerms(node: OCRQueryNode): string[] {
+  if (node.type === "term") return [node.text];
+  if (node.type === "near") return node.terms;
+  if (node.type === "not") return listOCRQueryPositiveTerms(node.include);
+  return node.children.flatMap(listOCRQueryPositiveTerms);
+}
+
+export function validateOCRQueryTerms(node: OCRQueryNode, minChars: number, label = "Each search term") {
+  const short = listOCRQueryTerms(node).find((term) => Array.from(term).length < minChars);
+  if (short != null) {
+    throw new OCRQuerySyntaxError(`${label} needs at least ${minChars} characters ("${short}" is too short).`);
+  }
+}
+
+export function listOCRQueryNearGroups(node: OCRQueryNode): string[][] {
+  if (node.type === "near") return [node.terms];
+  if (node.type === "term") return [];
+  if (node.type === "not") return listOCRQueryNearGroups(node.include);
+  return node.children.flatMap(listOCRQueryNearGroups);
+}
+
+function wildcardFragments(text: string) {
+  return text.split(/[?*]+/).filter((fragment) => Array.from(fragment.trim()).length >= MIN_WILDCARD_FRAGMENT_CHARS);
+}
+
+export function needsOCRWildcardExpansion(term: string) {
+  const text = normalizeOCRText(term);
+  return /[?*]/.test(text) && wildcardFragments(text).length === 0;
+}
+
+function wildcardFtsTerm(text: string, expansions?: Map<string, string[]>) {
+  if (Array.from(text.replace(/[?*\s]/g, "")).length < 2) {
+    throw new OCRQuerySyntaxError(`Wildcard terms need at least 2 letters besides ? and * ("${text}" is too short).`);
+  }
+  const fragments = wildcardFragments(text);
+  if (fragments.length > 0) {
+    const phrases = fragments.map(escapeFtsPhrase);
+    return phrases.length > 1 ? `(${phrases.join(" AND ")})` : phrases[0];
+  }
+
+  const phrases = (expansions?.get(text) ?? []).flatMap((word) =>
+    Array.from(word).length >= MIN_WILDCARD_FRAGMENT_CHARS
+      ? [escapeFtsPhrase(word)]
+      : [escapeFtsPhrase(` ${word}`), escapeFtsPhrase(`${word} `)]
+  );
+  if (phrases.length === 0) return escapeFtsPhrase(text);
+  return phrases.length > 1 ? `(${phrases.join(" OR ")})` : phrases[0];
+}
+
+function sandhiFtsTerm(text: string) {
+  const words = text.split(/\s+/).filter(Boolean).map((word) => {
+    const readings = listOCRSandhiReadings(word).map((reading) => {
+      const units = [...new Set(reading)].map(escapeFtsPhrase);
+      return units.length > 1 ? `(${units.join(" AND ")})` : units[0];
+    });
+    return readings.length > 1 ? `(${readings.join(" OR ")})` : readings[0];
+  });
+  return words.length > 1 ? `(${words.join(" AND ")})` : words[0] ?? escapeFtsPhrase(text);
+}
+
+function ftsTermFor(term: string, matchMode: OCRSearchMode, expansions?: Map<string, string[]>) {
+  const text = normalizeOCRText(term);
+  if (matchMode === "wildcard") return wildcardFtsTerm(text, expansions);
+  if (matchMode === "sandhi") return sandhiFtsTerm(text);
+  if (matchMode === "same_root") return escapeFtsPhrase(stemOCRWords(text).join(" ") || text);
+  if (matchMode === "begins_with") return `${escapeFtsToken(text)}*`;
+  if (matchMode === "ends_with") return buildOCRSuffixQuery(text);
+  if (matchMode === "fuzzy") {
+    const trigrams = buildOCRFuzzyTrigrams(text).map(escapeFtsPhrase);
+    return trigrams.length > 1 ? `(${trigrams.join(" OR ")})` : trigrams[0] || escapeFtsPhrase(text);
+  }
+  return escapeFtsPhrase(text);
+}
+
+function compileFts(node: OCRQueryNode, matchMode: OCRSearchMode, expansions?: Map<string, string[]>): string {
+  if (node.type === "term") return ftsTermFor(node.text, matchMode, expansions);
+  const prefilterOnly = matchMode === "fuzzy" || matchMode === "wildcard" || matchMode === "sandhi";
+  if (prefilterOnly && node.type === "near") {
+    return node.terms.map((term) => ftsTermFor(term, matchMode, expansions)).join(" AND ");
+  }
+  if (prefilterOnly && node.type === "not") return compileFts(node.include, matchMode, expansions);
+  if (node.type === "near") {
+    if (matchMode === "contains") {
+      throw new OCRQuerySyntaxError("NEAR works with word-based match modes, not Contains.");
+    }
+    return `NEAR(${node.terms.map((term) => ftsTermFor(term, matchMode)).join(" ")}, ${node.distance})`;
+  }
+
+  const wrap = (child: OCRQueryNode) => {
+    const compiled = compileFts(child, matchMode, expansions);
+    return child.type === "term" || child.type === "near" ? compiled : `(${compiled})`;
+  };
+
+  if (node.type === "not") return `${wrap(node.include)} NOT ${wrap(node.exclude)}`;
+  return node.children.map(wrap).join(node.type === "and" ? " AND " : " OR ");
+}
+
+function compileRegexFts(pattern: string) {
+  try {
+    const alternatives = extractOCRRegexLiterals(pattern).map((literals) => literals.map(escapeFtsPhrase).join(" AND "));
+    return alternatives.length > 1 ? alternatives.map((clause) => `(${clause})`).join(" OR ") : alternatives[0];
+  } catch (error) {
+    if (error instanceof OCRRegexError) throw new OCRQuerySyntaxError(error.message);
+    throw error;
+  }
+}
+
+export function buildOCRFtsMatchQuery(
+  query: string | OCRQueryNode,
+  matchMode: OCRSearchMode,
+  wildcardExpansions?: Map<string, string[]>
+) {
+  if (matchMode === "regex") {
+    if (typeof query !== "string") throw new OCRQuerySyntaxError("Regex search needs the pattern text.");
+    return compileRegexFts(query);
+  }
+  const node = typeof query === "string" ? parseOCRQuery(query) : query;
+  return compileFts(node, matchMode, wildcardExpansions);
+}
+
+export type OCRQueryTermContext = {
+  quoted: boolean;
+  excluded: boolean;
+  near: boolean;
+};
+
+function isQueryTermToken(raw: string) {
+  return raw !== "(" && raw !== ")" && raw !== "," && !QUERY_OPERATORS.has(raw) && !NEAR_OPERATOR_PATTERN.test(raw);
+}
+
+// Rewrites each term of the query in place: a quoted phrase or a run of unquoted words, as the parser reads them.
+// Returning several alternatives replaces the term with an (a OR b …) group.
+export function rewriteOCRQueryTerms(
+  input: string,
+  rewrite: (text: string, context: OCRQueryTermContext) => string | string[]
+) {
+  const value = String(input ?? "");
+  const tokens = Array.from(value.matchAll(QUERY_TOKEN_PATTERN), (match) => ({
+    raw: match[0],
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+  }));
+  const isInfixNearAt = (index: number) =>
+    NEAR_OPERATOR_PATTERN.test(tokens[index]?.raw ?? "") && tokens[index + 1]?.raw !== "(";
+  const groups: Array<{ excluded: boolean; near: boolean }> = [];
+  let pendingNot = false;
+  let pendingNearGroup = false;
+  let output = "";
+  let cursor = 0;
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    const enclosing = groups[groups.length - 1] ?? { excluded: false, near: false };
+    if (token.raw === "(") {
+      groups.push({ excluded: enclosing.excluded || pendingNot, near: enclosing.near || pendingNearGroup });
+      pendingNot = false;
+      pendingNearGroup = false;
+      continue;
+    }
+    if (token.raw === ")") {
+      groups.pop();
+      continue;
+    }
+    if (token.raw === "NOT") {
+      pendingNot = true;
+      continue;
+    }
+    if (NEAR_OPERATOR_PATTERN.test(token.raw)) {
+      pendingNearGroup = !isInfixNearAt(index);
+      continue;
+    }
+    if (!isQueryTermToken(token.raw)) continue;
+
+    const quoted = token.raw.startsWith('"');
+    let last = index;
+    while (!quoted && tokens[last + 1] && isQueryTermToken(tokens[last + 1].raw) && !tokens[last + 1].raw.startsWith('"')) {
+      last += 1;
+    }
+    const context: OCRQueryTermContext = {
+      quoted,
+      excluded: enclosing.excluded || pendingNot,
+      near: enclosing.near || isInfixNearAt(index - 1) || isInfixNearAt(last + 1),
+    };
+    pendingNot = context.excluded && isInfixNearAt(last + 1);
+
+    const closed = quoted && token.raw.length > 1 && token.raw.endsWith('"');
+    const text = quoted ? token.raw.slice(1, closed ? -1 : undefined) : value.slice(token.start, tokens[last].end);
+    const rewritten = rewrite(text, context);
+    const alternatives = (Array.isArray(rewritten) ? rewritten : [rewritten]).map((alternative) =>
+      quoted ? `"${alternative}${closed ? '"' : ""}` : alternative
+    );
+    output += value.slice(cursor, token.start);
+    output += alternatives.length > 1 ? `(${alternatives.join(" OR ")})` : alternatives[0] ?? "";
+    cursor = tokens[last].end;
+    index = last;
+  }
+
+  return output + value.slice(cursor);
+}
+
+export function extractOCRQueryText(input: string) {
+  return (String(input ?? "").match(QUERY_TOKEN_PATTERN) ?? [])
+    .filter(
+      (raw) =>
+        raw !== "(" && raw !== ")" && raw !== "," && !QUERY_OPERATORS.has(raw) && !NEAR_OPERATOR_PATTERN.test(raw)
+    )
+    .map((raw) => raw.replace(/"/g, ""))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,25 @@
+import vm from "node:vm";
+import { setOCRRegexRunner, type OCRRegexMatch } from "@/lib/ocr-regex";
+
+const script = new vm.Script(`{
+  let match;
+  while (matches.length < maxMatches && (match = regex.exec(source)) !== null) {
+    const text = match[0] || "";
+    if (text.length === 0) regex.lastIndex += 1;
+    else matches.push({ start: match.index, end: match.index + text.length, text });
+  }
+}`);
+const context = vm.createContext({});
+
+function runOCRRegexInSandbox(regex: RegExp, source: string, maxMatches: number, timeoutMs: number) {
+  const matches: OCRRegexMatch[] = [];
+  Object.assign(context, { regex, source, maxMatches, matches });
+  try {
+    script.runInContext(context, { timeout: Math.max(1, Math.floor(timeoutMs)) });
+  } catch (error) {
+    if ((error as { code?: string }).code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+  }
+  return matches;
+}
+
+setOCRRegexRunner(runOCRRegexInSandbox);
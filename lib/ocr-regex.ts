@@ -0,0 +1,268 @@
+import { normalizeOCRText } from "@/lib/ocr-normalize";
+
+export const MAX_OCR_REGEX_LENGTH = 200;
+export const MAX_OCR_REGEX_MATCHES_PER_PAGE = 200;
+export const OCR_REGEX_PAGE_TIMEOUT_MS = 50;
+export const OCR_REGEX_SEARCH_TIMEOUT_MS = 3000;
+const MIN_LITERAL_CHARS = 3;
+const MAX_CACHED_PATTERNS = 50;
+
+export type OCRRegexMatch = {
+  start: number;
+  end: number;
+  text: string;
+};
+
+export class OCRRegexError extends Error {
+  constructor(message: string) {
+    super(message);
+  }
+}
+
+export type OCRRegexRunner = (regex: RegExp, source: string, maxMatches: number, timeoutMs: number) => OCRRegexMatch[];
+
+const compiledPatterns = new Map<string, RegExp | OCRRegexError>();
+let regexRunner: OCRRegexRunner = runOCRRegexInProcess;
+
+function isQuantifierStart(pattern: string, index: number) {
+  const char = pattern[index];
+  return char === "*" || char === "+" || char === "?" || (char === "{" && /^\{\d+(?:,\d*)?\}/.test(pattern.slice(index)));
+}
+
+function skipEscape(pattern: string, index: number) {
+  const next = pattern[index + 1];
+  if ((next === "p" || next === "P" || next === "u") && pattern[index + 2] === "{") {
+    const close = pattern.indexOf("}", index + 3);
+    return close === -1 ? pattern.length : close + 1;
+  }
+  if (next === "u") return index + 6;
+  if (next === "x") return index + 4;
+  if (next === "c") return index + 3;
+  if (next === "k" && pattern[index + 2] === "<") {
+    const close = pattern.indexOf(">", index + 3);
+    return close === -1 ? pattern.length : close + 1;
+  }
+  return index + 2;
+}
+
+function skipClass(pattern: string, index: number) {
+  let cursor = index + 1;
+  while (cursor < pattern.length && pattern[cursor] !== "]") {
+    cursor = pattern[cursor] === "\\" ? skipEscape(pattern, cursor) : cursor + 1;
+  }
+  return cursor + 1;
+}
+
+function skipGroup(pattern: string, index: number) {
+  let depth = 0;
+  let cursor = index;
+  while (cursor < pattern.length) {
+    const char = pattern[cursor];
+    if (char === "\\") {
+      cursor = skipEscape(pattern, cursor);
+      continue;
+    }
+    if (char === "[") {
+      cursor = skipClass(pattern, cursor);
+      continue;
+    }
+    if (char === "(") depth += 1;
+    if (char === ")" && --depth === 0) return cursor + 1;
+    cursor += 1;
+  }
+  return cursor;
+}
+
+function skipQuantifier(pattern: string, index: number) {
+  let cursor = pattern[index] === "{" ? pattern.indexOf("}", index) + 1 : index + 1;
+  if (pattern[cursor] === "?") cursor += 1;
+  return cursor;
+}
+
+function splitTopLevelAlternatives(pattern: string) {
+  const alternatives: string[] = [];
+  let start = 0;
+  let cursor = 0;
+  while (cursor < pattern.length) {
+    const char = pattern[cursor];
+    if (char === "\\") cursor = skipEscape(pattern, cursor);
+    else if (char === "[") cursor = skipClass(pattern, cursor);
+    else if (char === "(") cursor = skipGroup(pattern, cursor);
+    else if (char === "|") {
+      alternatives.push(pattern.slice(start, cursor));
+      start = cursor + 1;
+      cursor += 1;
+    } else cursor += 1;
+  }
+  alternatives.push(pattern.slice(start));
+  return alternatives;
+}
+
+function requiredLiterals(alternative: string) {
+  const literals: string[] = [];
+  let run = "";
+  const flush = () => {
+    if (run) literals.push(run);
+    run = "";
+  };
+
+  let cursor = 0;
+  while (cursor < alternative.length) {
+    const char = alternative[cursor];
+    let literal: string | null = null;
+    let next = cursor + 1;
+
+    if (char === "\\") {
+      const escaped = alternative[cursor + 1] ?? "";
+      next = skipEscape(alternative, cursor);
+      if (/[^\p{L}\p{N}]/u.test(escaped)) literal = escaped;
+    } else if (char === "[") {
+      next = skipClass(alternative, cursor);
+    } else if (char === "(") {
+      next = skipGroup(alternative, cursor);
+    } else if (char !== "." && char !== "^" && char !== "$") {
+      literal = String.fromCodePoint(alternative.codePointAt(cursor) ?? 0);
+      next = cursor + literal.length;
+    }
+
+    if (isQuantifierStart(alternative, next)) {
+      const quantifier = alternative[next];
+      const required = quantifier === "+" || (quantifier === "{" && !/^\{0[,}]/.test(alternative.slice(next)));
+      if (required && literal != null) run += literal;
+      flush();
+      cursor = skipQuantifier(alternative, next);
+      continue;
+    }
+
+    if (literal == null) flush();
+    else run += literal;
+    cursor = next;
+  }
+
+  flush();
+  return literals;
+}
+
+function assertNoNestedRepetition(pattern: string) {
+  const groups: boolean[] = [];
+  let cursor = 0;
+  while (cursor < pattern.length) {
+    const char = pattern[cursor];
+    if (char === "\\") {
+      cursor = skipEscape(pattern, cursor);
+    } else if (char === "[") {
+      cursor = skipClass(pattern, cursor);
+    } else if (char === "(") {
+      groups.push(false);
+      cursor += 1;
+    } else if (char === ")") {
+      const repeatsInside = groups.pop() ?? false;
+      cursor += 1;
+      const quantifier = pattern[cursor];
+      const repeats = quantifier === "*" || quantifier === "+" || (quantifier === "{" && isQuantifierStart(pattern, cursor));
+      if (repeats && repeatsInside) {
+        throw new OCRRegexError("Nested repetition such as (a+)+ can run for too long. Simplify the pattern.");
+      }
+      if (repeatsInside && groups.length > 0) groups[groups.length - 1] = true;
+      continue;
+    } else {
+      if ((char === "*" || char === "+" || isQuantifierStart(pattern, cursor)) && char !== "?" && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      cursor += 1;
+    }
+  }
+}
+
+export function normalizeOCRRegexSource(pattern: string) {
+  return String(pattern ?? "")
+    .trim()
+    .replace(/[^\x00-\x7f]+/gu, (run) => normalizeOCRText(run));
+}
+
+function tryCompileOCRRegex(source: string) {
+  if (!source) return new OCRRegexError("Enter a regular expression.");
+  if (Array.from(source).length > MAX_OCR_REGEX_LENGTH) {
+    return new OCRRegexError(`Regular expressions can be at most ${MAX_OCR_REGEX_LENGTH} characters.`);
+  }
+  try {
+    assertNoNestedRepetition(source);
+    return new RegExp(source, "giu");
+  } catch (error) {
+    if (error instanceof OCRRegexError) return error;
+    const message = error instanceof Error ? error.message.replace(/^Invalid regular expression: /, "") : String(error);
+    return new OCRRegexError(`Invalid regular expression: ${message}`);
+  }
+}
+
+export function compileOCRSearchRegex(pattern: string) {
+  const source = normalizeOCRRegexSource(pattern);
+  let compiled = compiledPatterns.get(source);
+  if (!compiled) {
+    compiled = tryCompileOCRRegex(source);
+    if (compiledPatterns.size >= MAX_CACHED_PATTERNS) {
+      const oldest = compiledPatterns.keys().next().value as string | undefined;
+      if (oldest != null) compiledPatterns.delete(oldest);
+    }
+    compiledPatterns.set(source, compiled);
+  }
+  if (compiled instanceof OCRRegexError) throw compiled;
+  return new RegExp(compiled.source, compiled.flags);
+}
+
+export function extractOCRRegexLiterals(pattern: string) {
+  const source = normalizeOCRRegexSource(pattern);
+  compileOCRSearchRegex(source);
+
+  return splitTopLevelAlternatives(source).map((alternative) => {
+    const literals = requiredLiterals(alternative).filter((literal) => Array.from(literal.trim()).length >= MIN_LITERAL_CHARS);
+    if (literals.length === 0) {
+      throw new OCRRegexError(
+        `Each part of a regular expression needs a plain text fragment of at least ${MIN_LITERAL_CHARS} letters, e.g. \\d+\\s*ધર્મ.`
+      );
+    }
+    return literals;
+  });
+}
+
+function runOCRRegexInProcess(regex: RegExp, source: string, maxMatches: number, timeoutMs: number) {
+  const deadline = Date.now() + timeoutMs;
+  const matches: OCRRegexMatch[] = [];
+  let match: RegExpExecArray | null;
+
+  while (matches.length < maxMatches && (match = regex.exec(source)) !== null) {
+    const text = match[0] ?? "";
+    if (text.length === 0) {
+      regex.lastIndex += 1;
+    } else {
+      matches.push({ start: match.index, end: match.index + text.length, text });
+    }
+    if (Date.now() > deadline) break;
+  }
+
+  return matches;
+}
+
+export function setOCRRegexRunner(runner: OCRRegexRunner) {
+  regexRunner = runner;
+}
+
+export function findOCRRegexMatches(
+  source: string,
+  pattern: string,
+  options: { maxMatches?: number; timeoutMs?: number } = {}
+): OCRRegexMatch[] {
+  let regex: RegExp;
+  try {
+    regex = compileOCRSearchRegex(pattern);
+  } catch {
+    return [];
+  }
+
+  return regexRunner(
+    regex,
+    source,
+    options.maxMatches ?? MAX_OCR_REGEX_MATCHES_PER_PAGE,
+    options.timeoutMs ?? OCR_REGEX_PAGE_TIMEOUT_MS
+  );
+}
@@ -0,0 +1,2 @@
+export function splitOCRSandhiWord(word: string): Array<[string, string]>;
+export function listOCRSandhiReadings(word: string, depth?: number): string[][];
@@ -0,0 +1,132 @@
+// Shared by lib/ocr-sandhi.ts and the indexing scripts so queries and indexes split words the same way.
+
+const CONSONANT_PATTERN = /[\u0915-\u0939]/u;
+const MARK_PATTERN = /\p{M}/u;
+const VIRAMA = "्";
+const AVAGRAHA = "ऽ";
+const MAX_SPLIT_DEPTH = 2;
+const MAX_READINGS = 32;
+const MAX_SPLIT_WORD_CHARS = 48;
+const MIN_PART_LETTERS = 2;
+// Particles such as तु and च are a single akshara after a visarga split.
+const MIN_PARTICLE_LETTERS = 1;
+
+const INDEPENDENT_VOWELS = {
+  "": "अ",
+  "ा": "आ",
+  "ि": "इ",
+  "ी": "ई",
+  "ु": "उ",
+  "ू": "ऊ",
+  "ृ": "ऋ",
+  "े": "ए",
+  "ै": "ऐ",
+  "ो": "ओ",
+  "ौ": "औ",
+};
+
+// Fused vowel sign -> possible endings of the left part and openings of the right part.
+const VOWEL_SANDHI = {
+  "ा": { left: ["", "ा"], right: ["अ", "आ"] },
+  "ी": { left: ["ि", "ी"], right: ["इ", "ई"] },
+  "ू": { left: ["ु", "ू"], right: ["उ", "ऊ"] },
+  "े": { left: ["", "ा"], right: ["इ", "ई"] },
+  "ो": { left: ["", "ा"], right: ["उ", "ऊ"] },
+  "ै": { left: ["", "ा"], right: ["ए", "ऐ"] },
+  "ौ": { left: ["", "ा"], right: ["ओ", "औ"] },
+};
+
+const SEMIVOWEL_SANDHI = {
+  य: ["ि", "ी"],
+  व: ["ु", "ू"],
+};
+
+const VISARGA_SIBILANTS = new Set(["स", "श", "ष"]);
+const VOICELESS_STOPS = new Set(["क", "ख", "च", "छ", "ट", "ठ", "त", "थ", "प", "फ"]);
+
+function letterCount(part) {
+  return Array.from(part).filter((char) => char === "ः" || !MARK_PATTERN.test(char)).length;
+}
+
+function addSplit(splits, left, right, minRightLetters = MIN_PART_LETTERS) {
+  if (letterCount(left) < MIN_PART_LETTERS || letterCount(right) < minRightLetters) return;
+  if (splits.some(([a, b]) => a === left && b === right)) return;
+  splits.push([left, right]);
+}
+
+function vowelSignAt(chars, index) {
+  const char = chars[index] ?? "";
+  return char in INDEPENDENT_VOWELS ? char : "";
+}
+
+export function splitOCRSandhiWord(word) {
+  const chars = Array.from(String(word ?? ""));
+  const splits = [];
+  if (chars.length > MAX_SPLIT_WORD_CHARS) return splits;
+
+  for (let index = 1; index < chars.length - 1; index += 1) {
+    const char = chars[index];
+    const before = chars[index - 1];
+    const prefix = chars.slice(0, index).join("");
+
+    if (char === "ो" && chars[index + 1] === AVAGRAHA && CONSONANT_PATTERN.test(before)) {
+      addSplit(splits, `${prefix}ः`, `अ${chars.slice(index + 2).join("")}`);
+      continue;
+    }
+
+    const vowel = VOWEL_SANDHI[char];
+    if (vowel && CONSONANT_PATTERN.test(before) && CONSONANT_PATTERN.test(chars[index + 1] ?? "")) {
+      const rest = chars.slice(index + 1).join("");
+      for (const left of vowel.left) {
+        for (const right of vowel.right) addSplit(splits, `${prefix}${left}`, `${right}${rest}`);
+      }
+      if (char === "ो") addSplit(splits, `${prefix}ः`, rest, MIN_PARTICLE_LETTERS);
+      continue;
+    }
+
+    if (char !== VIRAMA || !CONSONANT_PATTERN.test(before)) continue;
+    const next = chars[index + 1] ?? "";
+    const stem = chars.slice(0, index - 1).join("");
+
+    const semivowelEndings = SEMIVOWEL_SANDHI[next];
+    if (semivowelEndings) {
+      const sign = vowelSignAt(chars, index + 2);
+      const rest = chars.slice(index + 2 + (sign ? 1 : 0)).join("");
+      for (const ending of semivowelEndings) {
+        addSplit(splits, `${stem}${before}${ending}`, `${INDEPENDENT_VOWELS[sign]}${rest}`);
+      }
+      continue;
+    }
+
+    if (VISARGA_SIBILANTS.has(before) && VOICELESS_STOPS.has(next) && chars[index - 2] !== AVAGRAHA) {
+      addSplit(splits, `${stem}ः`, chars.slice(index + 1).join(""), MIN_PARTICLE_LETTERS);
+      continue;
+    }
+
+    if (before === "र" && CONSONANT_PATTERN.test(next)) {
+      const previous = chars[index - 2] ?? "";
+      const rest = chars.slice(index + 1).join("");
+      if (previous === "ि" || previous === "ु") addSplit(splits, `${stem}ः`, rest, MIN_PARTICLE_LETTERS);
+      if (CONSONANT_PATTERN.test(previous)) {
+        addSplit(splits, stem, `ऋ${rest}`);
+        addSplit(splits, `${stem}ा`, `ऋ${rest}`);
+      }
+    }
+  }
+
+  return splits;
+}
+
+export function listOCRSandhiReadings(word, depth = MAX_SPLIT_DEPTH) {
+  if (depth <= 0) return [[word]];
+  const splits = splitOCRSandhiWord(word);
+  const readings = [[word], ...splits].slice(0, MAX_READINGS);
+
+  for (const [left, right] of depth > 1 ? splits : []) {
+    for (const rightReading of listOCRSandhiReadings(right, depth - 1).slice(1)) {
+      if (readings.length >= MAX_READINGS) return readings;
+      readings.push([left, ...rightReading]);
+    }
+  }
+  return readings;
+}
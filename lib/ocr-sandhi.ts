@@ -0,0 +1,91 @@
+import { listOCRSandhiReadings, splitOCRSandhiWord } from "@/lib/ocr-sandhi-rules.mjs";
+
+export type OCRSandhiMatch = {
+  start: number;
+  end: number;
+  text: string;
+};
+
+const SANDHI_WORD_PATTERN = /[\p{L}\p{N}\p{M}_]+/gu;
+const MAX_QUERY_READINGS = 64;
+
+export { listOCRSandhiReadings, splitOCRSandhiWord };
+
+export function expandOCRSandhiTokens(tokens: string[]) {
+  return tokens
+    .map((token) => {
+      const units = new Set<string>([token]);
+      for (const reading of listOCRSandhiReadings(token)) {
+        for (const unit of reading) units.add(unit);
+      }
+      return [...units].join(" ");
+    })
+    .join(" ");
+}
+
+export function listOCRSandhiQueryUnits(term: string) {
+  let sequences: string[][] = [[]];
+  for (const word of String(term ?? "").trim().split(/\s+/).filter(Boolean)) {
+    const readings = listOCRSandhiReadings(word);
+    sequences = sequences
+      .flatMap((sequence) => readings.map((reading) => [...sequence, ...reading]))
+      .slice(0, MAX_QUERY_READINGS);
+  }
+  return sequences.filter((sequence) => sequence.length > 0);
+}
+
+export function findOCRSandhiMatches(content: string, term: string): OCRSandhiMatch[] {
+  const source = String(content ?? "");
+  const sequences = listOCRSandhiQueryUnits(term);
+  if (!source || sequences.length === 0) return [];
+
+  const tokens = Array.from(source.matchAll(SANDHI_WORD_PATTERN), (match) => ({
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+    text: match[0],
+  }));
+  const readingCache = new Map<string, string[][]>();
+  const readingsFor = (text: string) => {
+    let readings = readingCache.get(text);
+    if (!readings) {
+      readings = listOCRSandhiReadings(text);
+      readingCache.set(text, readings);
+    }
+    return readings;
+  };
+
+  const endsAt = (units: string[], position: number, tokenIndex: number, reading: string[], offset: number): number => {
+    while (position < units.length && offset < reading.length) {
+      if (reading[offset] !== units[position]) return -1;
+      position += 1;
+      offset += 1;
+    }
+    if (position === units.length) return tokenIndex;
+    const next = tokens[tokenIndex + 1];
+    if (!next) return -1;
+    for (const nextReading of readingsFor(next.text)) {
+      const end = endsAt(units, position, tokenIndex + 1, nextReading, 0);
+      if (end >= 0) return end;
+    }
+    return -1;
+  };
+
+  const matches: OCRSandhiMatch[] = [];
+  tokens.forEach((token, index) => {
+    let lastToken = -1;
+    for (const reading of readingsFor(token.text)) {
+      for (let offset = 0; offset < reading.length && lastToken < 0; offset += 1) {
+        for (const units of sequences) {
+          lastToken = endsAt(units, 0, index, reading, offset);
+          if (lastToken >= 0) break;
+        }
+      }
+      if (lastToken >= 0) break;
+    }
+    if (lastToken < 0) return;
+    const end = tokens[lastToken].end;
+    matches.push({ start: token.start, end, text: source.slice(token.start, end) });
+  });
+
+  return matches;
+}
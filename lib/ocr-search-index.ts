@@ -1,6 +1,10 @@
 import type { Client } from "@libsql/client";
+import { normalizeOCRText } from "@/lib/ocr-normalize";
+import { expandOCRSandhiTokens } from "@/lib/ocr-sandhi";
+import { stemOCRWord } from "@/lib/ocr-stem";
 
 const WORD_TOKEN_PATTERN = /[\p{L}\p{N}\p{M}_]+/gu;
+const PHRASE_BREAK_PATTERN = /[।॥|.?!;:]+/u;
 type SearchIndexExecutor = Pick<Client, "execute">;
 let ensureSchemaPromise: Promise<void> | null = null;
 
@@ -15,13 +19,35 @@ function reverseGraphemes(input: string) {
   return Array.from(graphemeSegmenter.segment(input), (segment) => segment.segment).reverse().join("");
 }
 
+export function buildOCRSearchContent(content: string) {
+  return normalizeOCRText(content);
+}
+
+export function tokenizeOCRSearchContent(content: string) {
+  return buildOCRSearchContent(content).match(WORD_TOKEN_PATTERN) ?? [];
+}
+
+export function tokenizeOCRSearchPhrases(content: string) {
+  return buildOCRSearchContent(content)
+    .split(PHRASE_BREAK_PATTERN)
+    .map((phrase) => phrase.match(WORD_TOKEN_PATTERN) ?? [])
+    .filter((tokens) => tokens.length > 0);
+}
+
 export function buildOCRSuffixIndexContent(content: string) {
-  const tokens = String(content ?? "").match(WORD_TOKEN_PATTERN) ?? [];
-  return tokens.map(reverseGraphemes).join(" ");
+  return tokenizeOCRSearchContent(content).map(reverseGraphemes).join(" ");
+}
+
+export function buildOCRSandhiIndexContent(content: string) {
+  return expandOCRSandhiTokens(tokenizeOCRSearchContent(content));
+}
+
+export function buildOCRStemIndexContent(content: string) {
+  return tokenizeOCRSearchContent(content).map(stemOCRWord).join(" ");
 }
 
 export function buildOCRSuffixQuery(query: string) {
-  return `${escapeFtsToken(reverseGraphemes(String(query ?? "").trim()))}*`;
+  return `${escapeFtsToken(reverseGraphemes(normalizeOCRText(String(query ?? "").trim())))}*`;
 }
 
 export function escapeFtsPhrase(input: string) {
@@ -44,19 +70,22 @@ async function createOCRSearchSchema(client: SearchIndexExecutor) {
       tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'",
       prefix='2 3 4'
     );`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_ai AFTER INSERT ON ocr_pages BEGIN
+    "DROP TRIGGER IF EXISTS ocr_pages_search_ai;",
+    "DROP TRIGGER IF EXISTS ocr_pages_search_ad;",
+    "DROP TRIGGER IF EXISTS ocr_pages_search_au;",
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_ai AFTER INSERT ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_ad AFTER DELETE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_ad AFTER DELETE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(ocr_pages_search_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_au AFTER UPDATE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_au AFTER UPDATE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(ocr_pages_search_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
       INSERT INTO ocr_pages_search_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
     `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_trigram_fts USING fts5(
       content,
@@ -66,19 +95,22 @@ async function createOCRSearchSchema(client: SearchIndexExecutor) {
       content_rowid='id',
       tokenize='trigram'
     );`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_ai AFTER INSERT ON ocr_pages BEGIN
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_ai;",
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_ad;",
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_au;",
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_ai AFTER INSERT ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_ad AFTER DELETE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_ad AFTER DELETE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(ocr_pages_trigram_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_au AFTER UPDATE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_au AFTER UPDATE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(ocr_pages_trigram_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
       INSERT INTO ocr_pages_trigram_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
     `CREATE TABLE IF NOT EXISTS ocr_pages_suffix (
       page_id INTEGER PRIMARY KEY,
@@ -116,13 +148,109 @@ async function createOCRSearchSchema(client: SearchIndexExecutor) {
     `CREATE TRIGGER IF NOT EXISTS ocr_pages_suffix_cleanup AFTER DELETE ON ocr_pages BEGIN
       DELETE FROM ocr_pages_suffix WHERE page_id = old.id;
     END;`,
+    `CREATE TABLE IF NOT EXISTS ocr_pages_sandhi (
+      page_id INTEGER PRIMARY KEY,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      split_content TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (page_id) REFERENCES ocr_pages(id) ON DELETE CASCADE,
+      UNIQUE (granth_key, page_number)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_pages_sandhi_granth_page ON ocr_pages_sandhi(granth_key, page_number);",
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_sandhi_fts USING fts5(
+      split_content,
+      granth_key UNINDEXED,
+      page_number UNINDEXED,
+      content='ocr_pages_sandhi',
+      content_rowid='page_id',
+      tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'"
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_ai AFTER INSERT ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(rowid, split_content, granth_key, page_number)
+      VALUES (new.page_id, new.split_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_ad AFTER DELETE ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(ocr_pages_sandhi_fts, rowid, split_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.split_content, old.granth_key, CAST(old.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_au AFTER UPDATE ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(ocr_pages_sandhi_fts, rowid, split_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.split_content, old.granth_key, CAST(old.page_number AS TEXT));
+      INSERT INTO ocr_pages_sandhi_fts(rowid, split_content, granth_key, page_number)
+      VALUES (new.page_id, new.split_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_cleanup AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_pages_sandhi WHERE page_id = old.id;
+    END;`,
+    `CREATE TABLE IF NOT EXISTS ocr_pages_stem (
+      page_id INTEGER PRIMARY KEY,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      stem_content TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (page_id) REFERENCES ocr_pages(id) ON DELETE CASCADE,
+      UNIQUE (granth_key, page_number)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_pages_stem_granth_page ON ocr_pages_stem(granth_key, page_number);",
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_stem_fts USING fts5(
+      stem_content,
+      granth_key UNINDEXED,
+      page_number UNINDEXED,
+      content='ocr_pages_stem',
+      content_rowid='page_id',
+      tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'"
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_ai AFTER INSERT ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(rowid, stem_content, granth_key, page_number)
+      VALUES (new.page_id, new.stem_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_ad AFTER DELETE ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(ocr_pages_stem_fts, rowid, stem_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.stem_content, old.granth_key, CAST(old.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_au AFTER UPDATE ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(ocr_pages_stem_fts, rowid, stem_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.stem_content, old.granth_key, CAST(old.page_number AS TEXT));
+      INSERT INTO ocr_pages_stem_fts(rowid, stem_content, granth_key, page_number)
+      VALUES (new.page_id, new.stem_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_cleanup AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_pages_stem WHERE page_id = old.id;
+    END;`,
+    "CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_search_vocab USING fts5vocab(ocr_pages_search_fts, row);",
+    "CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_search_vocab_instance USING fts5vocab(ocr_pages_search_fts, instance);",
+    `CREATE TABLE IF NOT EXISTS ocr_granth_top_words (
+      granth_key TEXT NOT NULL,
+      term TEXT NOT NULL,
+      occurrences INTEGER NOT NULL,
+      pages INTEGER NOT NULL,
+      PRIMARY KEY (granth_key, term)
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_granth_top_words_ai AFTER INSERT ON ocr_pages BEGIN
+      DELETE FROM ocr_granth_top_words WHERE granth_key = new.granth_key;
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_granth_top_words_ad AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_granth_top_words WHERE granth_key = old.granth_key;
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_granth_top_words_au AFTER UPDATE OF content, search_content, granth_key ON ocr_pages BEGIN
+      DELETE FROM ocr_granth_top_words WHERE granth_key IN (old.granth_key, new.granth_key);
+    END;`,
   ];
 
+  await ensureOCRPageIndexColumns(client);
   for (const sql of statements) {
     await client.execute(sql);
   }
 }
 
+async function ensureOCRPageIndexColumns(client: SearchIndexExecutor) {
+  const columns = await client.execute("PRAGMA table_info(ocr_pages)");
+  const names = new Set(columns.rows.map((row) => String(row.name)));
+  if (!names.has("search_content")) await client.execute("ALTER TABLE ocr_pages ADD COLUMN search_content TEXT");
+  if (!names.has("word_count")) await client.execute("ALTER TABLE ocr_pages ADD COLUMN word_count INTEGER");
+}
+
 export async function ensureOCRSearchSchema(client: SearchIndexExecutor) {
   if (!ensureSchemaPromise) {
     ensureSchemaPromise = createOCRSearchSchema(client).catch((error) => {
@@ -133,7 +261,7 @@ export async function ensureOCRSearchSchema(client: SearchIndexExecutor) {
   return ensureSchemaPromise;
 }
 
-export async function upsertOCRPageSuffixIndex(
+export async function upsertOCRPageSearchIndex(
   client: SearchIndexExecutor,
   granthKey: string,
   pageNumber: number,
@@ -146,6 +274,15 @@ export async function upsertOCRPageSuffixIndex(
   const pageId = pageResult.rows[0]?.id;
   if (pageId == null) return;
 
+  const searchContent = buildOCRSearchContent(content);
+  const wordCount = searchContent.match(WORD_TOKEN_PATTERN)?.length ?? 0;
+  await client.execute({
+    sql: `UPDATE ocr_pages
+          SET search_content = ?, word_count = ?
+          WHERE id = ? AND (search_content IS NOT ? OR word_count IS NOT ?)`,
+    args: [searchContent, wordCount, pageId, searchContent, wordCount],
+  });
+
   await client.execute({
     sql: `INSERT INTO ocr_pages_suffix (page_id, granth_key, page_number, reversed_content, updated_at)
           SELECT id, granth_key, page_number, ?, CURRENT_TIMESTAMP
@@ -158,4 +295,30 @@ export async function upsertOCRPageSuffixIndex(
             updated_at = CURRENT_TIMESTAMP`,
     args: [buildOCRSuffixIndexContent(content), granthKey, pageNumber],
   });
+
+  await client.execute({
+    sql: `INSERT INTO ocr_pages_sandhi (page_id, granth_key, page_number, split_content, updated_at)
+          SELECT id, granth_key, page_number, ?, CURRENT_TIMESTAMP
+          FROM ocr_pages
+          WHERE granth_key = ? AND page_number = ?
+          ON CONFLICT(page_id) DO UPDATE SET
+            granth_key = excluded.granth_key,
+            page_number = excluded.page_number,
+            split_content = excluded.split_content,
+            updated_at = CURRENT_TIMESTAMP`,
+    args: [buildOCRSandhiIndexContent(content), granthKey, pageNumber],
+  });
+
+  await client.execute({
+    sql: `INSERT INTO ocr_pages_stem (page_id, granth_key, page_number, stem_content, updated_at)
+          SELECT id, granth_key, page_number, ?, CURRENT_TIMESTAMP
+          FROM ocr_pages
+          WHERE granth_key = ? AND page_number = ?
+          ON CONFLICT(page_id) DO UPDATE SET
+            granth_key = excluded.granth_key,
+            page_number = excluded.page_number,
+            stem_content = excluded.stem_content,
+            updated_at = CURRENT_TIMESTAMP`,
+    args: [buildOCRStemIndexContent(content), granthKey, pageNumber],
+  });
 }
@@ -1,4 +1,16 @@
-export type OCRSearchMode = "exact_word" | "contains" | "begins_with" | "ends_with";
+import { findOCRFuzzyMatches } from "@/lib/ocr-fuzzy";
+import { mapNormalizedOCRRange, normalizeOCRText, normalizeOCRTextWithOffsets } from "@/lib/ocr-normalize";
+import { findOCRRegexMatches } from "@/lib/ocr-regex";
+import { findOCRSandhiMatches } from "@/lib/ocr-sandhi";
+import { findOCRStemMatches } from "@/lib/ocr-stem";
+import {
+  listOCRQueryNearGroups,
+  listOCRQueryPositiveTerms,
+  tryParseOCRQuery,
+  type OCRQueryNode,
+} from "@/lib/ocr-query";
+
+export type OCRSearchMode = "exact_word" | "contains" | "begins_with" | "ends_with" | "fuzzy" | "regex" | "wildcard" | "sandhi" | "same_root";
 
 export const OCR_SEARCH_MODE_OPTIONS: Array<{
   mode: OCRSearchMode;
@@ -10,6 +22,11 @@ export const OCR_SEARCH_MODE_OPTIONS: Array<{
     label: "Exact word",
     description: "Matches complete words only.",
   },
+  {
+    mode: "same_root",
+    label: "Same root",
+    description: "Matches every inflected form of a Gujarati word, e.g. ધર્મ also finds ધર્મનો, ધર્મમાં and ધર્મો.",
+  },
   {
     mode: "begins_with",
     label: "Begins with",
@@ -25,6 +42,26 @@ export const OCR_SEARCH_MODE_OPTIONS: Array<{
     label: "Contains",
     description: "Matches the query anywhere in page text.",
   },
+  {
+    mode: "fuzzy",
+    label: "OCR fuzzy",
+    description: "Tolerates one-glyph OCR errors such as swapped matras or a dropped anusvara, closest first.",
+  },
+  {
+    mode: "sandhi",
+    label: "Sandhi split",
+    description: "Matches Sanskrit compounds by their parts, e.g. जिन इन्द्र finds जिनेन्द्र and इन्द्र finds it too.",
+  },
+  {
+    mode: "wildcard",
+    label: "Wildcard",
+    description: "Use ? for one letter or vowel sign and * for any letters inside a word, e.g. ज?न or ક*ણ.",
+  },
+  {
+    mode: "regex",
+    label: "Regex",
+    description: "Matches a Unicode regular expression, e.g. \\d+\\s*ધર્મ for a verse number followed by a word.",
+  },
 ];
 
 export type SearchMatch = {
@@ -32,15 +69,27 @@ export type SearchMatch = {
   end: number;
   text: string;
   query?: string;
+  distance?: number;
 };
 
 const WORD_CHAR_PATTERN = /[\p{L}\p{N}\p{M}_]/u;
+const WILDCARD_GRAPHEME_SOURCE = "[\\p{L}\\p{N}_](?:\u094d\\p{L}|\\p{M})*";
 
 export function parseOCRSearchMode(raw: unknown): OCRSearchMode {
-  if (raw === "contains" || raw === "begins_with" || raw === "ends_with") return raw;
+  if (raw === "contains" || raw === "begins_with" || raw === "ends_with" || raw === "fuzzy" || raw === "regex" || raw === "wildcard" || raw === "sandhi" || raw === "same_root") {
+    return raw;
+  }
   return "exact_word";
 }
 
+export function isVerifiedOCRSearchMode(mode: OCRSearchMode) {
+  return mode === "fuzzy" || mode === "regex" || mode === "wildcard" || mode === "sandhi";
+}
+
+export function minimumOCRSearchTermLength(mode: OCRSearchMode) {
+  return mode === "contains" || mode === "fuzzy" || mode === "regex" ? 3 : 2;
+}
+
 export function getOCRSearchModeLabel(mode: OCRSearchMode) {
   return OCR_SEARCH_MODE_OPTIONS.find((option) => option.mode === mode)?.label ?? "Exact word";
 }
@@ -49,17 +98,41 @@ export function escapeRegExp(input: string) {
   return input.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
+export function hasOCRWildcard(term: string) {
+  return /[?*]/.test(term);
+}
+
+export function buildOCRWildcardPattern(term: string) {
+  return term
+    .split(/([?*])/)
+    .map((part) => {
+      if (part === "?") return `(?:${WILDCARD_GRAPHEME_SOURCE}|\\p{M}+)`;
+      if (part === "*") return "[\\p{L}\\p{N}\\p{M}_]*";
+      return escapeRegExp(part);
+    })
+    .join("");
+}
+
 function isBoundaryChar(char: string | undefined) {
   if (!char) return true;
   return !WORD_CHAR_PATTERN.test(char);
 }
 
-export function findOCRSearchMatches(content: string, query: string, mode: OCRSearchMode): SearchMatch[] {
-  const source = String(content ?? "");
-  const needle = String(query ?? "").trim();
-  if (!source || !needle) return [];
+function findNormalizedOCRSearchMatches(source: string, needle: string, mode: OCRSearchMode): SearchMatch[] {
+  if (mode === "fuzzy") {
+    return findOCRFuzzyMatches(source, needle).map((match) => ({ ...match, query: needle }));
+  }
+  if (mode === "regex") {
+    return findOCRRegexMatches(source, needle).map((match) => ({ ...match, query: needle }));
+  }
+  if (mode === "sandhi") {
+    return findOCRSandhiMatches(source, needle).map((match) => ({ ...match, query: needle }));
+  }
+  if (mode === "same_root") {
+    return findOCRStemMatches(source, needle).map((match) => ({ ...match, query: needle }));
+  }
 
-  const pattern = new RegExp(escapeRegExp(needle), "giu");
+  const pattern = new RegExp(mode === "wildcard" ? buildOCRWildcardPattern(needle) : escapeRegExp(needle), "giu");
   const matches: SearchMatch[] = [];
   let match: RegExpExecArray | null;
 
@@ -71,7 +144,7 @@ export function findOCRSearchMatches(content: string, query: string, mode: OCRSe
     const left = source[start - 1];
     const right = source[end];
 
-    if (mode === "exact_word" && (!isBoundaryChar(left) || !isBoundaryChar(right))) {
+    if ((mode === "exact_word" || mode === "wildcard") && (!isBoundaryChar(left) || !isBoundaryChar(right))) {
       continue;
     }
     if (mode === "begins_with" && !isBoundaryChar(left)) {
@@ -91,6 +164,22 @@ export function findOCRSearchMatches(content: string, query: string, mode: OCRSe
   return matches;
 }
 
+export function findOCRSearchMatches(content: string, query: string, mode: OCRSearchMode): SearchMatch[] {
+  const source = String(content ?? "");
+  const needle = String(query ?? "").trim();
+  if (!source || !needle) return [];
+
+  const normalizedSource = normalizeOCRTextWithOffsets(source);
+  const normalizedNeedle = mode === "regex" ? needle : normalizeOCRText(needle);
+  if (!normalizedSource.text || !normalizedNeedle) return [];
+
+  return findNormalizedOCRSearchMatches(normalizedSource.text, normalizedNeedle, mode).flatMap((match) => {
+    const range = mapNormalizedOCRRange(normalizedSource, match.start, match.end);
+    if (!range) return [];
+    return [{ ...match, ...range, text: source.slice(range.start, range.end), query: needle }];
+  });
+}
+
 function queryValues(value: string | string[] | null | undefined) {
   if (Array.isArray(value)) return value;
   if (value == null) return [];
@@ -108,7 +197,7 @@ export function normalizeOCRSearchQueries(
   for (const value of [...queryValues(primary), ...queryValues(variants)]) {
     const query = String(value || "").replace(/\s+/g, " ").trim();
     if (!query) continue;
-    const key = query.toLocaleLowerCase();
+    const key = normalizeOCRText(query).toLocaleLowerCase();
     if (seen.has(key)) continue;
     seen.add(key);
     queries.push(query);
@@ -132,6 +221,7 @@ function mergeSearchMatches(matches: SearchMatch[]) {
       continue;
     }
 
+    if (match.distance != null) last.distance = Math.min(last.distance ?? match.distance, match.distance);
     const previousEnd = last.end;
     if (match.end > previousEnd) {
       last.end = match.end;
@@ -151,10 +241,94 @@ export function findOCRSearchMatchesForQueries(
   if (normalizedQueries.length === 0) return [];
 
   return mergeSearchMatches(
-    normalizedQueries.flatMap((query) => findOCRSearchMatches(content, query, mode))
+    listOCRSearchHighlightTerms(normalizedQueries, mode).flatMap((term) => findOCRSearchMatches(content, term, mode))
   );
 }
 
+export function listOCRSearchHighlightTerms(queries: string | string[], mode?: OCRSearchMode) {
+  if (mode === "regex") return normalizeOCRSearchQueries(queries);
+  const terms = normalizeOCRSearchQueries(queries).flatMap((query) => {
+    const node = tryParseOCRQuery(query);
+    return node ? listOCRQueryPositiveTerms(node) : [query];
+  });
+  return normalizeOCRSearchQueries(terms, [], Number.POSITIVE_INFINITY);
+}
+
+function closestWindowForTerms(content: string, terms: string[], mode: OCRSearchMode) {
+  const occurrences = terms
+    .flatMap((term, termIndex) => findOCRSearchMatches(content, term, mode).map((match) => ({ ...match, termIndex })))
+    .sort((a, b) => a.start - b.start);
+  const counts = new Array<number>(terms.length).fill(0);
+  // Indexes in [left, right] with decreasing match ends, so the window end is always ends[head].
+  const ends: number[] = [];
+  let head = 0;
+  let covered = 0;
+  let left = 0;
+  let best: { start: number; end: number } | null = null;
+
+  for (let right = 0; right < occurrences.length; right += 1) {
+    if (counts[occurrences[right].termIndex]++ === 0) covered += 1;
+    while (ends.length > head && occurrences[ends[ends.length - 1]].end <= occurrences[right].end) ends.pop();
+    ends.push(right);
+
+    while (covered === terms.length) {
+      const windowEnd = occurrences[ends[head]].end;
+      const start = occurrences[left].start;
+      if (!best || windowEnd - start < best.end - best.start) best = { start, end: windowEnd };
+      if (--counts[occurrences[left].termIndex] === 0) covered -= 1;
+      if (ends[head] === left) head += 1;
+      left += 1;
+    }
+  }
+
+  return best;
+}
+
+export function findClosestOCRNearWindow(content: string, queries: string | string[], mode: OCRSearchMode) {
+  let best: { start: number; end: number } | null = null;
+  if (mode === "regex") return best;
+
+  for (const query of normalizeOCRSearchQueries(queries)) {
+    const node = tryParseOCRQuery(query);
+    if (!node) continue;
+    for (const terms of listOCRQueryNearGroups(node)) {
+      const window = closestWindowForTerms(content, terms, mode);
+      if (window && (!best || window.end - window.start < best.end - best.start)) best = window;
+    }
+  }
+
+  return best;
+}
+
+function countWordTokens(value: string) {
+  return (String(value ?? "").match(/[\p{L}\p{N}\p{M}_]+/gu) ?? []).length;
+}
+
+function matchesNearGroup(content: string, terms: string[], distance: number, mode: OCRSearchMode) {
+  const window = closestWindowForTerms(content, terms, mode);
+  if (!window) return false;
+  const phraseTokens = terms.reduce((sum, term) => sum + countWordTokens(term), 0);
+  return countWordTokens(content.slice(window.start, window.end)) - phraseTokens <= distance;
+}
+
+function matchesOCRQueryNode(content: string, node: OCRQueryNode, mode: OCRSearchMode): boolean {
+  if (node.type === "term") return findOCRSearchMatches(content, node.text, mode).length > 0;
+  if (node.type === "near") return matchesNearGroup(content, node.terms, node.distance, mode);
+  if (node.type === "not") {
+    return matchesOCRQueryNode(content, node.include, mode) && !matchesOCRQueryNode(content, node.exclude, mode);
+  }
+  if (node.type === "and") return node.children.every((child) => matchesOCRQueryNode(content, child, mode));
+  return node.children.some((child) => matchesOCRQueryNode(content, child, mode));
+}
+
+export function matchesOCRSearchQueries(content: string, queries: string | string[], mode: OCRSearchMode) {
+  return normalizeOCRSearchQueries(queries).some((query) => {
+    if (mode === "regex") return findOCRSearchMatches(content, query, mode).length > 0;
+    const node = tryParseOCRQuery(query);
+    return node ? matchesOCRQueryNode(content, node, mode) : findOCRSearchMatches(content, query, mode).length > 0;
+  });
+}
+
 export function hasOCRSearchMatch(content: string, query: string, mode: OCRSearchMode) {
   return findOCRSearchMatches(content, query, mode).length > 0;
 }
@@ -172,16 +346,18 @@ export function buildOCRSearchExcerptForQueries(
   const cleanContent = String(content ?? "").replace(/\s+/g, " ").trim();
   if (!cleanContent) return "";
 
-  const firstMatch = findOCRSearchMatchesForQueries(cleanContent, queries, mode)[0];
-  if (!firstMatch) {
+  const focus =
+    findClosestOCRNearWindow(cleanContent, queries, mode) ??
+    findOCRSearchMatchesForQueries(cleanContent, queries, mode)[0];
+  if (!focus) {
     if (cleanContent.length <= maxChars) return cleanContent;
     return `${cleanContent.slice(0, Math.max(0, maxChars - 1)).trimEnd()}…`;
   }
 
-  const matchLength = Math.max(1, firstMatch.end - firstMatch.start);
+  const matchLength = Math.max(1, focus.end - focus.start);
   const sidePadding = Math.max(45, Math.floor((maxChars - matchLength) / 2));
-  const start = Math.max(0, firstMatch.start - sidePadding);
-  const end = Math.min(cleanContent.length, firstMatch.end + sidePadding);
+  const start = Math.max(0, focus.start - sidePadding);
+  const end = Math.min(cleanContent.length, focus.end + sidePadding);
   let excerpt = cleanContent.slice(start, end).trim();
 
   if (start > 0) excerpt = `…${excerpt}`;
@@ -0,0 +1 @@
+export function stemOCRWord(word: string): string;
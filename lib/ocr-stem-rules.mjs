@@ -0,0 +1,44 @@
+// Shared by lib/ocr-stem.ts and the indexing scripts so queries and indexes stem words the same way.
+
+const MARK_PATTERN = /\p{M}/u;
+const MIN_STEM_AKSHARAS = 2;
+
+// Gujarati case endings and postpositions after Gujarati -> Devanagari folding, longest first.
+const CASE_SUFFIXES = [
+  "मांथी",
+  "मांनो",
+  "मांनी",
+  "मांनुं",
+  "मांना",
+  "नां",
+  "नो",
+  "नी",
+  "नुं",
+  "ना",
+  "ने",
+  "मां",
+  "थी",
+  "ए",
+];
+const PLURAL_SUFFIX = "ओ";
+const FINAL_VOWEL_SUFFIXES = ["ुं", "ा", "ो", "ी", "ु", "े", "ं"];
+
+function aksharaCount(part) {
+  const chars = Array.from(part);
+  return chars.filter((char, index) => !MARK_PATTERN.test(char) && chars[index - 1] !== "्").length;
+}
+
+function stripSuffix(word, suffixes) {
+  for (const suffix of suffixes) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    if (aksharaCount(stem) >= MIN_STEM_AKSHARAS) return stem;
+  }
+  return word;
+}
+
+export function stemOCRWord(word) {
+  let stem = stripSuffix(String(word ?? ""), CASE_SUFFIXES);
+  stem = stripSuffix(stem, [PLURAL_SUFFIX]);
+  return stripSuffix(stem, FINAL_VOWEL_SUFFIXES);
+}
@@ -0,0 +1,37 @@
+import { stemOCRWord } from "@/lib/ocr-stem-rules.mjs";
+
+export type OCRStemMatch = {
+  start: number;
+  end: number;
+  text: string;
+};
+
+const STEM_WORD_PATTERN = /[\p{L}\p{N}\p{M}_]+/gu;
+
+export { stemOCRWord };
+
+export function stemOCRWords(text: string) {
+  return (String(text ?? "").match(STEM_WORD_PATTERN) ?? []).map(stemOCRWord);
+}
+
+export function findOCRStemMatches(content: string, term: string): OCRStemMatch[] {
+  const source = String(content ?? "");
+  const stems = stemOCRWords(term);
+  if (!source || stems.length === 0) return [];
+
+  const tokens = Array.from(source.matchAll(STEM_WORD_PATTERN), (match) => ({
+    start: match.index ?? 0,
+    end: (match.index ?? 0) + match[0].length,
+    stem: stemOCRWord(match[0]),
+  }));
+  const matches: OCRStemMatch[] = [];
+
+  for (let index = 0; index + stems.length <= tokens.length; index += 1) {
+    if (!stems.every((stem, offset) => tokens[index + offset].stem === stem)) continue;
+    const start = tokens[index].start;
+    const end = tokens[index + stems.length - 1].end;
+    matches.push({ start, end, text: source.slice(start, end) });
+  }
+
+  return matches;
+}
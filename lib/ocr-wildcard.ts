@@ -0,0 +1,51 @@
+import type { Client } from "@libsql/client";
+import { normalizeOCRText } from "@/lib/ocr-normalize";
+import { listOCRQueryTerms, needsOCRWildcardExpansion, tryParseOCRQuery } from "@/lib/ocr-query";
+import { buildOCRWildcardPattern } from "@/lib/ocr-search";
+
+export const MAX_OCR_WILDCARD_EXPANSIONS = 200;
+const MAX_SCANNED_TERMS = 20000;
+
+function toVocabGlob(term: string) {
+  return term
+    .split(/([?*])/)
+    .map((part) => (part === "?" ? "?*" : part === "*" ? "*" : part.replace(/[[\]*?]/g, "[$&]")))
+    .join("");
+}
+
+async function expandWildcardTerm(client: Client, term: string) {
+  const prefix = term.split(/[?*]/)[0] ?? "";
+  const matcher = new RegExp(`^(?:${buildOCRWildcardPattern(term)})$`, "u");
+  const result = await client.execute({
+    sql: prefix
+      ? `SELECT term, doc FROM ocr_pages_search_vocab WHERE term >= ? AND term < ? AND term GLOB ? LIMIT ?`
+      : `SELECT term, doc FROM ocr_pages_search_vocab WHERE term GLOB ? LIMIT ?`,
+    args: prefix
+      ? [prefix, `${prefix}\u{10ffff}`, toVocabGlob(term), MAX_SCANNED_TERMS]
+      : [toVocabGlob(term), MAX_SCANNED_TERMS],
+  });
+
+  return result.rows
+    .map((row) => ({ term: String(row.term ?? ""), pages: Number(row.doc ?? 0) }))
+    .filter((row) => matcher.test(row.term))
+    .sort((a, b) => b.pages - a.pages || a.term.localeCompare(b.term))
+    .slice(0, MAX_OCR_WILDCARD_EXPANSIONS)
+    .map((row) => row.term);
+}
+
+export async function expandOCRWildcardTerms(client: Client, queries: string[]) {
+  const terms = new Set<string>();
+  for (const query of queries) {
+    const node = tryParseOCRQuery(query);
+    if (!node) continue;
+    for (const term of listOCRQueryTerms(node)) {
+      if (needsOCRWildcardExpansion(term) && !/\s/.test(term.trim())) terms.add(normalizeOCRText(term));
+    }
+  }
+
+  const expansions = new Map<string, string[]>();
+  for (const term of terms) {
+    expansions.set(term, await expandWildcardTerm(client, term));
+  }
+  return expansions;
+}
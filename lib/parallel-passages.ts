@@ -0,0 +1,197 @@
+import type { Client } from "@libsql/client";
+import { foldDevanagariToGujarati } from "@/lib/ocr-normalize";
+import { getSupabaseAdmin } from "@/lib/supabase-server";
+
+export const MAX_PARALLEL_PASSAGE_MATCHES = 50;
+
+export type ParallelPassageMatch = {
+  granth_key: string;
+  granth_name: string;
+  page_number: number;
+  excerpt: string;
+  gujarati: string;
+  similarity: number;
+};
+
+export type ParallelPassage = {
+  cluster_id: number;
+  excerpt: string;
+  gujarati: string;
+  similarity: number;
+  page_count: number;
+  granth_count: number;
+  matches: ParallelPassageMatch[];
+};
+
+export type ParallelPassageRun = {
+  id: number;
+  pages_scanned: number;
+  clusters: number;
+  finished_at: string;
+};
+
+export class ParallelPassageError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
+
+let schemaReady = false;
+
+export async function ensureParallelPassageSchema(client: Client) {
+  if (schemaReady) return;
+
+  const sql = [
+    `CREATE TABLE IF NOT EXISTS ocr_passage_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'running',
+      pages_scanned INTEGER NOT NULL DEFAULT 0,
+      windows INTEGER NOT NULL DEFAULT 0,
+      clusters INTEGER NOT NULL DEFAULT 0,
+      started_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      finished_at TEXT
+    );`,
+    `CREATE TABLE IF NOT EXISTS ocr_passage_clusters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      page_count INTEGER NOT NULL,
+      granth_count INTEGER NOT NULL,
+      excerpt TEXT NOT NULL DEFAULT ''
+    );`,
+    `CREATE TABLE IF NOT EXISTS ocr_passage_cluster_pages (
+      cluster_id INTEGER NOT NULL,
+      run_id INTEGER NOT NULL,
+      page_id INTEGER NOT NULL,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      word_start INTEGER NOT NULL,
+      word_end INTEGER NOT NULL,
+      excerpt TEXT NOT NULL DEFAULT '',
+      similarity REAL NOT NULL DEFAULT 0,
+      PRIMARY KEY (cluster_id, page_id)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_passage_clusters_run ON ocr_passage_clusters(run_id);",
+    "CREATE INDEX IF NOT EXISTS idx_ocr_passage_cluster_pages_page ON ocr_passage_cluster_pages(granth_key, page_number, run_id);",
+    "CREATE INDEX IF NOT EXISTS idx_ocr_passage_cluster_pages_run ON ocr_passage_cluster_pages(run_id);",
+  ];
+
+  for (const stmt of sql) {
+    await client.execute(stmt);
+  }
+
+  schemaReady = true;
+}
+
+export async function resolveParallelPassageGranthKey(
+  client: Client,
+  target: { granthKey?: string | null; pdfUrl?: string | null }
+) {
+  const granthKey = String(target.granthKey || "").trim();
+  if (granthKey) return granthKey;
+
+  const pdfUrl = String(target.pdfUrl || "").trim();
+  if (!pdfUrl) throw new ParallelPassageError(400, "granthKey or pdfUrl is required");
+
+  const supabase = getSupabaseAdmin();
+  const [documents, sources] = await Promise.all([
+    supabase.from("documents").select("original_relative_path").eq("pdf_url", pdfUrl).limit(5),
+    supabase.from("granth_ocr_files").select("original_rel_path").eq("ufs_url", pdfUrl).limit(5),
+  ]);
+  if (documents.error) throw new Error(documents.error.message);
+  if (sources.error) throw new Error(sources.error.message);
+
+  const relPaths = [
+    ...(documents.data ?? []).map((row) => String(row.original_relative_path ?? "").trim()),
+    ...(sources.data ?? []).map((row) => String(row.original_rel_path ?? "").trim()),
+  ].filter(Boolean);
+  if (relPaths.length === 0) return "";
+
+  const result = await client.execute({
+    sql: `SELECT granth_key FROM ocr_granths WHERE source_rel_path IN (${relPaths.map(() => "?").join(",")}) LIMIT 1`,
+    args: relPaths,
+  });
+  return String(result.rows[0]?.granth_key ?? "");
+}
+
+export async function getLatestParallelPassageRun(client: Client): Promise<ParallelPassageRun | null> {
+  await ensureParallelPassageSchema(client);
+  const result = await client.execute(
+    `SELECT id, pages_scanned, clusters, finished_at
+     FROM ocr_passage_runs
+     WHERE status = 'complete'
+     ORDER BY id DESC
+     LIMIT 1`
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    id: Number(row.id ?? 0),
+    pages_scanned: Number(row.pages_scanned ?? 0),
+    clusters: Number(row.clusters ?? 0),
+    finished_at: String(row.finished_at ?? ""),
+  };
+}
+
+export async function findParallelPassages(
+  client: Client,
+  runId: number,
+  granthKey: string,
+  pageNumber: number
+): Promise<ParallelPassage[]> {
+  const own = await client.execute({
+    sql: `SELECT cp.cluster_id, cp.excerpt, cp.similarity, c.page_count, c.granth_count
+          FROM ocr_passage_cluster_pages cp
+          JOIN ocr_passage_clusters c ON c.id = cp.cluster_id
+          WHERE cp.granth_key = ? AND cp.page_number = ? AND cp.run_id = ?
+          ORDER BY cp.word_start ASC`,
+    args: [granthKey, pageNumber, runId],
+  });
+  if (own.rows.length === 0) return [];
+
+  const clusterIds = own.rows.map((row) => Number(row.cluster_id ?? 0));
+  const others = await client.execute({
+    sql: `SELECT cp.cluster_id, cp.granth_key, g.granth_name, cp.page_number, cp.excerpt, cp.similarity
+          FROM ocr_passage_cluster_pages cp
+          JOIN ocr_granths g ON g.granth_key = cp.granth_key
+          WHERE cp.cluster_id IN (${clusterIds.map(() => "?").join(",")})
+            AND NOT (cp.granth_key = ? AND cp.page_number = ?)
+          ORDER BY cp.similarity DESC, g.granth_name ASC, cp.page_number ASC`,
+    args: [...clusterIds, granthKey, pageNumber],
+  });
+
+  const matchesByCluster = new Map<number, ParallelPassageMatch[]>();
+  for (const row of others.rows) {
+    const clusterId = Number(row.cluster_id ?? 0);
+    const matches = matchesByCluster.get(clusterId) ?? [];
+    if (matches.length >= MAX_PARALLEL_PASSAGE_MATCHES) continue;
+    const excerpt = String(row.excerpt ?? "");
+    matches.push({
+      granth_key: String(row.granth_key ?? ""),
+      granth_name: String(row.granth_name ?? ""),
+      page_number: Number(row.page_number ?? 0),
+      excerpt,
+      gujarati: foldDevanagariToGujarati(excerpt),
+      similarity: Number(row.similarity ?? 0),
+    });
+    matchesByCluster.set(clusterId, matches);
+  }
+
+  return own.rows
+    .map((row) => {
+      const clusterId = Number(row.cluster_id ?? 0);
+      const excerpt = String(row.excerpt ?? "");
+      return {
+        cluster_id: clusterId,
+        excerpt,
+        gujarati: foldDevanagariToGujarati(excerpt),
+        similarity: Number(row.similarity ?? 0),
+        page_count: Number(row.page_count ?? 0),
+        granth_count: Number(row.granth_count ?? 0),
+        matches: matchesByCluster.get(clusterId) ?? [],
+      };
+    })
+    .filter((passage) => passage.matches.length > 0);
+}
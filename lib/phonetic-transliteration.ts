@@ -1,4 +1,7 @@
-export type IndicQueryOptionId = "typed" | "devanagari" | "gujarati";
+import { foldGujaratiToDevanagari } from "@/lib/ocr-normalize";
+import { extractOCRQueryText, rewriteOCRQueryTerms } from "@/lib/ocr-query";
+
+export type IndicQueryOptionId = "typed" | "indic" | `spelling-${number}`;
 
 export type IndicQueryOption = {
   id: IndicQueryOptionId;
@@ -6,202 +9,589 @@ export type IndicQueryOption = {
   value: string;
 };
 
-type ScriptName = "devanagari" | "gujarati";
+export type ScriptName = "devanagari" | "gujarati";
+
+export type RomanScheme = "phonetic" | "iast" | "iso15919" | "hk" | "itrans";
+
+export type RomanSchemeSelection = RomanScheme | "auto";
+
+export type IndicRomanization = "iast" | "ascii";
+
+export type IndicDisplayMode = "script" | IndicRomanization;
+
+export const INDIC_DISPLAY_OPTIONS: Array<{
+  mode: IndicDisplayMode;
+  label: string;
+  description: string;
+}> = [
+  {
+    mode: "script",
+    label: "Original script",
+    description: "Shows the OCR text as scanned.",
+  },
+  {
+    mode: "iast",
+    label: "IAST",
+    description: "Romanizes Devanagari and Gujarati with diacritics.",
+  },
+  {
+    mode: "ascii",
+    label: "Simple ASCII",
+    description: "Romanizes without diacritics, e.g. sh for श and ष.",
+  },
+];
+
+export const ROMAN_SCHEME_OPTIONS: Array<{
+  scheme: RomanSchemeSelection;
+  label: string;
+  description: string;
+}> = [
+  {
+    scheme: "auto",
+    label: "Auto-detect",
+    description: "Guesses the scheme from diacritics and capital letters.",
+  },
+  {
+    scheme: "phonetic",
+    label: "Phonetic",
+    description: "Informal spelling such as samyag darshan or jiv.",
+  },
+  {
+    scheme: "iast",
+    label: "IAST",
+    description: "Diacritics such as ā ī ū ṛ ṃ ḥ ś ṣ ṭ ḍ ṇ.",
+  },
+  {
+    scheme: "iso15919",
+    label: "ISO 15919",
+    description: "Like IAST, with r̥ l̥ ṁ ē ō and ḷ for ळ.",
+  },
+  {
+    scheme: "hk",
+    label: "Harvard-Kyoto",
+    description: "ASCII capitals such as A I U R M H G J T D N z S.",
+  },
+  {
+    scheme: "itrans",
+    label: "ITRANS",
+    description: "ASCII such as aa/A, RRi, ~N, .n, sh, Sh and x.",
+  },
+];
+
+type VowelKey = "a" | "ā" | "i" | "ī" | "u" | "ū" | "ṛ" | "ṝ" | "ḷ" | "ḹ" | "e" | "ai" | "o" | "au";
+
+type ConsonantKey =
+  | "k" | "kh" | "g" | "gh" | "ṅ"
+  | "c" | "ch" | "j" | "jh" | "ñ"
+  | "ṭ" | "ṭh" | "ḍ" | "ḍh" | "ṇ"
+  | "t" | "th" | "d" | "dh" | "n"
+  | "p" | "ph" | "b" | "bh" | "m"
+  | "y" | "r" | "l" | "v" | "ś" | "ṣ" | "s" | "h" | "ḻ"
+  | "q" | "x" | "ġ" | "z" | "f" | "ṛa" | "ṛha" | "ẏ";
+
+type SignKey = "anusvara" | "visarga" | "chandrabindu" | "avagraha";
+
+type SchemeTable = {
+  caseSensitive: boolean;
+  consonantFirst: boolean;
+  vowels: Record<string, VowelKey>;
+  consonants: Record<string, ConsonantKey | ConsonantKey[]>;
+  signs: Record<string, SignKey>;
+  omWords: string[];
+};
+
+const VOWEL_GLYPHS: Record<VowelKey, { independent: string; mark: string }> = {
+  a: { independent: "अ", mark: "" },
+  ā: { independent: "आ", mark: "ा" },
+  i: { independent: "इ", mark: "ि" },
+  ī: { independent: "ई", mark: "ी" },
+  u: { independent: "उ", mark: "ु" },
+  ū: { independent: "ऊ", mark: "ू" },
+  ṛ: { independent: "ऋ", mark: "ृ" },
+  ṝ: { independent: "ॠ", mark: "ॄ" },
+  ḷ: { independent: "ऌ", mark: "ॢ" },
+  ḹ: { independent: "ॡ", mark: "ॣ" },
+  e: { independent: "ए", mark: "े" },
+  ai: { independent: "ऐ", mark: "ै" },
+  o: { independent: "ओ", mark: "ो" },
+  au: { independent: "औ", mark: "ौ" },
+};
 
-type ScriptGlyphs = {
-  independentVowels: Record<string, string>;
-  vowelMarks: Record<string, string>;
-  consonants: Record<string, string>;
-  virama: string;
-  anusvara: string;
-  visarga: string;
+const CONSONANT_GLYPHS: Record<ConsonantKey, string> = {
+  k: "क",
+  kh: "ख",
+  g: "ग",
+  gh: "घ",
+  ṅ: "ङ",
+  c: "च",
+  ch: "छ",
+  j: "ज",
+  jh: "झ",
+  ñ: "ञ",
+  ṭ: "ट",
+  ṭh: "ठ",
+  ḍ: "ड",
+  ḍh: "ढ",
+  ṇ: "ण",
+  t: "त",
+  th: "थ",
+  d: "द",
+  dh: "ध",
+  n: "न",
+  p: "प",
+  ph: "फ",
+  b: "ब",
+  bh: "भ",
+  m: "म",
+  y: "य",
+  r: "र",
+  l: "ल",
+  v: "व",
+  ś: "श",
+  ṣ: "ष",
+  s: "स",
+  h: "ह",
+  ḻ: "ळ",
+  q: "क़",
+  x: "ख़",
+  ġ: "ग़",
+  z: "ज़",
+  f: "फ़",
+  ṛa: "ड़",
+  ṛha: "ढ़",
+  ẏ: "य़",
 };
 
+const SIGN_GLYPHS: Record<SignKey, string> = {
+  anusvara: "ं",
+  visarga: "ः",
+  chandrabindu: "ँ",
+  avagraha: "ऽ",
+};
+
+const VIRAMA = "्";
+const OM = "ॐ";
 const DEVANAGARI_TO_GUJARATI_OFFSET = 0x180;
 
-const SCRIPT_GLYPHS: Record<ScriptName, ScriptGlyphs> = {
-  devanagari: {
-    independentVowels: {
-      a: "अ",
-      aa: "आ",
-      i: "इ",
-      ii: "ई",
-      u: "उ",
-      uu: "ऊ",
-      ri: "ऋ",
-      e: "ए",
-      ai: "ऐ",
-      o: "ओ",
-      au: "औ",
+export const MAX_ROMAN_SPELLING_OPTIONS = 4;
+const MAX_SPELLING_EDITS = 3;
+
+export type RomanSpellingCandidate = {
+  value: string;
+  cost: number;
+};
+
+export type RomanSpellingMap = Record<string, string[]>;
+
+const VOWEL_LENGTH_SWAPS: Record<string, string> = {
+  "ि": "ी",
+  "ी": "ि",
+  "ु": "ू",
+  "ू": "ु",
+  "इ": "ई",
+  "ई": "इ",
+  "उ": "ऊ",
+  "ऊ": "उ",
+};
+
+const SIBILANT_AND_NASAL_SWAPS: Record<string, string[]> = {
+  "स": ["श", "ष"],
+  "श": ["ष", "स"],
+  "ष": ["श", "स"],
+  "न": ["ण"],
+  "ण": ["न"],
+};
+
+const DENTAL_RETROFLEX_SWAPS: Record<string, string> = {
+  "त": "ट",
+  "थ": "ठ",
+  "द": "ड",
+  "ध": "ढ",
+  "ट": "त",
+  "ठ": "थ",
+  "ड": "द",
+  "ढ": "ध",
+};
+
+const SEMIVOWEL_CONSONANTS = new Set(["y", "r", "l", "v"]);
+
+// Anusvara is only respelled as the nasal of the following consonant's class.
+const HOMORGANIC_NASALS: Record<string, string> = {
+  ...Object.fromEntries(["क", "ख", "ग", "घ"].map((char) => [char, "ङ"])),
+  ...Object.fromEntries(["च", "छ", "ज", "झ"].map((char) => [char, "ञ"])),
+  ...Object.fromEntries(["ट", "ठ", "ड", "ढ"].map((char) => [char, "ण"])),
+  ...Object.fromEntries(["त", "थ", "द", "ध", "न"].map((char) => [char, "न"])),
+  ...Object.fromEntries(["प", "फ", "ब", "भ", "म", "य", "र", "ल", "व"].map((char) => [char, "म"])),
+};
+
+const NASAL_CONSONANTS = new Set(["ङ", "ञ", "ण", "न", "म"]);
+
+const ASPIRATE_DOUBLES: Record<string, string> = {
+  "ख": "क",
+  "घ": "ग",
+  "छ": "च",
+  "झ": "ज",
+  "ठ": "ट",
+  "ढ": "ड",
+  "थ": "त",
+  "ध": "द",
+  "फ": "प",
+  "भ": "ब",
+};
+
+const IAST_CONSONANTS: Record<string, ConsonantKey> = {
+  k: "k",
+  kh: "kh",
+  g: "g",
+  gh: "gh",
+  ṅ: "ṅ",
+  c: "c",
+  ch: "ch",
+  j: "j",
+  jh: "jh",
+  ñ: "ñ",
+  ṭ: "ṭ",
+  ṭh: "ṭh",
+  ḍ: "ḍ",
+  ḍh: "ḍh",
+  ṇ: "ṇ",
+  t: "t",
+  th: "th",
+  d: "d",
+  dh: "dh",
+  n: "n",
+  p: "p",
+  ph: "ph",
+  b: "b",
+  bh: "bh",
+  m: "m",
+  y: "y",
+  r: "r",
+  l: "l",
+  v: "v",
+  ś: "ś",
+  ṣ: "ṣ",
+  s: "s",
+  h: "h",
+  q: "q",
+  z: "z",
+  f: "f",
+};
+
+const SCHEMES: Record<RomanScheme, SchemeTable> = {
+  phonetic: {
+    caseSensitive: false,
+    consonantFirst: true,
+    vowels: {
+      a: "a",
+      aa: "ā",
+      ā: "ā",
+      i: "i",
+      ee: "ī",
+      ii: "ī",
+      ī: "ī",
+      u: "u",
+      oo: "ū",
+      uu: "ū",
+      ū: "ū",
+      r̥: "ṛ",
+      ṛ: "ṛ",
+      ri: "ṛ",
+      e: "e",
+      ai: "ai",
+      o: "o",
+      au: "au",
+    },
+    consonants: {
+      k: "k",
+      kh: "kh",
+      g: "g",
+      gh: "gh",
+      chh: "ch",
+      ch: "c",
+      c: "c",
+      jh: "jh",
+      j: "j",
+      z: "j",
+      th: "th",
+      t: "t",
+      dh: "dh",
+      d: "d",
+      n: "n",
+      p: "p",
+      ph: "ph",
+      f: "ph",
+      b: "b",
+      bh: "bh",
+      m: "m",
+      y: "y",
+      r: "r",
+      l: "l",
+      v: "v",
+      w: "v",
+      sh: "ś",
+      s: "s",
+      h: "h",
+      ksh: ["k", "ṣ"],
+      jn: ["j", "ñ"],
+      gy: ["j", "ñ"],
+      shr: ["ś", "r"],
+      ṭh: "ṭh",
+      ṭ: "ṭ",
+      ḍh: "ḍh",
+      ḍ: "ḍ",
+      ṇ: "n",
+      ñ: "n",
+      ś: "ś",
+      ṣ: "ṣ",
+      ṅ: "n",
+    },
+    signs: {
+      ṃ: "anusvara",
+      ṁ: "anusvara",
+      ḥ: "visarga",
     },
-    vowelMarks: {
-      a: "",
-      aa: "ा",
-      i: "ि",
-      ii: "ी",
-      u: "ु",
-      uu: "ू",
-      ri: "ृ",
-      e: "े",
-      ai: "ै",
-      o: "ो",
-      au: "ौ",
+    omWords: [],
+  },
+  iast: {
+    caseSensitive: false,
+    consonantFirst: false,
+    vowels: {
+      a: "a",
+      ā: "ā",
+      i: "i",
+      ī: "ī",
+      u: "u",
+      ū: "ū",
+      ṛ: "ṛ",
+      ṝ: "ṝ",
+      ḷ: "ḷ",
+      ḹ: "ḹ",
+      e: "e",
+      ai: "ai",
+      o: "o",
+      au: "au",
+    },
+    consonants: { ...IAST_CONSONANTS, ḻ: "ḻ" },
+    signs: {
+      ṃ: "anusvara",
+      ṁ: "anusvara",
+      ḥ: "visarga",
+      m̐: "chandrabindu",
+      "'": "avagraha",
+      "’": "avagraha",
+    },
+    omWords: ["oṃ", "oṁ", "om̐"],
+  },
+  iso15919: {
+    caseSensitive: false,
+    consonantFirst: false,
+    vowels: {
+      a: "a",
+      ā: "ā",
+      i: "i",
+      ī: "ī",
+      u: "u",
+      ū: "ū",
+      r̥: "ṛ",
+      r̥̄: "ṝ",
+      l̥: "ḷ",
+      l̥̄: "ḹ",
+      e: "e",
+      ē: "e",
+      ai: "ai",
+      o: "o",
+      ō: "o",
+      au: "au",
     },
     consonants: {
-      k: "क",
-      kh: "ख",
-      g: "ग",
-      gh: "घ",
-      chh: "छ",
-      ch: "च",
-      c: "च",
-      jh: "झ",
-      j: "ज",
-      z: "ज",
-      tt: "ट",
-      tth: "ठ",
-      dd: "ड",
-      ddh: "ढ",
-      th: "थ",
-      t: "त",
-      dh: "ध",
-      d: "द",
-      n: "न",
-      p: "प",
-      ph: "फ",
-      f: "फ",
-      b: "ब",
-      bh: "भ",
-      m: "म",
-      y: "य",
-      r: "र",
-      l: "ल",
-      v: "व",
-      w: "व",
-      sh: "श",
-      ss: "ष",
-      s: "स",
-      h: "ह",
-      ksh: "क्ष",
-      jn: "ज्ञ",
-      gy: "ज्ञ",
-      shr: "श्र",
+      ...IAST_CONSONANTS,
+      ḷ: "ḻ",
+      k͟h: "x",
+      ġ: "ġ",
+      ṛ: "ṛa",
+      ṛh: "ṛha",
+      ẏ: "ẏ",
     },
-    virama: "्",
-    anusvara: "ं",
-    visarga: "ः",
+    signs: {
+      ṁ: "anusvara",
+      ṃ: "anusvara",
+      ḥ: "visarga",
+      m̐: "chandrabindu",
+      "'": "avagraha",
+      "’": "avagraha",
+    },
+    omWords: ["ōṁ", "oṁ", "ōm̐"],
   },
-  gujarati: {
-    independentVowels: {
-      a: "અ",
-      aa: "આ",
-      i: "ઇ",
-      ii: "ઈ",
-      u: "ઉ",
-      uu: "ઊ",
-      ri: "ઋ",
-      e: "એ",
-      ai: "ઐ",
-      o: "ઓ",
-      au: "ઔ",
+  hk: {
+    caseSensitive: true,
+    consonantFirst: false,
+    vowels: {
+      a: "a",
+      A: "ā",
+      i: "i",
+      I: "ī",
+      u: "u",
+      U: "ū",
+      R: "ṛ",
+      RR: "ṝ",
+      lR: "ḷ",
+      lRR: "ḹ",
+      e: "e",
+      ai: "ai",
+      o: "o",
+      au: "au",
+    },
+    consonants: {
+      k: "k",
+      kh: "kh",
+      g: "g",
+      gh: "gh",
+      G: "ṅ",
+      c: "c",
+      ch: "ch",
+      j: "j",
+      jh: "jh",
+      J: "ñ",
+      T: "ṭ",
+      Th: "ṭh",
+      D: "ḍ",
+      Dh: "ḍh",
+      N: "ṇ",
+      t: "t",
+      th: "th",
+      d: "d",
+      dh: "dh",
+      n: "n",
+      p: "p",
+      ph: "ph",
+      b: "b",
+      bh: "bh",
+      m: "m",
+      y: "y",
+      r: "r",
+      l: "l",
+      L: "ḻ",
+      v: "v",
+      z: "ś",
+      S: "ṣ",
+      s: "s",
+      h: "h",
     },
-    vowelMarks: {
-      a: "",
-      aa: "ા",
-      i: "િ",
-      ii: "ી",
-      u: "ુ",
-      uu: "ૂ",
-      ri: "ૃ",
-      e: "ે",
-      ai: "ૈ",
-      o: "ો",
-      au: "ૌ",
+    signs: {
+      M: "anusvara",
+      H: "visarga",
+      "~": "chandrabindu",
+      "'": "avagraha",
+    },
+    omWords: ["OM", "oM"],
+  },
+  itrans: {
+    caseSensitive: true,
+    consonantFirst: false,
+    vowels: {
+      a: "a",
+      aa: "ā",
+      A: "ā",
+      i: "i",
+      ii: "ī",
+      I: "ī",
+      u: "u",
+      uu: "ū",
+      U: "ū",
+      RRi: "ṛ",
+      "R^i": "ṛ",
+      RRI: "ṝ",
+      "R^I": "ṝ",
+      LLi: "ḷ",
+      "L^i": "ḷ",
+      LLI: "ḹ",
+      "L^I": "ḹ",
+      e: "e",
+      ai: "ai",
+      o: "o",
+      au: "au",
     },
     consonants: {
-      k: "ક",
-      kh: "ખ",
-      g: "ગ",
-      gh: "ઘ",
-      chh: "છ",
-      ch: "ચ",
-      c: "ચ",
-      jh: "ઝ",
-      j: "જ",
-      z: "જ",
-      tt: "ટ",
-      tth: "ઠ",
-      dd: "ડ",
-      ddh: "ઢ",
-      th: "થ",
-      t: "ત",
-      dh: "ધ",
-      d: "દ",
-      n: "ન",
-      p: "પ",
-      ph: "ફ",
-      f: "ફ",
-      b: "બ",
-      bh: "ભ",
-      m: "મ",
-      y: "ય",
-      r: "ર",
-      l: "લ",
-      v: "વ",
-      w: "વ",
-      sh: "શ",
-      ss: "ષ",
-      s: "સ",
-      h: "હ",
-      ksh: "ક્ષ",
-      jn: "જ્ઞ",
-      gy: "જ્ઞ",
-      shr: "શ્ર",
+      k: "k",
+      kh: "kh",
+      g: "g",
+      gh: "gh",
+      "~N": "ṅ",
+      ch: "c",
+      Ch: "ch",
+      chh: "ch",
+      j: "j",
+      jh: "jh",
+      "~n": "ñ",
+      JN: "ñ",
+      T: "ṭ",
+      Th: "ṭh",
+      D: "ḍ",
+      Dh: "ḍh",
+      N: "ṇ",
+      t: "t",
+      th: "th",
+      d: "d",
+      dh: "dh",
+      n: "n",
+      p: "p",
+      ph: "ph",
+      b: "b",
+      bh: "bh",
+      m: "m",
+      y: "y",
+      r: "r",
+      l: "l",
+      L: "ḻ",
+      ld: "ḻ",
+      v: "v",
+      w: "v",
+      sh: "ś",
+      Sh: "ṣ",
+      shh: "ṣ",
+      s: "s",
+      h: "h",
+      x: ["k", "ṣ"],
+      kSh: ["k", "ṣ"],
+      GY: ["j", "ñ"],
+      dny: ["j", "ñ"],
+      "j~n": ["j", "ñ"],
+      q: "q",
+      K: "x",
+      G: "ġ",
+      z: "z",
+      f: "f",
+      ".D": "ṛa",
+      ".Dh": "ṛha",
+      Y: "ẏ",
+    },
+    signs: {
+      M: "anusvara",
+      ".n": "anusvara",
+      ".m": "anusvara",
+      H: "visarga",
+      ".N": "chandrabindu",
+      ".a": "avagraha",
     },
-    virama: "્",
-    anusvara: "ં",
-    visarga: "ઃ",
+    omWords: ["OM", "AUM"],
   },
 };
 
-const VOWEL_ALIASES: Record<string, string> = {
-  a: "a",
-  aa: "aa",
-  ā: "aa",
-  i: "i",
-  ee: "ii",
-  ii: "ii",
-  ī: "ii",
-  u: "u",
-  oo: "uu",
-  uu: "uu",
-  ū: "uu",
-  r̥: "ri",
-  ṛ: "ri",
-  ri: "ri",
-  e: "e",
-  ai: "ai",
-  o: "o",
-  au: "au",
-};
-
-const CONSONANT_ALIASES: Record<string, string> = {
-  ṭh: "tth",
-  ṭ: "tt",
-  ḍh: "ddh",
-  ḍ: "dd",
-  ṇ: "n",
-  ñ: "n",
-  ś: "sh",
-  ṣ: "ss",
-  ṅ: "n",
-};
+function byLength(tokens: string[]) {
+  return tokens.sort((a, b) => b.length - a.length);
+}
 
-const VOWEL_TOKENS = Object.keys(VOWEL_ALIASES).sort((a, b) => b.length - a.length);
-const CONSONANT_TOKENS = [
-  ...Object.keys(SCRIPT_GLYPHS.devanagari.consonants),
-  ...Object.keys(CONSONANT_ALIASES),
-].sort((a, b) => b.length - a.length);
+const SCHEME_TOKENS = Object.fromEntries(
+  Object.entries(SCHEMES).map(([scheme, table]) => [
+    scheme,
+    {
+      vowels: byLength(Object.keys(table.vowels)),
+      consonants: byLength(Object.keys(table.consonants)),
+      signs: byLength(Object.keys(table.signs)),
+    },
+  ])
+) as Record<RomanScheme, { vowels: string[]; consonants: string[]; signs: string[] }>;
 
 function matchToken(source: string, index: number, tokens: string[]) {
   for (const token of tokens) {
@@ -210,123 +600,394 @@ function matchToken(source: string, index: number, tokens: string[]) {
   return "";
 }
 
-function matchVowel(source: string, index: number) {
-  const token = matchToken(source, index, VOWEL_TOKENS);
-  if (!token) return null;
-  return { raw: token, key: VOWEL_ALIASES[token] };
+function consonantGlyphs(table: SchemeTable, token: string) {
+  const value = table.consonants[token];
+  return (Array.isArray(value) ? value : [value]).map((key) => CONSONANT_GLYPHS[key]).join(VIRAMA);
 }
 
-function matchConsonant(source: string, index: number) {
-  const token = matchToken(source, index, CONSONANT_TOKENS);
-  if (!token) return null;
-  return { raw: token, key: CONSONANT_ALIASES[token] || token };
-}
+function transliterateWord(word: string, scheme: RomanScheme) {
+  const table = SCHEMES[scheme];
+  const tokens = SCHEME_TOKENS[scheme];
+  if (table.omWords.includes(word)) return OM;
 
-function transliterateWord(word: string, script: ScriptName) {
-  const glyphs = SCRIPT_GLYPHS[script];
+  const matchVowel = (index: number) => matchToken(word, index, tokens.vowels);
+  const matchConsonant = (index: number) => matchToken(word, index, tokens.consonants);
   let output = "";
   let index = 0;
 
   while (index < word.length) {
-    const char = word[index];
-
-    if (char === "ṃ" || char === "ṁ") {
-      output += glyphs.anusvara;
-      index += 1;
-      continue;
-    }
-    if (char === "ḥ") {
-      output += glyphs.visarga;
-      index += 1;
+    const sign = matchToken(word, index, tokens.signs);
+    if (sign) {
+      output += SIGN_GLYPHS[table.signs[sign]];
+      index += sign.length;
       continue;
     }
-    if (char === "h" && index === word.length - 1 && word[index - 1] === "a") {
-      output += glyphs.visarga;
+    if (scheme === "phonetic" && word[index] === "h" && index === word.length - 1 && word[index - 1] === "a") {
+      output += SIGN_GLYPHS.visarga;
       index += 1;
       continue;
     }
 
-    const consonant = matchConsonant(word, index);
-    const nextAfterNasal = consonant?.key === "n" || consonant?.key === "m" ? index + consonant.raw.length : 0;
-    if (nextAfterNasal && !matchVowel(word, nextAfterNasal) && matchConsonant(word, nextAfterNasal)) {
-      output += glyphs.anusvara;
+    const independentVowel = matchVowel(index);
+    let consonant = matchConsonant(index);
+    if (!table.consonantFirst && independentVowel.length > consonant.length) consonant = "";
+
+    const consonantKey = consonant ? table.consonants[consonant] : null;
+    const nextAfterNasal = scheme === "phonetic" && (consonantKey === "n" || consonantKey === "m") ? index + consonant.length : 0;
+    const nasalBefore = nextAfterNasal && !matchVowel(nextAfterNasal) ? matchConsonant(nextAfterNasal) : "";
+    if (nasalBefore && !SEMIVOWEL_CONSONANTS.has(String(table.consonants[nasalBefore]))) {
+      output += SIGN_GLYPHS.anusvara;
       index = nextAfterNasal;
       continue;
     }
 
     if (consonant) {
-      index += consonant.raw.length;
-      const vowel = matchVowel(word, index);
+      output += consonantGlyphs(table, consonant);
+      index += consonant.length;
+      const vowel = matchVowel(index);
       if (vowel) {
-        output += `${glyphs.consonants[consonant.key]}${glyphs.vowelMarks[vowel.key]}`;
-        index += vowel.raw.length;
-      } else if (matchConsonant(word, index)) {
-        output += `${glyphs.consonants[consonant.key]}${glyphs.virama}`;
-      } else {
-        output += glyphs.consonants[consonant.key];
+        output += VOWEL_GLYPHS[table.vowels[vowel]].mark;
+        index += vowel.length;
+      } else if (scheme !== "phonetic" || matchConsonant(index)) {
+        output += VIRAMA;
       }
       continue;
     }
 
-    const vowel = matchVowel(word, index);
-    if (vowel) {
-      output += glyphs.independentVowels[vowel.key];
-      index += vowel.raw.length;
+    if (independentVowel) {
+      output += VOWEL_GLYPHS[table.vowels[independentVowel]].independent;
+      index += independentVowel.length;
       continue;
     }
 
-    output += char;
+    output += word[index];
     index += 1;
   }
 
   return output;
 }
 
-export function transliteratePhonetic(input: string, script: ScriptName) {
-  return String(input || "")
-    .normalize("NFC")
-    .toLocaleLowerCase()
-    .replace(/[’']/g, "")
-    .split(/(\s+)/)
-    .map((part) => (/^\s+$/.test(part) ? part : transliterateWord(part, script)))
-    .join("")
-    .trim();
+function devanagariToScript(value: string, script: ScriptName) {
+  if (script === "devanagari") return value;
+  return Array.from(value)
+    .map((char) => {
+      const code = char.codePointAt(0) || 0;
+      if (code >= 0x0901 && code <= 0x0970 && code !== 0x0964 && code !== 0x0965) {
+        return String.fromCodePoint(code + DEVANAGARI_TO_GUJARATI_OFFSET);
+      }
+      return char;
+    })
+    .join("");
 }
 
-function hasLatinLetters(value: string) {
-  return /[a-z]/i.test(value);
+function isDevanagariConsonant(char: string | undefined) {
+  if (!char) return false;
+  const code = char.codePointAt(0) || 0;
+  return (code >= 0x0915 && code <= 0x0939) || char === "ळ";
 }
 
-function hasDevanagari(value: string) {
-  return /[\u0900-\u097f]/.test(value);
+function hasInherentVowel(chars: string[], index: number) {
+  const next = chars[index + 1];
+  if (!isDevanagariConsonant(chars[index]) || next === undefined) return false;
+  return isDevanagariConsonant(next) || next === "ं" || next === "ः" || /\s/.test(next);
 }
 
-function hasGujarati(value: string) {
-  return /[\u0a80-\u0aff]/.test(value);
+function singleSpellingEdits(value: string) {
+  const chars = Array.from(value);
+  const edits: string[] = [];
+  const replace = (index: number, length: number, ...inserted: string[]) =>
+    edits.push([...chars.slice(0, index), ...inserted, ...chars.slice(index + length)].join(""));
+
+  chars.forEach((char, index) => {
+    const next = chars[index + 1];
+    if (VOWEL_LENGTH_SWAPS[char]) replace(index, 1, VOWEL_LENGTH_SWAPS[char]);
+    for (const swap of SIBILANT_AND_NASAL_SWAPS[char] ?? []) replace(index, 1, swap);
+    if (DENTAL_RETROFLEX_SWAPS[char] && !(chars[index - 1] === VIRAMA && DENTAL_RETROFLEX_SWAPS[chars[index - 2]])) {
+      // Swap a whole stop cluster (त्त, द्ध) at once so it never mixes dental and retroflex.
+      let end = index + 1;
+      while (chars[end] === VIRAMA && DENTAL_RETROFLEX_SWAPS[chars[end + 1]]) end += 2;
+      replace(index, end - index, ...chars.slice(index, end).map((part) => DENTAL_RETROFLEX_SWAPS[part] ?? part));
+    }
+    if (hasInherentVowel(chars, index)) replace(index, 1, char, "ा");
+
+    if (char === "ं" && HOMORGANIC_NASALS[next]) {
+      replace(index, 1, HOMORGANIC_NASALS[next], VIRAMA);
+    }
+    if (
+      NASAL_CONSONANTS.has(char) &&
+      next === VIRAMA &&
+      chars[index - 1] !== VIRAMA &&
+      isDevanagariConsonant(chars[index + 2])
+    ) {
+      replace(index, 2, "ं");
+    }
+
+    // Geminates only survive inside a cluster before व (तत्त्व, उज्ज्वल); र and ह never double.
+    if (isDevanagariConsonant(char) && next === VIRAMA && chars[index + 2] === char) {
+      replace(index, 2);
+    } else if (
+      isDevanagariConsonant(char) &&
+      next === VIRAMA &&
+      chars[index - 1] !== VIRAMA &&
+      chars[index + 2] === "व" &&
+      char !== "र" &&
+      char !== "ह"
+    ) {
+      replace(index, 0, char, VIRAMA);
+    }
+    if (ASPIRATE_DOUBLES[char] && index > 0 && chars[index - 1] !== VIRAMA && chars[index - 1] !== "ं") {
+      replace(index, 0, ASPIRATE_DOUBLES[char], VIRAMA);
+    }
+  });
+
+  return edits;
 }
 
-function devanagariToGujarati(value: string) {
-  return Array.from(value)
-    .map((char) => {
-      const code = char.codePointAt(0) || 0;
-      if ((code >= 0x0901 && code <= 0x0970) || (code >= 0x0966 && code <= 0x096f)) {
-        return String.fromCodePoint(code + DEVANAGARI_TO_GUJARATI_OFFSET);
+export function buildRomanSpellingCandidates(
+  word: string,
+  scheme: RomanSchemeSelection = "auto",
+  limit = 128
+): RomanSpellingCandidate[] {
+  const resolved = scheme === "auto" ? detectRomanScheme(word) : scheme;
+  const base = transliterateRoman(word, "devanagari", resolved);
+  if (!base) return [];
+
+  const candidates: RomanSpellingCandidate[] = [{ value: base, cost: 0 }];
+  if (resolved !== "phonetic") return candidates;
+
+  const seen = new Set([base]);
+  let frontier = [base];
+  for (let cost = 1; cost <= MAX_SPELLING_EDITS && frontier.length > 0; cost += 1) {
+    const nextFrontier: string[] = [];
+    for (const value of frontier) {
+      for (const edit of singleSpellingEdits(value)) {
+        if (seen.has(edit)) continue;
+        seen.add(edit);
+        candidates.push({ value: edit, cost });
+        nextFrontier.push(edit);
+        if (candidates.length >= limit) return candidates;
       }
-      return char;
-    })
-    .join("");
+    }
+    frontier = nextFrontier;
+  }
+
+  return candidates;
 }
 
-function gujaratiToDevanagari(value: string) {
-  return Array.from(value)
-    .map((char) => {
-      const code = char.codePointAt(0) || 0;
-      if ((code >= 0x0a81 && code <= 0x0af0) || (code >= 0x0ae6 && code <= 0x0aef)) {
-        return String.fromCodePoint(code - DEVANAGARI_TO_GUJARATI_OFFSET);
+export function romanSpellingKey(word: string, scheme: RomanScheme) {
+  const key = String(word || "").normalize("NFC").trim();
+  return SCHEMES[scheme].caseSensitive ? key : key.toLocaleLowerCase();
+}
+
+export function parseRomanScheme(raw: unknown): RomanSchemeSelection {
+  const value = String(raw ?? "").trim().toLowerCase();
+  const option = ROMAN_SCHEME_OPTIONS.find((candidate) => candidate.scheme === value);
+  return option ? option.scheme : "auto";
+}
+
+export function getRomanSchemeLabel(scheme: RomanSchemeSelection) {
+  return ROMAN_SCHEME_OPTIONS.find((option) => option.scheme === scheme)?.label ?? "Auto-detect";
+}
+
+export function detectRomanScheme(input: string): RomanScheme {
+  const value = String(input || "").normalize("NFC");
+  if (/̥|[ēōṁẏ]|k͟h/u.test(value)) return "iso15919";
+  if (/[āīūṛṝḷḹṅñṭḍṇśṣṃḥ]/u.test(value)) return "iast";
+  if (/~|\^|\.(?:n|m|N|a|D)|RR[iI]|LL[iI]|kSh|GY|JN/.test(value)) return "itrans";
+
+  const hasInnerCapitals = value
+    .split(/\s+/)
+    .some((word) => /[A-Za-z][A-Z]/.test(word) || /^[AIURMHGJTDNSL]$/.test(word));
+  if (!hasInnerCapitals) return /z/.test(value) ? "hk" : "phonetic";
+  return /sh|aa|ii|uu|w|x/.test(value) ? "itrans" : "hk";
+}
+
+export function transliterateRoman(input: string, script: ScriptName, scheme: RomanSchemeSelection = "auto") {
+  const resolved = scheme === "auto" ? detectRomanScheme(input) : scheme;
+  let value = String(input || "").normalize("NFC");
+  if (!SCHEMES[resolved].caseSensitive) value = value.toLocaleLowerCase();
+  if (resolved === "phonetic") value = value.replace(/[’']/g, "");
+
+  const devanagari = value
+    .split(/(\s+)/)
+    .map((part) => (/^\s+$/.test(part) ? part : transliterateWord(part, resolved)))
+    .join("")
+    .trim()
+    .normalize("NFC");
+  return devanagariToScript(devanagari, script);
+}
+
+const ROMAN_CONSONANT_OVERRIDES: Partial<Record<ConsonantKey, string>> = {
+  x: "ḵh",
+  ṛa: "ṛ",
+  ṛha: "ṛh",
+};
+
+const ASCII_CONSONANTS: Record<ConsonantKey, string> = {
+  k: "k",
+  kh: "kh",
+  g: "g",
+  gh: "gh",
+  ṅ: "n",
+  c: "ch",
+  ch: "chh",
+  j: "j",
+  jh: "jh",
+  ñ: "n",
+  ṭ: "t",
+  ṭh: "th",
+  ḍ: "d",
+  ḍh: "dh",
+  ṇ: "n",
+  t: "t",
+  th: "th",
+  d: "d",
+  dh: "dh",
+  n: "n",
+  p: "p",
+  ph: "ph",
+  b: "b",
+  bh: "bh",
+  m: "m",
+  y: "y",
+  r: "r",
+  l: "l",
+  v: "v",
+  ś: "sh",
+  ṣ: "sh",
+  s: "s",
+  h: "h",
+  ḻ: "l",
+  q: "q",
+  x: "kh",
+  ġ: "g",
+  z: "z",
+  f: "f",
+  ṛa: "r",
+  ṛha: "rh",
+  ẏ: "y",
+};
+
+const ASCII_VOWELS: Record<VowelKey, string> = {
+  a: "a",
+  ā: "a",
+  i: "i",
+  ī: "i",
+  u: "u",
+  ū: "u",
+  ṛ: "ri",
+  ṝ: "ri",
+  ḷ: "li",
+  ḹ: "li",
+  e: "e",
+  ai: "ai",
+  o: "o",
+  au: "au",
+};
+
+const GLYPH_TO_CONSONANT = new Map(
+  (Object.entries(CONSONANT_GLYPHS) as Array<[ConsonantKey, string]>).map(([key, glyph]) => [glyph.normalize("NFD"), key])
+);
+const INDEPENDENT_TO_VOWEL = new Map(
+  (Object.entries(VOWEL_GLYPHS) as Array<[VowelKey, { independent: string }]>).map(([key, glyphs]) => [glyphs.independent, key])
+);
+const MARK_TO_VOWEL = new Map(
+  (Object.entries(VOWEL_GLYPHS) as Array<[VowelKey, { mark: string }]>)
+    .filter(([, glyphs]) => glyphs.mark)
+    .map(([key, glyphs]) => [glyphs.mark, key])
+);
+const LABIAL_CONSONANTS = new Set<ConsonantKey>(["p", "ph", "b", "bh", "m"]);
+
+function readConsonant(chars: string[], index: number) {
+  if (chars[index + 1] === "़") {
+    const key = GLYPH_TO_CONSONANT.get(`${chars[index]}़`);
+    if (key) return { key, length: 2 };
+  }
+  const key = GLYPH_TO_CONSONANT.get(chars[index]);
+  return key ? { key, length: 1 } : null;
+}
+
+export function transliterateIndicToRoman(input: string, output: IndicRomanization = "iast") {
+  const chars = Array.from(foldGujaratiToDevanagari(String(input ?? "")).normalize("NFD"));
+  const ascii = output === "ascii";
+  const vowel = (key: VowelKey) => (ascii ? ASCII_VOWELS[key] : key);
+  let result = "";
+  let index = 0;
+
+  while (index < chars.length) {
+    const char = chars[index];
+    const consonant = readConsonant(chars, index);
+
+    if (consonant) {
+      result += ascii ? ASCII_CONSONANTS[consonant.key] : ROMAN_CONSONANT_OVERRIDES[consonant.key] ?? consonant.key;
+      index += consonant.length;
+      const next = chars[index];
+      if (next === VIRAMA) {
+        index += 1;
+      } else if (next && MARK_TO_VOWEL.has(next)) {
+        result += vowel(MARK_TO_VOWEL.get(next) as VowelKey);
+        index += 1;
+      } else {
+        result += vowel("a");
       }
-      return char;
-    })
-    .join("");
+      continue;
+    }
+
+    const independent = INDEPENDENT_TO_VOWEL.get(char);
+    if (independent) {
+      result += vowel(independent);
+    } else if (char === SIGN_GLYPHS.anusvara) {
+      const following = readConsonant(chars, index + 1);
+      result += !ascii ? "ṃ" : following && !LABIAL_CONSONANTS.has(following.key) ? "n" : "m";
+    } else if (char === SIGN_GLYPHS.visarga) {
+      result += ascii ? "h" : "ḥ";
+    } else if (char === SIGN_GLYPHS.chandrabindu) {
+      result += ascii ? "n" : "m̐";
+    } else if (char === SIGN_GLYPHS.avagraha) {
+      result += "'";
+    } else if (char === OM) {
+      result += ascii ? "om" : "oṃ";
+    } else if (char === "।") {
+      result += "|";
+    } else if (char === "॥") {
+      result += "||";
+    } else if (/[०-९]/.test(char)) {
+      result += String((char.codePointAt(0) || 0) - 0x0966);
+    } else if (char !== "़" && char !== VIRAMA) {
+      result += char;
+    }
+    index += 1;
+  }
+
+  return result.normalize("NFC");
+}
+
+export function slugifyGranthTitle(title: string) {
+  return transliterateIndicToRoman(title, "ascii")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/, "");
+}
+
+export function buildGranthViewerKey(granthKey: string, title?: string | null) {
+  const slug = slugifyGranthTitle(title ?? "");
+  return slug ? `${granthKey}--${slug}` : granthKey;
+}
+
+export function parseGranthViewerKey(value: string) {
+  return String(value ?? "").split("--")[0].trim();
+}
+
+export function transliteratePhonetic(input: string, script: ScriptName) {
+  return transliterateRoman(input, script, "phonetic");
+}
+
+function hasLatinLetters(value: string) {
+  return /[a-z]/i.test(value);
 }
 
 function addOption(options: IndicQueryOption[], option: IndicQueryOption) {
@@ -336,31 +997,50 @@ function addOption(options: IndicQueryOption[], option: IndicQueryOption) {
   options.push(option);
 }
 
-export function buildIndicQueryOptions(input: string): IndicQueryOption[] {
+function spellingFor(word: string, scheme: RomanScheme, spellings: RomanSpellingMap, rank: number) {
+  const ranked = spellings[romanSpellingKey(word, scheme)];
+  if (!ranked || ranked.length === 0) return null;
+  return ranked[Math.min(rank, ranked.length - 1)];
+}
+
+export function buildIndicQueryOptions(
+  input: string,
+  scheme: RomanSchemeSelection = "auto",
+  spellings: RomanSpellingMap = {}
+): IndicQueryOption[] {
   const trimmed = String(input || "").replace(/\s+/g, " ").trim();
   if (!trimmed) return [];
 
   const options: IndicQueryOption[] = [{ id: "typed", label: "Typed", value: trimmed }];
+  const termText = extractOCRQueryText(trimmed);
+
+  if (hasLatinLetters(termText)) {
+    const resolved = scheme === "auto" ? detectRomanScheme(termText) : scheme;
+    const words = termText.split(" ").filter(hasLatinLetters);
+    const spellingCount = Math.max(0, ...words.map((word) => spellings[romanSpellingKey(word, resolved)]?.length ?? 0));
+
+    for (let rank = 0; rank < Math.min(spellingCount, MAX_ROMAN_SPELLING_OPTIONS); rank += 1) {
+      addOption(options, {
+        id: `spelling-${rank + 1}`,
+        label: `Sanskrit / Gujarati spelling ${rank + 1}`,
+        value: rewriteOCRQueryTerms(trimmed, (term) =>
+          term
+            .split(" ")
+            .map((word) =>
+              hasLatinLetters(word)
+                ? spellingFor(word, resolved, spellings, rank) ?? transliterateRoman(word, "devanagari", resolved)
+                : word
+            )
+            .join(" ")
+        ),
+      });
+    }
 
-  if (hasLatinLetters(trimmed)) {
-    addOption(options, {
-      id: "devanagari",
-      label: "Sanskrit",
-      value: transliteratePhonetic(trimmed, "devanagari"),
-    });
     addOption(options, {
-      id: "gujarati",
-      label: "Gujarati",
-      value: transliteratePhonetic(trimmed, "gujarati"),
+      id: "indic",
+      label: `Sanskrit / Gujarati (${getRomanSchemeLabel(resolved)})`,
+      value: rewriteOCRQueryTerms(trimmed, (term) => transliterateRoman(term, "devanagari", resolved)),
     });
-    return options;
-  }
-
-  if (hasDevanagari(trimmed)) {
-    addOption(options, { id: "gujarati", label: "Gujarati", value: devanagariToGujarati(trimmed) });
-  }
-  if (hasGujarati(trimmed)) {
-    addOption(options, { id: "devanagari", label: "Sanskrit", value: gujaratiToDevanagari(trimmed) });
   }
 
   return options;
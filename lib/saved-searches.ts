@@ -0,0 +1,355 @@
+import { normalizeDownloadEmail, sendSavedSearchEmail, type SavedSearchEmailPage } from "@/lib/download-email";
+import {
+  getOCRSearchModeLabel,
+  isVerifiedOCRSearchMode,
+  matchesOCRSearchQueries,
+  minimumOCRSearchTermLength,
+  normalizeOCRSearchQueries,
+  parseOCRSearchMode,
+  type OCRSearchMode,
+} from "@/lib/ocr-search";
+import { OCRQuerySyntaxError, buildOCRFtsMatchQuery, parseOCRQuery, validateOCRQueryTerms } from "@/lib/ocr-query";
+import { getSupabaseAdmin } from "@/lib/supabase-server";
+import { OCR_REGEX_SEARCH_TIMEOUT_MS } from "@/lib/ocr-regex";
+import "@/lib/ocr-regex-sandbox";
+import { expandOCRWildcardTerms } from "@/lib/ocr-wildcard";
+import { getTursoClient } from "@/lib/turso";
+
+export const MAX_SAVED_SEARCHES_PER_CLIENT = 25;
+const SAVED_SEARCH_PAGE_BATCH = 1000;
+const VERIFIED_SAVED_SEARCH_PAGE_BATCH = 250;
+const MAX_SAVED_SEARCH_PAGES = 2000;
+const MAX_VERIFIED_SAVED_SEARCH_CANDIDATES = 5000;
+const MAX_EMAILED_PAGES = 25;
+const MAX_SAVED_GRANTHS = 250;
+
+export type SavedSearch = {
+  id: number;
+  email: string;
+  label: string;
+  queries: string[];
+  match_mode: OCRSearchMode;
+  granths: string[];
+  notified_page_count: number;
+  created_at: string;
+  last_checked_at: string | null;
+  last_notified_at: string | null;
+};
+
+export type SavedSearchInput = {
+  email: string;
+  label: string;
+  queries: string[];
+  matchMode: OCRSearchMode;
+  granths: string[];
+};
+
+export type SavedSearchCheckResult = {
+  id: number;
+  email: string;
+  matched_pages: number;
+  new_pages: number;
+  notified: boolean;
+  error?: string;
+};
+
+type SavedSearchRow = {
+  id: number;
+  client_key: string;
+  email: string;
+  label: string | null;
+  queries: string[] | null;
+  match_mode: string | null;
+  granths: string[] | null;
+  notified_pages: string[] | null;
+  created_at: string;
+  last_checked_at: string | null;
+  last_notified_at: string | null;
+};
+
+type SavedSearchPage = SavedSearchEmailPage & {
+  key: string;
+};
+
+export class SavedSearchError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function isMissingSavedSearchTable(message: string) {
+  return /saved_searches|schema cache|relation .* does not exist/i.test(message);
+}
+
+function tableError(message: string) {
+  if (isMissingSavedSearchTable(message)) {
+    return new SavedSearchError(
+      503,
+      "Saved searches are not available yet. Run supabase/migrations/20261018_saved_searches.sql."
+    );
+  }
+  return new SavedSearchError(500, message);
+}
+
+function toStringList(raw: unknown) {
+  const values = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : [];
+  return values.map((value) => String(value ?? "").trim()).filter(Boolean);
+}
+
+function toSavedSearch(row: SavedSearchRow): SavedSearch {
+  return {
+    id: Number(row.id),
+    email: String(row.email || ""),
+    label: String(row.label || ""),
+    queries: row.queries ?? [],
+    match_mode: parseOCRSearchMode(row.match_mode),
+    granths: row.granths ?? [],
+    notified_page_count: (row.notified_pages ?? []).length,
+    created_at: row.created_at,
+    last_checked_at: row.last_checked_at,
+    last_notified_at: row.last_notified_at,
+  };
+}
+
+function buildFtsMatchQueries(
+  queries: string[],
+  matchMode: OCRSearchMode,
+  wildcardExpansions?: Map<string, string[]>
+) {
+  return queries.map((query) => {
+    if (matchMode === "regex") return buildOCRFtsMatchQuery(query, matchMode);
+    const node = parseOCRQuery(query);
+    validateOCRQueryTerms(node, 2);
+    if (minimumOCRSearchTermLength(matchMode) > 2) {
+      validateOCRQueryTerms(node, minimumOCRSearchTermLength(matchMode), `${getOCRSearchModeLabel(matchMode)} search term`);
+    }
+    return buildOCRFtsMatchQuery(node, matchMode, wildcardExpansions);
+  });
+}
+
+export function parseSavedSearchInput(body: Record<string, unknown>): SavedSearchInput {
+  const email = normalizeDownloadEmail(body.email);
+  const matchMode = parseOCRSearchMode(body.matchMode);
+  const rawQueries = toStringList(body.queries);
+  const queries = normalizeOCRSearchQueries(rawQueries[0] ?? "", rawQueries.slice(1))
+    .filter((query) => Array.from(query).length >= 2)
+    .slice(0, 8);
+  if (queries.length === 0) throw new SavedSearchError(400, "Enter a search word before saving the search.");
+
+  try {
+    buildFtsMatchQueries(queries, matchMode);
+  } catch (error) {
+    if (error instanceof OCRQuerySyntaxError) throw new SavedSearchError(400, error.message);
+    throw error;
+  }
+
+  const label = String(body.label || "").replace(/\s+/g, " ").trim().slice(0, 140) || queries[0];
+  return { email, label, queries, matchMode, granths: toStringList(body.granths).slice(0, MAX_SAVED_GRANTHS) };
+}
+
+async function fetchRelPathsForCustomIds(customIds: string[]) {
+  if (customIds.length === 0) return [];
+  const { data, error } = await getSupabaseAdmin()
+    .from("documents")
+    .select("original_relative_path")
+    .in("custom_id", customIds);
+  if (error) throw new Error(error.message);
+  return (data ?? []).map((row) => String(row.original_relative_path ?? "").trim()).filter(Boolean);
+}
+
+export async function findSavedSearchPages(search: Pick<SavedSearch, "queries" | "match_mode" | "granths">) {
+  const relPaths = await fetchRelPathsForCustomIds(search.granths);
+  if (search.granths.length > 0 && relPaths.length === 0) return [];
+
+  const matchMode = search.match_mode;
+  const wildcardExpansions =
+    matchMode === "wildcard" ? await expandOCRWildcardTerms(getTursoClient(), search.queries) : undefined;
+  const ftsMatchQueries = buildFtsMatchQueries(search.queries, matchMode, wildcardExpansions);
+  const ftsTable =
+    matchMode === "contains" || matchMode === "fuzzy" || matchMode === "regex" || matchMode === "wildcard"
+      ? "ocr_pages_trigram_fts"
+      : matchMode === "ends_with"
+        ? "ocr_pages_suffix_fts"
+        : matchMode === "sandhi"
+          ? "ocr_pages_sandhi_fts"
+          : matchMode === "same_root"
+            ? "ocr_pages_stem_fts"
+            : "ocr_pages_search_fts";
+  const relFilterSql = relPaths.length ? ` AND g.source_rel_path IN (${relPaths.map(() => "?").join(",")})` : "";
+  const verified = isVerifiedOCRSearchMode(matchMode);
+
+  const client = getTursoClient();
+  const matchQuery = ftsMatchQueries.map((ftsMatchQuery) => `(${ftsMatchQuery})`).join(" OR ");
+  const batchSize = verified ? VERIFIED_SAVED_SEARCH_PAGE_BATCH : SAVED_SEARCH_PAGE_BATCH;
+  const pages: Array<SavedSearchPage & { granthKey: string }> = [];
+  const verifyDeadline = matchMode === "regex" ? Date.now() + OCR_REGEX_SEARCH_TIMEOUT_MS : Number.POSITIVE_INFINITY;
+  const tooBroad = () =>
+    new SavedSearchError(
+      400,
+      `This search matches more than ${MAX_SAVED_SEARCH_PAGES} pages. Add words or choose granths to narrow it before saving.`
+    );
+  let afterPageId = 0;
+  let scanned = 0;
+
+  for (;;) {
+    const result = await client.execute({
+      sql: `SELECT
+              p.id AS page_id,
+              p.granth_key,
+              g.granth_name,
+              p.page_number${verified ? ",\n              p.content" : ""}
+            FROM ${ftsTable}
+            JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
+            JOIN ocr_granths g ON g.granth_key = p.granth_key
+            WHERE ${ftsTable} MATCH ? AND ${ftsTable}.rowid > ?${relFilterSql}
+            ORDER BY ${ftsTable}.rowid ASC
+            LIMIT ?`,
+      args: [matchQuery, afterPageId, ...relPaths, batchSize],
+    });
+
+    scanned += result.rows.length;
+    if (verified && scanned > MAX_VERIFIED_SAVED_SEARCH_CANDIDATES) throw tooBroad();
+    for (const row of result.rows) {
+      if (Date.now() > verifyDeadline) {
+        throw new SavedSearchError(400, "This regex takes too long to check. Make the pattern more specific before saving.");
+      }
+      if (verified && !matchesOCRSearchQueries(String(row.content ?? ""), search.queries, matchMode)) continue;
+      const granthKey = String(row.granth_key ?? "");
+      const pageNumber = Number(row.page_number ?? 0);
+      pages.push({ key: `${granthKey}:${pageNumber}`, granthKey, granthName: String(row.granth_name || granthKey), pageNumber });
+      if (pages.length > MAX_SAVED_SEARCH_PAGES) throw tooBroad();
+    }
+    if (result.rows.length < batchSize) break;
+    afterPageId = Number(result.rows[result.rows.length - 1].page_id);
+  }
+
+  return pages
+    .sort((a, b) => a.granthKey.localeCompare(b.granthKey) || a.pageNumber - b.pageNumber)
+    .map(({ key, granthName, pageNumber }) => ({ key, granthName, pageNumber }));
+}
+
+export async function listSavedSearches(clientKey: string) {
+  const { data, error } = await getSupabaseAdmin()
+    .from("saved_searches")
+    .select("*")
+    .eq("client_key", clientKey)
+    .order("created_at", { ascending: false })
+    .limit(MAX_SAVED_SEARCHES_PER_CLIENT);
+  if (error) throw tableError(error.message);
+  return ((data ?? []) as SavedSearchRow[]).map(toSavedSearch);
+}
+
+export async function createSavedSearch(clientKey: string, input: SavedSearchInput) {
+  const existing = await listSavedSearches(clientKey);
+  if (existing.length >= MAX_SAVED_SEARCHES_PER_CLIENT) {
+    throw new SavedSearchError(409, `You can keep up to ${MAX_SAVED_SEARCHES_PER_CLIENT} saved searches. Remove one first.`);
+  }
+
+  const currentPages = await findSavedSearchPages({
+    queries: input.queries,
+    match_mode: input.matchMode,
+    granths: input.granths,
+  });
+  const now = new Date().toISOString();
+  const { data, error } = await getSupabaseAdmin()
+    .from("saved_searches")
+    .insert({
+      client_key: clientKey,
+      email: input.email,
+      label: input.label,
+      queries: input.queries,
+      match_mode: input.matchMode,
+      granths: input.granths,
+      notified_pages: currentPages.map((page) => page.key),
+      last_checked_at: now,
+    })
+    .select("*")
+    .single();
+  if (error) throw tableError(error.message);
+  return toSavedSearch(data as SavedSearchRow);
+}
+
+export async function deleteSavedSearch(clientKey: string, id: number) {
+  const { data, error } = await getSupabaseAdmin()
+    .from("saved_searches")
+    .delete()
+    .eq("client_key", clientKey)
+    .eq("id", id)
+    .select("id");
+  if (error) throw tableError(error.message);
+  if (!data || data.length === 0) throw new SavedSearchError(404, "Saved search not found.");
+}
+
+export function buildSavedSearchUrl(baseUrl: string, search: Pick<SavedSearch, "queries" | "match_mode" | "granths">) {
+  const params = new URLSearchParams();
+  params.set("q", search.queries[0] ?? "");
+  for (const queryVariant of search.queries.slice(1)) params.append("queryVariant", queryVariant);
+  params.set("matchMode", search.match_mode);
+  for (const customId of search.granths) params.append("customId", customId);
+  return `${baseUrl.replace(/\/+$/, "")}/search?${params.toString()}`;
+}
+
+export async function checkSavedSearches(options: { baseUrl: string; limit?: number; dryRun?: boolean }) {
+  const { data, error } = await getSupabaseAdmin()
+    .from("saved_searches")
+    .select("*")
+    .order("last_checked_at", { ascending: true, nullsFirst: true })
+    .limit(Math.max(1, Math.min(Math.floor(options.limit ?? 100), 500)));
+  if (error) throw tableError(error.message);
+
+  const results: SavedSearchCheckResult[] = [];
+  for (const row of (data ?? []) as SavedSearchRow[]) {
+    const search = toSavedSearch(row);
+    try {
+      const currentPages = await findSavedSearchPages(search);
+      const notified = new Set(row.notified_pages ?? []);
+      const newPages = currentPages.filter((page) => !notified.has(page.key));
+      const now = new Date().toISOString();
+
+      if (!options.dryRun && newPages.length > 0) {
+        await sendSavedSearchEmail({
+          to: search.email,
+          savedSearchId: search.id,
+          label: search.label,
+          pages: newPages.slice(0, MAX_EMAILED_PAGES),
+          totalNew: newPages.length,
+          searchUrl: buildSavedSearchUrl(options.baseUrl, search),
+        });
+      }
+
+      if (!options.dryRun) {
+        const { error: updateError } = await getSupabaseAdmin()
+          .from("saved_searches")
+          .update({
+            notified_pages: currentPages.map((page) => page.key),
+            last_checked_at: now,
+            ...(newPages.length > 0 ? { last_notified_at: now } : {}),
+          })
+          .eq("id", search.id);
+        if (updateError) throw new Error(updateError.message);
+      }
+
+      results.push({
+        id: search.id,
+        email: search.email,
+        matched_pages: currentPages.length,
+        new_pages: newPages.length,
+        notified: !options.dryRun && newPages.length > 0,
+      });
+    } catch (checkError) {
+      results.push({
+        id: search.id,
+        email: search.email,
+        matched_pages: 0,
+        new_pages: 0,
+        notified: false,
+        error: checkError instanceof Error ? checkError.message : String(checkError),
+      });
+    }
+  }
+
+  return results;
+}
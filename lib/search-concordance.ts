@@ -0,0 +1,269 @@
+import { formatGathaCitation } from "@/lib/granth-mapping";
+import { lookupPageGathas } from "@/lib/granth-resolver";
+import {
+  findOCRSearchMatchesForQueries,
+  isVerifiedOCRSearchMode,
+  matchesOCRSearchQueries,
+  type OCRSearchMode,
+  type SearchMatch,
+} from "@/lib/ocr-search";
+import { buildOCRFtsMatchQuery } from "@/lib/ocr-query";
+import { OCR_REGEX_SEARCH_TIMEOUT_MS } from "@/lib/ocr-regex";
+import { getSupabaseAdmin } from "@/lib/supabase-server";
+import "@/lib/ocr-regex-sandbox";
+import { expandOCRWildcardTerms } from "@/lib/ocr-wildcard";
+import { getTursoClient } from "@/lib/turso";
+
+export const DEFAULT_CONCORDANCE_CONTEXT_CHARS = 60;
+export const MAX_CONCORDANCE_CONTEXT_CHARS = 300;
+export const MAX_CONCORDANCE_ROWS = 250000;
+const PAGE_BATCH_SIZE = 200;
+const MARK_PATTERN = /\p{M}/u;
+const VIRAMA_PATTERN = /[्્]/u;
+
+export const CONCORDANCE_COLUMNS = [
+  "granth",
+  "page",
+  "gatha",
+  "left_context",
+  "match",
+  "right_context",
+  "query",
+  "source_rel_path",
+] as const;
+
+export type ConcordanceRow = {
+  granth: string;
+  page: number;
+  gatha: string;
+  left_context: string;
+  match: string;
+  right_context: string;
+  query: string;
+  source_rel_path: string;
+};
+
+export type ConcordanceSummary = {
+  truncatedBy: "rows" | "regex_timeout" | null;
+};
+
+export type ConcordanceOptions = {
+  queries: string[];
+  matchMode: OCRSearchMode;
+  granths: string[];
+  contextChars?: number;
+  maxRows?: number;
+};
+
+type ConcordancePageRow = {
+  id: number;
+  granth_name: string;
+  source_rel_path: string;
+  page_number: number;
+  content: string;
+};
+
+function ftsTableFor(matchMode: OCRSearchMode) {
+  if (matchMode === "contains" || matchMode === "fuzzy" || matchMode === "regex" || matchMode === "wildcard") {
+    return "ocr_pages_trigram_fts";
+  }
+  if (matchMode === "ends_with") return "ocr_pages_suffix_fts";
+  if (matchMode === "sandhi") return "ocr_pages_sandhi_fts";
+  if (matchMode === "same_root") return "ocr_pages_stem_fts";
+  return "ocr_pages_search_fts";
+}
+
+function flattenContext(value: string) {
+  return value.replace(/\s+/g, " ");
+}
+
+function leftContext(content: string, start: number, chars: number) {
+  let from = Math.max(0, start - chars);
+  while (from > 0 && (MARK_PATTERN.test(content[from]) || VIRAMA_PATTERN.test(content[from - 1]))) from -= 1;
+  return flattenContext(content.slice(from, start));
+}
+
+function rightContext(content: string, end: number, chars: number) {
+  let to = Math.min(content.length, end + chars);
+  while (to < content.length && (MARK_PATTERN.test(content[to]) || VIRAMA_PATTERN.test(content[to - 1]))) to += 1;
+  return flattenContext(content.slice(end, to));
+}
+
+export function normalizeConcordanceContextChars(raw: unknown) {
+  const value = Number(raw ?? DEFAULT_CONCORDANCE_CONTEXT_CHARS);
+  if (!Number.isFinite(value) || value < 0) return DEFAULT_CONCORDANCE_CONTEXT_CHARS;
+  return Math.min(Math.floor(value), MAX_CONCORDANCE_CONTEXT_CHARS);
+}
+
+async function fetchRelPathsForCustomIds(customIds: string[]) {
+  if (customIds.length === 0) return [];
+  const { data, error } = await getSupabaseAdmin()
+    .from("documents")
+    .select("custom_id,original_relative_path")
+    .in("custom_id", customIds);
+  if (error) throw new Error(error.message);
+  return (data ?? []).map((row) => String(row.original_relative_path ?? "").trim()).filter(Boolean);
+}
+
+async function fetchCustomIdsForRelPaths(relPaths: string[]) {
+  const byRelPath = new Map<string, string>();
+  if (relPaths.length === 0) return byRelPath;
+  const { data, error } = await getSupabaseAdmin()
+    .from("documents")
+    .select("custom_id,original_relative_path")
+    .in("original_relative_path", relPaths);
+  if (error) throw new Error(error.message);
+  for (const row of data ?? []) {
+    const relPath = String(row.original_relative_path ?? "").trim();
+    const customId = String(row.custom_id ?? "").trim();
+    if (relPath && customId) byRelPath.set(relPath, customId);
+  }
+  return byRelPath;
+}
+
+async function buildGathaLabels(pages: ConcordancePageRow[], customIdByRelPath: Map<string, string | null>) {
+  const unknownRelPaths = Array.from(new Set(pages.map((page) => page.source_rel_path))).filter(
+    (relPath) => !customIdByRelPath.has(relPath)
+  );
+  if (unknownRelPaths.length > 0) {
+    const found = await fetchCustomIdsForRelPaths(unknownRelPaths).catch(() => new Map<string, string>());
+    for (const relPath of unknownRelPaths) customIdByRelPath.set(relPath, found.get(relPath) ?? null);
+  }
+
+  const pagesByCustomId = new Map<string, number[]>();
+  for (const page of pages) {
+    const customId = customIdByRelPath.get(page.source_rel_path);
+    if (!customId) continue;
+    pagesByCustomId.set(customId, [...(pagesByCustomId.get(customId) ?? []), page.page_number]);
+  }
+
+  const labels = new Map<string, string>();
+  for (const [customId, pageNumbers] of pagesByCustomId.entries()) {
+    try {
+      for (const entry of await lookupPageGathas({ customId }, pageNumbers)) {
+        if (entry.gathas.length > 0) labels.set(`${customId}:${entry.page}`, formatGathaCitation(entry.gathas));
+      }
+    } catch {
+      for (const [relPath, mappedId] of customIdByRelPath.entries()) {
+        if (mappedId === customId) customIdByRelPath.set(relPath, null);
+      }
+    }
+  }
+
+  return (page: ConcordancePageRow) => {
+    const customId = customIdByRelPath.get(page.source_rel_path);
+    return customId ? labels.get(`${customId}:${page.page_number}`) ?? "" : "";
+  };
+}
+
+export async function* iterateConcordanceRows(
+  options: ConcordanceOptions
+): AsyncGenerator<ConcordanceRow, ConcordanceSummary> {
+  const { queries, matchMode } = options;
+  const contextChars = options.contextChars ?? DEFAULT_CONCORDANCE_CONTEXT_CHARS;
+  const maxRows = Math.min(options.maxRows ?? MAX_CONCORDANCE_ROWS, MAX_CONCORDANCE_ROWS);
+  const relPaths = await fetchRelPathsForCustomIds(options.granths);
+  if (options.granths.length > 0 && relPaths.length === 0) return { truncatedBy: null };
+
+  const table = ftsTableFor(matchMode);
+  const verified = isVerifiedOCRSearchMode(matchMode);
+  const relFilterSql = relPaths.length ? ` AND g.source_rel_path IN (${relPaths.map(() => "?").join(",")})` : "";
+  const hitSql = queries
+    .map(
+      () => `SELECT p.id AS page_id
+             FROM ${table}
+             JOIN ocr_pages p ON p.id = ${table}.rowid
+             JOIN ocr_granths g ON g.granth_key = p.granth_key
+             WHERE ${table} MATCH ?${relFilterSql} AND ${table}.rowid > ?`
+    )
+    .join(" UNION ALL ");
+  const client = getTursoClient();
+  const wildcardExpansions = matchMode === "wildcard" ? await expandOCRWildcardTerms(client, queries) : undefined;
+  const matchQueries = queries.map((query) => buildOCRFtsMatchQuery(query, matchMode, wildcardExpansions));
+  const customIdByRelPath = new Map<string, string | null>();
+  let lastPageId = 0;
+  let emitted = 0;
+  // Only time spent running the regex counts, so a slow download does not cut the export short.
+  const regexBudgetMs = matchMode === "regex" ? OCR_REGEX_SEARCH_TIMEOUT_MS : Number.POSITIVE_INFINITY;
+  let regexMs = 0;
+  const timed = <T>(work: () => T) => {
+    const started = Date.now();
+    try {
+      return work();
+    } finally {
+      regexMs += Date.now() - started;
+    }
+  };
+
+  while (emitted < maxRows) {
+    const result = await client.execute({
+      sql: `WITH hits AS (${hitSql}),
+              unique_hits AS (
+                SELECT page_id
+                FROM hits
+                GROUP BY page_id
+                ORDER BY page_id ASC
+                LIMIT ?
+              )
+            SELECT
+              p.id,
+              g.granth_name,
+              g.source_rel_path,
+              p.page_number,
+              p.content
+            FROM unique_hits
+            JOIN ocr_pages p ON p.id = unique_hits.page_id
+            JOIN ocr_granths g ON g.granth_key = p.granth_key
+            ORDER BY p.id ASC`,
+      args: [...matchQueries.flatMap((matchQuery) => [matchQuery, ...relPaths, lastPageId]), PAGE_BATCH_SIZE],
+    });
+    if (result.rows.length === 0) return { truncatedBy: null };
+
+    const pages: ConcordancePageRow[] = result.rows.map((row) => ({
+      id: Number(row.id ?? 0),
+      granth_name: String(row.granth_name ?? ""),
+      source_rel_path: String(row.source_rel_path ?? ""),
+      page_number: Number(row.page_number ?? 0),
+      content: String(row.content ?? ""),
+    }));
+    lastPageId = pages[pages.length - 1].id;
+
+    let timedOut = false;
+    const matchingPages: Array<ConcordancePageRow & { matches: SearchMatch[] }> = [];
+    for (const page of pages) {
+      if (regexMs > regexBudgetMs) {
+        timedOut = true;
+        break;
+      }
+      const matches = timed(() =>
+        !verified || matchesOCRSearchQueries(page.content, queries, matchMode)
+          ? findOCRSearchMatchesForQueries(page.content, queries, matchMode)
+          : []
+      );
+      if (matches.length > 0) matchingPages.push({ ...page, matches });
+    }
+    const gathaLabelFor = await buildGathaLabels(matchingPages, customIdByRelPath);
+
+    for (const page of matchingPages) {
+      const gatha = gathaLabelFor(page);
+      for (const match of page.matches) {
+        yield {
+          granth: page.granth_name,
+          page: page.page_number,
+          gatha,
+          left_context: leftContext(page.content, match.start, contextChars),
+          match: flattenContext(match.text),
+          right_context: rightContext(page.content, match.end, contextChars),
+          query: match.query ?? "",
+          source_rel_path: page.source_rel_path,
+        };
+        emitted += 1;
+        if (emitted >= maxRows) return { truncatedBy: "rows" };
+      }
+    }
+
+    if (timedOut) return { truncatedBy: "regex_timeout" };
+    if (result.rows.length < PAGE_BATCH_SIZE) return { truncatedBy: null };
+  }
+  return { truncatedBy: "rows" };
+}
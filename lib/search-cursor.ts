@@ -0,0 +1,67 @@
+import { createHash } from "node:crypto";
+
+const SEARCH_CURSOR_VERSION = 2;
+const CURSOR_IGNORED_PARAMS = new Set(["cursor", "page", "limit", "format"]);
+
+export const SEARCH_CURSOR_START = "start";
+
+export type SearchCursor = {
+  afterPageId: number;
+  total: number;
+  totalIsExact: boolean;
+};
+
+type EncodedSearchCursor = {
+  v: number;
+  f: string;
+  a: number;
+  t: number;
+  x: boolean;
+};
+
+export class SearchCursorError extends Error {
+  constructor(message: string) {
+    super(message);
+  }
+}
+
+export function buildSearchCursorFingerprint(query: Record<string, string | string[] | undefined>) {
+  const entries = Object.entries(query)
+    .filter(([key, value]) => !CURSOR_IGNORED_PARAMS.has(key) && value != null)
+    .map(([key, value]) => [key, Array.isArray(value) ? value : [value]] as const)
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  return createHash("sha256").update(JSON.stringify(entries)).digest("base64url").slice(0, 22);
+}
+
+export function encodeSearchCursor(fingerprint: string, cursor: SearchCursor) {
+  const payload: EncodedSearchCursor = {
+    v: SEARCH_CURSOR_VERSION,
+    f: fingerprint,
+    a: cursor.afterPageId,
+    t: cursor.total,
+    x: cursor.totalIsExact,
+  };
+  return Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+}
+
+export function decodeSearchCursor(raw: string, fingerprint: string): SearchCursor {
+  let payload: EncodedSearchCursor;
+  try {
+    payload = JSON.parse(Buffer.from(raw, "base64url").toString("utf8")) as EncodedSearchCursor;
+  } catch {
+    throw new SearchCursorError("The cursor is not valid. Start again without a cursor.");
+  }
+
+  if (
+    payload?.v !== SEARCH_CURSOR_VERSION ||
+    !Number.isSafeInteger(payload.a) ||
+    payload.a < 0 ||
+    typeof payload.t !== "number"
+  ) {
+    throw new SearchCursorError("The cursor is not valid. Start again without a cursor.");
+  }
+  if (payload.f !== fingerprint) {
+    throw new SearchCursorError("The cursor belongs to a different search. Start again without a cursor.");
+  }
+  return { afterPageId: payload.a, total: payload.t, totalIsExact: payload.x === true };
+}
@@ -0,0 +1,164 @@
+import type { Client } from "@libsql/client";
+import { buildOCRFuzzyVariants, ocrEditDistance, ocrFuzzyDistanceLimit } from "@/lib/ocr-fuzzy";
+import { foldDevanagariToGujarati, normalizeOCRText } from "@/lib/ocr-normalize";
+import { extractOCRQueryText, rewriteOCRQueryTerms } from "@/lib/ocr-query";
+
+const MAX_SUGGESTIONS = 5;
+const MAX_CANDIDATES_PER_WORD = 3;
+const MAX_PREFIXES_PER_WORD = 6;
+const MAX_SCANNED_TERMS_PER_PREFIX = 4000;
+const MAX_MISSING_WORDS = 6;
+
+export type DidYouMeanReplacement = {
+  from: string;
+  to: string;
+  pages: number;
+  distance: number;
+};
+
+export type DidYouMeanSuggestion = {
+  query: string;
+  suggestion: string;
+  replacements: DidYouMeanReplacement[];
+  distance: number;
+  hits: number;
+};
+
+type VocabCandidate = {
+  term: string;
+  pages: number;
+  distance: number;
+};
+
+function wordsForQuery(query: string) {
+  return Array.from(
+    new Set(
+      extractOCRQueryText(query)
+        .split(" ")
+        .map((word) => normalizeOCRText(word))
+        .filter((word) => /\p{L}/u.test(word) && Array.from(word).length >= 2)
+    )
+  );
+}
+
+function isGujaratiText(value: string) {
+  return /[઀-૿]/u.test(value);
+}
+
+async function fetchVocabPages(client: Client, terms: string[]) {
+  if (terms.length === 0) return new Map<string, number>();
+  const result = await client.execute({
+    sql: `SELECT term, doc FROM ocr_pages_search_vocab WHERE term IN (${terms.map(() => "?").join(", ")})`,
+    args: terms,
+  });
+  return new Map(result.rows.map((row) => [String(row.term), Number(row.doc ?? 0)]));
+}
+
+function candidatePrefixes(word: string) {
+  const prefixes = new Set<string>();
+  for (const variant of buildOCRFuzzyVariants(word)) {
+    const prefix = Array.from(variant).slice(0, 2).join("");
+    if (prefix) prefixes.add(prefix);
+    if (prefixes.size >= MAX_PREFIXES_PER_WORD) break;
+  }
+  return [...prefixes];
+}
+
+async function findVocabCandidates(client: Client, word: string) {
+  const length = Array.from(word).length;
+  const maxDistance = ocrFuzzyDistanceLimit(word) + 0.5;
+  const candidates = new Map<string, VocabCandidate>();
+
+  for (const prefix of candidatePrefixes(word)) {
+    const result = await client.execute({
+      sql: `SELECT term, doc
+            FROM ocr_pages_search_vocab
+            WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ?
+            LIMIT ?`,
+      args: [
+        prefix,
+        `${prefix}\u{10ffff}`,
+        Math.max(1, length - Math.ceil(maxDistance * 2)),
+        length + Math.ceil(maxDistance * 2),
+        MAX_SCANNED_TERMS_PER_PREFIX,
+      ],
+    });
+
+    for (const row of result.rows) {
+      const term = String(row.term ?? "");
+      if (!term || term === word || candidates.has(term)) continue;
+      const distance = ocrEditDistance(word, term, maxDistance);
+      if (distance > maxDistance) continue;
+      candidates.set(term, { term, pages: Number(row.doc ?? 0), distance });
+    }
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => a.distance - b.distance || b.pages - a.pages || a.term.localeCompare(b.term))
+    .slice(0, MAX_CANDIDATES_PER_WORD);
+}
+
+function rewriteQueryWords(query: string, replacements: Map<string, string>) {
+  return rewriteOCRQueryTerms(query, (text) =>
+    text
+      .split(" ")
+      .map((word) => {
+        const replacement = replacements.get(normalizeOCRText(word));
+        if (!replacement) return word;
+        return isGujaratiText(word) ? foldDevanagariToGujarati(replacement) : replacement;
+      })
+      .join(" ")
+  );
+}
+
+export async function findDidYouMeanSuggestions(
+  client: Client,
+  queries: string[],
+  countHits: (query: string) => Promise<number>,
+  limit = MAX_SUGGESTIONS
+): Promise<DidYouMeanSuggestion[]> {
+  const wordsByQuery = new Map(queries.map((query) => [query, wordsForQuery(query)]));
+  const allWords = Array.from(new Set([...wordsByQuery.values()].flat()));
+  const knownPages = await fetchVocabPages(client, allWords);
+  const missingWords = allWords.filter((word) => (knownPages.get(word) ?? 0) === 0).slice(0, MAX_MISSING_WORDS);
+  if (missingWords.length === 0) return [];
+
+  const candidatesByWord = new Map<string, VocabCandidate[]>();
+  for (const word of missingWords) {
+    const candidates = await findVocabCandidates(client, word);
+    if (candidates.length > 0) candidatesByWord.set(word, candidates);
+  }
+  if (candidatesByWord.size === 0) return [];
+
+  const suggestions = new Map<string, DidYouMeanSuggestion>();
+  for (const [query, words] of wordsByQuery.entries()) {
+    const fixable = words.filter((word) => candidatesByWord.has(word));
+    if (fixable.length === 0) continue;
+
+    for (let rank = 0; rank < MAX_CANDIDATES_PER_WORD; rank += 1) {
+      const chosen = fixable.map((word) => {
+        const candidates = candidatesByWord.get(word) ?? [];
+        return { word, candidate: candidates[Math.min(rank, candidates.length - 1)] };
+      });
+      const suggestion = rewriteQueryWords(query, new Map(chosen.map(({ word, candidate }) => [word, candidate.term])));
+      if (suggestion === query || suggestions.has(suggestion)) continue;
+
+      const hits = await countHits(suggestion);
+      if (hits <= 0) continue;
+      suggestions.set(suggestion, {
+        query,
+        suggestion,
+        replacements: chosen.map(({ word, candidate }) => ({
+          from: word,
+          to: candidate.term,
+          pages: candidate.pages,
+          distance: candidate.distance,
+        })),
+        distance: chosen.reduce((sum, { candidate }) => sum + candidate.distance, 0),
+        hits,
+      });
+    }
+  }
+
+  return [...suggestions.values()].sort((a, b) => a.distance - b.distance || b.hits - a.hits).slice(0, limit);
+}
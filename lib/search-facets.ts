@@ -0,0 +1,224 @@
+import {
+  READY_DOCUMENT_STATUSES,
+  REVIEW_DOCUMENT_STATUSES,
+  buildRemainingStatusFilter,
+  getDocumentScanLabel,
+  getDocumentScanState,
+  type DocumentScanState,
+} from "@/lib/document-scan-state";
+import { getSupabaseAdmin } from "@/lib/supabase-server";
+
+export type SearchFacetBucket = {
+  value: string;
+  label: string;
+  count: number;
+};
+
+export type SearchFacets = {
+  granths: SearchFacetBucket[];
+  collections: SearchFacetBucket[];
+  subcollections: SearchFacetBucket[];
+  scan_states: SearchFacetBucket[];
+};
+
+export type SearchFacetFilters = {
+  granth: string;
+  collection: string;
+  subcollection: string;
+  scanState: DocumentScanState | "";
+};
+
+export type SearchFacetHitCount = {
+  granth_key: string;
+  source_rel_path: string;
+  granth_name: string;
+  hit_count: number;
+};
+
+type FacetDocumentRow = {
+  custom_id: string | null;
+  original_relative_path: string | null;
+  pdf_name: string | null;
+  status: string | null;
+};
+
+type FacetSourceRow = {
+  original_rel_path: string | null;
+  collection: string | null;
+  subcollection: string | null;
+};
+
+const REL_PATH_CHUNK_SIZE = 150;
+const FILTER_PAGE_SIZE = 1000;
+const MAX_GRANTH_BUCKETS = 30;
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return String((Array.isArray(raw) ? raw[0] : raw) ?? "").trim();
+}
+
+function chunk<T>(values: T[], size: number) {
+  const chunks: T[][] = [];
+  for (let index = 0; index < values.length; index += size) chunks.push(values.slice(index, index + size));
+  return chunks;
+}
+
+function displayName(pdfName: string | null | undefined, fallback: string) {
+  const raw = pdfName && pdfName.trim() ? pdfName : fallback;
+  return raw.replace(/\s+OCR\.pdf$/i, "").replace(/\.pdf$/i, "");
+}
+
+function parseScanState(raw: string): DocumentScanState | "" {
+  return raw === "ready" || raw === "review" || raw === "remaining" ? raw : "";
+}
+
+export function emptySearchFacets(): SearchFacets {
+  return { granths: [], collections: [], subcollections: [], scan_states: [] };
+}
+
+export function parseSearchFacetFilters(query: Record<string, string | string[] | undefined>): SearchFacetFilters {
+  return {
+    granth: firstQueryValue(query.facetGranth),
+    collection: firstQueryValue(query.collection),
+    subcollection: firstQueryValue(query.subcollection),
+    scanState: parseScanState(firstQueryValue(query.scanState)),
+  };
+}
+
+export function hasSearchFacetRelPathFilters(filters: SearchFacetFilters) {
+  return Boolean(filters.collection || filters.subcollection || filters.scanState);
+}
+
+async function fetchSourceRelPathsForCollection(filters: SearchFacetFilters) {
+  const relPaths = new Set<string>();
+  for (let from = 0; ; from += FILTER_PAGE_SIZE) {
+    let query = getSupabaseAdmin()
+      .from("granth_ocr_files")
+      .select("original_rel_path")
+      .not("original_rel_path", "is", null)
+      .range(from, from + FILTER_PAGE_SIZE - 1);
+    if (filters.collection) query = query.eq("collection", filters.collection);
+    if (filters.subcollection) query = query.eq("subcollection", filters.subcollection);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    for (const row of data ?? []) relPaths.add(String(row.original_rel_path ?? "").trim());
+    if (!data || data.length < FILTER_PAGE_SIZE) break;
+  }
+  relPaths.delete("");
+  return relPaths;
+}
+
+async function fetchDocumentRelPathsForScanState(scanState: DocumentScanState) {
+  const relPaths = new Set<string>();
+  for (let from = 0; ; from += FILTER_PAGE_SIZE) {
+    let query = getSupabaseAdmin()
+      .from("documents")
+      .select("original_relative_path")
+      .not("original_relative_path", "is", null)
+      .range(from, from + FILTER_PAGE_SIZE - 1);
+    if (scanState === "ready") query = query.in("status", [...READY_DOCUMENT_STATUSES]);
+    else if (scanState === "review") query = query.in("status", [...REVIEW_DOCUMENT_STATUSES]);
+    else query = query.or(buildRemainingStatusFilter());
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    for (const row of data ?? []) relPaths.add(String(row.original_relative_path ?? "").trim());
+    if (!data || data.length < FILTER_PAGE_SIZE) break;
+  }
+  relPaths.delete("");
+  return relPaths;
+}
+
+export async function resolveSearchFacetRelPaths(filters: SearchFacetFilters) {
+  if (!hasSearchFacetRelPathFilters(filters)) return null;
+
+  const sets: Set<string>[] = [];
+  if (filters.collection || filters.subcollection) sets.push(await fetchSourceRelPathsForCollection(filters));
+  if (filters.scanState) sets.push(await fetchDocumentRelPathsForScanState(filters.scanState));
+
+  const [first, ...rest] = sets;
+  return [...first].filter((relPath) => rest.every((set) => set.has(relPath)));
+}
+
+async function fetchFacetDocuments(relPaths: string[]) {
+  const rows: FacetDocumentRow[] = [];
+  for (const relPathChunk of chunk(relPaths, REL_PATH_CHUNK_SIZE)) {
+    const { data, error } = await getSupabaseAdmin()
+      .from("documents")
+      .select("custom_id,original_relative_path,pdf_name,status")
+      .in("original_relative_path", relPathChunk);
+    if (error) throw new Error(error.message);
+    rows.push(...((data ?? []) as FacetDocumentRow[]));
+  }
+  return rows;
+}
+
+async function fetchFacetSources(relPaths: string[]) {
+  const rows: FacetSourceRow[] = [];
+  for (const relPathChunk of chunk(relPaths, REL_PATH_CHUNK_SIZE)) {
+    const { data, error } = await getSupabaseAdmin()
+      .from("granth_ocr_files")
+      .select("original_rel_path,collection,subcollection")
+      .in("original_rel_path", relPathChunk);
+    if (error) throw new Error(error.message);
+    rows.push(...((data ?? []) as FacetSourceRow[]));
+  }
+  return rows;
+}
+
+function addToBucket(buckets: Map<string, SearchFacetBucket>, value: string, label: string, count: number) {
+  const existing = buckets.get(value);
+  if (existing) {
+    existing.count += count;
+    return;
+  }
+  buckets.set(value, { value, label, count });
+}
+
+function sortBuckets(buckets: Map<string, SearchFacetBucket>) {
+  return [...buckets.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+export async function buildSearchFacets(hitCounts: SearchFacetHitCount[]): Promise<SearchFacets> {
+  const relPaths = Array.from(new Set(hitCounts.map((row) => row.source_rel_path).filter(Boolean)));
+  const [documents, sources] = await Promise.all([fetchFacetDocuments(relPaths), fetchFacetSources(relPaths)]);
+  const documentByRelPath = new Map(documents.map((row) => [String(row.original_relative_path ?? ""), row]));
+  const sourceByRelPath = new Map(sources.map((row) => [String(row.original_rel_path ?? ""), row]));
+
+  const granths = new Map<string, SearchFacetBucket>();
+  const collections = new Map<string, SearchFacetBucket>();
+  const subcollections = new Map<string, SearchFacetBucket>();
+  const scanStates = new Map<string, SearchFacetBucket>();
+
+  for (const row of hitCounts) {
+    const document = documentByRelPath.get(row.source_rel_path);
+    const source = sourceByRelPath.get(row.source_rel_path);
+    const customId = String(document?.custom_id ?? "").trim();
+
+    addToBucket(
+      granths,
+      customId || `granth:${row.granth_key}`,
+      displayName(document?.pdf_name, row.granth_name || row.granth_key),
+      row.hit_count
+    );
+
+    const collection = String(source?.collection ?? "").trim();
+    const subcollection = String(source?.subcollection ?? "").trim();
+    if (collection) addToBucket(collections, collection, collection, row.hit_count);
+    if (subcollection) {
+      addToBucket(subcollections, subcollection, collection ? `${collection} / ${subcollection}` : subcollection, row.hit_count);
+    }
+
+    const scanState = getDocumentScanState(document?.status);
+    addToBucket(scanStates, scanState, getDocumentScanLabel(scanState), row.hit_count);
+  }
+
+  return {
+    granths: sortBuckets(granths)
+      .slice(0, MAX_GRANTH_BUCKETS)
+      .map((bucket) => (bucket.value.startsWith("granth:") ? { ...bucket, value: "" } : bucket)),
+    collections: sortBuckets(collections),
+    subcollections: sortBuckets(subcollections),
+    scan_states: sortBuckets(scanStates),
+  };
+}
@@ -0,0 +1,116 @@
+import { resolveGranthSelection, type GranthResolveInput } from "@/lib/granth-resolver";
+import { getSupabaseAdmin } from "@/lib/supabase-server";
+
+export type SearchGathaRange = {
+  sourceRelPath: string;
+  customId: string;
+  adhikar: number | null;
+  gatha: number;
+  pageStart: number;
+  pageEnd: number;
+};
+
+export type SearchGathaScope = {
+  requested: number[];
+  adhikar: number | null;
+  ranges: SearchGathaRange[];
+};
+
+export type SearchGathaRef = {
+  adhikar: number | null;
+  gatha: number;
+};
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return String((Array.isArray(raw) ? raw[0] : raw) ?? "").trim();
+}
+
+export function parseSearchGathaScopeInput(
+  query: Record<string, string | string[] | undefined>
+): GranthResolveInput | null {
+  const bookId = Number.parseInt(firstQueryValue(query.bookId), 10);
+  const bookCode = firstQueryValue(query.bookCode);
+  const spec = firstQueryValue(query.gathas);
+  const adhikar = Number.parseInt(firstQueryValue(query.adhikar), 10);
+  if (!spec || (!Number.isFinite(bookId) && !bookCode)) return null;
+
+  return {
+    bookId: Number.isFinite(bookId) ? bookId : null,
+    bookCode,
+    kind: "gathas",
+    spec,
+    adhikar: Number.isFinite(adhikar) ? adhikar : null,
+  };
+}
+
+export async function resolveSearchGathaScope(input: GranthResolveInput): Promise<SearchGathaScope> {
+  const selection = await resolveGranthSelection(input);
+  const customIds = Array.from(
+    new Set(selection.segments.map((segment) => String(segment.customId ?? "").trim()).filter(Boolean))
+  );
+
+  const relPathByCustomId = new Map<string, string>();
+  if (customIds.length > 0) {
+    const { data, error } = await getSupabaseAdmin()
+      .from("documents")
+      .select("custom_id,original_relative_path")
+      .in("custom_id", customIds);
+    if (error) throw new Error(error.message);
+    for (const row of data ?? []) {
+      const relPath = String(row.original_relative_path ?? "").trim();
+      if (relPath) relPathByCustomId.set(String(row.custom_id), relPath);
+    }
+  }
+
+  const ranges = selection.segments.flatMap((segment) => {
+    const customId = String(segment.customId ?? "").trim();
+    const sourceRelPath = relPathByCustomId.get(customId);
+    if (!sourceRelPath) return [];
+    return segment.ranges
+      .filter((range) => range.gatha != null)
+      .map((range) => ({
+        sourceRelPath,
+        customId,
+        adhikar: range.adhikar,
+        gatha: Number(range.gatha),
+        pageStart: range.pageStart,
+        pageEnd: range.pageEnd,
+      }));
+  });
+
+  return { requested: selection.requested, adhikar: selection.adhikar ?? null, ranges };
+}
+
+export function buildGathaScopeSql(scope: SearchGathaScope, relPathColumn: string, pageColumn: string) {
+  const merged = new Map<string, Array<{ start: number; end: number }>>();
+  for (const range of scope.ranges) {
+    const spans = merged.get(range.sourceRelPath) ?? [];
+    spans.push({ start: range.pageStart, end: range.pageEnd });
+    merged.set(range.sourceRelPath, spans);
+  }
+
+  const clauses: string[] = [];
+  const args: Array<string | number> = [];
+  for (const [relPath, spans] of merged.entries()) {
+    spans.sort((a, b) => a.start - b.start);
+    const compact: Array<{ start: number; end: number }> = [];
+    for (const span of spans) {
+      const last = compact[compact.length - 1];
+      if (last && span.start <= last.end + 1) last.end = Math.max(last.end, span.end);
+      else compact.push({ ...span });
+    }
+    for (const span of compact) {
+      clauses.push(`(${relPathColumn} = ? AND ${pageColumn} BETWEEN ? AND ?)`);
+      args.push(relPath, span.start, span.end);
+    }
+  }
+
+  if (clauses.length === 0) return { sql: " AND 0", args };
+  return { sql: ` AND (${clauses.join(" OR ")})`, args };
+}
+
+export function findGathasForPage(scope: SearchGathaScope, sourceRelPath: string, pageNumber: number): SearchGathaRef[] {
+  return scope.ranges
+    .filter((range) => range.sourceRelPath === sourceRelPath && pageNumber >= range.pageStart && pageNumber <= range.pageEnd)
+    .map((range) => ({ adhikar: range.adhikar, gatha: range.gatha }));
+}
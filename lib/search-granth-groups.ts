@@ -0,0 +1,84 @@
+import { findOCRSearchMatchesForQueries, type OCRSearchMode } from "@/lib/ocr-search";
+
+export const GRANTH_GROUP_HISTOGRAM_BINS = 40;
+
+export type SearchGranthGroupSummary = {
+  occurrence_count: number;
+  page_count: number;
+  first_page: number;
+  last_page: number;
+  granth_page_count: number;
+  histogram: number[];
+};
+
+type GroupableSearchRow = {
+  granth_key: string;
+  page_number: number;
+  content: string;
+};
+
+export type SearchGranthGroup<T extends GroupableSearchRow> = {
+  representative: T;
+  summary: SearchGranthGroupSummary;
+};
+
+export function buildOccurrenceHistogram(
+  pages: Array<{ page_number: number; occurrence_count: number }>,
+  granthPageCount: number,
+  bins = GRANTH_GROUP_HISTOGRAM_BINS
+) {
+  const lastPage = Math.max(1, granthPageCount, ...pages.map((page) => page.page_number));
+  const binCount = Math.max(1, Math.min(bins, lastPage));
+  const histogram = new Array<number>(binCount).fill(0);
+
+  for (const page of pages) {
+    const bin = Math.min(binCount - 1, Math.floor(((Math.max(1, page.page_number) - 1) / lastPage) * binCount));
+    histogram[bin] += page.occurrence_count;
+  }
+
+  return histogram;
+}
+
+export function groupSearchRowsByGranth<T extends GroupableSearchRow>(
+  rows: T[],
+  queries: string[],
+  mode: OCRSearchMode,
+  granthPageCounts: Map<string, number>
+): SearchGranthGroup<T>[] {
+  const byGranth = new Map<string, Array<{ row: T; occurrence_count: number }>>();
+
+  for (const row of rows) {
+    const occurrenceCount = Math.max(1, findOCRSearchMatchesForQueries(row.content, queries, mode).length);
+    const pages = byGranth.get(row.granth_key) ?? [];
+    pages.push({ row, occurrence_count: occurrenceCount });
+    byGranth.set(row.granth_key, pages);
+  }
+
+  return [...byGranth.entries()]
+    .map(([granthKey, pages]) => {
+      const sorted = [...pages].sort((a, b) => a.row.page_number - b.row.page_number);
+      const densest = pages.reduce((best, page) => (page.occurrence_count > best.occurrence_count ? page : best));
+      const granthPageCount = granthPageCounts.get(granthKey) ?? sorted[sorted.length - 1].row.page_number;
+      return {
+        representative: densest.row,
+        summary: {
+          occurrence_count: pages.reduce((sum, page) => sum + page.occurrence_count, 0),
+          page_count: pages.length,
+          first_page: sorted[0].row.page_number,
+          last_page: sorted[sorted.length - 1].row.page_number,
+          granth_page_count: granthPageCount,
+          histogram: buildOccurrenceHistogram(
+            pages.map((page) => ({ page_number: page.row.page_number, occurrence_count: page.occurrence_count })),
+            granthPageCount
+          ),
+        },
+      };
+    })
+    .sort((a, b) => {
+      if (b.summary.occurrence_count !== a.summary.occurrence_count) {
+        return b.summary.occurrence_count - a.summary.occurrence_count;
+      }
+      if (b.summary.page_count !== a.summary.page_count) return b.summary.page_count - a.summary.page_count;
+      return a.representative.granth_key.localeCompare(b.representative.granth_key);
+    });
+}
@@ -1,10 +1,17 @@
 import {
   buildOCRSearchExcerptForQueries,
   findOCRSearchMatchesForQueries,
+  getOCRSearchModeLabel,
+  isVerifiedOCRSearchMode,
+  matchesOCRSearchQueries,
+  minimumOCRSearchTermLength,
   normalizeOCRSearchQueries,
   type OCRSearchMode,
 } from "@/lib/ocr-search";
-import { buildOCRSuffixQuery, escapeFtsPhrase, escapeFtsToken } from "@/lib/ocr-search-index";
+import { OCRQuerySyntaxError, buildOCRFtsMatchQuery, parseOCRQuery, validateOCRQueryTerms } from "@/lib/ocr-query";
+import { OCR_REGEX_SEARCH_TIMEOUT_MS } from "@/lib/ocr-regex";
+import "@/lib/ocr-regex-sandbox";
+import { expandOCRWildcardTerms } from "@/lib/ocr-wildcard";
 import { getSupabaseAdmin } from "@/lib/supabase-server";
 import { getTursoClient } from "@/lib/turso";
 
@@ -47,6 +54,7 @@ export type SearchMatchPage = {
 };
 
 export const MAX_MATCH_PAGE_PREVIEW = 2000;
+const MAX_VERIFIED_MATCH_CANDIDATES = 5000;
 export const MAX_MATCH_PAGE_DOWNLOAD = 900;
 
 export class SearchMatchError extends Error {
@@ -191,28 +199,42 @@ export function validateSearchDownloadQueries(
 ) {
   const queries = normalizeOCRSearchQueries(query, variants).filter((value) => Array.from(value).length >= 2);
   if (queries.length === 0) throw new SearchMatchError(400, "Enter at least 2 characters before building a PDF.");
-  if (matchMode === "contains" && queries.some((value) => Array.from(value).length < 3)) {
-    throw new SearchMatchError(400, "Contains search requires at least 3 characters.");
+  try {
+    for (const value of queries) {
+      if (matchMode === "regex") {
+        buildOCRFtsMatchQuery(value, matchMode);
+        continue;
+      }
+      const node = parseOCRQuery(value);
+      validateOCRQueryTerms(node, 2);
+      if (minimumOCRSearchTermLength(matchMode) > 2) {
+        validateOCRQueryTerms(node, minimumOCRSearchTermLength(matchMode), `${getOCRSearchModeLabel(matchMode)} search term`);
+      }
+      buildOCRFtsMatchQuery(node, matchMode);
+    }
+  } catch (error) {
+    if (error instanceof OCRQuerySyntaxError) throw new SearchMatchError(400, error.message);
+    throw error;
   }
   return queries;
 }
 
 function ftsConfig(matchMode: OCRSearchMode) {
-  if (matchMode === "contains") {
+  if (matchMode === "contains" || matchMode === "fuzzy" || matchMode === "regex" || matchMode === "wildcard") {
     return { table: "ocr_pages_trigram_fts" };
   }
   if (matchMode === "ends_with") {
     return { table: "ocr_pages_suffix_fts" };
   }
+  if (matchMode === "sandhi") {
+    return { table: "ocr_pages_sandhi_fts" };
+  }
+  if (matchMode === "same_root") {
+    return { table: "ocr_pages_stem_fts" };
+  }
   return { table: "ocr_pages_search_fts" };
 }
 
-function ftsMatchQuery(query: string, matchMode: OCRSearchMode) {
-  if (matchMode === "begins_with") return `${escapeFtsToken(query)}*`;
-  if (matchMode === "ends_with") return buildOCRSuffixQuery(query);
-  return escapeFtsPhrase(query);
-}
-
 export async function loadSearchMatchPages(
   sourceRelPath: string,
   query: string | string[],
@@ -223,6 +245,7 @@ export async function loadSearchMatchPages(
   const queries = validateSearchDownloadQueries(query, queryVariants, matchMode);
   const boundedLimit = Math.max(1, Math.min(Math.floor(limit), MAX_MATCH_PAGE_PREVIEW));
   const { table } = ftsConfig(matchMode);
+  const verified = isVerifiedOCRSearchMode(matchMode);
   const client = getTursoClient();
   const hitSql = queries
     .map(
@@ -233,7 +256,11 @@ export async function loadSearchMatchPages(
              WHERE ${table} MATCH ? AND g.source_rel_path = ?`
     )
     .join(" UNION ALL ");
-  const hitArgs = queries.flatMap((searchQuery) => [ftsMatchQuery(searchQuery, matchMode), sourceRelPath]);
+  const wildcardExpansions = matchMode === "wildcard" ? await expandOCRWildcardTerms(client, queries) : undefined;
+  const hitArgs = queries.flatMap((searchQuery) => [
+    buildOCRFtsMatchQuery(searchQuery, matchMode, wildcardExpansions),
+    sourceRelPath,
+  ]);
 
   const result = await client.execute({
     sql: `WITH hits AS (${hitSql}),
@@ -249,18 +276,25 @@ export async function loadSearchMatchPages(
           JOIN ocr_pages p ON p.id = unique_hits.page_id
           ORDER BY p.page_number ASC
           LIMIT ?`,
-    args: [...hitArgs, boundedLimit + 1],
+    args: [...hitArgs, verified ? MAX_VERIFIED_MATCH_CANDIDATES : boundedLimit + 1],
   });
 
   const byPage = new Map<number, SearchMatchPage>();
+  const verifyDeadline = matchMode === "regex" ? Date.now() + OCR_REGEX_SEARCH_TIMEOUT_MS : Number.POSITIVE_INFINITY;
+  let verifyTimedOut = false;
   let rowCount = 0;
 
   for (const row of result.rows) {
+    if (Date.now() > verifyDeadline) {
+      verifyTimedOut = true;
+      break;
+    }
+    const content = String(row.content ?? "");
+    if (verified && !matchesOCRSearchQueries(content, queries, matchMode)) continue;
     rowCount += 1;
     if (rowCount > boundedLimit) break;
 
     const pageNumber = toInt(row.page_number);
-    const content = String(row.content ?? "");
     const matches = findOCRSearchMatchesForQueries(content, queries, matchMode);
     if (pageNumber <= 0 || matches.length === 0) continue;
 
@@ -279,7 +313,8 @@ export async function loadSearchMatchPages(
 
   return {
     pages: [...byPage.values()].sort((a, b) => a.page_number - b.page_number),
-    truncated: result.rows.length > boundedLimit,
+    truncated:
+      rowCount > boundedLimit || verifyTimedOut || (verified && result.rows.length >= MAX_VERIFIED_MATCH_CANDIDATES),
     queries,
   };
 }
@@ -0,0 +1,260 @@
+import type { Client } from "@libsql/client";
+import { foldDevanagariToGujarati, normalizeOCRText } from "@/lib/ocr-normalize";
+import { rewriteOCRQueryTerms } from "@/lib/ocr-query";
+
+export const SEARCH_SYNONYM_KINDS = ["name", "prakrit_sanskrit", "spelling", "other"] as const;
+export type SearchSynonymKind = (typeof SEARCH_SYNONYM_KINDS)[number];
+
+export const MAX_SYNONYM_TERMS_PER_SET = 20;
+const MAX_SYNONYM_SETS = 2000;
+const SYNONYM_CACHE_TTL_MS = 60_000;
+
+export type SearchSynonymSet = {
+  id: number;
+  label: string;
+  kind: SearchSynonymKind;
+  terms: string[];
+  created_at: string;
+  updated_at: string;
+};
+
+export type SearchSynonymInput = {
+  label: string;
+  kind: SearchSynonymKind;
+  terms: string[];
+};
+
+export type SearchSynonymExpansion = {
+  term: string;
+  gujarati: string;
+  variants: string[];
+  set_id: number;
+  label: string;
+  kind: SearchSynonymKind;
+};
+
+export class SearchSynonymError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
+
+let schemaReady = false;
+let cachedSets: { expiresAt: number; sets: SearchSynonymSet[] } | null = null;
+
+export function getSearchSynonymKindLabel(kind: SearchSynonymKind) {
+  if (kind === "name") return "Name variants";
+  if (kind === "prakrit_sanskrit") return "Prakrit / Sanskrit";
+  if (kind === "spelling") return "Spelling variants";
+  return "Other";
+}
+
+export function parseSearchSynonymKind(raw: unknown): SearchSynonymKind {
+  return SEARCH_SYNONYM_KINDS.find((kind) => kind === raw) ?? "other";
+}
+
+function toStringList(raw: unknown) {
+  const values = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(/\r?\n|,/) : [];
+  return values.map((value) => String(value ?? "").replace(/\s+/g, " ").trim()).filter(Boolean);
+}
+
+function parseTerms(raw: unknown) {
+  try {
+    return toStringList(JSON.parse(String(raw ?? "[]")));
+  } catch {
+    return [];
+  }
+}
+
+function toSynonymSet(row: Record<string, unknown>): SearchSynonymSet {
+  return {
+    id: Number(row.id ?? 0),
+    label: String(row.label ?? ""),
+    kind: parseSearchSynonymKind(row.kind),
+    terms: parseTerms(row.terms),
+    created_at: String(row.created_at ?? ""),
+    updated_at: String(row.updated_at ?? ""),
+  };
+}
+
+export async function ensureSearchSynonymSchema(client: Client) {
+  if (schemaReady) return;
+
+  const sql = [
+    `CREATE TABLE IF NOT EXISTS ocr_search_synonym_sets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT NOT NULL DEFAULT '',
+      kind TEXT NOT NULL DEFAULT 'other',
+      terms TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_search_synonym_sets_kind ON ocr_search_synonym_sets(kind, label);",
+  ];
+
+  for (const stmt of sql) {
+    await client.execute(stmt);
+  }
+
+  schemaReady = true;
+}
+
+export function parseSearchSynonymInput(body: Record<string, unknown>): SearchSynonymInput {
+  const seen = new Set<string>();
+  const terms = toStringList(body.terms).filter((term) => {
+    const key = normalizeOCRText(term).toLocaleLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (terms.length < 2) throw new SearchSynonymError(400, "Enter at least two different terms for the set.");
+  if (terms.length > MAX_SYNONYM_TERMS_PER_SET) {
+    throw new SearchSynonymError(400, `A set can hold at most ${MAX_SYNONYM_TERMS_PER_SET} terms.`);
+  }
+  const tooShort = terms.find((term) => Array.from(term).length < 2);
+  if (tooShort != null) throw new SearchSynonymError(400, `"${tooShort}" is too short. Terms need at least 2 characters.`);
+  const phrase = terms.find((term) => /[\s"()]/.test(term));
+  if (phrase != null) {
+    throw new SearchSynonymError(400, `"${phrase}" is not a single word. Terms cannot contain spaces, quotes or brackets.`);
+  }
+
+  const label = String(body.label || "").replace(/\s+/g, " ").trim().slice(0, 140) || terms[0];
+  return { label, kind: parseSearchSynonymKind(body.kind), terms };
+}
+
+export async function listSearchSynonymSets(client: Client) {
+  await ensureSearchSynonymSchema(client);
+  const result = await client.execute({
+    sql: `SELECT id, label, kind, terms, created_at, updated_at
+          FROM ocr_search_synonym_sets
+          ORDER BY kind ASC, label ASC, id ASC
+          LIMIT ?`,
+    args: [MAX_SYNONYM_SETS],
+  });
+  return result.rows.map((row) => toSynonymSet(row as Record<string, unknown>));
+}
+
+async function getSearchSynonymSet(client: Client, id: number) {
+  const result = await client.execute({
+    sql: "SELECT id, label, kind, terms, created_at, updated_at FROM ocr_search_synonym_sets WHERE id = ?",
+    args: [id],
+  });
+  const row = result.rows[0];
+  if (!row) throw new SearchSynonymError(404, "Synonym set not found.");
+  return toSynonymSet(row as Record<string, unknown>);
+}
+
+export async function createSearchSynonymSet(client: Client, input: SearchSynonymInput) {
+  await ensureSearchSynonymSchema(client);
+  const result = await client.execute({
+    sql: "INSERT INTO ocr_search_synonym_sets (label, kind, terms) VALUES (?, ?, ?)",
+    args: [input.label, input.kind, JSON.stringify(input.terms)],
+  });
+  cachedSets = null;
+  return getSearchSynonymSet(client, Number(result.lastInsertRowid ?? 0));
+}
+
+export async function updateSearchSynonymSet(client: Client, id: number, input: SearchSynonymInput) {
+  await ensureSearchSynonymSchema(client);
+  const result = await client.execute({
+    sql: `UPDATE ocr_search_synonym_sets
+          SET label = ?, kind = ?, terms = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+    args: [input.label, input.kind, JSON.stringify(input.terms), id],
+  });
+  if (result.rowsAffected === 0) throw new SearchSynonymError(404, "Synonym set not found.");
+  cachedSets = null;
+  return getSearchSynonymSet(client, id);
+}
+
+export async function deleteSearchSynonymSet(client: Client, id: number) {
+  await ensureSearchSynonymSchema(client);
+  const result = await client.execute({
+    sql: "DELETE FROM ocr_search_synonym_sets WHERE id = ?",
+    args: [id],
+  });
+  if (result.rowsAffected === 0) throw new SearchSynonymError(404, "Synonym set not found.");
+  cachedSets = null;
+}
+
+async function loadSearchSynonymSets(client: Client) {
+  const now = Date.now();
+  if (cachedSets && cachedSets.expiresAt > now) return cachedSets.sets;
+  const sets = await listSearchSynonymSets(client);
+  cachedSets = { expiresAt: now + SYNONYM_CACHE_TTL_MS, sets };
+  return sets;
+}
+
+function expandQueryTerm(
+  text: string,
+  setByTerm: Map<string, SearchSynonymSet>,
+  expansions: Map<string, SearchSynonymExpansion>
+) {
+  let combinations: string[][] = [[]];
+  const used: Array<{ word: string; set: SearchSynonymSet; alternative: string }> = [];
+  for (const part of text.split(/(\s+)/)) {
+    const word = normalizeOCRText(part);
+    const set = word ? setByTerm.get(word) : undefined;
+    const alternatives = set ? set.terms.filter((term) => normalizeOCRText(term) !== word) : [];
+    const options = [part, ...alternatives];
+    combinations = combinations
+      .flatMap((combination) => options.map((option) => [...combination, option]))
+      .slice(0, MAX_SYNONYM_TERMS_PER_SET);
+    for (const alternative of alternatives) {
+      if (set && combinations.some((combination) => combination[combination.length - 1] === alternative)) {
+        used.push({ word, set, alternative });
+      }
+    }
+  }
+
+  for (const { word, set, alternative } of used) {
+    const expansion = expansions.get(word) ?? {
+      term: word,
+      gujarati: foldDevanagariToGujarati(word),
+      variants: [],
+      set_id: set.id,
+      label: set.label,
+      kind: set.kind,
+    };
+    const variant = normalizeOCRText(alternative);
+    if (!expansion.variants.includes(variant)) expansion.variants.push(variant);
+    expansions.set(word, expansion);
+  }
+  return combinations.map((combination) => combination.join(""));
+}
+
+export async function expandSearchQueriesWithSynonyms(client: Client, queries: string[]) {
+  const sets = await loadSearchSynonymSets(client);
+  const setByTerm = new Map<string, SearchSynonymSet>();
+  for (const set of sets) {
+    for (const term of set.terms) {
+      const key = normalizeOCRText(term);
+      if (!setByTerm.has(key)) setByTerm.set(key, set);
+    }
+  }
+
+  const expansions = new Map<string, SearchSynonymExpansion>();
+  const expanded = queries.map((query) =>
+    rewriteOCRQueryTerms(query, (text, context) =>
+      context.excluded || context.near ? text : expandQueryTerm(text, setByTerm, expansions)
+    )
+  );
+
+  return { queries: expanded, expansions: [...expansions.values()] };
+}
+
+export function findMatchedSynonymTerms(
+  expansions: SearchSynonymExpansion[],
+  matchesTerm: (term: string) => boolean
+) {
+  const matched = new Set<string>();
+  for (const expansion of expansions) {
+    for (const term of [expansion.term, ...expansion.variants]) {
+      if (matchesTerm(term)) matched.add(term);
+    }
+  }
+  return [...matched];
+}
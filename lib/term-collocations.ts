@@ -0,0 +1,158 @@
+import type { Client } from "@libsql/client";
+import { foldDevanagariToGujarati } from "@/lib/ocr-normalize";
+import { escapeFtsToken, tokenizeOCRSearchContent, tokenizeOCRSearchPhrases } from "@/lib/ocr-search-index";
+
+export const DEFAULT_COLLOCATION_LIMIT = 25;
+export const MAX_COLLOCATION_LIMIT = 100;
+const MAX_SCANNED_PAGES = 3000;
+const PAGE_BATCH_SIZE = 500;
+const MAX_EXAMPLES = 3;
+
+export type CollocationExample = {
+  granth_key: string;
+  granth_name: string;
+  page_number: number;
+};
+
+export type CollocationItem = {
+  text: string;
+  gujarati: string;
+  count: number;
+  pages: number;
+  examples: CollocationExample[];
+};
+
+export type TermCollocations = {
+  word: string;
+  gujarati: string;
+  occurrences: number;
+  pages_scanned: number;
+  truncated: boolean;
+  left: CollocationItem[];
+  right: CollocationItem[];
+  bigrams: CollocationItem[];
+  trigrams: CollocationItem[];
+};
+
+type CollocationCounter = Map<string, { count: number; pageKeys: Set<string>; examples: CollocationExample[] }>;
+
+function countCollocation(counter: CollocationCounter, text: string, example: CollocationExample) {
+  const entry = counter.get(text) ?? { count: 0, pageKeys: new Set<string>(), examples: [] };
+  entry.count += 1;
+  const pageKey = `${example.granth_key}:${example.page_number}`;
+  if (!entry.pageKeys.has(pageKey)) {
+    entry.pageKeys.add(pageKey);
+    if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(example);
+  }
+  counter.set(text, entry);
+}
+
+function topCollocations(counter: CollocationCounter, limit: number): CollocationItem[] {
+  return [...counter.entries()]
+    .sort((a, b) => b[1].count - a[1].count || b[1].pageKeys.size - a[1].pageKeys.size || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([text, entry]) => ({
+      text,
+      gujarati: foldDevanagariToGujarati(text),
+      count: entry.count,
+      pages: entry.pageKeys.size,
+      examples: entry.examples,
+    }));
+}
+
+function wordRuns(content: string) {
+  const runs: string[][] = [];
+  for (const phrase of tokenizeOCRSearchPhrases(content)) {
+    let run: string[] = [];
+    for (const token of phrase) {
+      if (/\p{L}/u.test(token)) {
+        run.push(token);
+        continue;
+      }
+      if (run.length > 0) runs.push(run);
+      run = [];
+    }
+    if (run.length > 0) runs.push(run);
+  }
+  return runs;
+}
+
+export function parseCollocationWord(raw: string) {
+  return tokenizeOCRSearchContent(raw).find((token) => /\p{L}/u.test(token)) ?? "";
+}
+
+export async function findTermCollocations(
+  client: Client,
+  word: string,
+  options: { granthKeys?: string[]; limit?: number } = {}
+): Promise<TermCollocations> {
+  const granthKeys = options.granthKeys ?? [];
+  const limit = Math.max(1, Math.min(Math.floor(options.limit ?? DEFAULT_COLLOCATION_LIMIT), MAX_COLLOCATION_LIMIT));
+  const granthFilterSql = granthKeys.length ? ` AND p.granth_key IN (${granthKeys.map(() => "?").join(", ")})` : "";
+  const left: CollocationCounter = new Map();
+  const right: CollocationCounter = new Map();
+  const bigrams: CollocationCounter = new Map();
+  const trigrams: CollocationCounter = new Map();
+  let occurrences = 0;
+  let scanned = 0;
+  let lastPageId = 0;
+  let truncated = false;
+
+  while (scanned < MAX_SCANNED_PAGES) {
+    const result = await client.execute({
+      sql: `SELECT p.id, p.granth_key, g.granth_name, p.page_number, COALESCE(p.search_content, p.content, '') AS content
+            FROM ocr_pages_search_fts
+            JOIN ocr_pages p ON p.id = ocr_pages_search_fts.rowid
+            JOIN ocr_granths g ON g.granth_key = p.granth_key
+            WHERE ocr_pages_search_fts MATCH ? AND p.id > ?${granthFilterSql}
+            ORDER BY p.id ASC
+            LIMIT ?`,
+      args: [escapeFtsToken(word), lastPageId, ...granthKeys, Math.min(PAGE_BATCH_SIZE, MAX_SCANNED_PAGES - scanned)],
+    });
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      const example = {
+        granth_key: String(row.granth_key ?? ""),
+        granth_name: String(row.granth_name ?? ""),
+        page_number: Number(row.page_number ?? 0),
+      };
+      for (const tokens of wordRuns(String(row.content ?? ""))) {
+        tokens.forEach((token, index) => {
+          if (token !== word) return;
+          occurrences += 1;
+          const before = tokens[index - 1];
+          const after = tokens[index + 1];
+          if (before) {
+            countCollocation(left, before, example);
+            countCollocation(bigrams, `${before} ${word}`, example);
+          }
+          if (after) {
+            countCollocation(right, after, example);
+            countCollocation(bigrams, `${word} ${after}`, example);
+          }
+          if (before && tokens[index - 2]) countCollocation(trigrams, `${tokens[index - 2]} ${before} ${word}`, example);
+          if (before && after) countCollocation(trigrams, `${before} ${word} ${after}`, example);
+          if (after && tokens[index + 2]) countCollocation(trigrams, `${word} ${after} ${tokens[index + 2]}`, example);
+        });
+      }
+    }
+
+    scanned += result.rows.length;
+    lastPageId = Number(result.rows[result.rows.length - 1].id ?? 0);
+    if (result.rows.length < PAGE_BATCH_SIZE) break;
+    if (scanned >= MAX_SCANNED_PAGES) truncated = true;
+  }
+
+  return {
+    word,
+    gujarati: foldDevanagariToGujarati(word),
+    occurrences,
+    pages_scanned: scanned,
+    truncated,
+    left: topCollocations(left, limit),
+    right: topCollocations(right, limit),
+    bigrams: topCollocations(bigrams, limit),
+    trigrams: topCollocations(trigrams, limit),
+  };
+}
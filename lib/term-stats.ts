@@ -0,0 +1,244 @@
+import type { Client } from "@libsql/client";
+import { foldDevanagariToGujarati } from "@/lib/ocr-normalize";
+import { tokenizeOCRSearchContent } from "@/lib/ocr-search-index";
+
+export const MAX_TERM_STATS_TERMS = 8;
+export const DEFAULT_TOP_WORDS = 50;
+export const MAX_TOP_WORDS = 200;
+const MAX_GRANTHS_PER_TERM = 50;
+const MIN_TOP_WORD_GRAPHEMES = 2;
+const WORDS_PER_RELATIVE_UNIT = 10000;
+
+export type TermGranthStats = {
+  granth_key: string;
+  granth_name: string;
+  occurrences: number;
+  pages: number;
+  words: number;
+  per_10k: number;
+};
+
+export type TermStats = {
+  term: string;
+  gujarati: string;
+  occurrences: number;
+  pages: number;
+  page_share: number;
+  granths: TermGranthStats[];
+};
+
+export type TopWord = {
+  term: string;
+  gujarati: string;
+  occurrences: number;
+  pages: number;
+  per_10k: number;
+};
+
+export type GranthTopWords = {
+  granth_key: string;
+  granth_name: string;
+  pages: number;
+  words: number;
+  items: TopWord[];
+};
+
+function perTenThousand(count: number, words: number) {
+  if (words <= 0) return 0;
+  return Math.round((count / words) * WORDS_PER_RELATIVE_UNIT * 100) / 100;
+}
+
+export function parseTermStatsTerms(raw: string[]) {
+  const terms = new Set<string>();
+  for (const value of raw) {
+    for (const token of tokenizeOCRSearchContent(value)) {
+      if (/\p{L}/u.test(token)) terms.add(token);
+    }
+  }
+  return [...terms].slice(0, MAX_TERM_STATS_TERMS);
+}
+
+async function backfillWordCounts(client: Client, granthKeys: string[]) {
+  const result = await client.execute({
+    sql: `SELECT id, COALESCE(search_content, content, '') AS content
+          FROM ocr_pages
+          WHERE word_count IS NULL AND granth_key IN (${granthKeys.map(() => "?").join(", ")})`,
+    args: granthKeys,
+  });
+  if (result.rows.length === 0) return;
+  await client.batch(
+    result.rows.map((row) => ({
+      sql: "UPDATE ocr_pages SET word_count = ? WHERE id = ?",
+      args: [tokenizeOCRSearchContent(String(row.content ?? "")).length, Number(row.id)],
+    })),
+    "write"
+  );
+}
+
+async function fetchGranthWordCounts(client: Client, granthKeys: string[]) {
+  const counts = new Map<string, number>();
+  if (granthKeys.length === 0) return counts;
+
+  await backfillWordCounts(client, granthKeys);
+  const result = await client.execute({
+    sql: `SELECT granth_key, SUM(word_count) AS words
+          FROM ocr_pages
+          WHERE granth_key IN (${granthKeys.map(() => "?").join(", ")})
+          GROUP BY granth_key`,
+    args: granthKeys,
+  });
+  for (const row of result.rows) counts.set(String(row.granth_key), Number(row.words ?? 0));
+  return counts;
+}
+
+export async function fetchTermStats(client: Client, terms: string[]): Promise<{ total_pages: number; items: TermStats[] }> {
+  if (terms.length === 0) return { total_pages: 0, items: [] };
+
+  const [totalResult, vocabResult] = await Promise.all([
+    client.execute(`SELECT COUNT(*) AS total FROM ocr_pages`),
+    client.execute({
+      sql: `SELECT term, doc, cnt FROM ocr_pages_search_vocab WHERE term IN (${terms.map(() => "?").join(", ")})`,
+      args: terms,
+    }),
+  ]);
+  const totalPages = Number(totalResult.rows[0]?.total ?? 0);
+  const vocab = new Map(
+    vocabResult.rows.map((row) => [String(row.term), { pages: Number(row.doc ?? 0), occurrences: Number(row.cnt ?? 0) }])
+  );
+
+  const granthsByTerm = new Map<string, Array<Omit<TermGranthStats, "words" | "per_10k">>>();
+  for (const term of terms) {
+    if (!vocab.has(term)) {
+      granthsByTerm.set(term, []);
+      continue;
+    }
+    const result = await client.execute({
+      sql: `SELECT p.granth_key, g.granth_name, COUNT(*) AS occurrences, COUNT(DISTINCT v.doc) AS pages
+            FROM ocr_pages_search_vocab_instance v
+            JOIN ocr_pages p ON p.id = v.doc
+            JOIN ocr_granths g ON g.granth_key = p.granth_key
+            WHERE v.term = ?
+            GROUP BY p.granth_key, g.granth_name
+            ORDER BY occurrences DESC, p.granth_key ASC
+            LIMIT ?`,
+      args: [term, MAX_GRANTHS_PER_TERM],
+    });
+    granthsByTerm.set(
+      term,
+      result.rows.map((row) => ({
+        granth_key: String(row.granth_key ?? ""),
+        granth_name: String(row.granth_name ?? ""),
+        occurrences: Number(row.occurrences ?? 0),
+        pages: Number(row.pages ?? 0),
+      }))
+    );
+  }
+
+  const granthKeys = Array.from(new Set([...granthsByTerm.values()].flat().map((row) => row.granth_key)));
+  const wordCounts = await fetchGranthWordCounts(client, granthKeys);
+
+  return {
+    total_pages: totalPages,
+    items: terms.map((term) => {
+      const stats = vocab.get(term) ?? { pages: 0, occurrences: 0 };
+      return {
+        term,
+        gujarati: foldDevanagariToGujarati(term),
+        occurrences: stats.occurrences,
+        pages: stats.pages,
+        page_share: totalPages > 0 ? stats.pages / totalPages : 0,
+        granths: (granthsByTerm.get(term) ?? []).map((row) => {
+          const words = wordCounts.get(row.granth_key) ?? 0;
+          return { ...row, words, per_10k: perTenThousand(row.occurrences, words) };
+        }),
+      };
+    }),
+  };
+}
+
+async function buildGranthTopWords(client: Client, granthKey: string) {
+  const pagesResult = await client.execute({
+    sql: `SELECT COALESCE(search_content, content, '') AS content FROM ocr_pages WHERE granth_key = ?`,
+    args: [granthKey],
+  });
+
+  const counts = new Map<string, { occurrences: number; pages: number }>();
+  for (const row of pagesResult.rows) {
+    const seen = new Set<string>();
+    for (const token of tokenizeOCRSearchContent(String(row.content ?? ""))) {
+      if (!/\p{L}/u.test(token) || Array.from(token).length < MIN_TOP_WORD_GRAPHEMES) continue;
+      const entry = counts.get(token) ?? { occurrences: 0, pages: 0 };
+      entry.occurrences += 1;
+      if (!seen.has(token)) {
+        entry.pages += 1;
+        seen.add(token);
+      }
+      counts.set(token, entry);
+    }
+  }
+
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1].occurrences - a[1].occurrences || b[1].pages - a[1].pages || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TOP_WORDS);
+  if (top.length === 0) return;
+  await client.batch(
+    top.map(([term, entry]) => ({
+      sql: `INSERT OR REPLACE INTO ocr_granth_top_words (granth_key, term, occurrences, pages) VALUES (?, ?, ?, ?)`,
+      args: [granthKey, term, entry.occurrences, entry.pages],
+    })),
+    "write"
+  );
+}
+
+export async function fetchGranthTopWords(
+  client: Client,
+  granthKey: string,
+  limit = DEFAULT_TOP_WORDS
+): Promise<GranthTopWords | null> {
+  const granthResult = await client.execute({
+    sql: `SELECT granth_key, granth_name FROM ocr_granths WHERE granth_key = ?`,
+    args: [granthKey],
+  });
+  const granth = granthResult.rows[0];
+  if (!granth) return null;
+
+  const readTopWords = () =>
+    client.execute({
+      sql: `SELECT term, occurrences, pages
+            FROM ocr_granth_top_words
+            WHERE granth_key = ?
+            ORDER BY occurrences DESC, pages DESC, term ASC
+            LIMIT ?`,
+      args: [granthKey, Math.max(1, Math.min(Math.floor(limit), MAX_TOP_WORDS))],
+    });
+  let topResult = await readTopWords();
+  if (topResult.rows.length === 0) {
+    await buildGranthTopWords(client, granthKey);
+    topResult = await readTopWords();
+  }
+
+  await backfillWordCounts(client, [granthKey]);
+  const totalsResult = await client.execute({
+    sql: `SELECT COUNT(*) AS pages, SUM(word_count) AS words FROM ocr_pages WHERE granth_key = ?`,
+    args: [granthKey],
+  });
+  const words = Number(totalsResult.rows[0]?.words ?? 0);
+
+  return {
+    granth_key: String(granth.granth_key),
+    granth_name: String(granth.granth_name ?? ""),
+    pages: Number(totalsResult.rows[0]?.pages ?? 0),
+    words,
+    items: topResult.rows.map((row) => {
+      const term = String(row.term ?? "");
+      const occurrences = Number(row.occurrences ?? 0);
+      return {
+        term,
+        gujarati: foldDevanagariToGujarati(term),
+        occurrences,
+        pages: Number(row.pages ?? 0),
+        per_10k: perTenThousand(occurrences, words),
+      };
+    }),
+  };
+}
@@ -0,0 +1,634 @@
+import { buildGranthViewerKey } from "@/lib/phonetic-transliteration";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { useEffect, useMemo, useState } from "react";
+
+type TermGranthStats = {
+  granth_key: string;
+  granth_name: string;
+  occurrences: number;
+  pages: number;
+  words: number;
+  per_10k: number;
+};
+
+type TermStats = {
+  term: string;
+  gujarati: string;
+  occurrences: number;
+  pages: number;
+  page_share: number;
+  granths: TermGranthStats[];
+};
+
+type TopWord = {
+  term: string;
+  gujarati: string;
+  occurrences: number;
+  pages: number;
+  per_10k: number;
+};
+
+type GranthTopWords = {
+  granth_key: string;
+  granth_name: string;
+  pages: number;
+  words: number;
+  items: TopWord[];
+};
+
+type TermStatsResponse = {
+  terms: string[];
+  total_pages: number;
+  items: TermStats[];
+  top_words: GranthTopWords | null;
+};
+
+type CollocationExample = {
+  granth_key: string;
+  granth_name: string;
+  page_number: number;
+};
+
+type CollocationItem = {
+  text: string;
+  gujarati: string;
+  count: number;
+  pages: number;
+  examples: CollocationExample[];
+};
+
+type TermCollocations = {
+  word: string;
+  gujarati: string;
+  occurrences: number;
+  pages_scanned: number;
+  truncated: boolean;
+  left: CollocationItem[];
+  right: CollocationItem[];
+  bigrams: CollocationItem[];
+  trigrams: CollocationItem[];
+};
+
+type GranthOption = {
+  granth_key: string;
+  display_name: string;
+};
+
+const TERM_COLORS = ["#1f6f8b", "#b5562c", "#4d7c3a", "#7a4e9e", "#a8862a", "#b03a5b", "#2f5d9e", "#5f6b76"];
+
+function readSingleQuery(value: string | string[] | undefined) {
+  return Array.isArray(value) ? value[0] : value ?? "";
+}
+
+function examplePageHref(example: CollocationExample, word: string) {
+  const params = new URLSearchParams({
+    granthKey: buildGranthViewerKey(example.granth_key, example.granth_name),
+    page: String(example.page_number),
+    q: word,
+  });
+  return `/ocr-text-viewer?${params.toString()}`;
+}
+
+function formatNumber(value: number) {
+  return value.toLocaleString();
+}
+
+const cellStyle = {
+  borderBottom: "1px solid #e4e8ef",
+  padding: "8px 10px",
+  textAlign: "left" as const,
+  fontSize: 14,
+  verticalAlign: "top" as const,
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  borderBottom: "1px solid #d9deea",
+  fontSize: 12,
+  background: "#f7f9fc",
+};
+
+const panelStyle = {
+  border: "1px solid #d7d3c8",
+  borderRadius: 16,
+  background: "#fffefb",
+  boxShadow: "0 12px 28px rgba(36, 36, 31, 0.08)",
+  padding: 16,
+};
+
+export default function AnalyticsPage() {
+  const router = useRouter();
+  const [termsInput, setTermsInput] = useState("");
+  const [terms, setTerms] = useState<string[]>([]);
+  const [granthKey, setGranthKey] = useState("");
+  const [granths, setGranths] = useState<GranthOption[]>([]);
+  const [stats, setStats] = useState<TermStatsResponse | null>(null);
+  const [topWords, setTopWords] = useState<GranthTopWords | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [topLoading, setTopLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [routePrefillApplied, setRoutePrefillApplied] = useState(false);
+  const [collocationInput, setCollocationInput] = useState("");
+  const [collocationScoped, setCollocationScoped] = useState(false);
+  const [collocations, setCollocations] = useState<TermCollocations | null>(null);
+  const [collocationLoading, setCollocationLoading] = useState(false);
+  const [collocationError, setCollocationError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!router.isReady || routePrefillApplied) return;
+    const initial = readSingleQuery(router.query.terms);
+    setTermsInput(initial);
+    setTerms(initial.split(",").map((term) => term.trim()).filter(Boolean));
+    setGranthKey(readSingleQuery(router.query.granth));
+    setRoutePrefillApplied(true);
+  }, [routePrefillApplied, router.isReady, router.query.terms, router.query.granth]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch("/api/ocr-granths?limit=10000", { signal: controller.signal })
+      .then((res) => res.json())
+      .then((json: { items?: GranthOption[] }) => setGranths(json.items ?? []))
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    if (terms.length === 0) {
+      setStats(null);
+      return;
+    }
+    let active = true;
+    const controller = new AbortController();
+
+    async function load() {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams({ terms: terms.join(",") });
+        const res = await fetch(`/api/term-stats?${params.toString()}`, { signal: controller.signal });
+        const json = (await res.json()) as TermStatsResponse | { error?: string };
+        if (!res.ok) throw new Error(("error" in json && json.error) || `Request failed (${res.status})`);
+        if (active) setStats(json as TermStatsResponse);
+      } catch (e) {
+        if (!active || controller.signal.aborted) return;
+        setError(e instanceof Error ? e.message : String(e));
+      } finally {
+        if (active && !controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    void load();
+    return () => {
+      active = false;
+      controller.abort();
+    };
+  }, [terms]);
+
+  useEffect(() => {
+    if (!granthKey) {
+      setTopWords(null);
+      return;
+    }
+    let active = true;
+    const controller = new AbortController();
+
+    async function load() {
+      setTopLoading(true);
+      try {
+        const params = new URLSearchParams({ granth: granthKey, top: "50" });
+        const res = await fetch(`/api/term-stats?${params.toString()}`, { signal: controller.signal });
+        const json = (await res.json()) as TermStatsResponse | { error?: string };
+        if (!res.ok) throw new Error(("error" in json && json.error) || `Request failed (${res.status})`);
+        if (active) setTopWords((json as TermStatsResponse).top_words);
+      } catch (e) {
+        if (!active || controller.signal.aborted) return;
+        setError(e instanceof Error ? e.message : String(e));
+      } finally {
+        if (active && !controller.signal.aborted) setTopLoading(false);
+      }
+    }
+
+    void load();
+    return () => {
+      active = false;
+      controller.abort();
+    };
+  }, [granthKey]);
+
+  const comparisonRows = useMemo(() => {
+    const rows = new Map<string, { granth_key: string; granth_name: string; values: Map<string, TermGranthStats> }>();
+    for (const item of stats?.items ?? []) {
+      for (const granth of item.granths) {
+        const row = rows.get(granth.granth_key) ?? {
+          granth_key: granth.granth_key,
+          granth_name: granth.granth_name,
+          values: new Map<string, TermGranthStats>(),
+        };
+        row.values.set(item.term, granth);
+        rows.set(granth.granth_key, row);
+      }
+    }
+    const total = (row: { values: Map<string, TermGranthStats> }) =>
+      [...row.values.values()].reduce((sum, value) => sum + value.per_10k, 0);
+    return [...rows.values()].sort((a, b) => total(b) - total(a));
+  }, [stats]);
+
+  const maxPer10k = useMemo(
+    () => Math.max(0, ...(stats?.items ?? []).flatMap((item) => item.granths.map((granth) => granth.per_10k))),
+    [stats]
+  );
+
+  function updateUrl(nextTerms: string[], nextGranth: string) {
+    const query: Record<string, string> = {};
+    if (nextTerms.length > 0) query.terms = nextTerms.join(",");
+    if (nextGranth) query.granth = nextGranth;
+    void router.replace({ pathname: "/analytics", query }, undefined, { shallow: true });
+  }
+
+  function compare() {
+    const nextTerms = termsInput.split(/[,\n]/).map((term) => term.trim()).filter(Boolean);
+    setTerms(nextTerms);
+    updateUrl(nextTerms, granthKey);
+  }
+
+  function chooseGranth(nextGranth: string) {
+    setGranthKey(nextGranth);
+    updateUrl(terms, nextGranth);
+  }
+
+  function addTerm(term: string) {
+    if (terms.includes(term)) return;
+    const nextTerms = [...terms, term];
+    setTermsInput(nextTerms.join(", "));
+    setTerms(nextTerms);
+    updateUrl(nextTerms, granthKey);
+  }
+
+  async function loadCollocations(word: string) {
+    const trimmed = word.trim();
+    if (!trimmed) return;
+    setCollocationInput(trimmed);
+    setCollocationLoading(true);
+    setCollocationError(null);
+    try {
+      const params = new URLSearchParams({ word: trimmed });
+      if (collocationScoped && granthKey) params.set("granths", granthKey);
+      const res = await fetch(`/api/term-collocations?${params.toString()}`);
+      const json = (await res.json()) as TermCollocations | { error?: string };
+      if (!res.ok) throw new Error(("error" in json && json.error) || `Request failed (${res.status})`);
+      setCollocations(json as TermCollocations);
+    } catch (e) {
+      setCollocationError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setCollocationLoading(false);
+    }
+  }
+
+  function renderCollocationList(title: string, items: CollocationItem[], word: string) {
+    return (
+      <div style={{ padding: 12, border: "1px solid #d4d9e2", borderRadius: 12, background: "#fff", minWidth: 0 }}>
+        <div style={{ fontWeight: 700, marginBottom: 8 }}>{title}</div>
+        {items.length === 0 ? <div style={{ opacity: 0.6 }}>None found.</div> : null}
+        <ol style={{ margin: 0, paddingLeft: 22, display: "grid", gap: 6 }}>
+          {items.map((item) => (
+            <li key={item.text}>
+              <strong>{item.gujarati}</strong>{" "}
+              <span style={{ opacity: 0.75 }}>
+                {formatNumber(item.count)}x, {formatNumber(item.pages)} page(s)
+              </span>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6, fontSize: 12 }}>
+                {item.examples.map((example) => (
+                  <Link
+                    key={`${example.granth_key}:${example.page_number}`}
+                    href={examplePageHref(example, word)}
+                    style={{ color: "#1f6f8b" }}
+                  >
+                    {example.granth_name || example.granth_key} p.{example.page_number}
+                  </Link>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    );
+  }
+
+  return (
+    <main
+      style={{
+        minHeight: "100vh",
+        background: "radial-gradient(circle at 14% 0%, #fcefd9 0%, #f5f6ea 36%, #e8edf2 100%)",
+        color: "#1f2120",
+        padding: "24px 16px 40px",
+        fontFamily: '"Noto Sans Gujarati","Noto Serif Devanagari","Segoe UI",sans-serif',
+      }}
+    >
+      <div style={{ width: "100%", margin: "0 auto", display: "grid", gap: 16 }}>
+        <header>
+          <h1 style={{ margin: 0, fontSize: 30, letterSpacing: "0.01em" }}>Term Analytics</h1>
+          <div className="appPillNav" style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 12 }}>
+            <Link href="/">Back to library</Link>
+            <Link href="/search">Search pages</Link>
+            <span style={{ opacity: 0.78 }}>Compare how often words appear across granths.</span>
+          </div>
+        </header>
+
+        <section style={panelStyle}>
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              compare();
+            }}
+            style={{ display: "flex", gap: 8, flexWrap: "wrap" }}
+          >
+            <input
+              value={termsInput}
+              onChange={(e) => setTermsInput(e.target.value)}
+              placeholder="Words to compare, separated by commas"
+              aria-label="Words to compare"
+              style={{
+                flex: 1,
+                minWidth: 260,
+                padding: "12px 14px",
+                fontSize: 16,
+                borderRadius: 10,
+                border: "1px solid #b9c0cb",
+                background: "#fff",
+              }}
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              style={{
+                padding: "12px 18px",
+                borderRadius: 10,
+                border: "1px solid #1f2120",
+                background: "#1f2120",
+                color: "#fff",
+                fontWeight: 700,
+                cursor: loading ? "default" : "pointer",
+              }}
+            >
+              {loading ? "Comparing..." : "Compare"}
+            </button>
+          </form>
+
+          {error ? <div style={{ marginTop: 12, color: "#a4262c" }}>{error}</div> : null}
+
+          {stats && stats.items.length > 0 ? (
+            <div style={{ marginTop: 16, display: "grid", gap: 16 }}>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr>
+                      <th style={headerCellStyle}>Word</th>
+                      <th style={headerCellStyle}>Occurrences</th>
+                      <th style={headerCellStyle}>Pages</th>
+                      <th style={headerCellStyle}>Share of pages</th>
+                      <th style={headerCellStyle}>Granths</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.items.map((item, index) => (
+                      <tr key={item.term}>
+                        <td style={cellStyle}>
+                          <span
+                            style={{
+                              display: "inline-block",
+                              width: 10,
+                              height: 10,
+                              borderRadius: 999,
+                              marginRight: 8,
+                              background: TERM_COLORS[index % TERM_COLORS.length],
+                            }}
+                          />
+                          <strong>{item.gujarati}</strong> <span style={{ opacity: 0.7 }}>{item.term}</span>
+                        </td>
+                        <td style={cellStyle}>{formatNumber(item.occurrences)}</td>
+                        <td style={cellStyle}>
+                          {formatNumber(item.pages)} / {formatNumber(stats.total_pages)}
+                        </td>
+                        <td style={cellStyle}>{(item.page_share * 100).toFixed(2)}%</td>
+                        <td style={cellStyle}>{item.granths.length}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {comparisonRows.length > 0 ? (
+                <div style={{ overflowX: "auto" }}>
+                  <div style={{ fontWeight: 700, marginBottom: 6 }}>Occurrences per 10,000 words by granth</div>
+                  <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                    <thead>
+                      <tr>
+                        <th style={headerCellStyle}>Granth</th>
+                        {stats.items.map((item) => (
+                          <th key={item.term} style={headerCellStyle}>
+                            {item.gujarati}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparisonRows.map((row) => (
+                        <tr key={row.granth_key}>
+                          <td style={cellStyle}>
+                            <Link
+                              href={`/ocr-text-viewer?granthKey=${encodeURIComponent(buildGranthViewerKey(row.granth_key, row.granth_name))}`}
+                              style={{ color: "#1f2120" }}
+                            >
+                              {row.granth_name || row.granth_key}
+                            </Link>
+                          </td>
+                          {stats.items.map((item, index) => {
+                            const value = row.values.get(item.term);
+                            return (
+                              <td key={item.term} style={{ ...cellStyle, minWidth: 140 }}>
+                                {value ? (
+                                  <div title={`${value.occurrences} occurrences on ${value.pages} pages`}>
+                                    <div
+                                      style={{
+                                        height: 8,
+                                        borderRadius: 999,
+                                        background: TERM_COLORS[index % TERM_COLORS.length],
+                                        width: `${maxPer10k > 0 ? Math.max(2, (value.per_10k / maxPer10k) * 100) : 0}%`,
+                                      }}
+                                    />
+                                    <span style={{ fontSize: 12 }}>
+                                      {value.per_10k.toFixed(2)} ({formatNumber(value.occurrences)})
+                                    </span>
+                                  </div>
+                                ) : (
+                                  <span style={{ opacity: 0.5 }}>-</span>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+        </section>
+
+        <section style={panelStyle}>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <strong>Top words in</strong>
+            <select
+              value={granthKey}
+              onChange={(e) => chooseGranth(e.target.value)}
+              aria-label="Granth for top words"
+              style={{ flex: 1, minWidth: 240, padding: "8px 10px", borderRadius: 10, border: "1px solid #b9c0cb" }}
+            >
+              <option value="">Choose a granth</option>
+              {granths.map((granth) => (
+                <option key={granth.granth_key} value={granth.granth_key}>
+                  {granth.display_name}
+                </option>
+              ))}
+            </select>
+            {topLoading ? <span style={{ opacity: 0.7 }}>Loading...</span> : null}
+          </div>
+
+          {topWords ? (
+            <div style={{ marginTop: 12, overflowX: "auto" }}>
+              <div style={{ opacity: 0.78, marginBottom: 6 }}>
+                {formatNumber(topWords.words)} words on {formatNumber(topWords.pages)} pages
+              </div>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...headerCellStyle, width: 48 }}>#</th>
+                    <th style={headerCellStyle}>Word</th>
+                    <th style={headerCellStyle}>Occurrences</th>
+                    <th style={headerCellStyle}>Pages</th>
+                    <th style={headerCellStyle}>Per 10,000</th>
+                    <th style={headerCellStyle} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {topWords.items.map((item, index) => (
+                    <tr key={item.term}>
+                      <td style={cellStyle}>{index + 1}</td>
+                      <td style={cellStyle}>
+                        <strong>{item.gujarati}</strong> <span style={{ opacity: 0.7 }}>{item.term}</span>
+                      </td>
+                      <td style={cellStyle}>{formatNumber(item.occurrences)}</td>
+                      <td style={cellStyle}>{formatNumber(item.pages)}</td>
+                      <td style={cellStyle}>{item.per_10k.toFixed(2)}</td>
+                      <td style={cellStyle}>
+                        <button
+                          type="button"
+                          onClick={() => addTerm(item.term)}
+                          disabled={terms.includes(item.term)}
+                          style={{
+                            padding: "4px 10px",
+                            borderRadius: 999,
+                            border: "1px solid #bcc4ce",
+                            background: "#fff",
+                            cursor: terms.includes(item.term) ? "default" : "pointer",
+                          }}
+                        >
+                          Compare
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => void loadCollocations(item.gujarati)}
+                          style={{
+                            marginLeft: 6,
+                            padding: "4px 10px",
+                            borderRadius: 999,
+                            border: "1px solid #bcc4ce",
+                            background: "#fff",
+                            cursor: "pointer",
+                          }}
+                        >
+                          Phrases
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+        </section>
+
+        <section style={panelStyle}>
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              void loadCollocations(collocationInput);
+            }}
+            style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}
+          >
+            <strong>Phrases around</strong>
+            <input
+              value={collocationInput}
+              onChange={(e) => setCollocationInput(e.target.value)}
+              placeholder="One word"
+              aria-label="Word for phrase analysis"
+              style={{
+                flex: 1,
+                minWidth: 200,
+                padding: "8px 10px",
+                fontSize: 16,
+                borderRadius: 10,
+                border: "1px solid #b9c0cb",
+                background: "#fff",
+              }}
+            />
+            <label style={{ display: "inline-flex", gap: 6, alignItems: "center", opacity: granthKey ? 1 : 0.5 }}>
+              <input
+                type="checkbox"
+                checked={collocationScoped && Boolean(granthKey)}
+                disabled={!granthKey}
+                onChange={(e) => setCollocationScoped(e.target.checked)}
+              />
+              Only selected granth
+            </label>
+            <button
+              type="submit"
+              disabled={collocationLoading}
+              style={{
+                padding: "8px 16px",
+                borderRadius: 10,
+                border: "1px solid #1f2120",
+                background: "#1f2120",
+                color: "#fff",
+                fontWeight: 700,
+                cursor: collocationLoading ? "default" : "pointer",
+              }}
+            >
+              {collocationLoading ? "Analyzing..." : "Analyze"}
+            </button>
+          </form>
+
+          {collocationError ? <div style={{ marginTop: 12, color: "#a4262c" }}>{collocationError}</div> : null}
+
+          {collocations ? (
+            <div style={{ marginTop: 12 }}>
+              <div style={{ opacity: 0.78, marginBottom: 8 }}>
+                {collocations.gujarati}: {formatNumber(collocations.occurrences)} occurrences on{" "}
+                {formatNumber(collocations.pages_scanned)} pages
+                {collocations.truncated ? " (first pages only)" : ""}
+              </div>
+              <div style={{ display: "grid", gap: 12, gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))" }}>
+                {renderCollocationList("Left neighbours", collocations.left, collocations.word)}
+                {renderCollocationList("Right neighbours", collocations.right, collocations.word)}
+                {renderCollocationList("Bigrams", collocations.bigrams, collocations.word)}
+                {renderCollocationList("Trigrams", collocations.trigrams, collocations.word)}
+              </div>
+            </div>
+          ) : null}
+        </section>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,55 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
+import { parseNumberListSpec } from "@/lib/granth-mapping";
+import { GranthResolveError, lookupPageGathas } from "@/lib/granth-resolver";
+
+const MAX_PAGES = 200;
+
+function firstString(value: string | string[] | undefined) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    let pages: number[];
+    try {
+      pages = parseNumberListSpec(String(firstString(req.query.page ?? req.query.pages) || ""), MAX_PAGES);
+    } catch (error) {
+      throw new GranthResolveError(400, { error: error instanceof Error ? error.message : String(error) });
+    }
+
+    const target = {
+      customId: String(firstString(req.query.customId) || "").trim(),
+      pdfUrl: String(firstString(req.query.pdfUrl ?? req.query.pdf) || "").trim(),
+      sourceRelPath: String(firstString(req.query.sourceRelPath) || "").trim(),
+    };
+
+    const cacheKey = buildCacheKey(req, "page-gathas");
+    const { value: payload, status } = await getCachedJson(cacheKey, 600, async () => ({
+      ...target,
+      pages: await lookupPageGathas(target, pages),
+    }));
+
+    setPublicCacheHeaders(res, { maxAgeSeconds: 600, staleWhileRevalidateSeconds: 3600 }, status);
+    return res.status(200).json(payload);
+  } catch (error) {
+    setNoStore(res);
+    if (error instanceof GranthResolveError) {
+      return res.status(error.status).json(error.payload);
+    }
+
+    const message = error instanceof Error ? error.message : String(error);
+    if (/granth_gatha_map|schema cache/i.test(message)) {
+      return res.status(503).json({
+        error:
+          "Mapping tables are not available yet. Run supabase/migrations/20260725_granth_library_mapping.sql and import the mapping data.",
+      });
+    }
+    return res.status(500).json({ error: message });
+  }
+}
@@ -1,7 +1,7 @@
 import type { NextApiRequest, NextApiResponse } from "next";
 import { getTursoClient } from "@/lib/turso";
 import { ensureReplacementSchema, hasWhitespaceWordBoundary } from "@/lib/ocr-replacements";
-import { ensureOCRSearchSchema, upsertOCRPageSuffixIndex } from "@/lib/ocr-search-index";
+import { ensureOCRSearchSchema, upsertOCRPageSearchIndex } from "@/lib/ocr-search-index";
 
 type ApplyBody = {
   granth_key?: string;
@@ -85,7 +85,7 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
               WHERE granth_key = ? AND page_number = ?`,
         args: [updatedContent, granthKey, pageNumber],
       });
-      await upsertOCRPageSuffixIndex(tx, granthKey, pageNumber, updatedContent);
+      await upsertOCRPageSearchIndex(tx, granthKey, pageNumber, updatedContent);
 
       const insertLog = await tx.execute({
         sql: `INSERT INTO ocr_word_changes (
@@ -1,7 +1,21 @@
 import type { NextApiRequest, NextApiResponse } from "next";
 import { getTursoClient } from "@/lib/turso";
-import { buildOCRSearchExcerpt, findOCRSearchMatches, parseOCRSearchMode } from "@/lib/ocr-search";
-import { buildOCRSuffixQuery, escapeFtsPhrase, escapeFtsToken } from "@/lib/ocr-search-index";
+import {
+  buildOCRSearchExcerptForQueries,
+  findOCRSearchMatchesForQueries,
+  getOCRSearchModeLabel,
+  isVerifiedOCRSearchMode,
+  matchesOCRSearchQueries,
+  minimumOCRSearchTermLength,
+  parseOCRSearchMode,
+} from "@/lib/ocr-search";
+import { OCRQuerySyntaxError, buildOCRFtsMatchQuery, parseOCRQuery, validateOCRQueryTerms } from "@/lib/ocr-query";
+import { OCR_REGEX_SEARCH_TIMEOUT_MS } from "@/lib/ocr-regex";
+import "@/lib/ocr-regex-sandbox";
+import { expandOCRWildcardTerms } from "@/lib/ocr-wildcard";
+import { expandSearchQueriesWithSynonyms, findMatchedSynonymTerms, type SearchSynonymExpansion } from "@/lib/search-synonyms";
+
+const MAX_VERIFIED_CANDIDATES = 1500;
 
 function parseLimit(raw: unknown) {
   const value = Number(raw ?? 48);
@@ -57,9 +71,35 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     return res.status(200).json({ results: [], total: 0, match_mode: matchMode });
   }
 
-  if (matchMode === "contains" && Array.from(q).length < 3) {
+  const useSynonyms = matchMode !== "regex" && (req.query.synonyms === "1" || req.query.synonyms === "true");
+  let query = q;
+  let synonymExpansions: SearchSynonymExpansion[] = [];
+  if (useSynonyms) {
+    try {
+      const expanded = await expandSearchQueriesWithSynonyms(getTursoClient(), [q]);
+      query = expanded.queries[0] ?? q;
+      synonymExpansions = expanded.expansions;
+    } catch (error) {
+      return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  let matchQuery: string;
+  try {
+    if (matchMode === "regex") {
+      matchQuery = buildOCRFtsMatchQuery(q, matchMode);
+    } else {
+      const node = parseOCRQuery(query);
+      validateOCRQueryTerms(node, 2);
+      if (minimumOCRSearchTermLength(matchMode) > 2) {
+        validateOCRQueryTerms(node, minimumOCRSearchTermLength(matchMode), `${getOCRSearchModeLabel(matchMode)} search term`);
+      }
+      matchQuery = buildOCRFtsMatchQuery(node, matchMode);
+    }
+  } catch (error) {
+    if (!(error instanceof OCRQuerySyntaxError)) throw error;
     return res.status(400).json({
-      error: "Contains search requires at least 3 characters so it can use the trigram index.",
+      error: error.message,
       results: [],
       total: 0,
       match_mode: matchMode,
@@ -72,6 +112,9 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
 
   try {
     const client = getTursoClient();
+    if (matchMode === "wildcard") {
+      matchQuery = buildOCRFtsMatchQuery(query, matchMode, await expandOCRWildcardTerms(client, [query]));
+    }
     let total = 0;
     let results: Array<{
       granth_key: string;
@@ -82,51 +125,29 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
       snippet: string;
       score: number;
       xlsx_url: string | null;
+      matched_variants?: string[];
     }> = [];
 
     const ftsTable =
-      matchMode === "contains"
+      matchMode === "contains" || matchMode === "fuzzy" || matchMode === "regex" || matchMode === "wildcard"
         ? "ocr_pages_trigram_fts"
         : matchMode === "ends_with"
           ? "ocr_pages_suffix_fts"
-          : "ocr_pages_search_fts";
-    const ftsColumn = matchMode === "ends_with" ? "reversed_content" : "content";
-    const matchQuery =
-      matchMode === "begins_with"
-        ? `${escapeFtsToken(q)}*`
-        : matchMode === "ends_with"
-          ? buildOCRSuffixQuery(q)
-          : escapeFtsPhrase(q);
-
-    const countResult = await client.execute({
-      sql: `SELECT COUNT(*) AS total
-            FROM ${ftsTable}
-            JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
-            WHERE ${ftsTable} MATCH ?${granthFilterSql}`,
-      args: [matchQuery, ...selectedGranths],
-    });
+          : matchMode === "sandhi"
+            ? "ocr_pages_sandhi_fts"
+            : matchMode === "same_root"
+              ? "ocr_pages_stem_fts"
+              : "ocr_pages_search_fts";
+    const ftsColumn =
+      matchMode === "ends_with"
+        ? "reversed_content"
+        : matchMode === "sandhi"
+          ? "split_content"
+          : matchMode === "same_root"
+            ? "stem_content"
+            : "content";
 
-    const listResult = await client.execute({
-      sql: `SELECT
-              p.granth_key,
-              g.book_number,
-              g.library_code,
-              g.granth_name,
-              g.xlsx_url,
-              p.page_number,
-              p.content,
-              0 AS rank
-            FROM ${ftsTable}
-            JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
-            JOIN ocr_granths g ON g.granth_key = p.granth_key
-            WHERE ${ftsTable} MATCH ?${granthFilterSql}
-            ORDER BY ${ftsTable}.rowid ASC
-            LIMIT ? OFFSET ?`,
-      args: [matchQuery, ...selectedGranths, limit, offset],
-    });
-
-    total = toInt(countResult.rows[0]?.total);
-    results = listResult.rows.map((row) => {
+    const toResult = (row: Record<string, unknown>) => {
       const content = toStr(row.content);
       return {
         granth_key: toStr(row.granth_key),
@@ -134,12 +155,91 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
         library_code: row.library_code == null ? null : toStr(row.library_code),
         granth_name: toStr(row.granth_name),
         page_number: toInt(row.page_number),
-        snippet: buildOCRSearchExcerpt(content, q, matchMode),
+        snippet: buildOCRSearchExcerptForQueries(content, query, matchMode),
         score: toFloat(row.rank),
-        occurrence_count: findOCRSearchMatches(content, q, matchMode).length,
+        occurrence_count: findOCRSearchMatchesForQueries(content, query, matchMode).length,
         xlsx_url: row.xlsx_url == null ? null : toStr(row.xlsx_url),
+        ...(synonymExpansions.length
+          ? {
+              matched_variants: findMatchedSynonymTerms(
+                synonymExpansions,
+                (term) => findOCRSearchMatchesForQueries(content, term, matchMode).length > 0
+              ),
+            }
+          : {}),
       };
-    });
+    };
+    let totalIsExact = true;
+
+    if (isVerifiedOCRSearchMode(matchMode)) {
+      const candidateResult = await client.execute({
+        sql: `SELECT
+                p.granth_key,
+                g.book_number,
+                g.library_code,
+                g.granth_name,
+                g.xlsx_url,
+                p.page_number,
+                p.content
+              FROM ${ftsTable}
+              JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
+              JOIN ocr_granths g ON g.granth_key = p.granth_key
+              WHERE ${ftsTable} MATCH ?${granthFilterSql}
+              ORDER BY ${ftsTable}.rank
+              LIMIT ?`,
+        args: [matchQuery, ...selectedGranths, MAX_VERIFIED_CANDIDATES],
+      });
+      const verifyDeadline = matchMode === "regex" ? Date.now() + OCR_REGEX_SEARCH_TIMEOUT_MS : Number.POSITIVE_INFINITY;
+      let verifyTimedOut = false;
+      const verified = candidateResult.rows
+        .filter((row) => {
+          if (verifyTimedOut || Date.now() > verifyDeadline) {
+            verifyTimedOut = true;
+            return false;
+          }
+          return matchesOCRSearchQueries(toStr(row.content), query, matchMode);
+        })
+        .map((row) => {
+          const distances = findOCRSearchMatchesForQueries(toStr(row.content), query, matchMode).map(
+            (match) => match.distance ?? 0
+          );
+          return { ...row, rank: distances.length > 0 ? Math.min(...distances) : 0 };
+        })
+        .sort((a, b) => a.rank - b.rank);
+      total = verified.length;
+      totalIsExact = candidateResult.rows.length < MAX_VERIFIED_CANDIDATES && !verifyTimedOut;
+      results = verified.slice(offset, offset + limit).map(toResult);
+    } else {
+      const countResult = await client.execute({
+        sql: `SELECT COUNT(*) AS total
+              FROM ${ftsTable}
+              JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
+              WHERE ${ftsTable} MATCH ?${granthFilterSql}`,
+        args: [matchQuery, ...selectedGranths],
+      });
+
+      const listResult = await client.execute({
+        sql: `SELECT
+                p.granth_key,
+                g.book_number,
+                g.library_code,
+                g.granth_name,
+                g.xlsx_url,
+                p.page_number,
+                p.content,
+                0 AS rank
+              FROM ${ftsTable}
+              JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
+              JOIN ocr_granths g ON g.granth_key = p.granth_key
+              WHERE ${ftsTable} MATCH ?${granthFilterSql}
+              ORDER BY ${ftsTable}.rowid ASC
+              LIMIT ? OFFSET ?`,
+        args: [matchQuery, ...selectedGranths, limit, offset],
+      });
+
+      total = toInt(countResult.rows[0]?.total);
+      results = listResult.rows.map(toResult);
+    }
 
     return res.status(200).json({
       results,
@@ -147,9 +247,12 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
       selected_granth_count: selectedGranths.length,
       page,
       per_page: limit,
+      total_is_exact: totalIsExact,
       match_mode: matchMode,
       search_table: ftsTable,
       search_column: ftsColumn,
+      query,
+      synonym_expansions: synonymExpansions,
     });
   } catch (error) {
     return res.status(500).json({
@@ -0,0 +1,52 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
+import {
+  ParallelPassageError,
+  findParallelPassages,
+  getLatestParallelPassageRun,
+  resolveParallelPassageGranthKey,
+} from "@/lib/parallel-passages";
+import { getTursoClient } from "@/lib/turso";
+
+function firstString(value: string | string[] | undefined) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const pageNumber = Number.parseInt(String(firstString(req.query.page) ?? ""), 10);
+    if (!Number.isFinite(pageNumber) || pageNumber <= 0) throw new ParallelPassageError(400, "page is required");
+    const target = {
+      granthKey: String(firstString(req.query.granthKey) || "").split("--")[0].trim(),
+      pdfUrl: String(firstString(req.query.pdfUrl ?? req.query.pdf) || "").trim(),
+    };
+    if (!target.granthKey && !target.pdfUrl) throw new ParallelPassageError(400, "granthKey or pdfUrl is required");
+
+    const cacheKey = buildCacheKey(req, "parallel-passages");
+    const { value: payload, status } = await getCachedJson(cacheKey, 600, async () => {
+      const client = getTursoClient();
+      const granthKey = await resolveParallelPassageGranthKey(client, target);
+      const run = granthKey ? await getLatestParallelPassageRun(client) : null;
+      return {
+        granth_key: granthKey || null,
+        page_number: pageNumber,
+        run,
+        passages: run ? await findParallelPassages(client, run.id, granthKey, pageNumber) : [],
+      };
+    });
+
+    setPublicCacheHeaders(res, { maxAgeSeconds: 600, staleWhileRevalidateSeconds: 3600 }, status);
+    return res.status(200).json(payload);
+  } catch (error) {
+    setNoStore(res);
+    if (error instanceof ParallelPassageError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
@@ -0,0 +1,91 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
+import { normalizeOCRText } from "@/lib/ocr-normalize";
+import { extractOCRQueryText } from "@/lib/ocr-query";
+import { ensureOCRSearchSchema } from "@/lib/ocr-search-index";
+import {
+  buildRomanSpellingCandidates,
+  detectRomanScheme,
+  parseRomanScheme,
+  romanSpellingKey,
+  MAX_ROMAN_SPELLING_OPTIONS,
+} from "@/lib/phonetic-transliteration";
+import { getTursoClient } from "@/lib/turso";
+
+const MAX_WORDS = 6;
+const MAX_CANDIDATES_PER_WORD = 96;
+
+type SpellingResult = {
+  value: string;
+  pages: number;
+  cost: number;
+};
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return Array.isArray(raw) ? raw[0] : raw;
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const q = String(firstQueryValue(req.query.q) ?? "").trim().slice(0, 300);
+    const scheme = parseRomanScheme(firstQueryValue(req.query.scheme));
+    const termText = extractOCRQueryText(q);
+    const resolvedScheme = scheme === "auto" ? detectRomanScheme(termText) : scheme;
+    const words = Array.from(
+      new Set(termText.split(" ").filter((word) => /[a-z]/i.test(word)).map((word) => romanSpellingKey(word, resolvedScheme)))
+    ).slice(0, MAX_WORDS);
+
+    if (words.length === 0) {
+      setPublicCacheHeaders(res, { maxAgeSeconds: 300 });
+      return res.status(200).json({ q, scheme: resolvedScheme, spellings: {} });
+    }
+
+    const cacheKey = buildCacheKey(req, "query-spellings");
+    const { value: payload, status } = await getCachedJson(cacheKey, 600, async () => {
+      const client = getTursoClient();
+      await ensureOCRSearchSchema(client);
+
+      const candidatesByWord = new Map<string, Map<string, number>>();
+      const allTerms = new Set<string>();
+      for (const word of words) {
+        const byTerm = new Map<string, number>();
+        for (const candidate of buildRomanSpellingCandidates(word, resolvedScheme, MAX_CANDIDATES_PER_WORD)) {
+          const term = normalizeOCRText(candidate.value);
+          if (!term || byTerm.has(term)) continue;
+          byTerm.set(term, candidate.cost);
+          allTerms.add(term);
+        }
+        candidatesByWord.set(word, byTerm);
+      }
+
+      const terms = [...allTerms];
+      const result = await client.execute({
+        sql: `SELECT term, doc FROM ocr_pages_search_vocab WHERE term IN (${terms.map(() => "?").join(", ")})`,
+        args: terms,
+      });
+      const pagesByTerm = new Map(result.rows.map((row) => [String(row.term), Number(row.doc ?? 0)]));
+
+      const spellings: Record<string, SpellingResult[]> = {};
+      for (const [word, byTerm] of candidatesByWord.entries()) {
+        spellings[word] = [...byTerm.entries()]
+          .filter(([term]) => (pagesByTerm.get(term) ?? 0) > 0)
+          .map(([term, cost]) => ({ value: term, pages: pagesByTerm.get(term) ?? 0, cost }))
+          .sort((a, b) => b.pages - a.pages || a.cost - b.cost)
+          .slice(0, MAX_ROMAN_SPELLING_OPTIONS);
+      }
+
+      return { q, scheme: resolvedScheme, spellings };
+    });
+
+    setPublicCacheHeaders(res, { maxAgeSeconds: 300, staleWhileRevalidateSeconds: 1800 }, status);
+    return res.status(200).json(payload);
+  } catch (error) {
+    setNoStore(res);
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
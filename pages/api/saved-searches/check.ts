@@ -0,0 +1,50 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { setNoStore } from "@/lib/api-cache";
+import { SavedSearchError, checkSavedSearches } from "@/lib/saved-searches";
+
+function requestBaseUrl(req: NextApiRequest) {
+  const configured = String(process.env.SAVED_SEARCH_BASE_URL || "").trim();
+  if (configured) return configured;
+  const forwardedProto = String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim();
+  const proto = forwardedProto || (process.env.NODE_ENV === "production" ? "https" : "http");
+  return `${proto}://${req.headers.host || "localhost:3000"}`;
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setNoStore(res);
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const secret = String(process.env.SAVED_SEARCH_CHECK_SECRET || "").trim();
+  if (!secret) {
+    return res.status(503).json({ error: "Saved search checks are not configured. Set SAVED_SEARCH_CHECK_SECRET." });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const limit = Number.parseInt(String(req.query.limit ?? ""), 10);
+    const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+    const results = await checkSavedSearches({
+      baseUrl: requestBaseUrl(req),
+      limit: Number.isFinite(limit) ? limit : undefined,
+      dryRun,
+    });
+    return res.status(200).json({
+      checked: results.length,
+      notified: results.filter((result) => result.notified).length,
+      failed: results.filter((result) => result.error).length,
+      dry_run: dryRun,
+      results,
+    });
+  } catch (error) {
+    if (error instanceof SavedSearchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
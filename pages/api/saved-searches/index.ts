@@ -0,0 +1,45 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { DownloadEmailError, getDownloadRecipientClientKey, rememberDownloadRecipient } from "@/lib/download-email";
+import { setNoStore } from "@/lib/api-cache";
+import {
+  SavedSearchError,
+  createSavedSearch,
+  deleteSavedSearch,
+  listSavedSearches,
+  parseSavedSearchInput,
+} from "@/lib/saved-searches";
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setNoStore(res);
+
+  try {
+    const clientKey = getDownloadRecipientClientKey(req, res);
+
+    if (req.method === "GET") {
+      const searches = await listSavedSearches(clientKey);
+      return res.status(200).json({ searches });
+    }
+
+    if (req.method === "POST") {
+      const input = parseSavedSearchInput((req.body || {}) as Record<string, unknown>);
+      const search = await createSavedSearch(clientKey, input);
+      await rememberDownloadRecipient(input.email, clientKey);
+      return res.status(200).json({ search });
+    }
+
+    if (req.method === "DELETE") {
+      const id = Number.parseInt(String(req.query.id ?? ""), 10);
+      if (!Number.isFinite(id) || id <= 0) throw new SavedSearchError(400, "id is required");
+      await deleteSavedSearch(clientKey, id);
+      return res.status(200).json({ deleted: id });
+    }
+
+    res.setHeader("Allow", "GET, POST, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    if (error instanceof SavedSearchError || error instanceof DownloadEmailError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
@@ -0,0 +1,170 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import * as XLSX from "xlsx";
+import { setNoStore } from "@/lib/api-cache";
+import { parseOCRSearchMode } from "@/lib/ocr-search";
+import { OCR_REGEX_SEARCH_TIMEOUT_MS } from "@/lib/ocr-regex";
+import {
+  CONCORDANCE_COLUMNS,
+  MAX_CONCORDANCE_ROWS,
+  iterateConcordanceRows,
+  normalizeConcordanceContextChars,
+  type ConcordanceRow,
+  type ConcordanceSummary,
+} from "@/lib/search-concordance";
+import { SearchMatchError, validateSearchDownloadQueries } from "@/lib/search-match-pages";
+
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+const MAX_XLSX_ROWS = 100000;
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return String((Array.isArray(raw) ? raw[0] : raw) ?? "").trim();
+}
+
+function parseList(raw: string | string[] | undefined) {
+  const values = Array.isArray(raw) ? raw : raw ? String(raw).split(",") : [];
+  return values.map((value) => String(value).trim()).filter(Boolean);
+}
+
+function parseQueryVariants(raw: string | string[] | undefined) {
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return values.flatMap((value) => String(value || "").split(/\r?\n|\|/g));
+}
+
+function safeFileName(value: string, fallback = "concordance") {
+  const cleaned = String(value || "")
+    .replace(/[^a-z0-9._\-\u0900-\u097f\u0a80-\u0aff]+/gi, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 120);
+  return cleaned || fallback;
+}
+
+function contentDisposition(filename: string) {
+  const ascii = filename.replace(/[^\x20-\x7e]+/g, "_").replace(/["\\]/g, "_") || "concordance.csv";
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function csvCell(value: string | number) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values: Array<string | number>) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+// Spreadsheet apps run cells starting with = + - @ as formulas; OCR text can start with any of them.
+function spreadsheetCell(value: string | number) {
+  return typeof value === "string" && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+function rowValues(row: ConcordanceRow) {
+  return CONCORDANCE_COLUMNS.map((column) => spreadsheetCell(row[column]));
+}
+
+function truncationNote(summary: ConcordanceSummary, rowLimit: number) {
+  if (summary.truncatedBy === "regex_timeout") {
+    return `# export truncated: the regex took longer than ${OCR_REGEX_SEARCH_TIMEOUT_MS / 1000} seconds to check`;
+  }
+  if (summary.truncatedBy === "rows") return `# export truncated: reached the ${rowLimit}-row limit`;
+  return "";
+}
+
+function waitForDrain(res: NextApiResponse) {
+  return new Promise<void>((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  setNoStore(res);
+  const format = firstQueryValue(req.query.format) === "xlsx" ? "xlsx" : "csv";
+
+  let rows: AsyncGenerator<ConcordanceRow, ConcordanceSummary>;
+  let filename: string;
+  try {
+    const matchMode = parseOCRSearchMode(req.query.matchMode);
+    if (Array.from(firstQueryValue(req.query.q)).length < 2) {
+      throw new SearchMatchError(400, "Enter at least 2 characters before exporting a concordance.");
+    }
+    const queries = validateSearchDownloadQueries(
+      firstQueryValue(req.query.q),
+      parseQueryVariants(req.query.queryVariant ?? req.query.queryVariants),
+      matchMode
+    );
+    rows = iterateConcordanceRows({
+      queries,
+      matchMode,
+      granths: parseList(req.query.granths).slice(0, 250),
+      contextChars: normalizeConcordanceContextChars(req.query.context),
+      maxRows: format === "xlsx" ? MAX_XLSX_ROWS : undefined,
+    });
+    filename = `${safeFileName(queries.join("_"))}_concordance.${format}`;
+  } catch (error) {
+    if (error instanceof SearchMatchError) return res.status(error.status).json({ error: error.message });
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+
+  if (format === "xlsx") {
+    try {
+      const sheetRows: Array<Array<string | number>> = [[...CONCORDANCE_COLUMNS]];
+      let next = await rows.next();
+      for (; !next.done; next = await rows.next()) sheetRows.push(rowValues(next.value));
+      const rowCount = sheetRows.length - 1;
+      const note = truncationNote(next.value, MAX_XLSX_ROWS);
+      if (note) sheetRows.push([note]);
+
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetRows), "Concordance");
+      const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }) as Buffer;
+
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", contentDisposition(filename));
+      res.setHeader("X-Concordance-Rows", String(rowCount));
+      if (note) res.setHeader("X-Concordance-Truncated", "1");
+      return res.status(200).send(buffer);
+    } catch (error) {
+      return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  let next: IteratorResult<ConcordanceRow, ConcordanceSummary>;
+  try {
+    next = await rows.next();
+  } catch (error) {
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", contentDisposition(filename));
+  res.status(200);
+
+  try {
+    res.write(`\ufeff${csvLine([...CONCORDANCE_COLUMNS])}`);
+    for (; !next.done; next = await rows.next()) {
+      if (res.destroyed) break;
+      if (!res.write(csvLine(rowValues(next.value)))) await waitForDrain(res);
+    }
+    const note = next.done ? truncationNote(next.value, MAX_CONCORDANCE_ROWS) : "";
+    if (note) res.write(csvLine([note]));
+  } catch (error) {
+    console.error(error);
+    res.write(csvLine([`# export stopped: ${error instanceof Error ? error.message : String(error)}`]));
+  }
+  res.end();
+}
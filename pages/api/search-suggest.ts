@@ -0,0 +1,108 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
+import { foldDevanagariToGujarati, normalizeOCRText } from "@/lib/ocr-normalize";
+import { ensureOCRSearchSchema } from "@/lib/ocr-search-index";
+import { parseRomanScheme, transliterateRoman } from "@/lib/phonetic-transliteration";
+import { getTursoClient } from "@/lib/turso";
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const MIN_PREFIX_GRAPHEMES = 2;
+// Short prefixes cover a large slice of the vocab; rank only the first terms of the range.
+const MAX_SCANNED_TERMS = 2000;
+const VIRAMA = "्";
+
+type SuggestScript = "devanagari" | "gujarati" | "roman";
+
+type SearchSuggestion = {
+  value: string;
+  devanagari: string;
+  gujarati: string;
+  pages: number;
+  occurrences: number;
+};
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return Array.isArray(raw) ? raw[0] : raw;
+}
+
+function parseLimit(raw: unknown) {
+  const value = Number(raw ?? DEFAULT_LIMIT);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_LIMIT;
+  return Math.min(Math.floor(value), MAX_LIMIT);
+}
+
+function detectScript(word: string): SuggestScript {
+  if (/[઀-૿]/u.test(word)) return "gujarati";
+  if (/[a-z]/i.test(word) && !/[ऀ-ॿ]/u.test(word)) return "roman";
+  return "devanagari";
+}
+
+function lastWord(q: string) {
+  return q.split(/\s+/).pop()?.replace(/^[("'*+-]+|[)"'*]+$/g, "") ?? "";
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const q = String(firstQueryValue(req.query.q) ?? "").slice(0, 300);
+    const limit = parseLimit(firstQueryValue(req.query.limit));
+    const scheme = parseRomanScheme(firstQueryValue(req.query.scheme));
+    const word = lastWord(q);
+    const script = detectScript(word);
+    const indicWord = script === "roman" ? transliterateRoman(word, "devanagari", scheme) : word;
+    const prefix = normalizeOCRText(indicWord).replace(new RegExp(`${VIRAMA}+$`, "u"), "");
+
+    if (Array.from(prefix).length < MIN_PREFIX_GRAPHEMES || /\s/.test(prefix)) {
+      setPublicCacheHeaders(res, { maxAgeSeconds: 300 });
+      return res.status(200).json({ q, prefix, script, suggestions: [] });
+    }
+
+    const cacheKey = buildCacheKey(req, "search-suggest");
+    const { value: payload, status } = await getCachedJson(cacheKey, 600, async () => {
+      const client = getTursoClient();
+      await ensureOCRSearchSchema(client);
+
+      const result = await client.execute({
+        sql: `SELECT term, doc, cnt
+              FROM (
+                SELECT term, doc, cnt
+                FROM ocr_pages_search_vocab
+                WHERE term >= ? AND term < ?
+                ORDER BY term
+                LIMIT ?
+              )
+              ORDER BY doc DESC, cnt DESC, term ASC
+              LIMIT ?`,
+        args: [prefix, `${prefix}\u{10ffff}`, MAX_SCANNED_TERMS, limit * 3],
+      });
+
+      const suggestions: SearchSuggestion[] = result.rows
+        .filter((row) => /\p{L}/u.test(String(row.term ?? "")))
+        .slice(0, limit)
+        .map((row) => {
+          const term = String(row.term);
+          const gujarati = foldDevanagariToGujarati(term);
+          return {
+            value: script === "gujarati" ? gujarati : term,
+            devanagari: term,
+            gujarati,
+            pages: Number(row.doc ?? 0),
+            occurrences: Number(row.cnt ?? 0),
+          };
+        });
+
+      return { q, prefix, script, suggestions };
+    });
+
+    setPublicCacheHeaders(res, { maxAgeSeconds: 300, staleWhileRevalidateSeconds: 1800 }, status);
+    return res.status(200).json(payload);
+  } catch (error) {
+    setNoStore(res);
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
@@ -0,0 +1,64 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { setNoStore } from "@/lib/api-cache";
+import {
+  SearchSynonymError,
+  createSearchSynonymSet,
+  deleteSearchSynonymSet,
+  listSearchSynonymSets,
+  parseSearchSynonymInput,
+  updateSearchSynonymSet,
+} from "@/lib/search-synonyms";
+import { getTursoClient } from "@/lib/turso";
+
+function parseId(raw: unknown) {
+  const id = Number.parseInt(String(raw ?? ""), 10);
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
+
+function assertAdmin(req: NextApiRequest) {
+  const secret = String(process.env.SEARCH_SYNONYMS_ADMIN_SECRET || "").trim();
+  if (!secret) {
+    throw new SearchSynonymError(503, "Synonym editing is not configured. Set SEARCH_SYNONYMS_ADMIN_SECRET.");
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    throw new SearchSynonymError(401, "Unauthorized");
+  }
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  setNoStore(res);
+
+  try {
+    const client = getTursoClient();
+
+    if (req.method === "GET") {
+      const sets = await listSearchSynonymSets(client);
+      return res.status(200).json({ sets });
+    }
+
+    if (req.method === "POST") {
+      assertAdmin(req);
+      const body = (req.body || {}) as Record<string, unknown>;
+      const input = parseSearchSynonymInput(body);
+      const id = parseId(body.id);
+      const set = id ? await updateSearchSynonymSet(client, id, input) : await createSearchSynonymSet(client, input);
+      return res.status(200).json({ set });
+    }
+
+    if (req.method === "DELETE") {
+      assertAdmin(req);
+      const id = parseId(req.query.id);
+      if (!id) throw new SearchSynonymError(400, "id is required");
+      await deleteSearchSynonymSet(client, id);
+      return res.status(200).json({ deleted: id });
+    }
+
+    res.setHeader("Allow", "GET, POST, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    if (error instanceof SearchSynonymError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
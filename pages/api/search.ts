@@ -1,17 +1,62 @@
+import type { Client } from "@libsql/client";
 import type { NextApiRequest, NextApiResponse } from "next";
 import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
 import {
   buildOCRSearchExcerptForQueries,
   findOCRSearchMatchesForQueries,
+  getOCRSearchModeLabel,
+  isVerifiedOCRSearchMode,
+  matchesOCRSearchQueries,
+  minimumOCRSearchTermLength,
   normalizeOCRSearchQueries,
   parseOCRSearchMode,
   type OCRSearchMode,
 } from "@/lib/ocr-search";
-import { buildOCRSuffixQuery, escapeFtsPhrase, escapeFtsToken } from "@/lib/ocr-search-index";
+import {
+  OCRQuerySyntaxError,
+  buildOCRFtsMatchQuery,
+  parseOCRQuery,
+  validateOCRQueryTerms,
+} from "@/lib/ocr-query";
+import {
+  buildSearchFacets,
+  emptySearchFacets,
+  parseSearchFacetFilters,
+  resolveSearchFacetRelPaths,
+  type SearchFacetHitCount,
+} from "@/lib/search-facets";
+import { GranthResolveError } from "@/lib/granth-resolver";
+import { OCR_REGEX_SEARCH_TIMEOUT_MS } from "@/lib/ocr-regex";
+import "@/lib/ocr-regex-sandbox";
+import { ensureOCRSearchSchema } from "@/lib/ocr-search-index";
+import { expandOCRWildcardTerms } from "@/lib/ocr-wildcard";
+import {
+  SEARCH_CURSOR_START,
+  SearchCursorError,
+  buildSearchCursorFingerprint,
+  decodeSearchCursor,
+  encodeSearchCursor,
+  type SearchCursor,
+} from "@/lib/search-cursor";
+import { findDidYouMeanSuggestions, type DidYouMeanSuggestion } from "@/lib/search-did-you-mean";
+import {
+  buildGathaScopeSql,
+  findGathasForPage,
+  parseSearchGathaScopeInput,
+  resolveSearchGathaScope,
+  type SearchGathaScope,
+} from "@/lib/search-gatha-scope";
+import { groupSearchRowsByGranth, type SearchGranthGroupSummary } from "@/lib/search-granth-groups";
+import {
+  expandSearchQueriesWithSynonyms,
+  findMatchedSynonymTerms,
+  type SearchSynonymExpansion,
+} from "@/lib/search-synonyms";
 import { getSupabaseAdmin } from "@/lib/supabase-server";
 import { getTursoClient } from "@/lib/turso";
 
 type TursoSearchRow = {
+  page_id: number;
   granth_key: string;
   source_rel_path: string;
   pdf_name: string;
@@ -51,6 +96,17 @@ type PdfFallback = {
   partNumber: number | null;
 };
 
+const MAX_VERIFIED_CANDIDATES = 1500;
+const MAX_GROUPED_HIT_PAGES = 3000;
+const STREAM_BATCH_SIZE = 100;
+const VERIFIED_CURSOR_BATCH = 250;
+
+type SearchResultGrouping = "page" | "granth";
+
+function parseResultGrouping(raw: unknown): SearchResultGrouping {
+  return raw === "granth" ? "granth" : "page";
+}
+
 function parseLimit(raw: unknown) {
   const value = Number(raw ?? 20);
   if (!Number.isFinite(value) || value <= 0) return 20;
@@ -99,6 +155,18 @@ function toStr(value: unknown, fallback = "") {
   return String(value);
 }
 
+function toSearchRow(row: Record<string, unknown>): TursoSearchRow {
+  return {
+    page_id: toInt(row.page_id),
+    granth_key: toStr(row.granth_key),
+    source_rel_path: toStr(row.source_rel_path),
+    pdf_name: toStr(row.pdf_name),
+    page_number: toInt(row.page_number),
+    content: toStr(row.content),
+    rank: Number(row.rank ?? 0),
+  };
+}
+
 function normalizeHttpUrl(value: string | null | undefined) {
   const raw = String(value || "").trim();
   if (!raw) return "";
@@ -278,12 +346,6 @@ function isTrishashtiFamily(value: string) {
   );
 }
 
-function ftsMatchQueryFor(query: string, matchMode: OCRSearchMode) {
-  if (matchMode === "begins_with") return `${escapeFtsToken(query)}*`;
-  if (matchMode === "ends_with") return buildOCRSuffixQuery(query);
-  return escapeFtsPhrase(query);
-}
-
 function scorePdfFallback(row: TursoSearchRow, meta: PdfCatalogMeta) {
   const rowSourceStem = normalizedFileStem(row.source_rel_path);
   const metaFileStem = normalizedFileStem(meta.file_name);
@@ -447,6 +509,21 @@ function choosePdfFallback(row: TursoSearchRow, fallbacks: PdfFallback[], pageCo
   return { meta: fallbacks[0].meta, pageNumber: row.page_number };
 }
 
+async function fetchGranthPageCounts(granthKeys: string[]) {
+  const unique = Array.from(new Set(granthKeys.filter(Boolean)));
+  if (unique.length === 0) return new Map<string, number>();
+
+  const result = await getTursoClient().execute({
+    sql: `SELECT granth_key, MAX(page_number) AS page_count
+          FROM ocr_pages
+          WHERE granth_key IN (${unique.map(() => "?").join(",")})
+          GROUP BY granth_key`,
+    args: unique,
+  });
+
+  return new Map(result.rows.map((row) => [String(row.granth_key || ""), toInt(row.page_count)]));
+}
+
 async function fetchDocumentMetaByCustomIds(customIds: string[]) {
   if (customIds.length === 0) return [] as DocumentMeta[];
   const { data, error } = await getSupabaseAdmin()
@@ -480,6 +557,335 @@ async function fetchSourceMetaByRelPaths(relPaths: string[]) {
   return (data ?? []) as SourceMeta[];
 }
 
+type SearchScope = {
+  client: Client;
+  selectedDocs: DocumentMeta[];
+  matchQueries: string[];
+  ftsTable: string;
+  scopeSql: string;
+  scopeArgs: Array<string | number>;
+  gathaScope: SearchGathaScope | null;
+};
+
+type SearchResultContext = {
+  selectedDocs: DocumentMeta[];
+  queries: string[];
+  matchMode: OCRSearchMode;
+  synonymExpansions: SearchSynonymExpansion[];
+  gathaScope: SearchGathaScope | null;
+  granthGroups?: SearchGranthGroupSummary[] | null;
+  loadPdfCatalog?: () => Promise<PdfCatalogMeta[]>;
+};
+
+function searchTableFor(matchMode: OCRSearchMode) {
+  return matchMode === "contains" || matchMode === "fuzzy" || matchMode === "regex" || matchMode === "wildcard"
+    ? "ocr_pages_trigram_fts"
+    : matchMode === "ends_with"
+      ? "ocr_pages_suffix_fts"
+      : matchMode === "sandhi"
+        ? "ocr_pages_sandhi_fts"
+        : matchMode === "same_root"
+          ? "ocr_pages_stem_fts"
+          : "ocr_pages_search_fts";
+}
+
+function buildHitSql(scope: SearchScope, queryCount: number, afterPageId?: number) {
+  const afterSql = afterPageId == null ? "" : ` AND ${scope.ftsTable}.rowid > ?`;
+  const sql = Array.from(
+    { length: queryCount },
+    () => `SELECT p.id AS page_id
+                  FROM ${scope.ftsTable}
+                  JOIN ocr_pages p ON p.id = ${scope.ftsTable}.rowid
+                  JOIN ocr_granths g ON g.granth_key = p.granth_key
+                  WHERE ${scope.ftsTable} MATCH ?${scope.scopeSql}${afterSql}`
+  ).join(" UNION ALL ");
+  const args = scope.matchQueries.flatMap((matchQuery) => [
+    matchQuery,
+    ...scope.scopeArgs,
+    ...(afterPageId == null ? [] : [afterPageId]),
+  ]);
+  return { sql, args };
+}
+
+async function resolveSearchScope(options: {
+  granthFilter: string[] | null;
+  facetFilters: ReturnType<typeof parseSearchFacetFilters>;
+  gathaScopeInput: ReturnType<typeof parseSearchGathaScopeInput>;
+  queries: string[];
+  matchMode: OCRSearchMode;
+  ftsMatchQueries: string[];
+}): Promise<SearchScope | null> {
+  const { granthFilter, facetFilters, gathaScopeInput, queries, matchMode } = options;
+  const selectedDocs = await fetchDocumentMetaByCustomIds(granthFilter ?? []);
+  let selectedRelPaths = selectedDocs
+    .map((row) => String(row.original_relative_path ?? "").trim())
+    .filter(Boolean);
+  const facetRelPaths = await resolveSearchFacetRelPaths(facetFilters);
+  if (facetRelPaths) {
+    const allowed = new Set(facetRelPaths);
+    selectedRelPaths = granthFilter?.length ? selectedRelPaths.filter((relPath) => allowed.has(relPath)) : facetRelPaths;
+  }
+
+  if (!granthFilter || ((granthFilter.length > 0 || facetRelPaths) && selectedRelPaths.length === 0)) {
+    return null;
+  }
+
+  const client = getTursoClient();
+  const matchQueries =
+    matchMode === "wildcard"
+      ? await expandOCRWildcardTerms(client, queries).then((expansions) =>
+          queries.map((query) => buildOCRFtsMatchQuery(query, matchMode, expansions))
+        )
+      : options.ftsMatchQueries;
+  const relFilterSql = selectedRelPaths.length
+    ? ` AND g.source_rel_path IN (${selectedRelPaths.map(() => "?").join(",")})`
+    : "";
+  const gathaScope = gathaScopeInput ? await resolveSearchGathaScope(gathaScopeInput) : null;
+  const gathaScopeFilter = gathaScope
+    ? buildGathaScopeSql(gathaScope, "g.source_rel_path", "p.page_number")
+    : { sql: "", args: [] };
+
+  return {
+    client,
+    selectedDocs,
+    matchQueries,
+    ftsTable: searchTableFor(matchMode),
+    scopeSql: `${relFilterSql}${gathaScopeFilter.sql}`,
+    scopeArgs: [...selectedRelPaths, ...gathaScopeFilter.args],
+    gathaScope,
+  };
+}
+
+async function fetchVerifiedSearchRows(scope: SearchScope, queries: string[], matchMode: OCRSearchMode) {
+  const candidateResult = await scope.client.execute({
+    sql: `SELECT
+            p.id AS page_id,
+            p.granth_key,
+            g.source_rel_path,
+            g.granth_name AS pdf_name,
+            p.page_number,
+            p.content,
+            ${scope.ftsTable}.rank AS rank
+          FROM ${scope.ftsTable}
+          JOIN ocr_pages p ON p.id = ${scope.ftsTable}.rowid
+          JOIN ocr_granths g ON g.granth_key = p.granth_key
+          WHERE ${scope.ftsTable} MATCH ?${scope.scopeSql}
+          ORDER BY ${scope.ftsTable}.rank
+          LIMIT ?`,
+    args: [
+      scope.matchQueries.map((matchQuery) => `(${matchQuery})`).join(" OR "),
+      ...scope.scopeArgs,
+      MAX_VERIFIED_CANDIDATES,
+    ],
+  });
+  const verifyDeadline = matchMode === "regex" ? Date.now() + OCR_REGEX_SEARCH_TIMEOUT_MS : Number.POSITIVE_INFINITY;
+  let verifyTimedOut = false;
+  const rows = candidateResult.rows
+    .map(toSearchRow)
+    .filter((row) => {
+      if (verifyTimedOut || Date.now() > verifyDeadline) {
+        verifyTimedOut = true;
+        return false;
+      }
+      return matchesOCRSearchQueries(row.content, queries, matchMode);
+    })
+    .map((row) => {
+      const distances = findOCRSearchMatchesForQueries(row.content, queries, matchMode).map(
+        (match) => match.distance ?? 0
+      );
+      return { ...row, rank: distances.length > 0 ? Math.min(...distances) : 0 };
+    })
+    .sort((a, b) => {
+      if (a.rank !== b.rank) return a.rank - b.rank;
+      if (a.source_rel_path !== b.source_rel_path) return a.source_rel_path.localeCompare(b.source_rel_path);
+      return a.page_number - b.page_number;
+    });
+
+  return { rows, totalIsExact: candidateResult.rows.length < MAX_VERIFIED_CANDIDATES && !verifyTimedOut };
+}
+
+async function countSearchCandidates(scope: SearchScope) {
+  const result = await scope.client.execute({
+    sql: `SELECT COUNT(*) AS total
+          FROM ${scope.ftsTable}
+          JOIN ocr_pages p ON p.id = ${scope.ftsTable}.rowid
+          JOIN ocr_granths g ON g.granth_key = p.granth_key
+          WHERE ${scope.ftsTable} MATCH ?${scope.scopeSql}`,
+    args: [scope.matchQueries.map((matchQuery) => `(${matchQuery})`).join(" OR "), ...scope.scopeArgs],
+  });
+  return toInt(result.rows[0]?.total);
+}
+
+async function fetchVerifiedSearchRowsAfter(
+  scope: SearchScope,
+  queries: string[],
+  matchMode: OCRSearchMode,
+  afterPageId: number,
+  limit: number
+) {
+  const verifyDeadline = matchMode === "regex" ? Date.now() + OCR_REGEX_SEARCH_TIMEOUT_MS : Number.POSITIVE_INFINITY;
+  const rows: TursoSearchRow[] = [];
+  let lastPageId = afterPageId;
+  let scanned = 0;
+
+  for (;;) {
+    const candidateResult = await scope.client.execute({
+      sql: `SELECT
+              p.id AS page_id,
+              p.granth_key,
+              g.source_rel_path,
+              g.granth_name AS pdf_name,
+              p.page_number,
+              p.content,
+              0 AS rank
+            FROM ${scope.ftsTable}
+            JOIN ocr_pages p ON p.id = ${scope.ftsTable}.rowid
+            JOIN ocr_granths g ON g.granth_key = p.granth_key
+            WHERE ${scope.ftsTable} MATCH ?${scope.scopeSql} AND ${scope.ftsTable}.rowid > ?
+            ORDER BY ${scope.ftsTable}.rowid ASC
+            LIMIT ?`,
+      args: [
+        scope.matchQueries.map((matchQuery) => `(${matchQuery})`).join(" OR "),
+        ...scope.scopeArgs,
+        lastPageId,
+        VERIFIED_CURSOR_BATCH,
+      ],
+    });
+
+    for (const row of candidateResult.rows.map(toSearchRow)) {
+      if (scanned > 0 && Date.now() > verifyDeadline) return { rows, lastPageId, exhausted: false };
+      if (matchesOCRSearchQueries(row.content, queries, matchMode)) {
+        if (rows.length === limit) return { rows, lastPageId, exhausted: false };
+        const distances = findOCRSearchMatchesForQueries(row.content, queries, matchMode).map(
+          (match) => match.distance ?? 0
+        );
+        rows.push({ ...row, rank: distances.length > 0 ? Math.min(...distances) : 0 });
+      }
+      lastPageId = row.page_id;
+      scanned += 1;
+    }
+    if (candidateResult.rows.length < VERIFIED_CURSOR_BATCH) return { rows, lastPageId, exhausted: true };
+    if (scanned >= MAX_VERIFIED_CANDIDATES) return { rows, lastPageId, exhausted: false };
+  }
+}
+
+function waitForDrain(res: NextApiResponse) {
+  return new Promise<void>((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+}
+
+async function fetchSearchRowsAfter(scope: SearchScope, afterPageId: number, limit: number) {
+  const hits = buildHitSql(scope, scope.matchQueries.length, afterPageId);
+  const result = await scope.client.execute({
+    sql: `WITH hits AS (${hits.sql})
+          SELECT
+            p.id AS page_id,
+            p.granth_key,
+            g.source_rel_path,
+            g.granth_name AS pdf_name,
+            p.page_number,
+            p.content,
+            0 AS rank
+          FROM (SELECT DISTINCT page_id FROM hits ORDER BY page_id ASC LIMIT ?) unique_hits
+          JOIN ocr_pages p ON p.id = unique_hits.page_id
+          JOIN ocr_granths g ON g.granth_key = p.granth_key
+          ORDER BY p.id ASC`,
+    args: [...hits.args, limit],
+  });
+  return result.rows.map(toSearchRow);
+}
+
+async function buildSearchResults(rows: TursoSearchRow[], context: SearchResultContext) {
+  const { queries, matchMode, synonymExpansions, gathaScope, granthGroups } = context;
+  const resultRelPaths = Array.from(new Set(rows.map((row) => row.source_rel_path).filter(Boolean)));
+  const [resultDocs, resultSources] = await Promise.all([
+    fetchDocumentMetaByRelPaths(resultRelPaths),
+    fetchSourceMetaByRelPaths(resultRelPaths),
+  ]);
+  const selectedByRelPath = new Map(
+    context.selectedDocs
+      .filter((row) => row.original_relative_path)
+      .map((row) => [String(row.original_relative_path), row])
+  );
+  const resultByRelPath = new Map(
+    resultDocs
+      .filter((row) => row.original_relative_path)
+      .map((row) => [String(row.original_relative_path), row])
+  );
+  const sourceByRelPath = new Map(
+    resultSources
+      .filter((row) => row.original_rel_path)
+      .map((row) => [String(row.original_rel_path), row])
+  );
+  const rowsNeedingFallback = rows.filter((row) => {
+    const meta = resultByRelPath.get(row.source_rel_path) ?? selectedByRelPath.get(row.source_rel_path);
+    const sourceMeta = sourceByRelPath.get(row.source_rel_path);
+    return !normalizeHttpUrl(meta?.pdf_url) && !sourcePdfUrl(sourceMeta);
+  });
+  const pdfCatalog = rowsNeedingFallback.length > 0 ? await (context.loadPdfCatalog ?? fetchPdfCatalog)() : [];
+  const fallbackCandidatesByRelPath = new Map<string, PdfFallback[]>();
+  for (const row of rowsNeedingFallback) {
+    fallbackCandidatesByRelPath.set(row.source_rel_path, findPdfFallbacks(row, pdfCatalog));
+  }
+  const fallbackRelPaths = Array.from(
+    new Set(
+      [...fallbackCandidatesByRelPath.values()]
+        .flat()
+        .map((candidate) => String(candidate.meta.original_rel_path || ""))
+        .filter(Boolean)
+    )
+  );
+  const fallbackPageCounts = await fetchTursoPageCounts(fallbackRelPaths);
+
+  return rows.map((row, index) => {
+    const meta = resultByRelPath.get(row.source_rel_path) ?? selectedByRelPath.get(row.source_rel_path);
+    const sourceMeta = sourceByRelPath.get(row.source_rel_path);
+    const fallback = choosePdfFallback(
+      row,
+      fallbackCandidatesByRelPath.get(row.source_rel_path) ?? [],
+      fallbackPageCounts
+    );
+    const fallbackPdfUrl = normalizeHttpUrl(fallback?.meta.ufs_url);
+    const pageNumber = fallback?.pageNumber ?? row.page_number;
+    const customId = meta?.custom_id ?? sourceMeta?.custom_id ?? fallback?.meta.custom_id ?? row.granth_key;
+    const pdfUrl = normalizeHttpUrl(meta?.pdf_url) || sourcePdfUrl(sourceMeta) || fallbackPdfUrl;
+    const viewerUrl = pdfUrl
+      ? `/pdf-viewer?pdf=${encodeURIComponent(pdfUrl)}&page=${encodeURIComponent(String(pageNumber))}`
+      : "";
+    return {
+      custom_id: customId,
+      pdf_name: meta?.pdf_name ?? sourceMeta?.file_name ?? fallback?.meta.file_name ?? row.pdf_name,
+      pdf_url: pdfUrl,
+      page_number: pageNumber,
+      source_page_number: row.page_number,
+      source_rel_path: row.source_rel_path,
+      snippet: buildOCRSearchExcerptForQueries(row.content, queries, matchMode, 520),
+      score: row.rank,
+      occurrence_count: findOCRSearchMatchesForQueries(row.content, queries, matchMode).length,
+      csv_url: meta?.csv_url ?? null,
+      open_pdf_url: viewerUrl,
+      matched_queries: queries,
+      ...(synonymExpansions.length
+        ? {
+            matched_variants: findMatchedSynonymTerms(
+              synonymExpansions,
+              (term) => findOCRSearchMatchesForQueries(row.content, term, matchMode).length > 0
+            ),
+          }
+        : {}),
+      ...(granthGroups ? { granth_group: granthGroups[index] } : {}),
+      ...(gathaScope ? { gathas: findGathasForPage(gathaScope, row.source_rel_path, row.page_number) } : {}),
+    };
+  });
+}
+
 export default async function handler(req: NextApiRequest, res: NextApiResponse) {
   if (req.method !== "GET") {
     res.setHeader("Allow", "GET");
@@ -492,10 +898,48 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     const page = parsePage(req.query.page);
     const offset = Math.max(0, (page - 1) * limit);
     const selectedGranths = parseGranthIds(req.query.granths).slice(0, 250);
+    const facetFilters = parseSearchFacetFilters(req.query);
+    const gathaScopeInput = parseSearchGathaScopeInput(req.query);
+    const granthFilter = !facetFilters.granth
+      ? selectedGranths
+      : selectedGranths.length === 0 || selectedGranths.includes(facetFilters.granth)
+        ? [facetFilters.granth]
+        : null;
     const matchMode = parseOCRSearchMode(req.query.matchMode);
-    const queries = normalizeOCRSearchQueries(q, parseQueryVariants(req.query.queryVariant ?? req.query.queryVariants))
+    const grouping = parseResultGrouping(req.query.groupBy);
+    const streamResults = req.query.format === "ndjson";
+    const cursorParam = String(req.query.cursor ?? "").trim();
+    let queries = normalizeOCRSearchQueries(q, parseQueryVariants(req.query.queryVariant ?? req.query.queryVariants))
       .filter((query) => Array.from(query).length >= 2)
       .slice(0, 8);
+    const useSynonyms = matchMode !== "regex" && (req.query.synonyms === "1" || req.query.synonyms === "true");
+    let synonymExpansions: SearchSynonymExpansion[] = [];
+    if (useSynonyms && queries.length > 0) {
+      const expanded = await expandSearchQueriesWithSynonyms(getTursoClient(), queries);
+      queries = expanded.queries;
+      synonymExpansions = expanded.expansions;
+    }
+
+    if ((streamResults || cursorParam) && grouping === "granth") {
+      setNoStore(res);
+      return res.status(400).json({
+        error: "Cursor pagination and NDJSON streaming return pages. Remove groupBy=granth.",
+        results: [],
+        total: 0,
+      });
+    }
+
+    let cursor: SearchCursor | null = null;
+    const cursorFingerprint = buildSearchCursorFingerprint(req.query);
+    if (cursorParam && cursorParam !== SEARCH_CURSOR_START) {
+      try {
+        cursor = decodeSearchCursor(cursorParam, cursorFingerprint);
+      } catch (cursorError) {
+        if (!(cursorError instanceof SearchCursorError)) throw cursorError;
+        setNoStore(res);
+        return res.status(400).json({ error: cursorError.message, results: [], total: 0 });
+      }
+    }
 
     if (queries.length === 0) {
       setPublicCacheHeaders(res, { maxAgeSeconds: 60, staleWhileRevalidateSeconds: 300 });
@@ -507,14 +951,28 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
         total_pages: 1,
         total_is_exact: true,
         match_mode: matchMode,
+        group_by: grouping,
         queries: [],
+        next_cursor: null,
       });
     }
 
-    if (matchMode === "contains" && queries.some((query) => Array.from(query).length < 3)) {
+    let ftsMatchQueries: string[];
+    try {
+      ftsMatchQueries = queries.map((query) => {
+        if (matchMode === "regex") return buildOCRFtsMatchQuery(query, matchMode);
+        const node = parseOCRQuery(query);
+        validateOCRQueryTerms(node, 2);
+        if (minimumOCRSearchTermLength(matchMode) > 2) {
+          validateOCRQueryTerms(node, minimumOCRSearchTermLength(matchMode), `${getOCRSearchModeLabel(matchMode)} search term`);
+        }
+        return buildOCRFtsMatchQuery(node, matchMode);
+      });
+    } catch (parseError) {
+      if (!(parseError instanceof OCRQuerySyntaxError)) throw parseError;
       setNoStore(res);
       return res.status(400).json({
-        error: "Contains search requires at least 3 characters so it can use the trigram index.",
+        error: parseError.message,
         results: [],
         total: 0,
         page,
@@ -522,18 +980,80 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
         total_pages: 1,
         total_is_exact: true,
         match_mode: matchMode,
+        group_by: grouping,
         queries,
+        synonym_expansions: synonymExpansions,
       });
     }
 
+    const verifiedMode = isVerifiedOCRSearchMode(matchMode);
+    const scopeOptions = { granthFilter, facetFilters, gathaScopeInput, queries, matchMode, ftsMatchQueries };
+
+    if (streamResults) {
+      setNoStore(res);
+      res.status(200);
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+      const writeLine = async (value: unknown) => {
+        if (!res.write(`${JSON.stringify(value)}\n`)) await waitForDrain(res);
+      };
+      let pdfCatalog: Promise<PdfCatalogMeta[]> | null = null;
+      const loadPdfCatalog = () => (pdfCatalog ??= fetchPdfCatalog());
+      let streamed = 0;
+      await writeLine({
+        type: "meta",
+        search_backend: "turso",
+        search_table: searchTableFor(matchMode),
+        match_mode: matchMode,
+        queries,
+        synonym_expansions: synonymExpansions,
+      });
+
+      try {
+        const scope = await resolveSearchScope(scopeOptions);
+        const writeRows = async (rows: TursoSearchRow[], context: SearchResultContext) => {
+          for (const result of await buildSearchResults(rows, context)) await writeLine({ type: "result", ...result });
+          streamed += rows.length;
+        };
+        const context = {
+          selectedDocs: scope?.selectedDocs ?? [],
+          queries,
+          matchMode,
+          synonymExpansions,
+          gathaScope: scope?.gathaScope ?? null,
+          loadPdfCatalog,
+        };
+
+        if (scope && verifiedMode) {
+          let afterPageId = cursor?.afterPageId ?? 0;
+          while (!res.destroyed) {
+            const batch = await fetchVerifiedSearchRowsAfter(scope, queries, matchMode, afterPageId, STREAM_BATCH_SIZE);
+            await writeRows(batch.rows, context);
+            afterPageId = batch.lastPageId;
+            if (batch.exhausted) break;
+          }
+        } else if (scope) {
+          let afterPageId = cursor?.afterPageId ?? 0;
+          while (!res.destroyed) {
+            const rows = await fetchSearchRowsAfter(scope, afterPageId, STREAM_BATCH_SIZE);
+            if (rows.length === 0) break;
+            await writeRows(rows, context);
+            afterPageId = rows[rows.length - 1].page_id;
+            if (rows.length < STREAM_BATCH_SIZE) break;
+          }
+        }
+        await writeLine({ type: "end", total: streamed, total_is_exact: true });
+      } catch (streamError) {
+        console.error(streamError);
+        await writeLine({ type: "error", error: streamError instanceof Error ? streamError.message : String(streamError) });
+      }
+      res.end();
+      return;
+    }
+
     const cacheKey = buildCacheKey(req, "pdf-search-turso");
     const { value: payload, status } = await getCachedJson(cacheKey, 60, async () => {
-      const selectedDocs = await fetchDocumentMetaByCustomIds(selectedGranths);
-      const selectedRelPaths = selectedDocs
-        .map((row) => String(row.original_relative_path ?? "").trim())
-        .filter(Boolean);
-
-      if (selectedGranths.length > 0 && selectedRelPaths.length === 0) {
+      const scope = await resolveSearchScope(scopeOptions);
+      if (!scope) {
         return {
           results: [],
           total: 0,
@@ -544,141 +1064,168 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
           total_is_exact: true,
           search_backend: "turso",
           match_mode: matchMode,
+          group_by: grouping,
           queries,
+          synonym_expansions: synonymExpansions,
+          facets: emptySearchFacets(),
+          facet_filters: facetFilters,
+          next_cursor: null,
         };
       }
 
-      const client = getTursoClient();
-      const relFilterSql = selectedRelPaths.length
-        ? ` AND g.source_rel_path IN (${selectedRelPaths.map(() => "?").join(",")})`
-        : "";
-      const ftsTable =
-        matchMode === "contains"
-          ? "ocr_pages_trigram_fts"
-          : matchMode === "ends_with"
-            ? "ocr_pages_suffix_fts"
-            : "ocr_pages_search_fts";
-      const hitSql = queries
-        .map(
-          () => `SELECT p.id AS page_id
-                FROM ${ftsTable}
-                JOIN ocr_pages p ON p.id = ${ftsTable}.rowid
+      const { client, ftsTable, scopeSql, scopeArgs, gathaScope } = scope;
+      let rows: TursoSearchRow[];
+      let total: number;
+      let totalIsExact = true;
+      let hasMore = false;
+      let nextAfterPageId: number | null = null;
+      let facetHitCounts: SearchFacetHitCount[] | null = null;
+      let groupedHitRows: TursoSearchRow[] = [];
+      if (verifiedMode && cursorParam) {
+        const verified = await fetchVerifiedSearchRowsAfter(scope, queries, matchMode, cursor?.afterPageId ?? 0, limit);
+        rows = verified.rows;
+        hasMore = !verified.exhausted;
+        nextAfterPageId = verified.lastPageId;
+        total = cursor ? cursor.total : await countSearchCandidates(scope);
+        totalIsExact = false;
+      } else if (verifiedMode) {
+        const verified = await fetchVerifiedSearchRows(scope, queries, matchMode);
+        rows = verified.rows.slice(offset, offset + limit);
+        total = verified.rows.length;
+        groupedHitRows = verified.rows;
+        const hitCountByGranth = new Map<string, SearchFacetHitCount>();
+        for (const row of verified.rows) {
+          const existing = hitCountByGranth.get(row.granth_key);
+          if (existing) existing.hit_count += 1;
+          else {
+            hitCountByGranth.set(row.granth_key, {
+              granth_key: row.granth_key,
+              source_rel_path: row.source_rel_path,
+              granth_name: row.pdf_name,
+              hit_count: 1,
+            });
+          }
+        }
+        facetHitCounts = [...hitCountByGranth.values()];
+        totalIsExact = verified.totalIsExact;
+      } else if (cursor) {
+        rows = await fetchSearchRowsAfter(scope, cursor.afterPageId, limit + 1);
+        hasMore = rows.length > limit;
+        rows = rows.slice(0, limit);
+        nextAfterPageId = rows[rows.length - 1]?.page_id ?? null;
+        total = cursor.total;
+        totalIsExact = false;
+      } else {
+        const hits = buildHitSql(scope, queries.length);
+
+        const listResult = await client.execute({
+          sql: `WITH hits AS (${hits.sql}),
+                unique_hits AS (
+                  SELECT page_id, MIN(page_id) AS sort_id
+                  FROM hits
+                  GROUP BY page_id
+                )
+                SELECT
+                  p.id AS page_id,
+                  p.granth_key,
+                  g.source_rel_path,
+                  g.granth_name AS pdf_name,
+                  p.page_number,
+                  p.content,
+                  0 AS rank
+                FROM unique_hits
+                JOIN ocr_pages p ON p.id = unique_hits.page_id
                 JOIN ocr_granths g ON g.granth_key = p.granth_key
-                WHERE ${ftsTable} MATCH ?${relFilterSql}`
-        )
-        .join(" UNION ALL ");
-      const hitArgs = queries.flatMap((query) => [ftsMatchQueryFor(query, matchMode), ...selectedRelPaths]);
-
-      const countResult = await client.execute({
-        sql: `WITH hits AS (${hitSql})
-              SELECT COUNT(DISTINCT page_id) AS total
-              FROM hits`,
-        args: hitArgs,
-      });
-
-      const listResult = await client.execute({
-        sql: `WITH hits AS (${hitSql}),
-              unique_hits AS (
-                SELECT page_id, MIN(page_id) AS sort_id
+                ORDER BY unique_hits.sort_id ASC
+                LIMIT ? OFFSET ?`,
+          args: grouping === "granth" ? [...hits.args, MAX_GROUPED_HIT_PAGES, 0] : [...hits.args, limit, offset],
+        });
+
+        const facetResult = await client.execute({
+          sql: `WITH hits AS (${hits.sql})
+                SELECT
+                  g.granth_key,
+                  g.source_rel_path,
+                  g.granth_name,
+                  COUNT(DISTINCT hits.page_id) AS hit_count
                 FROM hits
-                GROUP BY page_id
-              )
-              SELECT
-                p.granth_key,
-                g.source_rel_path,
-                g.granth_name AS pdf_name,
-                p.page_number,
-                p.content,
-                0 AS rank
-              FROM unique_hits
-              JOIN ocr_pages p ON p.id = unique_hits.page_id
-              JOIN ocr_granths g ON g.granth_key = p.granth_key
-              ORDER BY unique_hits.sort_id ASC
-              LIMIT ? OFFSET ?`,
-        args: [...hitArgs, limit, offset],
-      });
+                JOIN ocr_pages p ON p.id = hits.page_id
+                JOIN ocr_granths g ON g.granth_key = p.granth_key
+                GROUP BY g.granth_key, g.source_rel_path, g.granth_name`,
+          args: hits.args,
+        });
+
+        rows = listResult.rows.map(toSearchRow);
+        facetHitCounts = facetResult.rows.map((row) => ({
+          granth_key: toStr(row.granth_key),
+          source_rel_path: toStr(row.source_rel_path),
+          granth_name: toStr(row.granth_name),
+          hit_count: toInt(row.hit_count),
+        }));
+        total = facetHitCounts.reduce((sum, facet) => sum + facet.hit_count, 0);
+        hasMore = offset + rows.length < total;
+        nextAfterPageId = rows[rows.length - 1]?.page_id ?? null;
+        groupedHitRows = rows;
+        if (grouping === "granth" && total > rows.length) totalIsExact = false;
+      }
 
-      const rows = listResult.rows.map((row) => ({
-        granth_key: toStr(row.granth_key),
-        source_rel_path: toStr(row.source_rel_path),
-        pdf_name: toStr(row.pdf_name),
-        page_number: toInt(row.page_number),
-        content: toStr(row.content),
-        rank: Number(row.rank ?? 0),
-      })) as TursoSearchRow[];
-
-      const resultRelPaths = Array.from(new Set(rows.map((row) => row.source_rel_path).filter(Boolean)));
-      const [resultDocs, resultSources] = await Promise.all([
-        fetchDocumentMetaByRelPaths(resultRelPaths),
-        fetchSourceMetaByRelPaths(resultRelPaths),
-      ]);
-      const selectedByRelPath = new Map(
-        selectedDocs
-          .filter((row) => row.original_relative_path)
-          .map((row) => [String(row.original_relative_path), row])
-      );
-      const resultByRelPath = new Map(
-        resultDocs
-          .filter((row) => row.original_relative_path)
-          .map((row) => [String(row.original_relative_path), row])
-      );
-      const sourceByRelPath = new Map(
-        resultSources
-          .filter((row) => row.original_rel_path)
-          .map((row) => [String(row.original_rel_path), row])
-      );
-      const rowsNeedingFallback = rows.filter((row) => {
-        const meta = resultByRelPath.get(row.source_rel_path) ?? selectedByRelPath.get(row.source_rel_path);
-        const sourceMeta = sourceByRelPath.get(row.source_rel_path);
-        return !normalizeHttpUrl(meta?.pdf_url) && !sourcePdfUrl(sourceMeta);
-      });
-      const pdfCatalog = rowsNeedingFallback.length > 0 ? await fetchPdfCatalog() : [];
-      const fallbackCandidatesByRelPath = new Map<string, PdfFallback[]>();
-      for (const row of rowsNeedingFallback) {
-        fallbackCandidatesByRelPath.set(row.source_rel_path, findPdfFallbacks(row, pdfCatalog));
+      const nextCursor =
+        grouping === "page" && hasMore && nextAfterPageId != null
+          ? encodeSearchCursor(cursorFingerprint, { afterPageId: nextAfterPageId, total, totalIsExact })
+          : null;
+
+      const facets = facetHitCounts ? await buildSearchFacets(facetHitCounts) : null;
+
+      let didYouMean: DidYouMeanSuggestion[] = [];
+      if (total === 0 && matchMode !== "regex" && matchMode !== "wildcard") {
+        const suggestionMode =
+          isVerifiedOCRSearchMode(matchMode) || matchMode === "same_root" ? "exact_word" : matchMode;
+        const suggestionTable =
+          suggestionMode === "contains"
+            ? "ocr_pages_trigram_fts"
+            : suggestionMode === "ends_with"
+              ? "ocr_pages_suffix_fts"
+              : "ocr_pages_search_fts";
+        try {
+          await ensureOCRSearchSchema(client);
+          didYouMean = await findDidYouMeanSuggestions(client, queries, async (suggestion) => {
+            const countResult = await client.execute({
+              sql: `SELECT COUNT(*) AS total
+                    FROM ${suggestionTable}
+                    JOIN ocr_pages p ON p.id = ${suggestionTable}.rowid
+                    JOIN ocr_granths g ON g.granth_key = p.granth_key
+                    WHERE ${suggestionTable} MATCH ?${scopeSql}`,
+              args: [buildOCRFtsMatchQuery(suggestion, suggestionMode), ...scopeArgs],
+            });
+            return toInt(countResult.rows[0]?.total);
+          });
+        } catch (suggestionError) {
+          console.error(suggestionError);
+        }
       }
-      const fallbackRelPaths = Array.from(
-        new Set(
-          [...fallbackCandidatesByRelPath.values()]
-            .flat()
-            .map((candidate) => String(candidate.meta.original_rel_path || ""))
-            .filter(Boolean)
-        )
-      );
-      const fallbackPageCounts = await fetchTursoPageCounts(fallbackRelPaths);
-
-      const results = rows.map((row) => {
-        const meta = resultByRelPath.get(row.source_rel_path) ?? selectedByRelPath.get(row.source_rel_path);
-        const sourceMeta = sourceByRelPath.get(row.source_rel_path);
-        const fallback = choosePdfFallback(
-          row,
-          fallbackCandidatesByRelPath.get(row.source_rel_path) ?? [],
-          fallbackPageCounts
+
+      let granthGroups: SearchGranthGroupSummary[] | null = null;
+      if (grouping === "granth") {
+        const groups = groupSearchRowsByGranth(
+          groupedHitRows,
+          queries,
+          matchMode,
+          await fetchGranthPageCounts(groupedHitRows.map((row) => row.granth_key))
         );
-        const fallbackPdfUrl = normalizeHttpUrl(fallback?.meta.ufs_url);
-        const pageNumber = fallback?.pageNumber ?? row.page_number;
-        const customId = meta?.custom_id ?? sourceMeta?.custom_id ?? fallback?.meta.custom_id ?? row.granth_key;
-        const pdfUrl = normalizeHttpUrl(meta?.pdf_url) || sourcePdfUrl(sourceMeta) || fallbackPdfUrl;
-        const viewerUrl = pdfUrl
-          ? `/pdf-viewer?pdf=${encodeURIComponent(pdfUrl)}&page=${encodeURIComponent(String(pageNumber))}`
-          : "";
-        return {
-          custom_id: customId,
-          pdf_name: meta?.pdf_name ?? sourceMeta?.file_name ?? fallback?.meta.file_name ?? row.pdf_name,
-          pdf_url: pdfUrl,
-          page_number: pageNumber,
-          source_page_number: row.page_number,
-          source_rel_path: row.source_rel_path,
-          snippet: buildOCRSearchExcerptForQueries(row.content, queries, matchMode, 520),
-          score: row.rank,
-          occurrence_count: findOCRSearchMatchesForQueries(row.content, queries, matchMode).length,
-          csv_url: meta?.csv_url ?? null,
-          open_pdf_url: viewerUrl,
-          matched_queries: queries,
-        };
+        total = groups.length;
+        rows = groups.slice(offset, offset + limit).map((group) => group.representative);
+        granthGroups = groups.slice(offset, offset + limit).map((group) => group.summary);
+      }
+
+      const results = await buildSearchResults(rows, {
+        selectedDocs: scope.selectedDocs,
+        queries,
+        matchMode,
+        synonymExpansions,
+        gathaScope,
+        granthGroups,
       });
 
-      const total = toInt(countResult.rows[0]?.total);
       return {
         results,
         total,
@@ -686,11 +1233,20 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
         page,
         per_page: limit,
         total_pages: Math.max(1, Math.ceil(total / limit)),
-        total_is_exact: true,
+        total_is_exact: totalIsExact,
         search_backend: "turso",
         search_table: ftsTable,
         match_mode: matchMode,
+        group_by: grouping,
         queries,
+        synonym_expansions: synonymExpansions,
+        facets,
+        did_you_mean: didYouMean,
+        gatha_scope: gathaScope
+          ? { requested: gathaScope.requested, adhikar: gathaScope.adhikar, range_count: gathaScope.ranges.length }
+          : null,
+        facet_filters: facetFilters,
+        next_cursor: nextCursor,
       };
     });
 
@@ -698,6 +1254,9 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
     return res.status(200).json(payload);
   } catch (error) {
     setNoStore(res);
+    if (error instanceof GranthResolveError) {
+      return res.status(error.status).json({ ...error.payload, results: [], total: 0 });
+    }
     return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
   }
 }
@@ -0,0 +1,56 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
+import { ensureOCRSearchSchema } from "@/lib/ocr-search-index";
+import {
+  DEFAULT_COLLOCATION_LIMIT,
+  MAX_COLLOCATION_LIMIT,
+  findTermCollocations,
+  parseCollocationWord,
+} from "@/lib/term-collocations";
+import { getTursoClient } from "@/lib/turso";
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return Array.isArray(raw) ? raw[0] : raw;
+}
+
+function toStringList(raw: string | string[] | undefined) {
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return values.flatMap((value) => value.split(",")).map((value) => value.trim()).filter(Boolean);
+}
+
+function parseLimit(raw: unknown) {
+  const value = Number(raw ?? DEFAULT_COLLOCATION_LIMIT);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_COLLOCATION_LIMIT;
+  return Math.min(Math.floor(value), MAX_COLLOCATION_LIMIT);
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const word = parseCollocationWord(String(firstQueryValue(req.query.word ?? req.query.q) ?? "").slice(0, 200));
+  if (Array.from(word).length < 2) {
+    setNoStore(res);
+    return res.status(400).json({ error: "Enter a word with at least 2 letters." });
+  }
+
+  try {
+    const cacheKey = buildCacheKey(req, "term-collocations");
+    const { value: payload, status } = await getCachedJson(cacheKey, 1800, async () => {
+      const client = getTursoClient();
+      await ensureOCRSearchSchema(client);
+      return findTermCollocations(client, word, {
+        granthKeys: toStringList(req.query.granths).slice(0, 250),
+        limit: parseLimit(firstQueryValue(req.query.limit)),
+      });
+    });
+
+    setPublicCacheHeaders(res, { maxAgeSeconds: 600, staleWhileRevalidateSeconds: 3600 }, status);
+    return res.status(200).json(payload);
+  } catch (error) {
+    setNoStore(res);
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
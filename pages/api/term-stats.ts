@@ -0,0 +1,59 @@
+import type { NextApiRequest, NextApiResponse } from "next";
+import { buildCacheKey, getCachedJson, setNoStore, setPublicCacheHeaders } from "@/lib/api-cache";
+import { ensureOCRSearchSchema } from "@/lib/ocr-search-index";
+import { DEFAULT_TOP_WORDS, MAX_TOP_WORDS, fetchGranthTopWords, fetchTermStats, parseTermStatsTerms } from "@/lib/term-stats";
+import { getTursoClient } from "@/lib/turso";
+
+function firstQueryValue(raw: string | string[] | undefined) {
+  return Array.isArray(raw) ? raw[0] : raw;
+}
+
+function toStringList(raw: string | string[] | undefined) {
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return values.flatMap((value) => value.split(",")).map((value) => value.trim()).filter(Boolean);
+}
+
+function parseTop(raw: unknown) {
+  const value = Number(raw ?? DEFAULT_TOP_WORDS);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_TOP_WORDS;
+  return Math.min(Math.floor(value), MAX_TOP_WORDS);
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const terms = parseTermStatsTerms(toStringList(req.query.terms ?? req.query.q));
+  const granthKey = String(firstQueryValue(req.query.granth) ?? "").trim();
+  const top = parseTop(firstQueryValue(req.query.top));
+
+  if (terms.length === 0 && !granthKey) {
+    setNoStore(res);
+    return res.status(400).json({ error: "Enter one or more words, or choose a granth for its top words." });
+  }
+
+  try {
+    const cacheKey = buildCacheKey(req, "term-stats");
+    const { value: payload, status } = await getCachedJson(cacheKey, 1800, async () => {
+      const client = getTursoClient();
+      await ensureOCRSearchSchema(client);
+
+      const stats = await fetchTermStats(client, terms);
+      const topWords = granthKey ? await fetchGranthTopWords(client, granthKey, top) : null;
+      return { terms, total_pages: stats.total_pages, items: stats.items, top_words: topWords };
+    });
+
+    if (granthKey && !payload.top_words) {
+      setNoStore(res);
+      return res.status(404).json({ error: "Granth not found." });
+    }
+
+    setPublicCacheHeaders(res, { maxAgeSeconds: 600, staleWhileRevalidateSeconds: 3600 }, status);
+    return res.status(200).json(payload);
+  } catch (error) {
+    setNoStore(res);
+    return res.status(500).json({ error: error instanceof Error ? error.message : String(error) });
+  }
+}
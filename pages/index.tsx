@@ -196,6 +196,7 @@ export default function HomePage() {
             <Link href="/search">Search pages</Link>
             <Link href="/granth-extractor">Extractor</Link>
             <Link href="/scannable-documents">Scan status</Link>
+            <Link href="/analytics">Term analytics</Link>
           </nav>
         </header>
 
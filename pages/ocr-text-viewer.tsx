@@ -1,5 +1,13 @@
 import OcrReplacePanel from "@/components/OcrReplacePanel";
+import { ParallelPassagesPanel } from "@/components/ParallelPassagesPanel";
 import { type OCRSearchMode, findOCRSearchMatches, getOCRSearchModeLabel, parseOCRSearchMode } from "@/lib/ocr-search";
+import {
+  INDIC_DISPLAY_OPTIONS,
+  buildGranthViewerKey,
+  parseGranthViewerKey,
+  transliterateIndicToRoman,
+  type IndicDisplayMode,
+} from "@/lib/phonetic-transliteration";
 import Link from "next/link";
 import { useRouter } from "next/router";
 import type { ReactNode } from "react";
@@ -56,8 +64,10 @@ export default function OCRTextViewerPage() {
   const [rows, setRows] = useState<PageRow[]>([]);
   const [activePageNumber, setActivePageNumber] = useState<number | null>(null);
   const [refreshToken, setRefreshToken] = useState(0);
+  const [displayMode, setDisplayMode] = useState<IndicDisplayMode>("script");
 
-  const granthKey = readSingleQuery(router.query.granthKey);
+  const viewerKey = readSingleQuery(router.query.granthKey);
+  const granthKey = parseGranthViewerKey(viewerKey);
   const pageRaw = readSingleQuery(router.query.page);
   const targetPage = pageRaw ? Number(pageRaw) : null;
   const q = readSingleQuery(router.query.q);
@@ -89,16 +99,20 @@ export default function OCRTextViewerPage() {
     return index >= 0 ? index : null;
   }, [activePageNumber, rows]);
 
+  function displayText(text: string) {
+    return displayMode === "script" ? text : transliterateIndicToRoman(text, displayMode);
+  }
+
   function renderHighlightedText(text: string) {
     const matches = findOCRSearchMatches(text, q, matchMode);
-    if (!text || matches.length === 0) return text;
+    if (!text || matches.length === 0) return displayText(text);
 
     const parts: ReactNode[] = [];
     let cursor = 0;
 
     matches.forEach((match, idx) => {
       if (match.start > cursor) {
-        parts.push(text.slice(cursor, match.start));
+        parts.push(displayText(text.slice(cursor, match.start)));
       }
       parts.push(
         <mark
@@ -111,14 +125,14 @@ export default function OCRTextViewerPage() {
             fontWeight: 700,
           }}
         >
-          {text.slice(match.start, match.end)}
+          {displayText(text.slice(match.start, match.end))}
         </mark>
       );
       cursor = match.end;
     });
 
     if (cursor < text.length) {
-      parts.push(text.slice(cursor));
+      parts.push(displayText(text.slice(cursor)));
     }
 
     return parts.map((part, idx) => <span key={idx}>{part}</span>);
@@ -132,7 +146,7 @@ export default function OCRTextViewerPage() {
           pathname: router.pathname,
           query: {
             ...router.query,
-            granthKey,
+            granthKey: granth ? buildGranthViewerKey(granthKey, granth.granth_name) : viewerKey,
             page: String(pageNumber),
             ...(q ? { q } : {}),
             matchMode,
@@ -181,6 +195,17 @@ export default function OCRTextViewerPage() {
     };
   }, [router.isReady, granthKey, refreshToken]);
 
+  useEffect(() => {
+    if (!granth || granth.granth_key !== granthKey) return;
+    const canonicalKey = buildGranthViewerKey(granthKey, granth.granth_name);
+    if (canonicalKey === viewerKey) return;
+    void router.replace(
+      { pathname: router.pathname, query: { ...router.query, granthKey: canonicalKey } },
+      undefined,
+      { shallow: true, scroll: false }
+    );
+  }, [granth, granthKey, router, viewerKey]);
+
   useEffect(() => {
     if (rows.length === 0) return;
     if (Number.isFinite(targetPage) && rows.some((row) => row.page_number === targetPage)) {
@@ -228,6 +253,7 @@ export default function OCRTextViewerPage() {
           </div>
           <div style={{ marginTop: 10, fontSize: 16, opacity: 0.85, lineHeight: 1.6 }}>
             Granth: <strong>{title}</strong>
+            {displayMode !== "script" && granth ? <> ({transliterateIndicToRoman(granth.granth_name, displayMode)})</> : null}
             {activePageNumber != null ? (
               <>
                 {" "}| Focus page: <strong>{activePageNumber}</strong>
@@ -242,6 +268,28 @@ export default function OCRTextViewerPage() {
               </>
             ) : null}
           </div>
+          <div style={{ marginTop: 10, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <strong style={{ fontSize: 15 }}>Show text as:</strong>
+            {INDIC_DISPLAY_OPTIONS.map((option) => (
+              <button
+                key={option.mode}
+                type="button"
+                onClick={() => setDisplayMode(option.mode)}
+                title={option.description}
+                style={{
+                  padding: "6px 12px",
+                  borderRadius: 999,
+                  border: "1px solid #bcc4ce",
+                  background: displayMode === option.mode ? "#1f2120" : "#fff",
+                  color: displayMode === option.mode ? "#fff" : "#222",
+                  cursor: "pointer",
+                  fontSize: 14,
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
         </header>
 
         <div style={{ marginBottom: 18 }}>
@@ -332,6 +380,8 @@ export default function OCRTextViewerPage() {
                   )}
                 </div>
               </section>
+
+              <ParallelPassagesPanel granthKey={granthKey} pageNumber={activePageNumber} formatText={displayText} />
             </aside>
 
             <section
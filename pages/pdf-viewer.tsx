@@ -3,6 +3,8 @@ import Link from "next/link";
 import { useRouter } from "next/router";
 import type { FormEvent } from "react";
 import { useEffect, useMemo, useRef, useState } from "react";
+import { ParallelPassagesPanel } from "@/components/ParallelPassagesPanel";
+import { formatGathaCitation, type PageGathaLookup, type PageGathaRef } from "@/lib/granth-mapping";
 
 type PdfJsModule = typeof import("pdfjs-dist/legacy/build/pdf.mjs");
 type PDFDocumentLoadingTask = import("pdfjs-dist").PDFDocumentLoadingTask;
@@ -63,6 +65,7 @@ export default function PdfViewerPage() {
   const [zoom, setZoom] = useState(1.45);
   const [showTextLayer, setShowTextLayer] = useState(true);
   const [textDivCount, setTextDivCount] = useState(0);
+  const [pageGathas, setPageGathas] = useState<PageGathaRef[]>([]);
 
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const textLayerContainerRef = useRef<HTMLDivElement | null>(null);
@@ -166,6 +169,22 @@ export default function PdfViewerPage() {
     setPageEntry(String(currentPage));
   }, [currentPage]);
 
+  useEffect(() => {
+    setPageGathas([]);
+    if (!pdfUrl) return;
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ pdfUrl, page: String(currentPage) });
+    void fetch(`/api/granth-mapping/page-gathas?${params.toString()}`, { signal: controller.signal })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((payload: { pages?: PageGathaLookup[] } | null) => {
+        setPageGathas(payload?.pages?.[0]?.gathas ?? []);
+      })
+      .catch(() => undefined);
+
+    return () => controller.abort();
+  }, [currentPage, pdfUrl]);
+
   useEffect(() => {
     if (!pdfDoc || !pdfModule) return;
     if (!canvasRef.current || !textLayerContainerRef.current) return;
@@ -364,6 +383,14 @@ export default function PdfViewerPage() {
               <span style={{ fontWeight: 700, minWidth: 84, textAlign: "center" }}>
                 {pageCount > 0 ? `Page ${currentPage}/${pageCount}` : "Page -"}
               </span>
+              {pageGathas.length > 0 ? (
+                <span
+                  title={pageGathas.map((ref) => ref.anchorText).filter(Boolean).join(" | ") || undefined}
+                  style={{ fontSize: 13, color: "#5b4a2e", fontWeight: 600 }}
+                >
+                  {formatGathaCitation(pageGathas)}
+                </span>
+              ) : null}
               <form onSubmit={submitPage} style={{ display: "flex", gap: 6, alignItems: "center" }}>
                 <input
                   value={pageEntry}
@@ -506,6 +533,12 @@ export default function PdfViewerPage() {
               />
             </div>
           </section>
+
+          {pdfUrl && pageCount > 0 ? (
+            <div style={{ marginTop: 14 }}>
+              <ParallelPassagesPanel pdfUrl={pdfUrl} pageNumber={currentPage} />
+            </div>
+          ) : null}
         </div>
       </main>
     </>
@@ -0,0 +1,307 @@
+import Link from "next/link";
+import { useEffect, useState } from "react";
+
+type SynonymKind = "name" | "prakrit_sanskrit" | "spelling" | "other";
+
+type SynonymSet = {
+  id: number;
+  label: string;
+  kind: SynonymKind;
+  terms: string[];
+  created_at: string;
+  updated_at: string;
+};
+
+type SynonymDraft = {
+  id: number | null;
+  label: string;
+  kind: SynonymKind;
+  terms: string;
+};
+
+const KIND_OPTIONS: Array<{ kind: SynonymKind; label: string }> = [
+  { kind: "name", label: "Name variants" },
+  { kind: "prakrit_sanskrit", label: "Prakrit / Sanskrit" },
+  { kind: "spelling", label: "Spelling variants" },
+  { kind: "other", label: "Other" },
+];
+
+const EMPTY_DRAFT: SynonymDraft = { id: null, label: "", kind: "name", terms: "" };
+
+const cellStyle = {
+  borderBottom: "1px solid #e4e8ef",
+  padding: "8px 10px",
+  textAlign: "left" as const,
+  fontSize: 14,
+  verticalAlign: "top" as const,
+};
+
+const headerCellStyle = {
+  ...cellStyle,
+  borderBottom: "1px solid #d9deea",
+  fontSize: 12,
+  background: "#f7f9fc",
+};
+
+const panelStyle = {
+  border: "1px solid #d7d3c8",
+  borderRadius: 16,
+  background: "#fffefb",
+  boxShadow: "0 12px 28px rgba(36, 36, 31, 0.08)",
+  padding: 16,
+};
+
+const inputStyle = {
+  padding: "8px 10px",
+  fontSize: 15,
+  borderRadius: 8,
+  border: "1px solid #b9c0cb",
+  background: "#fff",
+};
+
+const buttonStyle = {
+  padding: "6px 12px",
+  borderRadius: 999,
+  border: "1px solid #bcc4ce",
+  background: "#fff",
+  color: "#222",
+  cursor: "pointer",
+  fontSize: 14,
+};
+
+function kindLabel(kind: SynonymKind) {
+  return KIND_OPTIONS.find((option) => option.kind === kind)?.label ?? "Other";
+}
+
+export default function SearchSynonymsPage() {
+  const [sets, setSets] = useState<SynonymSet[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [adminToken, setAdminToken] = useState("");
+  const [draft, setDraft] = useState<SynonymDraft>(EMPTY_DRAFT);
+  const [filter, setFilter] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch("/api/search-synonyms", { signal: controller.signal })
+      .then(async (res) => {
+        const json = (await res.json()) as { sets?: SynonymSet[]; error?: string };
+        if (!res.ok) throw new Error(json.error || `Request failed (${res.status})`);
+        setSets(json.sets ?? []);
+      })
+      .catch((e) => {
+        if (!controller.signal.aborted) setError(e instanceof Error ? e.message : String(e));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, []);
+
+  async function saveDraft() {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await fetch("/api/search-synonyms", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${adminToken.trim()}` },
+        body: JSON.stringify({ id: draft.id, label: draft.label, kind: draft.kind, terms: draft.terms }),
+      });
+      const json = (await res.json()) as { set?: SynonymSet; error?: string };
+      if (!res.ok || !json.set) throw new Error(json.error || `Saving failed (${res.status})`);
+      const saved = json.set;
+      setSets((prev) =>
+        draft.id == null ? [...prev, saved] : prev.map((set) => (set.id === saved.id ? saved : set))
+      );
+      setDraft(EMPTY_DRAFT);
+      setMessage(`Saved "${saved.label}".`);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function removeSet(set: SynonymSet) {
+    if (!window.confirm(`Delete the set "${set.label}"?`)) return;
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await fetch(`/api/search-synonyms?id=${encodeURIComponent(String(set.id))}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${adminToken.trim()}` },
+      });
+      const json = (await res.json()) as { error?: string };
+      if (!res.ok) throw new Error(json.error || `Deleting failed (${res.status})`);
+      setSets((prev) => prev.filter((item) => item.id !== set.id));
+      if (draft.id === set.id) setDraft(EMPTY_DRAFT);
+      setMessage(`Deleted "${set.label}".`);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  const needle = filter.trim().toLocaleLowerCase();
+  const visibleSets = needle
+    ? sets.filter(
+        (set) =>
+          set.label.toLocaleLowerCase().includes(needle) ||
+          set.terms.some((term) => term.toLocaleLowerCase().includes(needle))
+      )
+    : sets;
+
+  return (
+    <main
+      style={{
+        minHeight: "100vh",
+        background: "radial-gradient(circle at 14% 0%, #fcefd9 0%, #f5f6ea 36%, #e8edf2 100%)",
+        color: "#1f2120",
+        padding: "24px 16px 40px",
+        fontFamily: '"Noto Sans Gujarati","Noto Serif Devanagari","Segoe UI",sans-serif',
+      }}
+    >
+      <div style={{ width: "100%", margin: "0 auto", display: "grid", gap: 16 }}>
+        <header>
+          <h1 style={{ margin: 0, fontSize: 30, letterSpacing: "0.01em" }}>Search Synonyms</h1>
+          <div className="appPillNav" style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 12 }}>
+            <Link href="/">Back to library</Link>
+            <Link href="/search">Search pages</Link>
+            <span style={{ opacity: 0.78 }}>
+              Sets of equivalent words. Searches with &quot;Synonyms &amp; variants&quot; on also look for the other words of a set.
+            </span>
+          </div>
+        </header>
+
+        <section style={{ ...panelStyle, display: "grid", gap: 10 }}>
+          <strong>{draft.id == null ? "Add a set" : `Edit "${draft.label}"`}</strong>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <input
+              value={draft.label}
+              onChange={(event) => setDraft((prev) => ({ ...prev, label: event.target.value }))}
+              placeholder="Label, e.g. Rishabhdev"
+              aria-label="Set label"
+              style={{ ...inputStyle, minWidth: 220 }}
+            />
+            <select
+              value={draft.kind}
+              onChange={(event) => setDraft((prev) => ({ ...prev, kind: event.target.value as SynonymKind }))}
+              aria-label="Set kind"
+              style={inputStyle}
+            >
+              {KIND_OPTIONS.map((option) => (
+                <option key={option.kind} value={option.kind}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={draft.terms}
+            onChange={(event) => setDraft((prev) => ({ ...prev, terms: event.target.value }))}
+            placeholder={"One word per line or separated by commas, e.g.\nणमो\nनमो"}
+            aria-label="Equivalent words"
+            rows={4}
+            style={{ ...inputStyle, width: "100%", boxSizing: "border-box", fontFamily: "inherit" }}
+          />
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <input
+              type="password"
+              value={adminToken}
+              onChange={(event) => setAdminToken(event.target.value)}
+              placeholder="Admin token"
+              aria-label="Admin token"
+              autoComplete="off"
+              style={{ ...inputStyle, width: 200 }}
+            />
+            <button
+              type="button"
+              onClick={() => void saveDraft()}
+              disabled={saving || !draft.terms.trim()}
+              style={{
+                padding: "8px 16px",
+                borderRadius: 10,
+                border: "1px solid #1f2120",
+                background: "#1f2120",
+                color: "#fff",
+                fontWeight: 700,
+                cursor: saving ? "default" : "pointer",
+              }}
+            >
+              {saving ? "Saving..." : draft.id == null ? "Add set" : "Save changes"}
+            </button>
+            {draft.id != null ? (
+              <button type="button" onClick={() => setDraft(EMPTY_DRAFT)} style={buttonStyle}>
+                Cancel
+              </button>
+            ) : null}
+          </div>
+          {error ? <div style={{ color: "#a4262c" }}>{error}</div> : null}
+          {message ? <div style={{ color: "#2f6b3a" }}>{message}</div> : null}
+        </section>
+
+        <section style={panelStyle}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 12 }}>
+            <strong>
+              {sets.length} set{sets.length === 1 ? "" : "s"}
+            </strong>
+            <input
+              value={filter}
+              onChange={(event) => setFilter(event.target.value)}
+              placeholder="Filter by label or word"
+              aria-label="Filter sets"
+              style={{ ...inputStyle, minWidth: 220 }}
+            />
+          </div>
+          {loading ? <div style={{ opacity: 0.7 }}>Loading...</div> : null}
+          {!loading && visibleSets.length === 0 ? <div style={{ opacity: 0.7 }}>No sets yet.</div> : null}
+          {visibleSets.length > 0 ? (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    <th style={headerCellStyle}>Label</th>
+                    <th style={headerCellStyle}>Kind</th>
+                    <th style={headerCellStyle}>Words</th>
+                    <th style={headerCellStyle}>Updated</th>
+                    <th style={headerCellStyle} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleSets.map((set) => (
+                    <tr key={set.id}>
+                      <td style={cellStyle}>
+                        <strong>{set.label}</strong>
+                      </td>
+                      <td style={cellStyle}>{kindLabel(set.kind)}</td>
+                      <td style={cellStyle}>{set.terms.join(", ")}</td>
+                      <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>{set.updated_at}</td>
+                      <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                        <div style={{ display: "flex", gap: 6 }}>
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setDraft({ id: set.id, label: set.label, kind: set.kind, terms: set.terms.join("\n") })
+                            }
+                            style={buttonStyle}
+                          >
+                            Edit
+                          </button>
+                          <button type="button" onClick={() => void removeSet(set)} style={buttonStyle}>
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : null}
+        </section>
+      </div>
+    </main>
+  );
+}
@@ -3,10 +3,26 @@ import {
   type OCRSearchMode,
   findOCRSearchMatchesForQueries,
   getOCRSearchModeLabel,
+  minimumOCRSearchTermLength,
   normalizeOCRSearchQueries,
   parseOCRSearchMode,
 } from "@/lib/ocr-search";
-import { buildIndicQueryOptions } from "@/lib/phonetic-transliteration";
+import {
+  buildIndicQueryOptions,
+  INDIC_DISPLAY_OPTIONS,
+  ROMAN_SCHEME_OPTIONS,
+  transliterateIndicToRoman,
+  type IndicDisplayMode,
+  type RomanSchemeSelection,
+  type RomanSpellingMap,
+} from "@/lib/phonetic-transliteration";
+import { formatGathaCitation, type PageGathaLookup, type PageGathaRef } from "@/lib/granth-mapping";
+import type { SavedSearch } from "@/lib/saved-searches";
+import type { DidYouMeanSuggestion } from "@/lib/search-did-you-mean";
+import type { SearchFacetBucket, SearchFacets } from "@/lib/search-facets";
+import type { SearchGathaRef } from "@/lib/search-gatha-scope";
+import type { SearchGranthGroupSummary } from "@/lib/search-granth-groups";
+import type { SearchSynonymExpansion } from "@/lib/search-synonyms";
 import {
   DEFAULT_CONTEXT_PAGE_RADIUS,
   MAX_CONTEXT_PAGE_RADIUS,
@@ -34,6 +50,9 @@ type SearchResult = {
   source_rel_path?: string;
   source_page_number?: number;
   matched_queries?: string[];
+  matched_variants?: string[];
+  granth_group?: SearchGranthGroupSummary;
+  gathas?: SearchGathaRef[];
 };
 
 type SearchMatchPage = {
@@ -84,6 +103,37 @@ type GranthGroup = {
 
 type SelectionMode = "all" | "single" | "multi";
 
+type ResultGrouping = "page" | "granth";
+
+const RESULT_GROUPING_OPTIONS: Array<{ grouping: ResultGrouping; label: string; description: string }> = [
+  { grouping: "page", label: "Pages", description: "One result per matching page." },
+  {
+    grouping: "granth",
+    label: "Granths",
+    description: "One result per granth with total occurrences and where in the book they fall.",
+  },
+];
+
+type FacetFilterKey = "facetGranth" | "collection" | "subcollection" | "scanState";
+
+type FacetFilterState = Partial<Record<FacetFilterKey, { value: string; label: string }>>;
+
+const FACET_GROUPS: Array<{ key: FacetFilterKey; facet: keyof SearchFacets; label: string }> = [
+  { key: "facetGranth", facet: "granths", label: "Granth" },
+  { key: "collection", facet: "collections", label: "Collection" },
+  { key: "subcollection", facet: "subcollections", label: "Subcollection" },
+  { key: "scanState", facet: "scan_states", label: "Scan state" },
+];
+
+const MAX_VISIBLE_FACET_BUCKETS = 8;
+
+type SearchSuggestion = {
+  value: string;
+  devanagari: string;
+  gujarati: string;
+  pages: number;
+};
+
 type DocumentStats = {
   total_documents: number;
   processed_documents: number;
@@ -139,6 +189,7 @@ export default function SearchPage() {
   const router = useRouter();
   const [q, setQ] = useState("");
   const [results, setResults] = useState<SearchResult[]>([]);
+  const [pageGathas, setPageGathas] = useState<Record<string, PageGathaRef[]>>({});
   const [total, setTotal] = useState(0);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalIsExact, setTotalIsExact] = useState(true);
@@ -146,7 +197,23 @@ export default function SearchPage() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [searchMode, setSearchMode] = useState<OCRSearchMode>("exact_word");
+  const [romanScheme, setRomanScheme] = useState<RomanSchemeSelection>("auto");
+  const [romanSpellings, setRomanSpellings] = useState<RomanSpellingMap>({});
+  const [suggestions, setSuggestions] = useState<SearchSuggestion[]>([]);
+  const [suggestionIndex, setSuggestionIndex] = useState(-1);
+  const [suggestionsOpen, setSuggestionsOpen] = useState(false);
+  const [displayMode, setDisplayMode] = useState<IndicDisplayMode>("script");
+  const [facets, setFacets] = useState<SearchFacets | null>(null);
+  const [didYouMean, setDidYouMean] = useState<DidYouMeanSuggestion[]>([]);
+  const [useSynonyms, setUseSynonyms] = useState(false);
+  const [synonymExpansions, setSynonymExpansions] = useState<SearchSynonymExpansion[]>([]);
+  const [resultGrouping, setResultGrouping] = useState<ResultGrouping>("page");
+  const [gathaBook, setGathaBook] = useState("");
+  const [gathaAdhikar, setGathaAdhikar] = useState("");
+  const [gathaSpec, setGathaSpec] = useState("");
+  const [facetFilters, setFacetFilters] = useState<FacetFilterState>({});
   const [selectedQueryOptionIds, setSelectedQueryOptionIds] = useState<string[]>([]);
+  const [routeQueryVariants, setRouteQueryVariants] = useState<{ q: string; variants: string[] } | null>(null);
   const [lastSearchQueries, setLastSearchQueries] = useState<string[]>([]);
 
   const [granthOptions, setGranthOptions] = useState<GranthOption[]>([]);
@@ -158,21 +225,130 @@ export default function SearchPage() {
   const [pdfTarget, setPdfTarget] = useState<PdfDialogTarget | null>(null);
   const [downloadPreview, setDownloadPreview] = useState<DownloadPreviewState | null>(null);
   const [deliveryDialogOpen, setDeliveryDialogOpen] = useState(false);
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
+  const [savedSearchEmail, setSavedSearchEmail] = useState("");
+  const [savingSearch, setSavingSearch] = useState(false);
+  const [savedSearchMessage, setSavedSearchMessage] = useState<string | null>(null);
   const previewCacheRef = useRef(new Map<string, SearchMatchPreview>());
   const [routePrefillApplied, setRoutePrefillApplied] = useState(false);
 
-  const queryOptions = useMemo(() => buildIndicQueryOptions(q), [q]);
+  useEffect(() => {
+    setPageGathas({});
+    const pagesByCustomId = new Map<string, number[]>();
+    for (const result of results) {
+      if (result.granth_group || result.gathas?.length || !result.custom_id) continue;
+      pagesByCustomId.set(result.custom_id, [...(pagesByCustomId.get(result.custom_id) ?? []), result.page_number]);
+    }
+    if (pagesByCustomId.size === 0) return;
+
+    const controller = new AbortController();
+    for (const [customId, pages] of pagesByCustomId.entries()) {
+      const params = new URLSearchParams({ customId, pages: [...new Set(pages)].join(",") });
+      void fetch(`/api/granth-mapping/page-gathas?${params.toString()}`, { signal: controller.signal })
+        .then((response) => (response.ok ? response.json() : null))
+        .then((payload: { pages?: PageGathaLookup[] } | null) => {
+          const found = (payload?.pages ?? []).filter((entry) => entry.gathas.length > 0);
+          if (found.length === 0) return;
+          setPageGathas((prev) => {
+            const next = { ...prev };
+            for (const entry of found) next[`${customId}:${entry.page}`] = entry.gathas;
+            return next;
+          });
+        })
+        .catch(() => undefined);
+    }
+
+    return () => controller.abort();
+  }, [results]);
+
+  const queryOptions = useMemo(
+    () =>
+      searchMode === "regex" || searchMode === "wildcard" ? [] : buildIndicQueryOptions(q, romanScheme, romanSpellings),
+    [q, romanScheme, romanSpellings, searchMode]
+  );
   const activeQueries = useMemo(() => {
+    if (routeQueryVariants && routeQueryVariants.q === q) return normalizeOCRSearchQueries(q, routeQueryVariants.variants);
     const selected = new Set(selectedQueryOptionIds);
     const values = queryOptions
       .filter((option) => selected.has(option.id))
       .map((option) => option.value);
     return normalizeOCRSearchQueries(queryOptions.length ? values : q);
-  }, [q, queryOptions, selectedQueryOptionIds]);
+  }, [q, queryOptions, routeQueryVariants, selectedQueryOptionIds]);
+
+  useEffect(() => {
+    setSelectedQueryOptionIds(buildIndicQueryOptions(q, romanScheme, romanSpellings).map((option) => option.id));
+  }, [q, romanScheme, romanSpellings]);
+
+  useEffect(() => {
+    setSuggestions([]);
+    setSuggestionIndex(-1);
+    const lastWord = q.split(/\s+/).pop() ?? "";
+    if (searchMode === "regex" || searchMode === "wildcard" || Array.from(lastWord).length < 2) return;
+
+    let active = true;
+    const controller = new AbortController();
+    const timer = window.setTimeout(() => {
+      async function loadSuggestions() {
+        try {
+          const params = new URLSearchParams({ q, scheme: romanScheme });
+          const res = await fetch(`/api/search-suggest?${params.toString()}`, { signal: controller.signal });
+          const json = (await res.json()) as { suggestions?: SearchSuggestion[]; error?: string };
+          if (!res.ok) throw new Error(json.error || `Failed to load suggestions (${res.status})`);
+          if (!active) return;
+          setSuggestions(json.suggestions ?? []);
+        } catch (suggestError) {
+          if (!active || controller.signal.aborted) return;
+          console.error(suggestError);
+        }
+      }
+
+      void loadSuggestions();
+    }, 200);
+
+    return () => {
+      active = false;
+      controller.abort();
+      window.clearTimeout(timer);
+    };
+  }, [q, romanScheme, searchMode]);
 
   useEffect(() => {
-    setSelectedQueryOptionIds(buildIndicQueryOptions(q).map((option) => option.id));
-  }, [q]);
+    setRomanSpellings({});
+    if (searchMode === "regex" || searchMode === "wildcard" || !/[a-z]/i.test(q)) return;
+
+    let active = true;
+    const controller = new AbortController();
+    const timer = window.setTimeout(() => {
+      async function loadSpellings() {
+        try {
+          const params = new URLSearchParams({ q: q.trim(), scheme: romanScheme });
+          const res = await fetch(`/api/query-spellings?${params.toString()}`, { signal: controller.signal });
+          const json = (await res.json()) as {
+            spellings?: Record<string, Array<{ value: string }>>;
+            error?: string;
+          };
+          if (!res.ok) throw new Error(json.error || `Failed to load spellings (${res.status})`);
+          if (!active) return;
+          setRomanSpellings(
+            Object.fromEntries(
+              Object.entries(json.spellings ?? {}).map(([word, items]) => [word, items.map((item) => item.value)])
+            )
+          );
+        } catch (spellingError) {
+          if (!active || controller.signal.aborted) return;
+          console.error(spellingError);
+        }
+      }
+
+      void loadSpellings();
+    }, 350);
+
+    return () => {
+      active = false;
+      controller.abort();
+      window.clearTimeout(timer);
+    };
+  }, [q, romanScheme, searchMode]);
 
   useEffect(() => {
     let active = true;
@@ -262,27 +438,57 @@ export default function SearchPage() {
   useEffect(() => {
     if (!router.isReady || routePrefillApplied || groups.length === 0) return;
 
-    const customId = readSingleQuery(router.query.customId).trim();
+    const customIds = [router.query.customId ?? []].flat().map((value) => value.trim()).filter(Boolean);
     const initialQuery = readSingleQuery(router.query.q).trim();
     if (initialQuery) setQ(initialQuery);
-
-    if (customId) {
-      const match = groups.find((group) => group.customIds.includes(customId));
-      if (match) {
-        setSelectionMode("single");
-        setSelectedNames([match.name]);
-        setNameFilter(match.name);
-      }
+    const initialVariants = [router.query.queryVariant ?? []].flat().map((value) => value.trim()).filter(Boolean);
+    if (initialQuery && initialVariants.length) setRouteQueryVariants({ q: initialQuery, variants: initialVariants });
+    const initialMatchMode = readSingleQuery(router.query.matchMode).trim();
+    if (initialMatchMode) setSearchMode(parseOCRSearchMode(initialMatchMode));
+
+    const names = groups.filter((group) => customIds.some((id) => group.customIds.includes(id))).map((group) => group.name);
+    if (names.length === 1) {
+      setSelectionMode("single");
+      setSelectedNames(names);
+      setNameFilter(names[0]);
+    } else if (names.length > 1) {
+      setSelectionMode("multi");
+      setSelectedNames(names);
     }
 
     setRoutePrefillApplied(true);
-  }, [groups, routePrefillApplied, router.isReady, router.query.customId, router.query.q]);
+  }, [
+    groups,
+    routePrefillApplied,
+    router.isReady,
+    router.query.customId,
+    router.query.matchMode,
+    router.query.q,
+    router.query.queryVariant,
+  ]);
+
+  useEffect(() => {
+    let active = true;
+    void Promise.all([
+      fetch("/api/saved-searches").then((response) => (response.ok ? response.json() : null)),
+      fetch("/api/download-email-recipients").then((response) => (response.ok ? response.json() : null)),
+    ])
+      .then(([savedPayload, recipientPayload]: [{ searches?: SavedSearch[] } | null, { emails?: string[] } | null]) => {
+        if (!active) return;
+        setSavedSearches(savedPayload?.searches ?? []);
+        setSavedSearchEmail((prev) => prev || recipientPayload?.emails?.[0] || "");
+      })
+      .catch(() => undefined);
+    return () => {
+      active = false;
+    };
+  }, []);
 
   const totalPages = useMemo(() => {
     if (total <= 0) return 1;
     return Math.max(1, Math.ceil(total / RESULTS_PER_PAGE));
   }, [total]);
-  const searchReady = activeQueries.some((query) => Array.from(query).length >= (searchMode === "contains" ? 3 : 2));
+  const searchReady = activeQueries.some((query) => Array.from(query).length >= minimumOCRSearchTermLength(searchMode));
   const searchableDocuments = documentStats?.searchable_documents ?? documentStats?.processed_documents ?? 0;
   const remainingDocuments =
     documentStats?.remaining_documents ??
@@ -323,22 +529,57 @@ export default function SearchPage() {
     setSelectedNames(all);
   }
 
+  function applySuggestion(suggestion: SearchSuggestion) {
+    const words = q.split(/(\s+)/);
+    const last = words[words.length - 1] ?? "";
+    const leading = last.match(/^[("'*+-]*/)?.[0] ?? "";
+    words[words.length - 1] = `${leading}${suggestion.value}`;
+    setQ(`${words.join("")} `);
+    setSuggestionsOpen(false);
+    setSuggestionIndex(-1);
+  }
+
   function onSearchInputKeyDown(e: KeyboardEvent<HTMLInputElement>) {
+    const showingSuggestions = suggestionsOpen && suggestions.length > 0;
+    if (showingSuggestions && e.key === "ArrowDown") {
+      e.preventDefault();
+      setSuggestionIndex((index) => (index + 1) % suggestions.length);
+      return;
+    }
+    if (showingSuggestions && e.key === "ArrowUp") {
+      e.preventDefault();
+      setSuggestionIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+      return;
+    }
+    if (showingSuggestions && e.key === "Escape") {
+      setSuggestionsOpen(false);
+      return;
+    }
+    if (showingSuggestions && e.key === "Enter" && suggestionIndex >= 0) {
+      e.preventDefault();
+      applySuggestion(suggestions[suggestionIndex]);
+      return;
+    }
     if (e.key === "Enter" && !loading && searchReady) {
+      setSuggestionsOpen(false);
       void run(1);
     }
   }
 
+  function displayText(text: string) {
+    return displayMode === "script" ? text : transliterateIndicToRoman(text, displayMode);
+  }
+
   function renderHighlightedText(text: string, queries: string[], mode: OCRSearchMode) {
     const matches = findOCRSearchMatchesForQueries(text, queries, mode);
-    if (!text || matches.length === 0) return text;
+    if (!text || matches.length === 0) return displayText(text);
 
     const parts: ReactNode[] = [];
     let cursor = 0;
 
     matches.forEach((match, idx) => {
       if (match.start > cursor) {
-        parts.push(text.slice(cursor, match.start));
+        parts.push(displayText(text.slice(cursor, match.start)));
       }
       parts.push(
         <mark
@@ -351,14 +592,14 @@ export default function SearchPage() {
             fontWeight: 700,
           }}
         >
-          {text.slice(match.start, match.end)}
+          {displayText(text.slice(match.start, match.end))}
         </mark>
       );
       cursor = match.end;
     });
 
     if (cursor < text.length) {
-      parts.push(text.slice(cursor));
+      parts.push(displayText(text.slice(cursor)));
     }
 
     return parts.map((part, idx) => <span key={idx}>{part}</span>);
@@ -368,9 +609,116 @@ export default function SearchPage() {
     return renderHighlightedText(text, queries?.length ? queries : lastSearchQueries, searchMode);
   }
 
-  async function run(page: number) {
+  function renderOccurrenceSparkline(group: SearchGranthGroupSummary) {
+    const width = 240;
+    const height = 36;
+    const max = Math.max(1, ...group.histogram);
+    const barWidth = width / Math.max(1, group.histogram.length);
+    return (
+      <svg
+        width="100%"
+        height={height}
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`Occurrences across ${group.granth_page_count} pages`}
+        style={{ display: "block", background: "#f7f9fc", borderRadius: 6 }}
+      >
+        {group.histogram.map((count, index) => {
+          const barHeight = count > 0 ? Math.max(2, (count / max) * (height - 2)) : 0;
+          const firstPage = Math.floor((index / group.histogram.length) * group.granth_page_count) + 1;
+          const lastPage = Math.floor(((index + 1) / group.histogram.length) * group.granth_page_count);
+          return (
+            <rect
+              key={index}
+              x={index * barWidth + 0.5}
+              y={height - barHeight}
+              width={Math.max(1, barWidth - 1)}
+              height={barHeight}
+              fill="#b7791f"
+            >
+              <title>{`Pages ${firstPage}-${Math.max(firstPage, lastPage)}: ${count} occurrence(s)`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+    );
+  }
+
+  function applyFacetFilter(key: FacetFilterKey, bucket: SearchFacetBucket | null) {
+    const next = { ...facetFilters };
+    if (bucket) next[key] = { value: bucket.value, label: bucket.label };
+    else delete next[key];
+    setFacetFilters(next);
+    void run(1, next);
+  }
+
+  async function saveCurrentSearch() {
+    setSavedSearchMessage(null);
+    const queries = lastSearchQueries.length ? lastSearchQueries : activeQueries;
+    if (queries.length === 0) {
+      setSavedSearchMessage("Run a search before saving it.");
+      return;
+    }
+
+    setSavingSearch(true);
+    try {
+      const res = await fetch("/api/saved-searches", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: savedSearchEmail,
+          label: q.trim() || queries[0],
+          queries,
+          matchMode: searchMode,
+          granths: selectionMode === "all" ? [] : selectedCustomIds,
+        }),
+      });
+      const json = (await res.json()) as { search?: SavedSearch; error?: string };
+      if (!res.ok || !json.search) throw new Error(json.error || `Saving the search failed (${res.status})`);
+      const saved = json.search;
+      setSavedSearches((prev) => [saved, ...prev.filter((search) => search.id !== saved.id)]);
+      setSavedSearchMessage(
+        `Saved. ${saved.email} will be emailed when new pages match (currently ${saved.notified_page_count} page(s)).`
+      );
+    } catch (e) {
+      setSavedSearchMessage(e instanceof Error ? e.message : String(e));
+    } finally {
+      setSavingSearch(false);
+    }
+  }
+
+  async function removeSavedSearch(id: number) {
+    setSavedSearchMessage(null);
+    try {
+      const res = await fetch(`/api/saved-searches?id=${encodeURIComponent(String(id))}`, { method: "DELETE" });
+      const json = (await res.json()) as { error?: string };
+      if (!res.ok) throw new Error(json.error || `Removing the saved search failed (${res.status})`);
+      setSavedSearches((prev) => prev.filter((search) => search.id !== id));
+    } catch (e) {
+      setSavedSearchMessage(e instanceof Error ? e.message : String(e));
+    }
+  }
+
+  function concordanceHref(format: "csv" | "xlsx") {
+    const params = new URLSearchParams();
+    params.set("q", lastSearchQueries[0] ?? q.trim());
+    for (const queryVariant of lastSearchQueries.slice(1)) params.append("queryVariant", queryVariant);
+    params.set("matchMode", searchMode);
+    params.set("format", format);
+    if (selectionMode !== "all" && selectedCustomIds.length > 0) params.set("granths", selectedCustomIds.join(","));
+    return `/api/search-concordance?${params.toString()}`;
+  }
+
+  function applyDidYouMean(suggestion: DidYouMeanSuggestion) {
+    setQ(suggestion.suggestion);
+    setSuggestionsOpen(false);
+    void run(1, facetFilters, [suggestion.suggestion]);
+  }
+
+  async function run(page: number, filters: FacetFilterState = facetFilters, queriesOverride?: string[]) {
     setError(null);
-    const queriesForSearch = activeQueries;
+    const queriesForSearch = queriesOverride ?? activeQueries;
     if (queriesForSearch.length === 0) {
       setError("Enter a search word or select at least one generated language option.");
       return;
@@ -388,9 +736,19 @@ export default function SearchPage() {
       params.set("limit", String(RESULTS_PER_PAGE));
       params.set("page", String(page));
       params.set("matchMode", searchMode);
+      if (resultGrouping === "granth") params.set("groupBy", "granth");
+      if (useSynonyms && searchMode !== "regex") params.set("synonyms", "1");
+      if (gathaBook.trim() && gathaSpec.trim()) {
+        params.set(/^\d+$/.test(gathaBook.trim()) ? "bookId" : "bookCode", gathaBook.trim());
+        params.set("gathas", gathaSpec.trim());
+        if (gathaAdhikar.trim()) params.set("adhikar", gathaAdhikar.trim());
+      }
       if (selectionMode !== "all" && selectedCustomIds.length > 0) {
         params.set("granths", selectedCustomIds.join(","));
       }
+      for (const [key, filter] of Object.entries(filters)) {
+        if (filter?.value) params.set(key, filter.value);
+      }
 
       const res = await fetch(`/api/search?${params.toString()}`);
       const json = (await res.json()) as {
@@ -400,12 +758,18 @@ export default function SearchPage() {
         total_is_exact?: boolean;
         match_mode?: string;
         queries?: string[];
+        facets?: SearchFacets;
+        did_you_mean?: DidYouMeanSuggestion[];
+        synonym_expansions?: SearchSynonymExpansion[];
         error?: string;
       };
       if (!res.ok) {
         throw new Error(json.error || `Search failed (${res.status})`);
       }
       setResults(json.results ?? []);
+      setFacets(json.facets ?? null);
+      setDidYouMean(json.did_you_mean ?? []);
+      setSynonymExpansions(json.synonym_expansions ?? []);
       setTotal(Number(json.total ?? (json.results?.length ?? 0)));
       setCurrentPage(Number(json.page ?? page));
       setTotalIsExact(json.total_is_exact !== false);
@@ -589,6 +953,8 @@ export default function SearchPage() {
           <div className="appPillNav" style={{ marginTop: 8, display: "flex", flexWrap: "wrap", gap: 12 }}>
             <Link href="/">Back to library</Link>
             <Link href="/scannable-documents">Scan status</Link>
+            <Link href="/analytics">Term analytics</Link>
+            <Link href="/search-synonyms">Synonyms</Link>
             {documentStats ? (
               <span style={{ fontWeight: 700 }}>
                 Searchable documents: {searchableDocuments}/{documentStats.total_documents}
@@ -610,23 +976,80 @@ export default function SearchPage() {
         >
           <div style={{ display: "grid", gap: 14 }}>
             <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
-              <input
-                id="search-query"
-                value={q}
-                onChange={(e) => setQ(e.target.value)}
-                onKeyDown={onSearchInputKeyDown}
-                placeholder="Search text or English phonetic..."
-                aria-label="Search word"
-                style={{
-                  flex: 1,
-                  minWidth: 260,
-                  padding: "12px 14px",
-                  fontSize: 16,
-                  borderRadius: 10,
-                  border: "1px solid #b9c0cb",
-                  background: "#fff",
-                }}
-              />
+              <div style={{ position: "relative", flex: 1, minWidth: 260 }}>
+                <input
+                  id="search-query"
+                  value={q}
+                  onChange={(e) => {
+                    setQ(e.target.value);
+                    setSuggestionsOpen(true);
+                  }}
+                  onKeyDown={onSearchInputKeyDown}
+                  onBlur={() => window.setTimeout(() => setSuggestionsOpen(false), 150)}
+                  placeholder="Search text or English phonetic..."
+                  aria-label="Search word"
+                  aria-autocomplete="list"
+                  aria-expanded={suggestionsOpen && suggestions.length > 0}
+                  aria-controls="search-suggestions"
+                  style={{
+                    width: "100%",
+                    boxSizing: "border-box",
+                    padding: "12px 14px",
+                    fontSize: 16,
+                    borderRadius: 10,
+                    border: "1px solid #b9c0cb",
+                    background: "#fff",
+                  }}
+                />
+                {suggestionsOpen && suggestions.length > 0 ? (
+                  <ul
+                    id="search-suggestions"
+                    role="listbox"
+                    style={{
+                      position: "absolute",
+                      top: "calc(100% + 4px)",
+                      left: 0,
+                      right: 0,
+                      zIndex: 20,
+                      margin: 0,
+                      padding: 4,
+                      listStyle: "none",
+                      border: "1px solid #b9c0cb",
+                      borderRadius: 10,
+                      background: "#fff",
+                      boxShadow: "0 10px 24px rgba(35, 42, 51, 0.14)",
+                    }}
+                  >
+                    {suggestions.map((suggestion, index) => (
+                      <li
+                        key={suggestion.devanagari}
+                        role="option"
+                        aria-selected={index === suggestionIndex}
+                        onMouseDown={(event) => {
+                          event.preventDefault();
+                          applySuggestion(suggestion);
+                        }}
+                        onMouseEnter={() => setSuggestionIndex(index)}
+                        style={{
+                          display: "flex",
+                          justifyContent: "space-between",
+                          gap: 12,
+                          padding: "7px 10px",
+                          borderRadius: 8,
+                          cursor: "pointer",
+                          background: index === suggestionIndex ? "#f1eee6" : "transparent",
+                        }}
+                      >
+                        <span>
+                          <strong>{suggestion.devanagari}</strong>
+                          <span style={{ marginLeft: 8, opacity: 0.74 }}>{suggestion.gujarati}</span>
+                        </span>
+                        <span style={{ fontSize: 13, opacity: 0.7 }}>{suggestion.pages} page(s)</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : null}
+              </div>
               <button
                 onClick={() => void run(1)}
                 disabled={loading || !searchReady}
@@ -652,6 +1075,27 @@ export default function SearchPage() {
               </button>
             </div>
 
+            {searchMode === "regex" ? (
+              <div style={{ fontSize: 13, opacity: 0.74 }}>
+                Regex mode runs a Unicode regular expression on each page, e.g. <code>\d+\s*ધર્મ</code> finds a
+                verse number followed by a word. Include a plain fragment of at least 3 letters so pages can be
+                narrowed down first.
+              </div>
+            ) : searchMode === "wildcard" ? (
+              <div style={{ fontSize: 13, opacity: 0.74 }}>
+                Wildcard mode matches whole words: <code>?</code> stands for one letter or vowel sign and{" "}
+                <code>*</code> for any letters, e.g. <code>ज?न</code> finds जैन and जान, <code>ક*ણ</code> finds કરણ
+                and કિરણ. Words can still be combined with <strong>AND</strong>, <strong>OR</strong> and{" "}
+                <strong>NOT</strong>.
+              </div>
+            ) : (
+              <div style={{ fontSize: 13, opacity: 0.74 }}>
+                Combine words with <strong>AND</strong>, <strong>OR</strong>, <strong>NOT</strong>, &quot;quoted
+                phrases&quot; and (groups), e.g. <code>&quot;samyag darshan&quot; AND (jiv OR ajiv) NOT pudgal</code>.
+                Use <code>jiv NEAR/5 ajiv</code> to find words within 5 words of each other.
+              </div>
+            )}
+
             {queryOptions.length > 1 ? (
               <fieldset className="queryVariantFieldset">
                 <legend>Language queries</legend>
@@ -678,23 +1122,40 @@ export default function SearchPage() {
                     );
                   })}
                 </div>
+                <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8, fontSize: 14 }}>
+                  <span>Roman scheme:</span>
+                  <select
+                    value={romanScheme}
+                    onChange={(event) => setRomanScheme(event.target.value as RomanSchemeSelection)}
+                    style={{ padding: "6px 8px", borderRadius: 8, border: "1px solid #bcc4ce", fontSize: 14 }}
+                  >
+                    {ROMAN_SCHEME_OPTIONS.map((option) => (
+                      <option key={option.scheme} value={option.scheme}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <span style={{ opacity: 0.74 }}>
+                    {ROMAN_SCHEME_OPTIONS.find((option) => option.scheme === romanScheme)?.description}
+                  </span>
+                </label>
               </fieldset>
             ) : null}
 
             <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
-              <strong style={{ fontSize: 15 }}>Match:</strong>
-              {OCR_SEARCH_MODE_OPTIONS.map((option) => (
+              <strong style={{ fontSize: 15 }}>Results:</strong>
+              {RESULT_GROUPING_OPTIONS.map((option) => (
                 <button
-                  key={option.mode}
+                  key={option.grouping}
                   type="button"
-                  onClick={() => setSearchMode(option.mode)}
+                  onClick={() => setResultGrouping(option.grouping)}
                   title={option.description}
                   style={{
                     padding: "8px 12px",
                     borderRadius: 999,
                     border: "1px solid #bcc4ce",
-                    background: searchMode === option.mode ? "#1f2120" : "#fff",
-                    color: searchMode === option.mode ? "#fff" : "#222",
+                    background: resultGrouping === option.grouping ? "#1f2120" : "#fff",
+                    color: resultGrouping === option.grouping ? "#fff" : "#222",
                     cursor: "pointer",
                     fontSize: 14,
                   }}
@@ -702,6 +1163,79 @@ export default function SearchPage() {
                   {option.label}
                 </button>
               ))}
+              <span style={{ fontSize: 14, opacity: 0.78 }}>
+                {RESULT_GROUPING_OPTIONS.find((option) => option.grouping === resultGrouping)?.description}
+              </span>
+            </div>
+
+            <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 14 }}>
+              <strong style={{ fontSize: 15 }}>Gatha range:</strong>
+              <input
+                value={gathaBook}
+                onChange={(event) => setGathaBook(event.target.value)}
+                placeholder="Book ID or code"
+                style={{ width: 130, padding: "6px 8px", borderRadius: 8, border: "1px solid #bcc4ce" }}
+              />
+              <input
+                value={gathaAdhikar}
+                onChange={(event) => setGathaAdhikar(event.target.value.replace(/[^\d]/g, ""))}
+                placeholder="Adhikar"
+                inputMode="numeric"
+                style={{ width: 80, padding: "6px 8px", borderRadius: 8, border: "1px solid #bcc4ce" }}
+              />
+              <input
+                value={gathaSpec}
+                onChange={(event) => setGathaSpec(event.target.value)}
+                placeholder="Gathas, e.g. 10-40"
+                style={{ width: 150, padding: "6px 8px", borderRadius: 8, border: "1px solid #bcc4ce" }}
+              />
+              <span style={{ opacity: 0.74 }}>Optional. Limits matches to the pages of these gathas in a mapped book.</span>
+            </div>
+
+            <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+              <strong style={{ fontSize: 15 }}>Match:</strong>
+              {OCR_SEARCH_MODE_OPTIONS.filter((option) => option.mode !== "same_root").map((option) => {
+                const active =
+                  searchMode === option.mode || (option.mode === "exact_word" && searchMode === "same_root");
+                return (
+                  <button
+                    key={option.mode}
+                    type="button"
+                    onClick={() => setSearchMode(option.mode)}
+                    title={option.description}
+                    style={{
+                      padding: "8px 12px",
+                      borderRadius: 999,
+                      border: "1px solid #bcc4ce",
+                      background: active ? "#1f2120" : "#fff",
+                      color: active ? "#fff" : "#222",
+                      cursor: "pointer",
+                      fontSize: 14,
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                );
+              })}
+              {searchMode === "exact_word" || searchMode === "same_root" ? (
+                <label style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 14 }}>
+                  <input
+                    type="checkbox"
+                    checked={searchMode === "same_root"}
+                    onChange={(event) => setSearchMode(event.target.checked ? "same_root" : "exact_word")}
+                  />
+                  Same root
+                </label>
+              ) : null}
+              {searchMode !== "regex" ? (
+                <label
+                  title="Also search the other terms of matching synonym and name-variant sets."
+                  style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 14 }}
+                >
+                  <input type="checkbox" checked={useSynonyms} onChange={(event) => setUseSynonyms(event.target.checked)} />
+                  Synonyms &amp; variants
+                </label>
+              ) : null}
               <span style={{ fontSize: 14, opacity: 0.78 }}>
                 {OCR_SEARCH_MODE_OPTIONS.find((option) => option.mode === searchMode)?.description}
               </span>
@@ -863,6 +1397,196 @@ export default function SearchPage() {
             </div>
           ) : null}
 
+          {hasSearched && total > 0 ? (
+            <div style={{ marginBottom: 12, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 14 }}>
+              <strong style={{ fontSize: 15 }}>Concordance (every occurrence with context):</strong>
+              <a href={concordanceHref("csv")} download>
+                CSV
+              </a>
+              <a href={concordanceHref("xlsx")} download>
+                XLSX
+              </a>
+              <span style={{ opacity: 0.74 }}>Uses the selected granths; facet and gatha filters are not applied.</span>
+            </div>
+          ) : null}
+
+          {hasSearched ? (
+            <div style={{ marginBottom: 12, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+              <strong style={{ fontSize: 15 }}>Show results as:</strong>
+              {INDIC_DISPLAY_OPTIONS.map((option) => (
+                <button
+                  key={option.mode}
+                  type="button"
+                  onClick={() => setDisplayMode(option.mode)}
+                  title={option.description}
+                  style={{
+                    padding: "6px 12px",
+                    borderRadius: 999,
+                    border: "1px solid #bcc4ce",
+                    background: displayMode === option.mode ? "#1f2120" : "#fff",
+                    color: displayMode === option.mode ? "#fff" : "#222",
+                    cursor: "pointer",
+                    fontSize: 14,
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          {hasSearched && (facets || Object.keys(facetFilters).length > 0) ? (
+            <div
+              style={{
+                marginBottom: 14,
+                padding: 12,
+                border: "1px solid #d4d9e2",
+                borderRadius: 12,
+                background: "#fff",
+                display: "grid",
+                gap: 10,
+              }}
+            >
+              <strong style={{ fontSize: 15 }}>Narrow results</strong>
+              {FACET_GROUPS.map((group) => {
+                const active = facetFilters[group.key];
+                const buckets = (facets?.[group.facet] ?? []).filter((bucket) => bucket.value);
+                if (!active && buckets.length === 0) return null;
+                return (
+                  <div key={group.key} style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 13 }}>
+                    <span style={{ minWidth: 96, fontWeight: 700 }}>{group.label}:</span>
+                    {active ? (
+                      <button
+                        type="button"
+                        onClick={() => applyFacetFilter(group.key, null)}
+                        disabled={loading}
+                        title="Remove this filter"
+                        style={{
+                          padding: "4px 10px",
+                          borderRadius: 999,
+                          border: "1px solid #1f2120",
+                          background: "#1f2120",
+                          color: "#fff",
+                          cursor: "pointer",
+                          fontSize: 13,
+                        }}
+                      >
+                        {displayText(active.label)} ×
+                      </button>
+                    ) : (
+                      buckets.slice(0, MAX_VISIBLE_FACET_BUCKETS).map((bucket) => (
+                        <button
+                          key={bucket.value}
+                          type="button"
+                          onClick={() => applyFacetFilter(group.key, bucket)}
+                          disabled={loading}
+                          style={{
+                            padding: "4px 10px",
+                            borderRadius: 999,
+                            border: "1px solid #bcc4ce",
+                            background: "#fff",
+                            color: "#222",
+                            cursor: "pointer",
+                            fontSize: 13,
+                          }}
+                        >
+                          {displayText(bucket.label)} ({bucket.count})
+                        </button>
+                      ))
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ) : null}
+
+          {hasSearched || savedSearches.length > 0 ? (
+            <div
+              style={{
+                marginBottom: 14,
+                padding: 12,
+                border: "1px solid #d4d9e2",
+                borderRadius: 12,
+                background: "#fff",
+                display: "grid",
+                gap: 8,
+                fontSize: 13,
+              }}
+            >
+              <strong style={{ fontSize: 15 }}>Notify me about new matches</strong>
+              {hasSearched ? (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                  <input
+                    type="email"
+                    value={savedSearchEmail}
+                    onChange={(event) => setSavedSearchEmail(event.target.value)}
+                    placeholder="you@example.com"
+                    aria-label="Notification email"
+                    style={{ minWidth: 240, padding: "7px 10px", borderRadius: 8, border: "1px solid #bcc4ce" }}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => void saveCurrentSearch()}
+                    disabled={savingSearch || !savedSearchEmail.trim()}
+                    style={{
+                      padding: "8px 12px",
+                      borderRadius: 999,
+                      border: "1px solid #1f2120",
+                      background: "#1f2120",
+                      color: "#fff",
+                      cursor: savingSearch ? "default" : "pointer",
+                    }}
+                  >
+                    {savingSearch ? "Saving..." : "Save this search"}
+                  </button>
+                  <span style={{ opacity: 0.74 }}>
+                    Emails you when newly OCR&apos;d or corrected pages start matching these terms.
+                  </span>
+                </div>
+              ) : null}
+              {savedSearchMessage ? <div>{savedSearchMessage}</div> : null}
+              {savedSearches.map((search) => (
+                <div key={search.id} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                  <span style={{ fontWeight: 700 }}>{displayText(search.label)}</span>
+                  <span style={{ opacity: 0.74 }}>
+                    {getOCRSearchModeLabel(search.match_mode)} | {search.granths.length ? `${search.granths.length} PDF(s)` : "All granths"} |{" "}
+                    {search.email}
+                    {search.last_notified_at ? ` | last emailed ${new Date(search.last_notified_at).toLocaleDateString()}` : ""}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => void removeSavedSearch(search.id)}
+                    style={{
+                      padding: "4px 10px",
+                      borderRadius: 999,
+                      border: "1px solid #bcc4ce",
+                      background: "#fff",
+                      cursor: "pointer",
+                      fontSize: 13,
+                    }}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : null}
+
+          {hasSearched && synonymExpansions.length > 0 ? (
+            <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", fontSize: 14, marginBottom: 10 }}>
+              <strong>Also searched:</strong>
+              {synonymExpansions.map((expansion) => (
+                <span
+                  key={expansion.term}
+                  title={expansion.label}
+                  style={{ padding: "4px 10px", borderRadius: 999, border: "1px solid #bcc4ce", background: "#fff" }}
+                >
+                  {displayText(expansion.term)} → {expansion.variants.map((variant) => displayText(variant)).join(", ")}
+                </span>
+              ))}
+            </div>
+          ) : null}
+
           {hasSearched ? (
             <div style={{ marginBottom: 14 }}>
               <PageJumpPager
@@ -891,6 +1615,8 @@ export default function SearchPage() {
                     )}&page=${encodeURIComponent(String(r.page_number))}`
                   : null;
                 const canOpenPdf = isValidHttpUrl(r.pdf_url);
+                const mappedGathas = pageGathas[`${r.custom_id}:${r.page_number}`] ?? [];
+                const mappedAnchor = mappedGathas.map((ref) => ref.anchorText).filter(Boolean).join(" | ");
                 return (
                   <article
                     key={`${r.custom_id}_${r.page_number}_${i}`}
@@ -908,12 +1634,40 @@ export default function SearchPage() {
                   >
                     <div>
                       <div style={{ fontWeight: 700, lineHeight: 1.35 }}>
-                        {r.pdf_name}
-                      </div>
-                      <div style={{ fontSize: 13, opacity: 0.76 }}>
-                        Page {r.page_number}
-                        {typeof r.occurrence_count === "number" ? ` | ${r.occurrence_count} match(es)` : ""}
+                        {displayText(r.pdf_name)}
                       </div>
+                      {r.granth_group ? (
+                        <div style={{ fontSize: 13, opacity: 0.76 }}>
+                          {r.granth_group.occurrence_count} occurrence(s) on {r.granth_group.page_count} page(s) | pages{" "}
+                          {r.granth_group.first_page}–{r.granth_group.last_page} of {r.granth_group.granth_page_count}
+                        </div>
+                      ) : (
+                        <div style={{ fontSize: 13, opacity: 0.76 }}>
+                          Page {r.page_number}
+                          {typeof r.occurrence_count === "number" ? ` | ${r.occurrence_count} match(es)` : ""}
+                        </div>
+                      )}
+                      {r.matched_variants?.length ? (
+                        <div style={{ fontSize: 13, opacity: 0.76 }}>
+                          Matched: {r.matched_variants.map((variant) => displayText(variant)).join(", ")}
+                        </div>
+                      ) : null}
+                      {r.granth_group ? <div style={{ marginTop: 6 }}>{renderOccurrenceSparkline(r.granth_group)}</div> : null}
+                      {r.gathas?.length ? (
+                        <div style={{ fontSize: 13, opacity: 0.76 }}>
+                          Gatha{r.gathas.length === 1 ? "" : "s"}{" "}
+                          {r.gathas
+                            .map((ref) => (ref.adhikar == null ? String(ref.gatha) : `${ref.adhikar}.${ref.gatha}`))
+                            .join(", ")}
+                        </div>
+                      ) : mappedGathas.length > 0 ? (
+                        <div style={{ fontSize: 13, opacity: 0.76 }}>
+                          {formatGathaCitation(mappedGathas)}
+                          {mappedAnchor ? (
+                            <div style={{ fontStyle: "italic", marginTop: 2 }}>{displayText(mappedAnchor)}</div>
+                          ) : null}
+                        </div>
+                      ) : null}
                     </div>
 
                     <div
@@ -960,7 +1714,7 @@ export default function SearchPage() {
                           onClick={() => void openDownloadPreview(r)}
                           disabled={rowQueries.length === 0}
                         >
-                          Download matched pages
+                          {r.granth_group ? "Browse matching pages" : "Download matched pages"}
                         </button>
                       ) : null}
                       {csvViewerHref ? (
@@ -975,7 +1729,33 @@ export default function SearchPage() {
             </div>
           ) : null}
           {hasSearched && !loading && results.length === 0 ? (
-            <div style={{ opacity: 0.8 }}>No results found for this query/filter.</div>
+            <div style={{ display: "grid", gap: 8 }}>
+              <div style={{ opacity: 0.8 }}>No results found for this query/filter.</div>
+              {didYouMean.length > 0 ? (
+                <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+                  <strong>Did you mean:</strong>
+                  {didYouMean.map((suggestion) => (
+                    <button
+                      key={suggestion.suggestion}
+                      type="button"
+                      onClick={() => applyDidYouMean(suggestion)}
+                      title={suggestion.replacements.map((item) => `${item.from} → ${item.to}`).join(", ")}
+                      style={{
+                        padding: "6px 12px",
+                        borderRadius: 999,
+                        border: "1px solid #bcc4ce",
+                        background: "#fff",
+                        color: "#222",
+                        cursor: "pointer",
+                        fontSize: 14,
+                      }}
+                    >
+                      {displayText(suggestion.suggestion)} ({suggestion.hits} page{suggestion.hits === 1 ? "" : "s"})
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+            </div>
           ) : null}
         </section>
       </div>
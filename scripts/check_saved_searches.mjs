@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+import "dotenv/config";
+
+const DEFAULT_BASE_URL = "http://localhost:3000";
+const DEFAULT_LIMIT = 100;
+
+function usage() {
+  console.log(`Usage: node scripts/check_saved_searches.mjs [options]
+
+Runs the saved-search check job on a running app and emails new matches.
+
+Options:
+  --baseUrl URL      App base URL (default: SAVED_SEARCH_BASE_URL or ${DEFAULT_BASE_URL})
+  --limit N          Saved searches to check in this run (default: ${DEFAULT_LIMIT})
+  --execute          Send emails and record notified pages. Default is dry-run.
+  --help             Show help
+
+Requires SAVED_SEARCH_CHECK_SECRET to match the app's environment.
+`);
+}
+
+function parseIntFlag(name, raw, min) {
+  const n = Number.parseInt(String(raw ?? ""), 10);
+  if (!Number.isFinite(n) || Number.isNaN(n) || n < min) {
+    throw new Error(`${name} must be an integer >= ${min}`);
+  }
+  return n;
+}
+
+function parseArgs(argv) {
+  const args = {
+    baseUrl: process.env.SAVED_SEARCH_BASE_URL || DEFAULT_BASE_URL,
+    limit: DEFAULT_LIMIT,
+    execute: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--execute") args.execute = true;
+    else if (arg === "--baseUrl" || arg.startsWith("--baseUrl=")) {
+      args.baseUrl = arg.includes("=") ? arg.slice("--baseUrl=".length) : argv[++i];
+    } else if (arg === "--limit" || arg.startsWith("--limit=")) {
+      args.limit = parseIntFlag("--limit", arg.includes("=") ? arg.slice("--limit=".length) : argv[++i], 1);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    usage();
+    return;
+  }
+
+  const secret = process.env.SAVED_SEARCH_CHECK_SECRET;
+  if (!secret) throw new Error("Missing SAVED_SEARCH_CHECK_SECRET");
+
+  const params = new URLSearchParams({ limit: String(args.limit) });
+  if (!args.execute) params.set("dryRun", "1");
+  const url = `${String(args.baseUrl).replace(/\/+$/, "")}/api/saved-searches/check?${params.toString()}`;
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${secret}` },
+  });
+  const payload = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(payload?.error || `Saved search check failed (${response.status})`);
+  }
+
+  for (const result of payload.results ?? []) {
+    const status = result.error ? `error: ${result.error}` : result.notified ? "notified" : "no email";
+    console.log(`#${result.id} ${result.email}: ${result.matched_pages} page(s), ${result.new_pages} new, ${status}`);
+  }
+  console.log(
+    `${payload.dry_run ? "[dry-run] " : ""}checked=${payload.checked} notified=${payload.notified} failed=${payload.failed}`
+  );
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
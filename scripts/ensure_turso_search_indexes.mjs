@@ -2,6 +2,8 @@
 import "dotenv/config";
 import fs from "node:fs/promises";
 import { createClient as createTursoClient } from "@libsql/client";
+import { listOCRSandhiReadings } from "../lib/ocr-sandhi-rules.mjs";
+import { stemOCRWord } from "../lib/ocr-stem-rules.mjs";
 
 const DEFAULT_BATCH_SIZE = 75;
 const DEFAULT_MIN_FREE_MEMORY_MB = 1024;
@@ -16,10 +18,10 @@ function usage() {
 
 Options:
   --execute                Create/rebuild Turso search indexes
-  --batchSize N            Pages per suffix-index batch (default: ${DEFAULT_BATCH_SIZE})
+  --batchSize N            Pages per normalized/suffix/sandhi/stem-index batch (default: ${DEFAULT_BATCH_SIZE})
   --minFreeMemoryMb N      Stop if local MemAvailable drops below N MB (default: ${DEFAULT_MIN_FREE_MEMORY_MB})
   --skipFtsRebuild         Skip normal/trigram FTS rebuilds
-  --skipSuffix             Skip suffix-index population
+  --skipSuffix             Skip normalized search content, word counts and suffix/sandhi/stem-index population
   --help                   Show help
 `);
 }
@@ -112,11 +114,65 @@ function reverseOCRGraphemes(input) {
   return Array.from(OCR_GRAPHEME_SEGMENTER.segment(value), (segment) => segment.segment).reverse().join("");
 }
 
+const OCR_DROPPED_CHARS = new Set(["़", "\u200b", "\u200c", "\u200d", "\u2060", "\ufeff", "\u00ad"]);
+const OCR_CHAR_REPLACEMENTS = { "ँ": "ं", "|": "।", "¦": "।", "ǀ": "।", "ǁ": "॥" };
+
+function normalizeOCRChar(char) {
+  const code = char.codePointAt(0) || 0;
+  const folded = code >= 0x0a81 && code <= 0x0af0 ? String.fromCodePoint(code - 0x180) : char;
+  const foldedCode = folded.codePointAt(0) || 0;
+  if (foldedCode >= 0x0966 && foldedCode <= 0x096f) return String(foldedCode - 0x0966);
+  if (OCR_DROPPED_CHARS.has(folded)) return "";
+  return OCR_CHAR_REPLACEMENTS[folded] ?? folded;
+}
+
+function buildOCRSearchContent(content) {
+  const value = String(content || "");
+  const clusters = OCR_GRAPHEME_SEGMENTER
+    ? Array.from(OCR_GRAPHEME_SEGMENTER.segment(value), (segment) => segment.segment)
+    : Array.from(value);
+  let output = "";
+  for (const cluster of clusters) {
+    const previous = output.slice(-1);
+    let normalized = Array.from(cluster.normalize("NFD"), normalizeOCRChar).join("").normalize("NFC");
+    if (cluster === ":" && previous !== "ः" && /[ऀ-ॿ]/u.test(previous)) normalized = "ः";
+    if (normalized === "।" && output.endsWith("।")) {
+      output = `${output.slice(0, -1)}॥`;
+      continue;
+    }
+    output += normalized;
+  }
+  return output;
+}
+
+function countOCRWords(content) {
+  return (buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || []).length;
+}
+
 function buildOCRSuffixIndexContent(content) {
-  const tokens = String(content || "").match(OCR_WORD_TOKEN_PATTERN) || [];
+  const tokens = buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || [];
   return tokens.map(reverseOCRGraphemes).join(" ");
 }
 
+function buildOCRSandhiIndexContent(content) {
+  const tokens = buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || [];
+  return tokens
+    .map((token) => [...new Set(listOCRSandhiReadings(token).flat())].join(" "))
+    .join(" ");
+}
+
+function buildOCRStemIndexContent(content) {
+  const tokens = buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || [];
+  return tokens.map(stemOCRWord).join(" ");
+}
+
+async function ensureOCRPageIndexColumns(db) {
+  const columns = await db.execute("PRAGMA table_info(ocr_pages)");
+  const names = new Set(columns.rows.map((row) => String(row.name)));
+  if (!names.has("search_content")) await db.execute("ALTER TABLE ocr_pages ADD COLUMN search_content TEXT");
+  if (!names.has("word_count")) await db.execute("ALTER TABLE ocr_pages ADD COLUMN word_count INTEGER");
+}
+
 async function ensureSchema(db) {
   const statements = [
     "PRAGMA foreign_keys = ON;",
@@ -129,19 +185,22 @@ async function ensureSchema(db) {
       tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'",
       prefix='2 3 4'
     );`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_ai AFTER INSERT ON ocr_pages BEGIN
+    "DROP TRIGGER IF EXISTS ocr_pages_search_ai;",
+    "DROP TRIGGER IF EXISTS ocr_pages_search_ad;",
+    "DROP TRIGGER IF EXISTS ocr_pages_search_au;",
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_ai AFTER INSERT ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_ad AFTER DELETE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_ad AFTER DELETE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(ocr_pages_search_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_au AFTER UPDATE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_au AFTER UPDATE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(ocr_pages_search_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
       INSERT INTO ocr_pages_search_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
     `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_trigram_fts USING fts5(
       content,
@@ -151,19 +210,22 @@ async function ensureSchema(db) {
       content_rowid='id',
       tokenize='trigram'
     );`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_ai AFTER INSERT ON ocr_pages BEGIN
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_ai;",
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_ad;",
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_au;",
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_ai AFTER INSERT ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_ad AFTER DELETE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_ad AFTER DELETE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(ocr_pages_trigram_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_au AFTER UPDATE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_au AFTER UPDATE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(ocr_pages_trigram_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
       INSERT INTO ocr_pages_trigram_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
     `CREATE TABLE IF NOT EXISTS ocr_pages_suffix (
       page_id INTEGER PRIMARY KEY,
@@ -201,21 +263,108 @@ async function ensureSchema(db) {
     `CREATE TRIGGER IF NOT EXISTS ocr_pages_suffix_cleanup AFTER DELETE ON ocr_pages BEGIN
       DELETE FROM ocr_pages_suffix WHERE page_id = old.id;
     END;`,
+    `CREATE TABLE IF NOT EXISTS ocr_pages_sandhi (
+      page_id INTEGER PRIMARY KEY,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      split_content TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (page_id) REFERENCES ocr_pages(id) ON DELETE CASCADE,
+      UNIQUE (granth_key, page_number)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_pages_sandhi_granth_page ON ocr_pages_sandhi(granth_key, page_number);",
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_sandhi_fts USING fts5(
+      split_content,
+      granth_key UNINDEXED,
+      page_number UNINDEXED,
+      content='ocr_pages_sandhi',
+      content_rowid='page_id',
+      tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'"
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_ai AFTER INSERT ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(rowid, split_content, granth_key, page_number)
+      VALUES (new.page_id, new.split_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_ad AFTER DELETE ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(ocr_pages_sandhi_fts, rowid, split_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.split_content, old.granth_key, CAST(old.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_au AFTER UPDATE ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(ocr_pages_sandhi_fts, rowid, split_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.split_content, old.granth_key, CAST(old.page_number AS TEXT));
+      INSERT INTO ocr_pages_sandhi_fts(rowid, split_content, granth_key, page_number)
+      VALUES (new.page_id, new.split_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_cleanup AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_pages_sandhi WHERE page_id = old.id;
+    END;`,
+    `CREATE TABLE IF NOT EXISTS ocr_pages_stem (
+      page_id INTEGER PRIMARY KEY,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      stem_content TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (page_id) REFERENCES ocr_pages(id) ON DELETE CASCADE,
+      UNIQUE (granth_key, page_number)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_pages_stem_granth_page ON ocr_pages_stem(granth_key, page_number);",
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_stem_fts USING fts5(
+      stem_content,
+      granth_key UNINDEXED,
+      page_number UNINDEXED,
+      content='ocr_pages_stem',
+      content_rowid='page_id',
+      tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'"
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_ai AFTER INSERT ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(rowid, stem_content, granth_key, page_number)
+      VALUES (new.page_id, new.stem_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_ad AFTER DELETE ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(ocr_pages_stem_fts, rowid, stem_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.stem_content, old.granth_key, CAST(old.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_au AFTER UPDATE ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(ocr_pages_stem_fts, rowid, stem_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.stem_content, old.granth_key, CAST(old.page_number AS TEXT));
+      INSERT INTO ocr_pages_stem_fts(rowid, stem_content, granth_key, page_number)
+      VALUES (new.page_id, new.stem_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_cleanup AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_pages_stem WHERE page_id = old.id;
+    END;`,
+    "CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_search_vocab USING fts5vocab(ocr_pages_search_fts, row);",
+    "CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_search_vocab_instance USING fts5vocab(ocr_pages_search_fts, instance);",
   ];
 
   for (const sql of statements) {
     await db.execute(sql);
   }
+  await ensureOCRPageIndexColumns(db);
 }
 
 async function rebuildFts(db, tableName, minFreeMemoryMb) {
   await assertMemory(`before rebuilding ${tableName}`, minFreeMemoryMb);
   const started = Date.now();
   console.log(`[fts] rebuilding ${tableName}`);
-  await db.execute(`INSERT INTO ${tableName}(${tableName}) VALUES('rebuild')`);
+  await db.execute(`INSERT INTO ${tableName}(${tableName}) VALUES('delete-all')`);
+  await db.execute(`INSERT INTO ${tableName}(rowid, content, granth_key, page_number)
+                    SELECT id, COALESCE(search_content, content), granth_key, CAST(page_number AS TEXT)
+                    FROM ocr_pages`);
   console.log(`[fts] rebuilt ${tableName} in ${Math.round((Date.now() - started) / 1000)}s`);
 }
 
+function makeSearchContentStatement(row) {
+  const searchContent = buildOCRSearchContent(row.content);
+  const wordCount = countOCRWords(row.content);
+  return {
+    sql: `UPDATE ocr_pages
+          SET search_content = ?, word_count = ?
+          WHERE id = ? AND (search_content IS NOT ? OR word_count IS NOT ?)`,
+    args: [searchContent, wordCount, row.id, searchContent, wordCount],
+  };
+}
+
 function makeSuffixStatement(row) {
   return {
     sql: `INSERT INTO ocr_pages_suffix (page_id, granth_key, page_number, reversed_content, updated_at)
@@ -229,6 +378,32 @@ function makeSuffixStatement(row) {
   };
 }
 
+function makeSandhiStatement(row) {
+  return {
+    sql: `INSERT INTO ocr_pages_sandhi (page_id, granth_key, page_number, split_content, updated_at)
+          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(page_id) DO UPDATE SET
+            granth_key = excluded.granth_key,
+            page_number = excluded.page_number,
+            split_content = excluded.split_content,
+            updated_at = CURRENT_TIMESTAMP`,
+    args: [row.id, row.granth_key, row.page_number, buildOCRSandhiIndexContent(row.content)],
+  };
+}
+
+function makeStemStatement(row) {
+  return {
+    sql: `INSERT INTO ocr_pages_stem (page_id, granth_key, page_number, stem_content, updated_at)
+          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT(page_id) DO UPDATE SET
+            granth_key = excluded.granth_key,
+            page_number = excluded.page_number,
+            stem_content = excluded.stem_content,
+            updated_at = CURRENT_TIMESTAMP`,
+    args: [row.id, row.granth_key, row.page_number, buildOCRStemIndexContent(row.content)],
+  };
+}
+
 async function populateSuffixIndex(db, args) {
   const countResult = await db.execute("SELECT COUNT(*) AS total, MAX(id) AS max_id FROM ocr_pages");
   const total = Number(countResult.rows[0]?.total || 0);
@@ -255,7 +430,14 @@ async function populateSuffixIndex(db, args) {
 
     const tx = await db.transaction("write");
     try {
-      await tx.batch(rows.map(makeSuffixStatement));
+      await tx.batch(
+        rows.flatMap((row) => [
+          makeSearchContentStatement(row),
+          makeSuffixStatement(row),
+          makeSandhiStatement(row),
+          makeStemStatement(row),
+        ])
+      );
       await tx.commit();
     } catch (error) {
       try {
@@ -277,7 +459,17 @@ async function populateSuffixIndex(db, args) {
 }
 
 async function printCounts(db) {
-  const tables = ["ocr_pages", "ocr_pages_search_fts", "ocr_pages_trigram_fts", "ocr_pages_suffix", "ocr_pages_suffix_fts"];
+  const tables = [
+    "ocr_pages",
+    "ocr_pages_search_fts",
+    "ocr_pages_trigram_fts",
+    "ocr_pages_suffix",
+    "ocr_pages_suffix_fts",
+    "ocr_pages_sandhi",
+    "ocr_pages_sandhi_fts",
+    "ocr_pages_stem",
+    "ocr_pages_stem_fts",
+  ];
   for (const table of tables) {
     const result = await db.execute(`SELECT COUNT(*) AS total FROM ${table}`);
     console.log(`[count] ${table}: ${result.rows[0]?.total ?? 0}`);
@@ -309,15 +501,15 @@ async function main() {
   await assertMemory("before schema", args.minFreeMemoryMb);
   await ensureSchema(db);
 
+  if (!args.skipSuffix) {
+    await populateSuffixIndex(db, args);
+  }
+
   if (!args.skipFtsRebuild) {
     await rebuildFts(db, "ocr_pages_search_fts", args.minFreeMemoryMb);
     await rebuildFts(db, "ocr_pages_trigram_fts", args.minFreeMemoryMb);
   }
 
-  if (!args.skipSuffix) {
-    await populateSuffixIndex(db, args);
-  }
-
   await printCounts(db);
 }
 
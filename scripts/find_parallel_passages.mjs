@@ -0,0 +1,637 @@
+#!/usr/bin/env node
+import "dotenv/config";
+import fs from "node:fs/promises";
+import { createClient as createTursoClient } from "@libsql/client";
+
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_MIN_FREE_MEMORY_MB = 1024;
+const DEFAULT_MAX_BUCKET_SIZE = 200;
+const DEFAULT_MAX_CLUSTER_WINDOWS = 500;
+const OCR_WORD_TOKEN_PATTERN = /[\p{L}\p{N}\p{M}_]+/gu;
+const OCR_LETTER_PATTERN = /\p{L}/u;
+
+const SHINGLE_WORDS = 3;
+const WINDOW_WORDS = 16;
+const WINDOW_STRIDE = 8;
+const MIN_WINDOW_WORDS = 10;
+const LSH_BANDS = 20;
+const LSH_ROWS = 4;
+const MINHASH_COUNT = LSH_BANDS * LSH_ROWS;
+const MIN_SIGNATURE_MATCHES = Math.ceil(MINHASH_COUNT * 0.6);
+const MAX_EXCERPT_WORDS = 40;
+const CLUSTER_WRITE_BATCH = 50;
+const EXCERPT_ID_CHUNK = 500;
+// MinHash signature plus page, start and end for each window.
+const WINDOW_BYTES = MINHASH_COUNT * 4 + 3 * 4;
+
+function usage() {
+  console.log(`Usage: node scripts/find_parallel_passages.mjs [options]
+
+Shingles every OCR page (word ${SHINGLE_WORDS}-grams over ${WINDOW_WORDS}-word windows), groups similar windows with
+MinHash/LSH (${LSH_BANDS} bands x ${LSH_ROWS} rows), keeps window pairs whose full signatures agree on at least
+${MIN_SIGNATURE_MATCHES}/${MINHASH_COUNT} values and records clusters of pages from different granths that share a passage.
+Reads ocr_pages.search_content, so run scripts/ensure_turso_search_indexes.mjs first.
+
+All window signatures stay in memory: ${WINDOW_BYTES} bytes per window and one window per ${WINDOW_STRIDE} words, about
+1.2 GB per 100,000 pages of 300 words. Buffers grow by doubling, so allow up to twice that; use --maxPages for trial runs.
+
+Options:
+  --execute                Write a new run and replace the previous one (default: report only)
+  --batchSize N            Pages read per batch (default: ${DEFAULT_BATCH_SIZE})
+  --maxPages N             Stop after N pages, for trial runs
+  --maxBucketSize N        Ignore LSH buckets with more than N windows (default: ${DEFAULT_MAX_BUCKET_SIZE})
+  --maxClusterWindows N    Stop growing a cluster at N windows; weaker links start a new one (default: ${DEFAULT_MAX_CLUSTER_WINDOWS})
+  --minFreeMemoryMb N      Stop if local MemAvailable drops below N MB (default: ${DEFAULT_MIN_FREE_MEMORY_MB})
+  --help                   Show help
+`);
+}
+
+function parseIntFlag(flagName, raw, min) {
+  if (raw == null || raw === "") throw new Error(`${flagName} requires a numeric value`);
+  const value = Number.parseInt(String(raw), 10);
+  if (!Number.isFinite(value) || Number.isNaN(value) || value < min) {
+    throw new Error(`${flagName} must be an integer >= ${min}`);
+  }
+  return value;
+}
+
+function parseArgs(argv) {
+  const args = {
+    execute: false,
+    batchSize: DEFAULT_BATCH_SIZE,
+    maxPages: 0,
+    maxBucketSize: DEFAULT_MAX_BUCKET_SIZE,
+    maxClusterWindows: DEFAULT_MAX_CLUSTER_WINDOWS,
+    minFreeMemoryMb: DEFAULT_MIN_FREE_MEMORY_MB,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      args.help = true;
+      continue;
+    }
+    if (arg === "--execute") {
+      args.execute = true;
+      continue;
+    }
+    if (arg === "--batchSize" || arg.startsWith("--batchSize=")) {
+      const raw = arg.includes("=") ? arg.slice("--batchSize=".length) : argv[++i];
+      args.batchSize = parseIntFlag("--batchSize", raw, 1);
+      continue;
+    }
+    if (arg === "--maxPages" || arg.startsWith("--maxPages=")) {
+      const raw = arg.includes("=") ? arg.slice("--maxPages=".length) : argv[++i];
+      args.maxPages = parseIntFlag("--maxPages", raw, 1);
+      continue;
+    }
+    if (arg === "--maxBucketSize" || arg.startsWith("--maxBucketSize=")) {
+      const raw = arg.includes("=") ? arg.slice("--maxBucketSize=".length) : argv[++i];
+      args.maxBucketSize = parseIntFlag("--maxBucketSize", raw, 2);
+      continue;
+    }
+    if (arg === "--maxClusterWindows" || arg.startsWith("--maxClusterWindows=")) {
+      const raw = arg.includes("=") ? arg.slice("--maxClusterWindows=".length) : argv[++i];
+      args.maxClusterWindows = parseIntFlag("--maxClusterWindows", raw, 2);
+      continue;
+    }
+    if (arg === "--minFreeMemoryMb" || arg.startsWith("--minFreeMemoryMb=")) {
+      const raw = arg.includes("=") ? arg.slice("--minFreeMemoryMb=".length) : argv[++i];
+      args.minFreeMemoryMb = parseIntFlag("--minFreeMemoryMb", raw, 128);
+      continue;
+    }
+
+    throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return args;
+}
+
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`Missing required env var: ${name}`);
+  return value;
+}
+
+async function readAvailableMemoryMb() {
+  const meminfo = await fs.readFile("/proc/meminfo", "utf8");
+  const match = meminfo.match(/^MemAvailable:\s+(\d+)\s+kB/m);
+  if (!match) return null;
+  return Math.floor(Number(match[1]) / 1024);
+}
+
+async function assertMemory(label, minFreeMemoryMb) {
+  const available = await readAvailableMemoryMb();
+  if (available == null) {
+    console.log(`[memory] ${label}: MemAvailable unavailable`);
+    return;
+  }
+  console.log(`[memory] ${label}: ${available} MB available`);
+  if (available < minFreeMemoryMb) {
+    throw new Error(
+      `Stopping before ${label}: available memory ${available} MB is below required ${minFreeMemoryMb} MB`
+    );
+  }
+}
+
+// Keep in sync with lib/parallel-passages.ts.
+async function ensureSchema(db) {
+  const sql = [
+    `CREATE TABLE IF NOT EXISTS ocr_passage_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'running',
+      pages_scanned INTEGER NOT NULL DEFAULT 0,
+      windows INTEGER NOT NULL DEFAULT 0,
+      clusters INTEGER NOT NULL DEFAULT 0,
+      started_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      finished_at TEXT
+    );`,
+    `CREATE TABLE IF NOT EXISTS ocr_passage_clusters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      page_count INTEGER NOT NULL,
+      granth_count INTEGER NOT NULL,
+      excerpt TEXT NOT NULL DEFAULT ''
+    );`,
+    `CREATE TABLE IF NOT EXISTS ocr_passage_cluster_pages (
+      cluster_id INTEGER NOT NULL,
+      run_id INTEGER NOT NULL,
+      page_id INTEGER NOT NULL,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      word_start INTEGER NOT NULL,
+      word_end INTEGER NOT NULL,
+      excerpt TEXT NOT NULL DEFAULT '',
+      similarity REAL NOT NULL DEFAULT 0,
+      PRIMARY KEY (cluster_id, page_id)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_passage_clusters_run ON ocr_passage_clusters(run_id);",
+    "CREATE INDEX IF NOT EXISTS idx_ocr_passage_cluster_pages_page ON ocr_passage_cluster_pages(granth_key, page_number, run_id);",
+    "CREATE INDEX IF NOT EXISTS idx_ocr_passage_cluster_pages_run ON ocr_passage_cluster_pages(run_id);",
+  ];
+
+  for (const stmt of sql) {
+    await db.execute(stmt);
+  }
+}
+
+function tokenizeWords(searchContent) {
+  return (String(searchContent || "").match(OCR_WORD_TOKEN_PATTERN) || []).filter((word) => OCR_LETTER_PATTERN.test(word));
+}
+
+function fmix32(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function hashWord(word) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < word.length; i += 1) {
+    h ^= word.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const MINHASH_SEEDS = Uint32Array.from({ length: MINHASH_COUNT }, (_, index) => fmix32(0x9e3779b9 + index * 0x632be5ab));
+
+function listWindowStarts(wordCount) {
+  if (wordCount < MIN_WINDOW_WORDS) return [];
+  if (wordCount <= WINDOW_WORDS) return [0];
+  const starts = [];
+  for (let start = 0; start + WINDOW_WORDS <= wordCount; start += WINDOW_STRIDE) starts.push(start);
+  const last = wordCount - WINDOW_WORDS;
+  if (starts[starts.length - 1] !== last) starts.push(last);
+  return starts;
+}
+
+function createGrowable(ArrayType) {
+  return { data: new ArrayType(1024), length: 0, ArrayType };
+}
+
+function pushGrowable(store, value) {
+  if (store.length === store.data.length) {
+    const next = new store.ArrayType(store.data.length * 2);
+    next.set(store.data);
+    store.data = next;
+  }
+  store.data[store.length] = value;
+  store.length += 1;
+}
+
+function createCorpus() {
+  return {
+    granthKeys: [],
+    granthIndex: new Map(),
+    pageIds: createGrowable(Float64Array),
+    pageNumbers: createGrowable(Int32Array),
+    pageGranths: createGrowable(Int32Array),
+    windowPages: createGrowable(Int32Array),
+    windowStarts: createGrowable(Int32Array),
+    windowEnds: createGrowable(Int32Array),
+    signatures: createGrowable(Uint32Array),
+  };
+}
+
+function bandHash(signatures, window, band) {
+  let h = fmix32(band + 1);
+  const offset = window * MINHASH_COUNT + band * LSH_ROWS;
+  for (let r = 0; r < LSH_ROWS; r += 1) h = fmix32(h ^ signatures[offset + r]);
+  return h;
+}
+
+function sharesEarlierBand(signatures, a, b, band) {
+  for (let earlier = 0; earlier < band; earlier += 1) {
+    let same = true;
+    for (let r = 0; r < LSH_ROWS && same; r += 1) {
+      same = signatures[a * MINHASH_COUNT + earlier * LSH_ROWS + r] === signatures[b * MINHASH_COUNT + earlier * LSH_ROWS + r];
+    }
+    if (same) return true;
+  }
+  return false;
+}
+
+function signatureMatches(signatures, a, b) {
+  let matches = 0;
+  for (let k = 0; k < MINHASH_COUNT; k += 1) {
+    if (signatures[a * MINHASH_COUNT + k] === signatures[b * MINHASH_COUNT + k]) matches += 1;
+  }
+  return matches;
+}
+
+function addPage(corpus, row) {
+  const words = tokenizeWords(row.search_content);
+  const starts = listWindowStarts(words.length);
+  if (starts.length === 0) return 0;
+
+  const granthKey = String(row.granth_key);
+  let granth = corpus.granthIndex.get(granthKey);
+  if (granth == null) {
+    granth = corpus.granthKeys.length;
+    corpus.granthKeys.push(granthKey);
+    corpus.granthIndex.set(granthKey, granth);
+  }
+  const pageIndex = corpus.pageIds.length;
+  pushGrowable(corpus.pageIds, Number(row.id));
+  pushGrowable(corpus.pageNumbers, Number(row.page_number));
+  pushGrowable(corpus.pageGranths, granth);
+
+  const wordHashes = words.map(hashWord);
+  const shingleCount = Math.max(1, words.length - SHINGLE_WORDS + 1);
+  const shingleMinhashes = new Uint32Array(shingleCount * MINHASH_COUNT);
+  for (let s = 0; s < shingleCount; s += 1) {
+    let shingle = 0;
+    for (let w = s; w < Math.min(words.length, s + SHINGLE_WORDS); w += 1) shingle = fmix32(shingle ^ wordHashes[w]);
+    for (let k = 0; k < MINHASH_COUNT; k += 1) shingleMinhashes[s * MINHASH_COUNT + k] = fmix32(shingle ^ MINHASH_SEEDS[k]);
+  }
+
+  const minhash = new Uint32Array(MINHASH_COUNT);
+  for (const start of starts) {
+    const end = Math.min(words.length, start + WINDOW_WORDS);
+    const lastShingle = Math.max(start, end - SHINGLE_WORDS);
+    minhash.fill(0xffffffff);
+    for (let s = start; s <= lastShingle && s < shingleCount; s += 1) {
+      for (let k = 0; k < MINHASH_COUNT; k += 1) {
+        const value = shingleMinhashes[s * MINHASH_COUNT + k];
+        if (value < minhash[k]) minhash[k] = value;
+      }
+    }
+    for (let k = 0; k < MINHASH_COUNT; k += 1) pushGrowable(corpus.signatures, minhash[k]);
+    pushGrowable(corpus.windowPages, pageIndex);
+    pushGrowable(corpus.windowStarts, start);
+    pushGrowable(corpus.windowEnds, end);
+  }
+  return starts.length;
+}
+
+async function scanPages(db, args, corpus) {
+  const countResult = await db.execute("SELECT COUNT(*) AS total, MAX(id) AS max_id FROM ocr_pages");
+  const total = Number(countResult.rows[0]?.total || 0);
+  const maxId = Number(countResult.rows[0]?.max_id || 0);
+  console.log(`[scan] shingling up to ${args.maxPages || total} of ${total} page rows`);
+
+  let lastId = 0;
+  let scanned = 0;
+  let skipped = 0;
+  const started = Date.now();
+
+  while (lastId < maxId && (!args.maxPages || scanned < args.maxPages)) {
+    await assertMemory(`before scan batch after id ${lastId}`, args.minFreeMemoryMb);
+    const limit = args.maxPages ? Math.min(args.batchSize, args.maxPages - scanned) : args.batchSize;
+    const pageResult = await db.execute({
+      sql: `SELECT id, granth_key, page_number, search_content
+            FROM ocr_pages
+            WHERE id > ?
+            ORDER BY id ASC
+            LIMIT ?`,
+      args: [lastId, limit],
+    });
+
+    const rows = pageResult.rows;
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if (row.search_content == null) skipped += 1;
+      else addPage(corpus, row);
+    }
+
+    lastId = Number(rows[rows.length - 1].id);
+    scanned += rows.length;
+    console.log(`[scan] ${scanned} pages, ${corpus.windowPages.length} windows; last id ${lastId}`);
+  }
+
+  if (skipped > 0) {
+    console.log(`[scan] skipped ${skipped} pages without search_content; run ensure_turso_search_indexes.mjs --execute`);
+  }
+  const windowMb = Math.round((corpus.windowPages.length * WINDOW_BYTES) / 1024 ** 2);
+  console.log(`[scan] finished in ${Math.round((Date.now() - started) / 1000)}s; ~${windowMb} MB of window signatures`);
+  return scanned;
+}
+
+function findCandidatePairs(corpus, args) {
+  const windowCount = corpus.windowPages.length;
+  const signatures = corpus.signatures.data;
+  const pairs = {
+    a: createGrowable(Int32Array),
+    b: createGrowable(Int32Array),
+    matches: createGrowable(Uint8Array),
+  };
+  let skippedBuckets = 0;
+  let rejectedPairs = 0;
+
+  for (let band = 0; band < LSH_BANDS; band += 1) {
+    const keys = new BigUint64Array(windowCount);
+    for (let w = 0; w < windowCount; w += 1) keys[w] = (BigInt(bandHash(signatures, w, band)) << 32n) | BigInt(w);
+    keys.sort();
+
+    let bucketStart = 0;
+    while (bucketStart < windowCount) {
+      const bucketHash = keys[bucketStart] >> 32n;
+      let bucketEnd = bucketStart + 1;
+      while (bucketEnd < windowCount && keys[bucketEnd] >> 32n === bucketHash) bucketEnd += 1;
+      const size = bucketEnd - bucketStart;
+      if (size > args.maxBucketSize) skippedBuckets += 1;
+      else if (size > 1) {
+        for (let i = bucketStart; i < bucketEnd; i += 1) {
+          const a = Number(keys[i] & 0xffffffffn);
+          const granthA = corpus.pageGranths.data[corpus.windowPages.data[a]];
+          for (let j = i + 1; j < bucketEnd; j += 1) {
+            const b = Number(keys[j] & 0xffffffffn);
+            if (corpus.pageGranths.data[corpus.windowPages.data[b]] === granthA) continue;
+            if (sharesEarlierBand(signatures, a, b, band)) continue;
+            const matches = signatureMatches(signatures, a, b);
+            if (matches < MIN_SIGNATURE_MATCHES) {
+              rejectedPairs += 1;
+              continue;
+            }
+            pushGrowable(pairs.a, a);
+            pushGrowable(pairs.b, b);
+            pushGrowable(pairs.matches, matches);
+          }
+        }
+      }
+      bucketStart = bucketEnd;
+    }
+    console.log(`[lsh] band ${band + 1}/${LSH_BANDS}: ${pairs.a.length} verified pairs, ${rejectedPairs} rejected`);
+  }
+
+  if (skippedBuckets > 0) console.log(`[lsh] ignored ${skippedBuckets} buckets above ${args.maxBucketSize} windows`);
+  return pairs;
+}
+
+function orderPairsBySimilarity(pairs) {
+  const offsets = new Uint32Array(MINHASH_COUNT + 2);
+  for (let p = 0; p < pairs.matches.length; p += 1) offsets[MINHASH_COUNT - pairs.matches.data[p] + 1] += 1;
+  for (let i = 1; i < offsets.length; i += 1) offsets[i] += offsets[i - 1];
+  const order = new Uint32Array(pairs.matches.length);
+  for (let p = 0; p < pairs.matches.length; p += 1) order[offsets[MINHASH_COUNT - pairs.matches.data[p]]++] = p;
+  return order;
+}
+
+function buildClusters(corpus, pairs, args) {
+  const windowCount = corpus.windowPages.length;
+  const parent = new Int32Array(windowCount);
+  const size = new Int32Array(windowCount).fill(1);
+  for (let w = 0; w < windowCount; w += 1) parent[w] = w;
+  const find = (w) => {
+    while (parent[w] !== w) {
+      parent[w] = parent[parent[w]];
+      w = parent[w];
+    }
+    return w;
+  };
+
+  // Strongest links merge first, so a capped cluster keeps its closest windows and weaker ones start another.
+  const windowSimilarity = new Float32Array(windowCount);
+  let cappedLinks = 0;
+  for (const p of orderPairsBySimilarity(pairs)) {
+    const a = pairs.a.data[p];
+    const b = pairs.b.data[p];
+    let rootA = find(a);
+    let rootB = find(b);
+    if (rootA !== rootB) {
+      if (size[rootA] + size[rootB] > args.maxClusterWindows) {
+        cappedLinks += 1;
+        continue;
+      }
+      if (size[rootA] < size[rootB]) [rootA, rootB] = [rootB, rootA];
+      parent[rootB] = rootA;
+      size[rootA] += size[rootB];
+    }
+    const similarity = pairs.matches.data[p] / MINHASH_COUNT;
+    if (similarity > windowSimilarity[a]) windowSimilarity[a] = similarity;
+    if (similarity > windowSimilarity[b]) windowSimilarity[b] = similarity;
+  }
+  if (cappedLinks > 0) console.log(`[clusters] ${cappedLinks} links skipped at the ${args.maxClusterWindows}-window cap`);
+
+  // Overlapping windows of one passage match the same pages elsewhere; adjacent gathas on a page do not.
+  const pagesByRoot = new Map();
+  for (let w = 0; w < windowCount; w += 1) {
+    if (windowSimilarity[w] === 0) continue;
+    const root = find(w);
+    const pages = pagesByRoot.get(root) ?? new Set();
+    pages.add(corpus.windowPages.data[w]);
+    pagesByRoot.set(root, pages);
+  }
+  for (let w = 1; w < windowCount; w += 1) {
+    const pageIndex = corpus.windowPages.data[w];
+    const samePage = pageIndex === corpus.windowPages.data[w - 1];
+    const overlaps = corpus.windowStarts.data[w] < corpus.windowEnds.data[w - 1];
+    if (!samePage || !overlaps || windowSimilarity[w] === 0 || windowSimilarity[w - 1] === 0) continue;
+    let rootA = find(w - 1);
+    let rootB = find(w);
+    if (rootA === rootB || size[rootA] + size[rootB] > args.maxClusterWindows) continue;
+    const pagesA = pagesByRoot.get(rootA);
+    const pagesB = pagesByRoot.get(rootB);
+    if (![...pagesB].some((page) => page !== pageIndex && pagesA.has(page))) continue;
+    if (size[rootA] < size[rootB]) [rootA, rootB] = [rootB, rootA];
+    parent[rootB] = rootA;
+    size[rootA] += size[rootB];
+    for (const page of pagesByRoot.get(rootB)) pagesByRoot.get(rootA).add(page);
+    pagesByRoot.delete(rootB);
+  }
+
+  const byRoot = new Map();
+  for (let w = 0; w < windowCount; w += 1) {
+    if (windowSimilarity[w] === 0) continue;
+    const root = find(w);
+    const pages = byRoot.get(root) ?? new Map();
+    const pageIndex = corpus.windowPages.data[w];
+    const existing = pages.get(pageIndex);
+    const start = corpus.windowStarts.data[w];
+    const end = corpus.windowEnds.data[w];
+    if (existing) {
+      existing.start = Math.min(existing.start, start);
+      existing.end = Math.max(existing.end, end);
+      existing.similarity = Math.max(existing.similarity, windowSimilarity[w]);
+    } else {
+      pages.set(pageIndex, { start, end, similarity: windowSimilarity[w] });
+    }
+    byRoot.set(root, pages);
+  }
+
+  const clusters = [];
+  for (const pages of byRoot.values()) {
+    const members = Array.from(pages, ([pageIndex, range]) => ({
+      pageId: corpus.pageIds.data[pageIndex],
+      granthKey: corpus.granthKeys[corpus.pageGranths.data[pageIndex]],
+      pageNumber: corpus.pageNumbers.data[pageIndex],
+      start: range.start,
+      end: range.end,
+      similarity: Math.round(range.similarity * 1000) / 1000,
+    })).sort((a, b) => b.similarity - a.similarity || a.pageId - b.pageId);
+    const granthCount = new Set(members.map((member) => member.granthKey)).size;
+    if (granthCount >= 2) clusters.push({ members, granthCount });
+  }
+  clusters.sort((a, b) => b.granthCount - a.granthCount || b.members.length - a.members.length);
+  return clusters;
+}
+
+async function loadExcerpts(db, members) {
+  const ids = Array.from(new Set(members.map((member) => member.pageId)));
+  const wordsById = new Map();
+  for (let offset = 0; offset < ids.length; offset += EXCERPT_ID_CHUNK) {
+    const chunk = ids.slice(offset, offset + EXCERPT_ID_CHUNK);
+    const result = await db.execute({
+      sql: `SELECT id, search_content FROM ocr_pages WHERE id IN (${chunk.map(() => "?").join(",")})`,
+      args: chunk,
+    });
+    for (const row of result.rows) wordsById.set(Number(row.id), tokenizeWords(row.search_content));
+  }
+  for (const member of members) {
+    const words = wordsById.get(member.pageId) ?? [];
+    member.excerpt = words.slice(member.start, Math.min(member.end, member.start + MAX_EXCERPT_WORDS)).join(" ");
+  }
+}
+
+async function writeClusters(db, runId, clusters, args) {
+  for (let offset = 0; offset < clusters.length; offset += CLUSTER_WRITE_BATCH) {
+    await assertMemory(`before cluster batch ${offset}`, args.minFreeMemoryMb);
+    const batch = clusters.slice(offset, offset + CLUSTER_WRITE_BATCH);
+    await loadExcerpts(db, batch.flatMap((cluster) => cluster.members));
+
+    const tx = await db.transaction("write");
+    try {
+      const inserted = await tx.batch(
+        batch.map((cluster) => ({
+          sql: "INSERT INTO ocr_passage_clusters (run_id, page_count, granth_count, excerpt) VALUES (?, ?, ?, ?)",
+          args: [runId, cluster.members.length, cluster.granthCount, cluster.members[0].excerpt],
+        }))
+      );
+      await tx.batch(
+        batch.flatMap((cluster, index) =>
+          cluster.members.map((member) => ({
+            sql: `INSERT INTO ocr_passage_cluster_pages
+                    (cluster_id, run_id, page_id, granth_key, page_number, word_start, word_end, excerpt, similarity)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            args: [
+              Number(inserted[index].lastInsertRowid),
+              runId,
+              member.pageId,
+              member.granthKey,
+              member.pageNumber,
+              member.start,
+              member.end,
+              member.excerpt,
+              member.similarity,
+            ],
+          }))
+        )
+      );
+      await tx.commit();
+    } catch (error) {
+      try {
+        if (!tx.closed) await tx.rollback();
+      } catch {
+        // ignore rollback close races
+      }
+      throw error;
+    } finally {
+      tx.close();
+    }
+    console.log(`[write] ${Math.min(offset + CLUSTER_WRITE_BATCH, clusters.length)}/${clusters.length} clusters`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    usage();
+    return;
+  }
+
+  await assertMemory("startup", args.minFreeMemoryMb);
+
+  const db = createTursoClient({
+    url: requireEnv("TURSO_URL"),
+    authToken: requireEnv("TURSO_AUTH_TOKEN"),
+  });
+
+  const corpus = createCorpus();
+  const pagesScanned = await scanPages(db, args, corpus);
+  const clusters = buildClusters(corpus, findCandidatePairs(corpus, args), args);
+  const clusteredPages = clusters.reduce((sum, cluster) => sum + cluster.members.length, 0);
+  console.log(`[clusters] ${clusters.length} shared passages across ${clusteredPages} page entries`);
+
+  if (!args.execute) {
+    for (const cluster of clusters.slice(0, 10)) {
+      const where = cluster.members.slice(0, 5).map((member) => `${member.granthKey} p.${member.pageNumber}`);
+      console.log(`[dry-run] ${cluster.granthCount} granths: ${where.join(", ")}${cluster.members.length > 5 ? ", ..." : ""}`);
+    }
+    console.log("[dry-run] pass --execute to record this run in Turso");
+    return;
+  }
+
+  await ensureSchema(db);
+  const runResult = await db.execute({
+    sql: "INSERT INTO ocr_passage_runs (status, pages_scanned, windows) VALUES ('running', ?, ?)",
+    args: [pagesScanned, corpus.windowPages.length],
+  });
+  const runId = Number(runResult.lastInsertRowid);
+  console.log(`[write] run ${runId}`);
+
+  await writeClusters(db, runId, clusters, args);
+  await db.batch(
+    [
+      {
+        sql: "UPDATE ocr_passage_runs SET status = 'complete', clusters = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+        args: [clusters.length, runId],
+      },
+      { sql: "DELETE FROM ocr_passage_cluster_pages WHERE run_id <> ?", args: [runId] },
+      { sql: "DELETE FROM ocr_passage_clusters WHERE run_id <> ?", args: [runId] },
+      { sql: "DELETE FROM ocr_passage_runs WHERE id <> ?", args: [runId] },
+    ],
+    "write"
+  );
+  console.log(`[write] run ${runId} complete; previous runs removed`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
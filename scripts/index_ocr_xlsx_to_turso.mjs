@@ -5,6 +5,8 @@ import path from "node:path";
 import { createClient as createTursoClient } from "@libsql/client";
 import { UTApi, UTFile } from "uploadthing/server";
 import XLSX from "xlsx";
+import { listOCRSandhiReadings } from "../lib/ocr-sandhi-rules.mjs";
+import { stemOCRWord } from "../lib/ocr-stem-rules.mjs";
 
 const DATA_ROOT = path.join(process.cwd(), "data");
 const DATA_BUCKETS = ["1", "2", "3"].map((name) => path.join(DATA_ROOT, name));
@@ -22,11 +24,58 @@ function reverseOCRGraphemes(input) {
   return Array.from(OCR_GRAPHEME_SEGMENTER.segment(value), (segment) => segment.segment).reverse().join("");
 }
 
+const OCR_DROPPED_CHARS = new Set(["़", "\u200b", "\u200c", "\u200d", "\u2060", "\ufeff", "\u00ad"]);
+const OCR_CHAR_REPLACEMENTS = { "ँ": "ं", "|": "।", "¦": "।", "ǀ": "।", "ǁ": "॥" };
+
+function normalizeOCRChar(char) {
+  const code = char.codePointAt(0) || 0;
+  const folded = code >= 0x0a81 && code <= 0x0af0 ? String.fromCodePoint(code - 0x180) : char;
+  const foldedCode = folded.codePointAt(0) || 0;
+  if (foldedCode >= 0x0966 && foldedCode <= 0x096f) return String(foldedCode - 0x0966);
+  if (OCR_DROPPED_CHARS.has(folded)) return "";
+  return OCR_CHAR_REPLACEMENTS[folded] ?? folded;
+}
+
+function buildOCRSearchContent(content) {
+  const value = String(content || "");
+  const clusters = OCR_GRAPHEME_SEGMENTER
+    ? Array.from(OCR_GRAPHEME_SEGMENTER.segment(value), (segment) => segment.segment)
+    : Array.from(value);
+  let output = "";
+  for (const cluster of clusters) {
+    const previous = output.slice(-1);
+    let normalized = Array.from(cluster.normalize("NFD"), normalizeOCRChar).join("").normalize("NFC");
+    if (cluster === ":" && previous !== "ः" && /[ऀ-ॿ]/u.test(previous)) normalized = "ः";
+    if (normalized === "।" && output.endsWith("।")) {
+      output = `${output.slice(0, -1)}॥`;
+      continue;
+    }
+    output += normalized;
+  }
+  return output;
+}
+
+function countOCRWords(content) {
+  return (buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || []).length;
+}
+
 function buildOCRSuffixIndexContent(content) {
-  const tokens = String(content || "").match(OCR_WORD_TOKEN_PATTERN) || [];
+  const tokens = buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || [];
   return tokens.map(reverseOCRGraphemes).join(" ");
 }
 
+function buildOCRSandhiIndexContent(content) {
+  const tokens = buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || [];
+  return tokens
+    .map((token) => [...new Set(listOCRSandhiReadings(token).flat())].join(" "))
+    .join(" ");
+}
+
+function buildOCRStemIndexContent(content) {
+  const tokens = buildOCRSearchContent(content).match(OCR_WORD_TOKEN_PATTERN) || [];
+  return tokens.map(stemOCRWord).join(" ");
+}
+
 function makeOCRSuffixUpsertStatement(granthKey, pageNumber, content) {
   return {
     sql: `INSERT INTO ocr_pages_suffix (page_id, granth_key, page_number, reversed_content, updated_at)
@@ -42,6 +91,36 @@ function makeOCRSuffixUpsertStatement(granthKey, pageNumber, content) {
   };
 }
 
+function makeOCRSandhiUpsertStatement(granthKey, pageNumber, content) {
+  return {
+    sql: `INSERT INTO ocr_pages_sandhi (page_id, granth_key, page_number, split_content, updated_at)
+          SELECT id, granth_key, page_number, ?, CURRENT_TIMESTAMP
+          FROM ocr_pages
+          WHERE granth_key = ? AND page_number = ?
+          ON CONFLICT(page_id) DO UPDATE SET
+            granth_key = excluded.granth_key,
+            page_number = excluded.page_number,
+            split_content = excluded.split_content,
+            updated_at = CURRENT_TIMESTAMP`,
+    args: [buildOCRSandhiIndexContent(content), granthKey, pageNumber],
+  };
+}
+
+function makeOCRStemUpsertStatement(granthKey, pageNumber, content) {
+  return {
+    sql: `INSERT INTO ocr_pages_stem (page_id, granth_key, page_number, stem_content, updated_at)
+          SELECT id, granth_key, page_number, ?, CURRENT_TIMESTAMP
+          FROM ocr_pages
+          WHERE granth_key = ? AND page_number = ?
+          ON CONFLICT(page_id) DO UPDATE SET
+            granth_key = excluded.granth_key,
+            page_number = excluded.page_number,
+            stem_content = excluded.stem_content,
+            updated_at = CURRENT_TIMESTAMP`,
+    args: [buildOCRStemIndexContent(content), granthKey, pageNumber],
+  };
+}
+
 function usage() {
   console.log(`Usage: node scripts/index_ocr_xlsx_to_turso.mjs [options]
 
@@ -481,6 +560,13 @@ async function uploadXlsx(utapi, filePath, customId, appId) {
   };
 }
 
+async function ensureOCRPageIndexColumns(db) {
+  const columns = await db.execute("PRAGMA table_info(ocr_pages)");
+  const names = new Set(columns.rows.map((row) => String(row.name)));
+  if (!names.has("search_content")) await db.execute("ALTER TABLE ocr_pages ADD COLUMN search_content TEXT");
+  if (!names.has("word_count")) await db.execute("ALTER TABLE ocr_pages ADD COLUMN word_count INTEGER");
+}
+
 async function ensureSchema(db) {
   const statements = [
     "PRAGMA foreign_keys = ON;",
@@ -505,6 +591,8 @@ async function ensureSchema(db) {
       granth_key TEXT NOT NULL,
       page_number INTEGER NOT NULL,
       content TEXT NOT NULL,
+      search_content TEXT,
+      word_count INTEGER,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (granth_key) REFERENCES ocr_granths(granth_key) ON DELETE CASCADE,
@@ -544,19 +632,22 @@ async function ensureSchema(db) {
       tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'",
       prefix='2 3 4'
     );`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_ai AFTER INSERT ON ocr_pages BEGIN
+    "DROP TRIGGER IF EXISTS ocr_pages_search_ai;",
+    "DROP TRIGGER IF EXISTS ocr_pages_search_ad;",
+    "DROP TRIGGER IF EXISTS ocr_pages_search_au;",
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_ai AFTER INSERT ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_ad AFTER DELETE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_ad AFTER DELETE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(ocr_pages_search_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_au AFTER UPDATE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_search_normalized_au AFTER UPDATE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_search_fts(ocr_pages_search_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
       INSERT INTO ocr_pages_search_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
     `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_trigram_fts USING fts5(
       content,
@@ -566,19 +657,22 @@ async function ensureSchema(db) {
       content_rowid='id',
       tokenize='trigram'
     );`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_ai AFTER INSERT ON ocr_pages BEGIN
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_ai;",
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_ad;",
+    "DROP TRIGGER IF EXISTS ocr_pages_trigram_au;",
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_ai AFTER INSERT ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_ad AFTER DELETE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_ad AFTER DELETE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(ocr_pages_trigram_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
     END;`,
-    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_au AFTER UPDATE ON ocr_pages BEGIN
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_trigram_normalized_au AFTER UPDATE ON ocr_pages BEGIN
       INSERT INTO ocr_pages_trigram_fts(ocr_pages_trigram_fts, rowid, content, granth_key, page_number)
-      VALUES ('delete', old.id, old.content, old.granth_key, CAST(old.page_number AS TEXT));
+      VALUES ('delete', old.id, COALESCE(old.search_content, old.content), old.granth_key, CAST(old.page_number AS TEXT));
       INSERT INTO ocr_pages_trigram_fts(rowid, content, granth_key, page_number)
-      VALUES (new.id, new.content, new.granth_key, CAST(new.page_number AS TEXT));
+      VALUES (new.id, COALESCE(new.search_content, new.content), new.granth_key, CAST(new.page_number AS TEXT));
     END;`,
     `CREATE TABLE IF NOT EXISTS ocr_pages_suffix (
       page_id INTEGER PRIMARY KEY,
@@ -616,11 +710,84 @@ async function ensureSchema(db) {
     `CREATE TRIGGER IF NOT EXISTS ocr_pages_suffix_cleanup AFTER DELETE ON ocr_pages BEGIN
       DELETE FROM ocr_pages_suffix WHERE page_id = old.id;
     END;`,
+    `CREATE TABLE IF NOT EXISTS ocr_pages_sandhi (
+      page_id INTEGER PRIMARY KEY,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      split_content TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (page_id) REFERENCES ocr_pages(id) ON DELETE CASCADE,
+      UNIQUE (granth_key, page_number)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_pages_sandhi_granth_page ON ocr_pages_sandhi(granth_key, page_number);",
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_sandhi_fts USING fts5(
+      split_content,
+      granth_key UNINDEXED,
+      page_number UNINDEXED,
+      content='ocr_pages_sandhi',
+      content_rowid='page_id',
+      tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'"
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_ai AFTER INSERT ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(rowid, split_content, granth_key, page_number)
+      VALUES (new.page_id, new.split_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_ad AFTER DELETE ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(ocr_pages_sandhi_fts, rowid, split_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.split_content, old.granth_key, CAST(old.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_au AFTER UPDATE ON ocr_pages_sandhi BEGIN
+      INSERT INTO ocr_pages_sandhi_fts(ocr_pages_sandhi_fts, rowid, split_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.split_content, old.granth_key, CAST(old.page_number AS TEXT));
+      INSERT INTO ocr_pages_sandhi_fts(rowid, split_content, granth_key, page_number)
+      VALUES (new.page_id, new.split_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_sandhi_cleanup AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_pages_sandhi WHERE page_id = old.id;
+    END;`,
+    `CREATE TABLE IF NOT EXISTS ocr_pages_stem (
+      page_id INTEGER PRIMARY KEY,
+      granth_key TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      stem_content TEXT NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (page_id) REFERENCES ocr_pages(id) ON DELETE CASCADE,
+      UNIQUE (granth_key, page_number)
+    );`,
+    "CREATE INDEX IF NOT EXISTS idx_ocr_pages_stem_granth_page ON ocr_pages_stem(granth_key, page_number);",
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_stem_fts USING fts5(
+      stem_content,
+      granth_key UNINDEXED,
+      page_number UNINDEXED,
+      content='ocr_pages_stem',
+      content_rowid='page_id',
+      tokenize="unicode61 remove_diacritics 0 categories 'L* N* Co M*'"
+    );`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_ai AFTER INSERT ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(rowid, stem_content, granth_key, page_number)
+      VALUES (new.page_id, new.stem_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_ad AFTER DELETE ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(ocr_pages_stem_fts, rowid, stem_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.stem_content, old.granth_key, CAST(old.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_au AFTER UPDATE ON ocr_pages_stem BEGIN
+      INSERT INTO ocr_pages_stem_fts(ocr_pages_stem_fts, rowid, stem_content, granth_key, page_number)
+      VALUES ('delete', old.page_id, old.stem_content, old.granth_key, CAST(old.page_number AS TEXT));
+      INSERT INTO ocr_pages_stem_fts(rowid, stem_content, granth_key, page_number)
+      VALUES (new.page_id, new.stem_content, new.granth_key, CAST(new.page_number AS TEXT));
+    END;`,
+    `CREATE TRIGGER IF NOT EXISTS ocr_pages_stem_cleanup AFTER DELETE ON ocr_pages BEGIN
+      DELETE FROM ocr_pages_stem WHERE page_id = old.id;
+    END;`,
+    "CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_search_vocab USING fts5vocab(ocr_pages_search_fts, row);",
+    "CREATE VIRTUAL TABLE IF NOT EXISTS ocr_pages_search_vocab_instance USING fts5vocab(ocr_pages_search_fts, instance);",
   ];
 
   for (const sql of statements) {
     await db.execute(sql);
   }
+  await ensureOCRPageIndexColumns(db);
 }
 
 async function upsertGranthAndPages(db, payload) {
@@ -679,9 +846,15 @@ async function upsertGranthAndPages(db, payload) {
     const statements = [];
     for (const page of payload.pages) {
       statements.push({
-        sql: `INSERT INTO ocr_pages (granth_key, page_number, content, updated_at)
-              VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
-        args: [payload.granthKey, page.pageNumber, page.content],
+        sql: `INSERT INTO ocr_pages (granth_key, page_number, content, search_content, word_count, updated_at)
+              VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        args: [
+          payload.granthKey,
+          page.pageNumber,
+          page.content,
+          buildOCRSearchContent(page.content),
+          countOCRWords(page.content),
+        ],
       });
     }
 
@@ -692,11 +865,13 @@ async function upsertGranthAndPages(db, payload) {
       }
     }
 
-    const suffixStatements = payload.pages.map((page) =>
-      makeOCRSuffixUpsertStatement(payload.granthKey, page.pageNumber, page.content || "")
-    );
-    for (let i = 0; i < suffixStatements.length; i += INSERT_BATCH_SIZE) {
-      const chunk = suffixStatements.slice(i, i + INSERT_BATCH_SIZE);
+    const sideIndexStatements = payload.pages.flatMap((page) => [
+      makeOCRSuffixUpsertStatement(payload.granthKey, page.pageNumber, page.content || ""),
+      makeOCRSandhiUpsertStatement(payload.granthKey, page.pageNumber, page.content || ""),
+      makeOCRStemUpsertStatement(payload.granthKey, page.pageNumber, page.content || ""),
+    ]);
+    for (let i = 0; i < sideIndexStatements.length; i += INSERT_BATCH_SIZE) {
+      const chunk = sideIndexStatements.slice(i, i + INSERT_BATCH_SIZE);
       if (chunk.length > 0) {
         await tx.batch(chunk);
       }
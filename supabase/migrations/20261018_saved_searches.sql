@@ -0,0 +1,21 @@
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+  id BIGSERIAL PRIMARY KEY,
+  client_key TEXT NOT NULL,
+  email TEXT NOT NULL,
+  label TEXT NOT NULL DEFAULT '',
+  queries TEXT[] NOT NULL DEFAULT '{}',
+  match_mode TEXT NOT NULL DEFAULT 'exact_word',
+  granths TEXT[] NOT NULL DEFAULT '{}',
+  notified_pages TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_checked_at TIMESTAMPTZ,
+  last_notified_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_client
+  ON public.saved_searches (client_key, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_last_checked
+  ON public.saved_searches (last_checked_at ASC NULLS FIRST);
+
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;